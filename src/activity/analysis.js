@@ -0,0 +1,277 @@
+//
+// Activity Analysis
+//
+// post-ride numbers for a recorded activity, computed locally from its
+// decoded FIT file (FITjs), records are expected at 1 per second
+//
+
+import { equals, exists, empty, last, } from '../functions.js';
+import { smo2 } from './smo2.js';
+
+// durations of the best efforts, s
+const bestEffortDurations = [5, 60, 300, 1200, 3600];
+
+// durations of the power-duration curve, s
+const powerCurveDurations = [
+    1, 5, 10, 15, 30, 60, 120, 180, 300, 480, 600, 900, 1200, 1800, 2400, 3600
+];
+
+// efforts the critical power estimate fits the work against, s,
+// shorter ones are mostly W' and longer ones are rarely maximal
+const criticalPowerDurations = [180, 300, 480, 600, 900, 1200];
+
+// the most points a chart line gets, longer rides are averaged down
+const seriesPoints = 300;
+
+// values a field has when it was not recorded by another app
+const invalid = {
+    power:      0xFFFF,
+    heart_rate: 0xFF,
+    cadence:    0xFF,
+};
+
+function isData(name) {
+    return (x) => equals(x.type, 'data') && equals(x.name, name);
+}
+
+// Record, String -> Number?
+function value(record, prop) {
+    const x = record[prop];
+    if(!exists(x) || isNaN(x) || equals(x, invalid[prop])) return undefined;
+    return x;
+}
+
+// [FITjs] -> {records: [Record], laps: [Lap], session: Session?}
+function fromFITjs(fitjs = []) {
+    return {
+        records: fitjs.filter(isData('record')).map((x) => x.fields),
+        laps:    fitjs.filter(isData('lap')).map((x) => x.fields),
+        session: fitjs.find(isData('session'))?.fields,
+    };
+}
+
+// zeros count for power, but not for heart rate and cadence,
+// which are 0 when the sensor drops or while coasting
+// [Record], String, Bool -> {avg: Int, max: Int}?
+function stats(records, prop, zeros = true) {
+    let sum   = 0;
+    let count = 0;
+    let max   = 0;
+
+    for(const record of records) {
+        const x = value(record, prop);
+        if(!exists(x) || (!zeros && x <= 0)) continue;
+        sum   += x;
+        count += 1;
+        max    = Math.max(max, x);
+    }
+
+    if(equals(count, 0)) return undefined;
+    return { avg: Math.round(sum / count), max: Math.round(max) };
+}
+
+// [Record], Session? -> {duration, elapsed, distance, work, power, heartRate, cadence}
+function totals(records, session) {
+    const distance = last(records.filter((r) => exists(value(r, 'distance'))))?.distance;
+    const work = records.reduce((acc, r) => acc + (value(r, 'power') ?? 0), 0);
+
+    return {
+        duration:  session?.total_timer_time ?? records.length,
+        elapsed:   session?.total_elapsed_time ?? records.length,
+        distance:  distance ?? session?.total_distance ?? 0,
+        work:      Math.round(work / 1000), // kJ
+        power:     stats(records, 'power'),
+        heartRate: stats(records, 'heart_rate', false),
+        cadence:   stats(records, 'cadence', false),
+    };
+}
+
+// [Lap], [Record] -> [{index, duration, power, heartRate, cadence}]
+function laps(laps, records) {
+    return laps.map((lap, index) => {
+        const lapRecords = records.filter((r) =>
+            r.timestamp >= lap.start_time && r.timestamp < lap.timestamp
+        );
+
+        const smo2Rates = smo2.rates(lapRecords);
+
+        return {
+            index,
+            duration:  lap.total_timer_time ?? lapRecords.length,
+            power:     stats(lapRecords, 'power')?.avg,
+            heartRate: stats(lapRecords, 'heart_rate', false)?.avg,
+            cadence:   stats(lapRecords, 'cadence', false)?.avg,
+            smo2DesaturationRate:  smo2Rates.desaturation,
+            smo2ReoxygenationRate: smo2Rates.reoxygenation,
+        };
+    });
+}
+
+// seconds spent in each zone, coasting is left out like PowerInZone does
+// [Record], (Watts -> {index: Int}), Int -> [Seconds]
+function timeInZone(records, powerToZone, count = 7) {
+    const zones = Array(count).fill(0);
+
+    for(const record of records) {
+        const power = value(record, 'power');
+        if(!exists(power) || equals(power, 0)) continue;
+        zones[powerToZone(power).index] += 1;
+    }
+
+    return zones;
+}
+
+// [Record] -> [Watts]
+function toPower(records) {
+    return records.map((r) => value(r, 'power') ?? 0);
+}
+
+// highest average over any stretch of duration values
+// [Watts], Seconds -> Watts?
+function maxAverage(power, duration) {
+    if(power.length < duration || duration <= 0) return undefined;
+
+    let sum = 0;
+    for(let i = 0; i < duration; i++) {
+        sum += power[i];
+    }
+
+    let best = sum;
+    for(let i = duration; i < power.length; i++) {
+        sum += power[i] - power[i - duration];
+        best = Math.max(best, sum);
+    }
+
+    return Math.round(best / duration);
+}
+
+// highest average power over any stretch of duration seconds
+// [Record], Seconds -> Watts?
+function bestEffort(records, duration) {
+    return maxAverage(toPower(records), duration);
+}
+
+// [Record], [Seconds] -> [{duration: Seconds, power: Watts}]
+function bestEfforts(records, durations = bestEffortDurations) {
+    const power = toPower(records);
+
+    return durations
+        .map((duration) => ({duration, power: maxAverage(power, duration)}))
+        .filter((x) => exists(x.power));
+}
+
+// mean-maximal power for the curve durations the ride is long enough for
+// [Record], [Seconds] -> [{duration: Seconds, power: Watts}]
+function powerCurve(records, durations = powerCurveDurations) {
+    return bestEfforts(records, durations);
+}
+
+// best power of each duration across rides, with the ride it came from
+// [{id: UUID, curve: PowerCurve}] -> [{duration: Seconds, power: Watts, id: UUID}]
+function envelope(curves = []) {
+    const best = new Map();
+
+    for(const {id, curve} of curves) {
+        for(const {duration, power} of curve) {
+            if(power > (best.get(duration)?.power ?? 0)) {
+                best.set(duration, {duration, power, id});
+            }
+        }
+    }
+
+    return [...best.values()].sort((a, b) => a.duration - b.duration);
+}
+
+// FTP as 95% of the 20 min best, CP and W' from a least squares fit of
+// work = CP * t + W' over the 3 to 20 min efforts
+// PowerCurve -> {ftp: Watts?, cp: Watts?, wPrime: Joules?}
+function estimate(curve = []) {
+    const power = (duration) => curve.find((x) => equals(x.duration, duration))?.power;
+
+    const best20 = power(1200);
+    const ftp = exists(best20) ? Math.round(best20 * 0.95) : undefined;
+
+    const points = criticalPowerDurations
+          .filter((t) => exists(power(t)))
+          .map((t) => [t, power(t) * t]);
+
+    if(points.length < 2) return {ftp};
+
+    const n = points.length;
+    const meanT = points.reduce((acc, [t]) => acc + t, 0) / n;
+    const meanW = points.reduce((acc, [_, w]) => acc + w, 0) / n;
+    const covariance = points.reduce((acc, [t, w]) => acc + (t - meanT) * (w - meanW), 0);
+    const variance = points.reduce((acc, [t]) => acc + (t - meanT)**2, 0);
+
+    const cp = covariance / variance;
+    const wPrime = meanW - cp * meanT;
+
+    // a curve that isn't all out efforts can give a nonsense fit
+    if(cp <= 0 || wPrime <= 0) return {ftp};
+
+    return {
+        ftp,
+        cp: Math.round(cp),
+        wPrime: Math.round(wPrime),
+    };
+}
+
+// one value per bucket of records, for charts
+// [Record], String, Int -> [Number]
+function series(records, prop, points = seriesPoints) {
+    if(empty(records)) return [];
+
+    const size = Math.ceil(records.length / points);
+    const res = [];
+
+    for(let i = 0; i < records.length; i += size) {
+        const bucket = records.slice(i, i + size);
+        res.push(stats(bucket, prop)?.avg ?? 0);
+    }
+
+    return res;
+}
+
+// [FITjs], {ftp: Watts, zones: Int, powerToZone: (Watts, Watts) -> {index: Int}}
+// ->
+// {ftp, totals, laps, timeInZone, bestEfforts, powerCurve, series}
+function analyze(fitjs, args = {}) {
+    const activity = fromFITjs(fitjs);
+    const records  = activity.records;
+    const ftp      = activity.session?.threshold_power || args.ftp;
+
+    return {
+        ftp,
+        totals:      totals(records, activity.session),
+        laps:        laps(activity.laps, records),
+        timeInZone:  timeInZone(records, (power) => args.powerToZone(power, ftp), args.zones),
+        bestEfforts: bestEfforts(records),
+        powerCurve:  powerCurve(records),
+        // SmO2 zones, if the ride was a 5-1-5 test with a Moxy
+        smo2Zones:   smo2.calibrate(records, activity.laps),
+        series: {
+            power:     series(records, 'power'),
+            heartRate: series(records, 'heart_rate'),
+            cadence:   series(records, 'cadence'),
+        },
+    };
+}
+
+const analysis = {
+    bestEffortDurations,
+    powerCurveDurations,
+    fromFITjs,
+    stats,
+    totals,
+    laps,
+    timeInZone,
+    bestEffort,
+    bestEfforts,
+    powerCurve,
+    envelope,
+    estimate,
+    series,
+    analyze,
+};
+
+export { analysis };
@@ -0,0 +1,113 @@
+//
+// Virtual Gearing
+//
+// for SIM mode on a trainer with the bike in one gear, the virtual gears
+// come from a set of chainrings and a cassette, the current gear scales
+// the grade sent to the trainer and the virtual speed follows its ratio
+//
+// Gearing: {enabled: Bool, chainrings: [Int], cassette: [Int]}
+// Gear:    {chainring: Int, cog: Int, ratio: Float}
+//
+// the gear in the middle of the list is neutral, there the grade goes to
+// the trainer as it is, a higher gear asks for more force at the pedals,
+// so the grade goes up, a lower one for less
+//
+
+import { exists, } from '../functions.js';
+
+const defaultGearing = {
+    enabled:    false,
+    chainrings: [34, 50],
+    cassette:   [11, 12, 13, 14, 15, 16, 17, 19, 21, 24, 28],
+};
+
+const limits = {
+    chainrings: {teeth: [20, 60], length: [1, 3]},
+    cassette:   {teeth: [9, 52],  length: [1, 13]},
+};
+
+// [Int], {teeth: [Int, Int], length: [Int, Int]} -> Bool
+function isTeeth(xs, limit) {
+    if(!Array.isArray(xs)) return false;
+    if(xs.length < limit.length[0] || xs.length > limit.length[1]) return false;
+
+    return xs.every((x) => Number.isInteger(x) && x >= limit.teeth[0] && x <= limit.teeth[1]);
+}
+
+// Gearing -> Bool
+function isValid(gearing) {
+    if(!exists(gearing)) return false;
+
+    return typeof gearing.enabled === 'boolean' &&
+           isTeeth(gearing.chainrings, limits.chainrings) &&
+           isTeeth(gearing.cassette, limits.cassette);
+}
+
+// every chainring with every cog, lowest ratio first, a ratio that is
+// already there within 1% is left out
+// Gearing -> [Gear]
+function toGears(gearing = defaultGearing) {
+    const gears = gearing.chainrings
+        .flatMap((chainring) => gearing.cassette.map((cog) => ({
+            chainring, cog, ratio: chainring / cog,
+        })))
+        .sort((a, b) => a.ratio - b.ratio);
+
+    return gears.reduce((acc, gear) => {
+        const last = acc[acc.length - 1];
+        if(!exists(last) || (gear.ratio / last.ratio) > 1.01) acc.push(gear);
+        return acc;
+    }, []);
+}
+
+// [Gear] -> Int
+function toNeutral(gears) {
+    return Math.floor((gears.length - 1) / 2);
+}
+
+// Int, [Gear] -> Int
+function clampGear(gear, gears) {
+    if(!Number.isInteger(gear)) return toNeutral(gears);
+    return Math.min(Math.max(gear, 0), gears.length - 1);
+}
+
+// the grade that makes the force at the pedals in the neutral gear what
+// it is in the chosen one, the trainer turns at the speed of the neutral
+// gear and the virtual bike at the speed of the chosen one, the force at
+// the wheel goes up with the ratio, the grade is small enough for sin ~ tan
+// {grade: %, ratio: Float, reference: Float, mass: kg, crr: Float,
+//  windResistance: kg/m, speed: m/s} -> %
+function toGrade(args = {}) {
+    const g              = 9.80665;
+    const grade          = args.grade ?? 0;
+    const mass           = args.mass ?? 85;
+    const crr            = args.crr ?? 0.004;
+    const windResistance = args.windResistance ?? 0;
+    const speed          = args.speed ?? 0;
+    const scale          = args.ratio / args.reference;
+
+    const virtualForce = mass * g * (grade / 100 + crr) +
+                         windResistance * Math.pow(speed * scale, 2);
+    const trainerForce = virtualForce * scale;
+    const trainerGrade = (trainerForce - windResistance * Math.pow(speed, 2)) / (mass * g) - crr;
+
+    return Math.round(trainerGrade * 100 * 100) / 100;
+}
+
+// rpm, Float, mm -> m/s
+function toSpeed(cadence, ratio, wheelCircumference = 2105) {
+    return (cadence / 60) * ratio * (wheelCircumference / 1000);
+}
+
+const gearing = {
+    defaultGearing,
+    limits,
+    isValid,
+    toGears,
+    toNeutral,
+    clampGear,
+    toGrade,
+    toSpeed,
+};
+
+export { gearing };
@@ -0,0 +1,205 @@
+//
+// HRV
+//
+// live heart rate variability from the RR intervals of a heart rate
+// strap, over a rolling window of the last 2 minutes of beats
+//
+// DFA alpha 1 (short-term detrended fluctuation analysis, box sizes of
+// 4 to 16 beats) goes from ~1.0 at easy efforts down to 0.75 at the
+// aerobic threshold (AeT/VT1) and 0.5 at the anaerobic threshold
+// (Rogers et al. 2021), RMSSD is the beat-to-beat variability in ms
+//
+// RR intervals are in seconds, as they come from ble/hrs
+//
+
+import { equals, exists, empty, } from '../functions.js';
+
+// length of the rolling window, s
+const windowDuration = 120;
+
+// fewest beats with a value, the largest box still fits a few times
+const minBeats = 60;
+
+// box sizes of the short-term scaling exponent, beats
+const minBox = 4;
+const maxBox = 16;
+
+// plausible RR intervals, s (30 - 200 bpm)
+const minRR = 0.3;
+const maxRR = 2.0;
+
+// a beat further than this from the median of its neighbours is
+// counted as an artifact (missed or extra beat) and replaced
+const artifactThreshold = 0.2;
+const artifactNeighbours = 5;
+
+// the usual cutoffs of alpha 1 for the two thresholds
+const thresholds = {
+    aerobic:   0.75,
+    anaerobic: 0.5,
+};
+
+// [Number] -> Number
+function median(xs) {
+    const sorted = [...xs].sort((a, b) => a - b);
+    const mid    = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// [Number] -> Number
+function mean(xs) {
+    return xs.reduce((acc, x) => acc + x, 0) / xs.length;
+}
+
+// [Number] -> Number
+function sum(xs) {
+    return xs.reduce((acc, x) => acc + x, 0);
+}
+
+// drops the intervals out of range and replaces the ones that are far
+// from the median of their neighbours with that median
+// [Seconds] -> {rr: [Seconds], artifacts: Number}
+function clean(rr = []) {
+    const inRange = rr.filter((x) => x >= minRR && x <= maxRR);
+    let artifacts = rr.length - inRange.length;
+
+    const res = inRange.map((x, i) => {
+        const neighbours = inRange.slice(
+            Math.max(0, i - artifactNeighbours), i + artifactNeighbours + 1
+        );
+        const local = median(neighbours);
+
+        if(Math.abs(x - local) > artifactThreshold * local) {
+            artifacts += 1;
+            return local;
+        }
+        return x;
+    });
+
+    return {
+        rr: res,
+        artifacts: empty(rr) ? 0 : artifacts / rr.length,
+    };
+}
+
+// adds the new beats and drops the oldest ones that fall out of the window
+// [Seconds], [Seconds], Seconds -> [Seconds]
+function toWindow(buffer = [], rr = [], duration = windowDuration) {
+    const res = [...buffer, ...rr];
+    let total = sum(res);
+
+    while(total > duration && res.length > 0) {
+        total -= res.shift();
+    }
+    return res;
+}
+
+// root mean square of successive differences
+// [Seconds] -> Ms?
+function rmssd(rr = []) {
+    if(rr.length < 2) return undefined;
+
+    let acc = 0;
+    for(let i = 1; i < rr.length; i++) {
+        acc += ((rr[i] - rr[i-1]) * 1000) ** 2;
+    }
+    return Math.sqrt(acc / (rr.length - 1));
+}
+
+// least squares line through the points
+// [Number], [Number] -> {slope: Number, intercept: Number}
+function fit(xs, ys) {
+    const mx = mean(xs);
+    const my = mean(ys);
+
+    let sxy = 0;
+    let sxx = 0;
+    for(let i = 0; i < xs.length; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+    }
+    const slope = equals(sxx, 0) ? 0 : sxy / sxx;
+
+    return {slope, intercept: my - slope * mx};
+}
+
+// root mean square of the profile around the linear trend of each box
+// [Number], Int -> Number
+function fluctuation(profile, n) {
+    const boxes = Math.floor(profile.length / n);
+    const xs    = Array.from({length: n}, (_, i) => i);
+
+    let acc = 0;
+    for(let b = 0; b < boxes; b++) {
+        const ys = profile.slice(b * n, (b + 1) * n);
+        const {slope, intercept} = fit(xs, ys);
+
+        for(let i = 0; i < n; i++) {
+            acc += (ys[i] - (slope * i + intercept)) ** 2;
+        }
+    }
+    return Math.sqrt(acc / (boxes * n));
+}
+
+// the slope of log F(n) over log n of the integrated series
+// [Seconds] -> Number?
+function dfaAlpha1(rr = []) {
+    if(rr.length < maxBox * 2) return undefined;
+
+    const m = mean(rr);
+    const profile = [];
+    rr.reduce((acc, x) => {
+        acc += x - m;
+        profile.push(acc);
+        return acc;
+    }, 0);
+
+    const ns = [];
+    const fs = [];
+    for(let n = minBox; n <= maxBox; n++) {
+        const f = fluctuation(profile, n);
+        if(!(f > 0)) return undefined;
+        ns.push(Math.log10(n));
+        fs.push(Math.log10(f));
+    }
+
+    return fit(ns, fs).slope;
+}
+
+// the values of a window, none until it has enough beats
+// [Seconds] -> {dfaAlpha1: Number?, rmssd: Ms?, artifacts: Number}
+function analyze(rr = []) {
+    const cleaned = clean(rr);
+
+    if(cleaned.rr.length < minBeats) {
+        return {dfaAlpha1: undefined, rmssd: undefined, artifacts: cleaned.artifacts};
+    }
+
+    return {
+        dfaAlpha1: dfaAlpha1(cleaned.rr),
+        rmssd:     rmssd(cleaned.rr),
+        artifacts: cleaned.artifacts,
+    };
+}
+
+// Number? -> String
+function toThreshold(alpha1) {
+    if(!exists(alpha1)) return 'none';
+    if(alpha1 > thresholds.aerobic) return 'below-aerobic';
+    if(alpha1 > thresholds.anaerobic) return 'aerobic';
+    return 'anaerobic';
+}
+
+const hrv = {
+    windowDuration,
+    minBeats,
+    thresholds,
+    clean,
+    toWindow,
+    rmssd,
+    dfaAlpha1,
+    analyze,
+    toThreshold,
+};
+
+export { hrv };
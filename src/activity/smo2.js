@@ -0,0 +1,179 @@
+//
+// SmO2
+//
+// muscle oxygen saturation from a Moxy, in %
+//
+// zones: below `one` the muscle is desaturated past what it can hold,
+// between `one` and `two` it is working and balanced, above `two` it is
+// recovering, the bounds are per athlete and come from a 5-1-5 test
+//
+// SmO2Zones: {one: %, two: %, three: %}
+//
+// steps of a workout can end on SmO2 instead of time, the duration is
+// then the most the step can take
+//
+// Step: {duration: Seconds, smo2Above: %?, smo2Below: %?, ...}
+//
+
+import { equals, exists, } from '../functions.js';
+
+const defaultZones = {
+    one:   30,
+    two:   70,
+    three: 100,
+};
+
+// the condition has to hold for this long before the step ends, s,
+// so a single noisy reading doesn't end it
+const holdTime = 3;
+
+// the shortest a step can take before SmO2 can end it, s
+const minStepTime = 10;
+
+// window of the desaturation and reoxygenation rates, s
+const rateWindow = 30;
+
+// work steps of a 5-1-5 test are 5 min, rests 1 min, the trend of a
+// work step is taken over its last 3 min, s
+const minWorkDuration = 180;
+
+// the level of a work step is the average of its last minute, s
+const levelWindow = 60;
+
+// a work step where SmO2 falls slower than this is holding, %/min
+const stableRate = 1;
+
+// [Number], [Number] -> Number
+function slope(xs, ys) {
+    const n  = xs.length;
+    const mx = xs.reduce((acc, x) => acc + x, 0) / n;
+    const my = ys.reduce((acc, y) => acc + y, 0) / n;
+
+    let sxy = 0;
+    let sxx = 0;
+    for(let i = 0; i < n; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+    }
+    return equals(sxx, 0) ? 0 : sxy / sxx;
+}
+
+// values out of range are sensor dropouts or invalid values of the file
+// Any -> Bool
+function isValue(x) {
+    return exists(x) && x > 0 && x <= 100;
+}
+
+// the SmO2 samples of records at 1 per second
+// [Record] -> [%]
+function toSamples(records = []) {
+    return records
+        .filter((record) => exists(record.timestamp))
+        .map((record) => record.saturated_hemoglobin_percent)
+        .filter(isValue);
+}
+
+// SmO2Zones -> Bool
+function isValid(zones) {
+    return exists(zones) &&
+           zones.one > 0 &&
+           zones.two > zones.one &&
+           zones.two <= 100;
+}
+
+// %, SmO2Zones -> String
+function toZone(value, zones = defaultZones) {
+    if(value < zones.one) return 'one';
+    if(value < zones.two) return 'two';
+    return 'three';
+}
+
+// Step -> Bool
+function hasTarget(step) {
+    return exists(step?.smo2Above) || exists(step?.smo2Below);
+}
+
+// Step, % -> Bool
+function isStepDone(step, value) {
+    if(!hasTarget(step) || !isValue(value)) return false;
+    if(exists(step.smo2Above) && value >= step.smo2Above) return true;
+    if(exists(step.smo2Below) && value <= step.smo2Below) return true;
+    return false;
+}
+
+// the fastest fall and rise of SmO2 over any 30 s of the records,
+// both positive, undefined without enough samples
+// [Record] -> {desaturation: %/min?, reoxygenation: %/min?}
+function rates(records = [], window = rateWindow) {
+    const samples = toSamples(records);
+
+    if(samples.length < window) {
+        return {desaturation: undefined, reoxygenation: undefined};
+    }
+
+    const xs = Array.from({length: window}, (_, i) => i / 60);
+    let fall = 0;
+    let rise = 0;
+
+    for(let i = 0; i + window <= samples.length; i++) {
+        const rate = slope(xs, samples.slice(i, i + window));
+        fall = Math.max(fall, -rate);
+        rise = Math.max(rise, rate);
+    }
+
+    return {
+        desaturation:  Math.round(fall * 10) / 10,
+        reoxygenation: Math.round(rise * 10) / 10,
+    };
+}
+
+// SmO2 zones from the result of a 5-1-5 test, the top of the working zone
+// is the level of the last work step before SmO2 starts to fall within a
+// step, the bottom is the lowest level any of the work steps got down to
+// [Record], [Lap] -> SmO2Zones?
+function calibrate(records = [], laps = []) {
+    const steps = laps
+        .map((lap) => records.filter((r) =>
+            r.timestamp >= lap.start_time && r.timestamp < lap.timestamp
+        ))
+        .map(toSamples)
+        .filter((samples) => samples.length >= minWorkDuration)
+        .map((samples) => {
+            // the drop at the start of the work is left out of the trend
+            const end   = samples.slice(-levelWindow);
+            const trend = samples.slice(-minWorkDuration);
+            return {
+                level: end.reduce((acc, x) => acc + x, 0) / end.length,
+                rate:  slope(trend.map((_, i) => i / 60), trend),
+            };
+        });
+
+    if(steps.length < 3) return undefined;
+
+    const fall = steps.findIndex((step) => step.rate <= -stableRate);
+    const two  = steps[equals(fall, -1) ? steps.length - 1 : Math.max(0, fall - 1)].level;
+    const one  = Math.min(...steps.map((step) => step.level));
+
+    const zones = {
+        one:   Math.round(one),
+        two:   Math.round(two),
+        three: defaultZones.three,
+    };
+
+    return isValid(zones) ? zones : undefined;
+}
+
+const smo2 = {
+    defaultZones,
+    holdTime,
+    minStepTime,
+    isValue,
+    isValid,
+    toZone,
+    hasTarget,
+    isStepDone,
+    rates,
+    calibrate,
+};
+
+export { smo2 };
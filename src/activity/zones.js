@@ -0,0 +1,257 @@
+//
+// Zones
+//
+// a zone model splits effort into zones by upper bounds relative to a
+// threshold (FTP for power), the last zone has no upper bound
+//
+// ZoneModel: {id: String, name: String,
+//             zones: [{label: String, upper: Number?, color: String}]}
+//
+// heart rate models also have a reference, the bounds are relative to
+// the LTHR, the max heart rate or the heart rate reserve
+//
+// HeartRateProfile: {lthr: Bpm, max: Bpm, resting: Bpm}
+//
+
+import { equals, exists, isArray, isString, } from '../functions.js';
+
+// zone names, also the css classes of the zones, zone-one, zone-two, ...
+const names = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+const minZones = 2;
+const maxZones = names.length;
+
+// from css var(--zone-*)
+const colors = {
+    gray:   '#636468',
+    blue:   '#328AFF',
+    teal:   '#44A5AB',
+    green:  '#57C057',
+    yellow: '#F8C73A',
+    orange: '#FF663A',
+    red:    '#FE340B',
+};
+
+// new zones of a custom model take these in order
+const palette = [
+    colors.gray, colors.blue, colors.teal, colors.green, colors.yellow, colors.orange, colors.red,
+];
+
+// Number?, String, Int -> Zone
+function Zone(upper, color, index) {
+    return {label: `Z${index + 1}`, upper, color};
+}
+
+// [Number], [String] -> [Zone]
+function toZones(uppers, zoneColors) {
+    return zoneColors.map((color, i) => Zone(uppers[i] ?? null, color, i));
+}
+
+const presets = {
+    // the bounds the app always had
+    coggan: {
+        id: 'coggan',
+        name: 'Coggan 7',
+        zones: toZones(
+            [0.54, 0.75, 0.87, 0.94, 1.05, 1.20],
+            [colors.gray, colors.blue, colors.teal, colors.green, colors.yellow, colors.orange, colors.red],
+        ),
+    },
+    // below the first threshold, between the two, above the second
+    seiler: {
+        id: 'seiler',
+        name: 'Seiler 3',
+        zones: toZones(
+            [0.80, 1.00],
+            [colors.blue, colors.yellow, colors.red],
+        ),
+    },
+};
+
+const defaultId = 'coggan';
+const customId  = 'custom';
+
+const heartRatePresets = {
+    // Friel's zones 1, 2, 3, 4, 5a, 5b and 5c
+    lthr: {
+        id: 'lthr',
+        name: 'LTHR 7',
+        reference: 'lthr',
+        zones: toZones(
+            [0.85, 0.90, 0.95, 1.00, 1.03, 1.07],
+            [colors.gray, colors.blue, colors.teal, colors.green, colors.yellow, colors.orange, colors.red],
+        ),
+    },
+    max: {
+        id: 'max',
+        name: 'Max HR 5',
+        reference: 'max',
+        zones: toZones(
+            [0.60, 0.70, 0.80, 0.90],
+            [colors.gray, colors.blue, colors.green, colors.yellow, colors.red],
+        ),
+    },
+    // Karvonen
+    reserve: {
+        id: 'reserve',
+        name: 'HR Reserve 5',
+        reference: 'reserve',
+        zones: toZones(
+            [0.60, 0.70, 0.80, 0.90],
+            [colors.gray, colors.blue, colors.green, colors.yellow, colors.red],
+        ),
+    },
+};
+
+const heartRateDefaultId = 'lthr';
+
+// ZoneModel -> [String]
+function toNames(model) {
+    return names.slice(0, model.zones.length);
+}
+
+// the color is a hex string, so it can go to a style attribute and
+// to an <input type="color">
+// Any -> Bool
+function isColor(color) {
+    return isString(color) && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+// bounds go up, all but the last zone have one
+// ZoneModel -> Bool
+function isValid(model) {
+    const zones = model?.zones;
+    if(!isArray(zones)) return false;
+    if(zones.length < minZones || zones.length > maxZones) return false;
+
+    return zones.every((zone, i) => {
+        if(!isColor(zone.color)) return false;
+        if(equals(i, zones.length - 1)) return !exists(zone.upper);
+        if(!(zone.upper > 0)) return false;
+        return i === 0 || zone.upper > zones[i-1].upper;
+    });
+}
+
+// cleans up the zones the user edited, the bounds are sorted and the
+// last zone is left open
+// [{label: String?, upper: Number?, color: String?}] -> ZoneModel
+function toCustom(zones = []) {
+    const bounded = zones
+          .slice(0, maxZones)
+          .map((zone) => ({...zone, upper: parseFloat(zone.upper)}));
+
+    const sorted = [
+        ...bounded.slice(0, -1).sort((a, b) => a.upper - b.upper),
+        ...bounded.slice(-1),
+    ];
+
+    return {
+        id: customId,
+        name: 'Custom',
+        zones: sorted.map((zone, i) => ({
+            label: (zone.label ?? '').trim() || `Z${i + 1}`,
+            upper: equals(i, sorted.length - 1) ? null : zone.upper,
+            color: isColor(zone.color) ? zone.color : palette[i % palette.length],
+        })),
+    };
+}
+
+// adds zones above the last bound or drops the top ones
+// ZoneModel, Int -> ZoneModel
+function resize(model, count) {
+    const size  = Math.min(Math.max(count, minZones), maxZones);
+    const zones = model.zones.slice(0, size).map((zone) => ({...zone}));
+
+    while(zones.length < size) {
+        const prev = zones[zones.length - 2]?.upper ?? 0.5;
+        zones[zones.length - 1].upper = Math.round((prev + 0.15) * 100) / 100;
+        zones.push(Zone(null, palette[zones.length % palette.length], zones.length));
+    }
+    zones[zones.length - 1] = {...zones[zones.length - 1], upper: null};
+
+    return {...model, zones};
+}
+
+// Number, Number, ZoneModel -> {name: String, index: Int, label: String, color: String}
+function toZone(value, threshold, model = presets[defaultId]) {
+    const zones = model.zones;
+
+    let index = zones.findIndex((zone) =>
+        exists(zone.upper) && value < (threshold * zone.upper)
+    );
+    if(equals(index, -1)) index = zones.length - 1;
+
+    return {
+        name:  names[index],
+        index,
+        label: zones[index].label,
+        color: zones[index].color,
+    };
+}
+
+// String, ZoneModel -> String
+function toColor(name, model = presets[defaultId]) {
+    return model.zones[names.indexOf(name)]?.color ?? colors.gray;
+}
+
+// without a reserve to go by, the max heart rate is used
+// HeartRateProfile -> Bool
+function hasReserve(profile) {
+    return profile.max > profile.resting;
+}
+
+// Bpm, String, HeartRateProfile -> Number
+function toRelative(value, reference, profile) {
+    if(equals(reference, 'reserve') && hasReserve(profile)) {
+        return (value - profile.resting) / (profile.max - profile.resting);
+    }
+    if(equals(reference, 'lthr')) return value / profile.lthr;
+    return value / profile.max;
+}
+
+// Number, String, HeartRateProfile -> Bpm
+function toBpm(relative, reference, profile) {
+    if(equals(reference, 'reserve') && hasReserve(profile)) {
+        return Math.round(profile.resting + relative * (profile.max - profile.resting));
+    }
+    if(equals(reference, 'lthr')) return Math.round(relative * profile.lthr);
+    return Math.round(relative * profile.max);
+}
+
+// the top of each zone in bpm, the last one goes up to the max
+// ZoneModel, HeartRateProfile -> [Bpm]
+function toHeartRateBounds(model, profile) {
+    return model.zones.map((zone) =>
+        exists(zone.upper) ? toBpm(zone.upper, model.reference, profile) : profile.max
+    );
+}
+
+// Bpm, HeartRateProfile, ZoneModel -> {name: String, index: Int, label: String, color: String}
+function toHeartRateZone(value, profile, model = heartRatePresets[heartRateDefaultId]) {
+    return toZone(toRelative(value, model.reference, profile), 1, model);
+}
+
+const zones = {
+    names,
+    minZones,
+    maxZones,
+    colors,
+    presets,
+    defaultId,
+    customId,
+    toNames,
+    isColor,
+    isValid,
+    toCustom,
+    resize,
+    toZone,
+    toColor,
+    heartRatePresets,
+    heartRateDefaultId,
+    toRelative,
+    toBpm,
+    toHeartRateBounds,
+    toHeartRateZone,
+};
+
+export { zones };
@@ -4,11 +4,18 @@ import { ids, events, keys } from './constants.js';
 import { message } from './message.js';
 import { fec } from './fec.js';
 import { hr } from './hr.js';
+import { bicyclePower } from './power.js';
+import { speedCadence } from './speed-cadence.js';
+import { models } from '../models/models.js';
 import { Q } from './q.js';
 
 function profileToDeviceType(profile) {
     if(equals(profile, 'hrm')) return 120;
     if(equals(profile, 'fec')) return 17;
+    if(equals(profile, 'power')) return 11;
+    if(equals(profile, 'speedCadence')) return 121;
+    if(equals(profile, 'speed')) return 122;
+    if(equals(profile, 'cadence')) return 123;
     return undefined;
 }
 
@@ -23,12 +30,16 @@ function Device(args = {}) {
 
     const onData        = existance(args.onData, defaults.onData);
     const profile       = existance(args.profile, defaults.profile);
+    // a device can pair with any of a few profiles, like speed and cadence sensors,
+    // then it searches with a wildcard device type and tracks the one picked
+    const profiles      = existance(args.profiles, [profile]);
     const channelNumber = existance(args.channelNumber, defaults.channelNumber);
     const q             = Q();
-    const deviceType    = profileToDeviceType(profile);
+    const deviceTypes   = profiles.map(profileToDeviceType);
 
     let deviceNumber     = 0;
     let transmissionType = 0;
+    let pairedProfile    = profile;
     let _connected   = false;
 
     function start() {
@@ -55,7 +66,7 @@ function Device(args = {}) {
     }
 
     function onPair(channelId) {
-        if(equals(channelId.deviceType, deviceType)) {
+        if(deviceTypes.includes(channelId.deviceType)) {
             pair(channelId);
         }
     }
@@ -63,12 +74,20 @@ function Device(args = {}) {
     function pair(channelId) {
         deviceNumber     = channelId.deviceNumber;
         transmissionType = channelId.transmissionType;
+        pairedProfile    = profiles[deviceTypes.indexOf(channelId.deviceType)];
         track();
     }
 
+    function getProfile() {
+        return pairedProfile;
+    }
+
     async function search() {
         const config = channelConfig.get({
-            profile, channelNumber, status: 'searching'
+            profile,
+            channelNumber,
+            deviceType: profiles.length > 1 ? 0 : undefined,
+            status: 'searching'
         });
 
         xf.dispatch('ant:search:start');
@@ -90,7 +109,7 @@ function Device(args = {}) {
 
     async function track() {
         const config = channelConfig.get({
-            profile,
+            profile: pairedProfile,
             channelNumber,
             deviceNumber,
             transmissionType,
@@ -176,6 +195,7 @@ function Device(args = {}) {
         connect,
         disconnect,
         write,
+        getProfile,
     };
 }
 
@@ -193,6 +213,30 @@ function ChannelConfig() {
             rfFrequency:   57,
             networkKey:    keys.antPlus,
         },
+        power: {
+            deviceType:    11,
+            channelPeriod: 8182,
+            rfFrequency:   57,
+            networkKey:    keys.antPlus,
+        },
+        speedCadence: {
+            deviceType:    121,
+            channelPeriod: 8086,
+            rfFrequency:   57,
+            networkKey:    keys.antPlus,
+        },
+        speed: {
+            deviceType:    122,
+            channelPeriod: 8118,
+            rfFrequency:   57,
+            networkKey:    keys.antPlus,
+        },
+        cadence: {
+            deviceType:    123,
+            channelPeriod: 8102,
+            rfFrequency:   57,
+            networkKey:    keys.antPlus,
+        },
     };
 
     const states = {
@@ -221,7 +265,7 @@ function ChannelConfig() {
     function get(args = {}) {
         const status  = getStatus(args.status);
         const profile = getProfile(args.profile);
-        return {
+        const config  = {
             channelNumber:    args.channelNumber,
             deviceNumber:     args.deviceNumber,
             channelType:      args.channelType || 0,
@@ -229,6 +273,9 @@ function ChannelConfig() {
             ...profile,
             ...status,
         };
+        // 0 is the wildcard device type when searching
+        if(exists(args.deviceType)) config.deviceType = args.deviceType;
+        return config;
     }
 
     return Object.freeze({
@@ -244,6 +291,7 @@ function Controllable() {
     const device        = Device({name, channelNumber, onData, profile: 'fec',});
 
     let _mode = 'erg';
+    let _powerTarget = 0;
 
     function start() {
         const self = this;
@@ -251,6 +299,7 @@ function Controllable() {
         console.log(':ant :controllable :start');
         xf.sub(`db:mode`, onMode.bind(self));
         xf.sub('db:powerTarget', onPowerTarget.bind(self));
+        xf.sub('db:powerMatchOffset', onPowerMatchOffset.bind(self));
         xf.sub('db:resistanceTarget', onResistanceTarget.bind(self));
         xf.sub('db:slopeTarget', onSlopeTarget.bind(self));
     }
@@ -260,6 +309,7 @@ function Controllable() {
         device.stop();
         xf.unsub(`db:mode`, onMode.bind(self));
         xf.unsub('db:powerTarget', onPowerTarget.bind(self));
+        xf.unsub('db:powerMatchOffset', onPowerMatchOffset.bind(self));
         xf.unsub('db:resistanceTarget', onResistanceTarget.bind(self));
         xf.unsub('db:slopeTarget', onSlopeTarget.bind(self));
     }
@@ -270,11 +320,16 @@ function Controllable() {
 
     function onPowerTarget(power) {
         console.log(power);
+        _powerTarget = power;
         if(device.isConnected() && (equals(_mode, 'erg'))) {
-            setPowerTarget(power);
+            setPowerTarget(models.powerMatch.toTrainer(power));
         }
     }
 
+    function onPowerMatchOffset() {
+        onPowerTarget(_powerTarget);
+    }
+
     function onResistanceTarget(resistance) {
         if(device.isConnected()) setResistanceTarget(resistance);
     }
@@ -362,6 +417,105 @@ function Hrm() {
     });
 }
 
+function PowerMeter() {
+    const name          = 'ant:powerMeter';
+    const channelNumber = 3;
+    const device        = Device({name, channelNumber, onData, profile: 'power',});
+    const crankTorque   = bicyclePower.CrankTorque();
+
+    function start() {
+        device.start();
+    }
+
+    function stop() {
+        device.stop();
+        crankTorque.reset();
+    }
+
+    // Data Page 16 carries power and maybe cadence directly,
+    // Data Page 18 needs the previous page to get them
+    function toData(page) {
+        if(equals(page.dataPage, bicyclePower.dataPage18.number)) {
+            return crankTorque.update(page);
+        }
+        return page;
+    }
+
+    function onData(payload) {
+        const data = toData(existance(bicyclePower.decode(payload), {}));
+
+        if(exists(data.power) && models.sources.isSource('power', name)) {
+            xf.dispatch('power', data.power);
+        }
+
+        if(exists(data.power) && models.sources.isSource('powerSecondary', name)) {
+            xf.dispatch('powerSecondary', data.power);
+        }
+
+        if(exists(data.power)) {
+            xf.dispatch(`${name}:power`, data.power);
+        }
+
+        if(exists(data.cadence) && models.sources.isSource('cadence', name)) {
+            xf.dispatch('cadence', data.cadence);
+        }
+    }
+
+    return Object.freeze({
+        isConnected: device.isConnected,
+        connect:     device.connect,
+        disconnect:  device.disconnect,
+        start,
+        stop,
+        onData,
+    });
+}
+
+function SpeedCadenceSensor() {
+    const name          = 'ant:speedCadenceSensor';
+    const channelNumber = 4;
+    const Profile       = speedCadence.Profile;
+    const device        = Device({
+        name,
+        channelNumber,
+        onData,
+        profile:  Profile.speedCadence,
+        profiles: [Profile.speedCadence, Profile.speed, Profile.cadence],
+    });
+    const calculator    = speedCadence.SpeedCadence();
+
+    function start() {
+        device.start();
+    }
+
+    function stop() {
+        device.stop();
+        calculator.reset();
+    }
+
+    function onData(payload) {
+        const profile = device.getProfile();
+        const data    = calculator.update(profile, speedCadence.decode(profile, payload));
+
+        if(exists(data.speed) && models.sources.isSource('speed', name)) {
+            xf.dispatch('speed', data.speed);
+        }
+
+        if(exists(data.cadence) && models.sources.isSource('cadence', name)) {
+            xf.dispatch('cadence', data.cadence);
+        }
+    }
+
+    return Object.freeze({
+        isConnected: device.isConnected,
+        connect:     device.connect,
+        disconnect:  device.disconnect,
+        start,
+        stop,
+        onData,
+    });
+}
+
 // function Devices() {
 //     let hrm;
 //     let controllable;
@@ -375,4 +529,4 @@ function Hrm() {
 //     });
 // }
 
-export { Device, Controllable, Hrm };
+export { Device, Controllable, Hrm, PowerMeter, SpeedCadenceSensor };
@@ -71,6 +71,8 @@ function Driver(args = {}) {
 
         const antControllable = document.querySelector('#ant-controllable-settings');
         const antHrm = document.querySelector('#ant-hrm-settings');
+        const antPowerMeter = document.querySelector('#ant-power-meter-settings');
+        const antSpeedCadence = document.querySelector('#ant-speed-cadence-settings');
 
         if(equals(res.result, ':success')) {
             // Currently only Android has stable support for Web Serial API
@@ -79,6 +81,8 @@ function Driver(args = {}) {
                 xf.dispatch(`ant:driver:enable`);
                 antControllable.classList.remove('ant-not-supported');
                 antHrm.classList.remove('ant-not-supported');
+                antPowerMeter.classList.remove('ant-not-supported');
+                antSpeedCadence.classList.remove('ant-not-supported');
                 start();
             } else {
                 xf.dispatch(`ant:driver:disable`);
@@ -1524,6 +1524,8 @@ function deviceTypeToString(deviceType) {
     if(equals(deviceType, 17))  return 'Trainer';
     if(equals(deviceType, 11))  return 'Power Meter';
     if(equals(deviceType, 121)) return 'Speed and Cadence';
+    if(equals(deviceType, 122)) return 'Speed';
+    if(equals(deviceType, 123)) return 'Cadence';
     return 'unsupported';
 }
 
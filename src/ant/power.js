@@ -0,0 +1,339 @@
+import { equals, exists, existance, nthBit } from '../functions.js';
+import { DataPage } from './common.js';
+
+//
+// ANT+ Bicycle Power Profile (device type 11)
+//
+
+function DataPage16() {
+    // Data Page 16 (0x10) – Standard Power-Only
+    const number = 16;
+
+    const definitions = {
+        pedalPower: {
+            resolution: 1, unit: '%', min: 0, max: 100, invalid: 0xFF, default: 0xFF
+        },
+        cadence: {
+            resolution: 1, unit: 'rpm', min: 0, max: 254, invalid: 0xFF, default: 0xFF
+        },
+        accumulatedPower: {
+            resolution: 1, unit: 'W', min: 0, max: 65535, default: 0
+        },
+        power: {
+            resolution: 1, unit: 'W', min: 0, max: 65535, default: 0
+        },
+    };
+
+    const data   = DataPage({definitions});
+    const length = data.length;
+
+    // bit 7 of pedal power tells if the percent is the right pedal's contribution,
+    // bits 0-6 are the percent
+    function encodePedalPower(args = {}) {
+        const pedalPower = data.encodeField('pedalPower', args.pedalPower);
+        if(equals(pedalPower, definitions.pedalPower.invalid)) return pedalPower;
+        return ((args.rightPedal ? 1 : 0) << 7) + pedalPower;
+    }
+
+    function decodePedalPower(value) {
+        if(equals(value, definitions.pedalPower.invalid)) {
+            return { pedalPower: undefined, rightPedal: false };
+        }
+        return {
+            pedalPower: value & 0b01111111,
+            rightPedal: equals(nthBit(value, 7), 1),
+        };
+    }
+
+    function encode(args = {}) {
+        const eventCount       = existance(args.eventCount, 0);
+        const pedalPower       = encodePedalPower(args);
+        const cadence          = data.encodeField('cadence', args.cadence);
+        const accumulatedPower = data.encodeField('accumulatedPower', args.accumulatedPower);
+        const power            = data.encodeField('power', args.power);
+
+        const buffer = new ArrayBuffer(length);
+        const view   = new DataView(buffer);
+
+        view.setUint8( 0, number,           true);
+        view.setUint8( 1, eventCount,       true);
+        view.setUint8( 2, pedalPower,       true);
+        view.setUint8( 3, cadence,          true);
+        view.setUint16(4, accumulatedPower, true);
+        view.setUint16(6, power,            true);
+
+        return view;
+    }
+
+    function decode(dataview) {
+        const dataPage         = dataview.getUint8(0, true);
+        const eventCount       = dataview.getUint8(1, true);
+        const pedal            = decodePedalPower(dataview.getUint8(2, true));
+        const cadence          = data.decodeField('cadence', dataview.getUint8(3, true));
+        const accumulatedPower = data.decodeField('accumulatedPower', dataview.getUint16(4, true));
+        const power            = data.decodeField('power', dataview.getUint16(6, true));
+
+        return {
+            dataPage,
+            eventCount,
+            ...pedal,
+            cadence,
+            accumulatedPower,
+            power,
+        };
+    }
+
+    return Object.freeze({
+        number,
+        length,
+        definitions,
+        encode,
+        decode,
+    });
+}
+
+function DataPage18() {
+    // Data Page 18 (0x12) – Standard Crank Torque
+    //
+    // crank period (1/2048 s) and torque (1/32 Nm) are accumulated and
+    // roll over, so they are kept raw, see CrankTorque for power and cadence
+    const number = 18;
+
+    const definitions = {
+        cadence: {
+            resolution: 1, unit: 'rpm', min: 0, max: 254, invalid: 0xFF, default: 0xFF
+        },
+    };
+
+    const data   = DataPage({definitions});
+    const length = data.length;
+
+    function encode(args = {}) {
+        const eventCount        = existance(args.eventCount, 0);
+        const crankTicks        = existance(args.crankTicks, 0);
+        const cadence           = data.encodeField('cadence', args.cadence);
+        const crankPeriod       = existance(args.crankPeriod, 0);
+        const accumulatedTorque = existance(args.accumulatedTorque, 0);
+
+        const buffer = new ArrayBuffer(length);
+        const view   = new DataView(buffer);
+
+        view.setUint8( 0, number,            true);
+        view.setUint8( 1, eventCount,        true);
+        view.setUint8( 2, crankTicks,        true);
+        view.setUint8( 3, cadence,           true);
+        view.setUint16(4, crankPeriod,       true);
+        view.setUint16(6, accumulatedTorque, true);
+
+        return view;
+    }
+
+    function decode(dataview) {
+        const dataPage          = dataview.getUint8( 0, true);
+        const eventCount        = dataview.getUint8( 1, true);
+        const crankTicks        = dataview.getUint8( 2, true);
+        const cadence           = data.decodeField('cadence', dataview.getUint8(3, true));
+        const crankPeriod       = dataview.getUint16(4, true);
+        const accumulatedTorque = dataview.getUint16(6, true);
+
+        return {
+            dataPage,
+            eventCount,
+            crankTicks,
+            cadence,
+            crankPeriod,
+            accumulatedTorque,
+        };
+    }
+
+    return Object.freeze({
+        number,
+        length,
+        definitions,
+        encode,
+        decode,
+    });
+}
+
+function DataPage19() {
+    // Data Page 19 (0x13) – Torque Effectiveness and Pedal Smoothness
+    const number = 19;
+
+    // right pedal smoothness set to this means the left one is combined
+    const combined = 0xFE;
+
+    const definitions = {
+        leftTorqueEffectiveness: {
+            resolution: 0.5, unit: '%', min: 0, max: 100, invalid: 0xFF, default: 0xFF
+        },
+        rightTorqueEffectiveness: {
+            resolution: 0.5, unit: '%', min: 0, max: 100, invalid: 0xFF, default: 0xFF
+        },
+        leftPedalSmoothness: {
+            resolution: 0.5, unit: '%', min: 0, max: 100, invalid: 0xFF, default: 0xFF
+        },
+        rightPedalSmoothness: {
+            resolution: 0.5, unit: '%', min: 0, max: 100, invalid: 0xFF, default: 0xFF
+        },
+    };
+
+    const data   = DataPage({definitions});
+    const length = data.length;
+
+    function encode(args = {}) {
+        const eventCount               = existance(args.eventCount, 0);
+        const leftTorqueEffectiveness  = data.encodeField('leftTorqueEffectiveness', args.leftTorqueEffectiveness);
+        const rightTorqueEffectiveness = data.encodeField('rightTorqueEffectiveness', args.rightTorqueEffectiveness);
+
+        let leftPedalSmoothness;
+        let rightPedalSmoothness;
+
+        if(exists(args.combinedPedalSmoothness)) {
+            leftPedalSmoothness  = data.encodeField('leftPedalSmoothness', args.combinedPedalSmoothness);
+            rightPedalSmoothness = combined;
+        } else {
+            leftPedalSmoothness  = data.encodeField('leftPedalSmoothness', args.leftPedalSmoothness);
+            rightPedalSmoothness = data.encodeField('rightPedalSmoothness', args.rightPedalSmoothness);
+        }
+
+        const buffer = new ArrayBuffer(length);
+        const view   = new DataView(buffer);
+
+        view.setUint8(0, number,                   true);
+        view.setUint8(1, eventCount,               true);
+        view.setUint8(2, leftTorqueEffectiveness,  true);
+        view.setUint8(3, rightTorqueEffectiveness, true);
+        view.setUint8(4, leftPedalSmoothness,      true);
+        view.setUint8(5, rightPedalSmoothness,     true);
+        view.setUint8(6, 0xFF,                     true);
+        view.setUint8(7, 0xFF,                     true);
+
+        return view;
+    }
+
+    function decode(dataview) {
+        const dataPage                 = dataview.getUint8(0, true);
+        const eventCount               = dataview.getUint8(1, true);
+        const leftTorqueEffectiveness  = data.decodeField('leftTorqueEffectiveness', dataview.getUint8(2, true));
+        const rightTorqueEffectiveness = data.decodeField('rightTorqueEffectiveness', dataview.getUint8(3, true));
+        const left                     = data.decodeField('leftPedalSmoothness', dataview.getUint8(4, true));
+        const right                    = dataview.getUint8(5, true);
+
+        if(equals(right, combined)) {
+            return {
+                dataPage,
+                eventCount,
+                leftTorqueEffectiveness,
+                rightTorqueEffectiveness,
+                combinedPedalSmoothness: left,
+            };
+        }
+
+        return {
+            dataPage,
+            eventCount,
+            leftTorqueEffectiveness,
+            rightTorqueEffectiveness,
+            leftPedalSmoothness:  left,
+            rightPedalSmoothness: data.decodeField('rightPedalSmoothness', right),
+        };
+    }
+
+    return Object.freeze({
+        number,
+        length,
+        definitions,
+        encode,
+        decode,
+    });
+}
+
+function CrankTorque(args = {}) {
+    // turns consecutive Data Page 18 messages into power and cadence
+    //
+    // power   = 128π * Δtorque / Δperiod
+    // cadence = 60 * Δevents / (Δperiod / 2048)
+    //
+    // coasting repeats the event count with the same period, after
+    // staleLimit messages (12 s at ~4 Hz) without a new event power and
+    // cadence drop to 0
+    const defaults = {
+        staleLimit: 48,
+    };
+
+    const staleLimit = existance(args.staleLimit, defaults.staleLimit);
+
+    let prev;
+    let stale = 0;
+
+    function rollover(value, max) {
+        return value < 0 ? value + max : value;
+    }
+
+    function reset() {
+        prev  = undefined;
+        stale = 0;
+    }
+
+    // {eventCount, crankPeriod, accumulatedTorque} -> {power?, cadence?}
+    function update(page) {
+        if(!exists(prev)) {
+            prev = page;
+            return {};
+        }
+
+        const events = rollover(page.eventCount - prev.eventCount, 256);
+
+        if(equals(events, 0)) {
+            stale += 1;
+            if(stale >= staleLimit) return { power: 0, cadence: 0 };
+            return {};
+        }
+
+        const period = rollover(page.crankPeriod - prev.crankPeriod, 65536);
+        const torque = rollover(page.accumulatedTorque - prev.accumulatedTorque, 65536);
+
+        prev  = page;
+        stale = 0;
+
+        // the event count moves but the crank period doesn't while coasting
+        if(equals(period, 0)) return { power: 0, cadence: 0 };
+
+        return {
+            power:   Math.round(128 * Math.PI * torque / period),
+            cadence: Math.round(60 * events * 2048 / period),
+        };
+    }
+
+    return Object.freeze({
+        reset,
+        update,
+    });
+}
+
+function BicyclePower() {
+    // Bicycle Power Profile
+    const pages = {
+        dataPage16: DataPage16(),
+        dataPage18: DataPage18(),
+        dataPage19: DataPage19(),
+    };
+
+    function decode(dataview) {
+        const dataPage = dataview.getUint8(0, true);
+        if(equals(dataPage, 16)) return pages.dataPage16.decode(dataview);
+        if(equals(dataPage, 18)) return pages.dataPage18.decode(dataview);
+        if(equals(dataPage, 19)) return pages.dataPage19.decode(dataview);
+        return {};
+    }
+
+    return {
+        ...pages,
+        CrankTorque,
+        decode,
+    };
+}
+
+const bicyclePower = BicyclePower();
+
+export { bicyclePower };
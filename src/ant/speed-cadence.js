@@ -0,0 +1,226 @@
+import { equals, existance, toFixed } from '../functions.js';
+import { DataPage } from './common.js';
+import { RevsOverTime } from '../ble/cscs/revs-over-time.js';
+
+//
+// ANT+ Bike Speed and Cadence Profiles
+//
+// - combined speed and cadence (device type 121), has no data page number
+// - speed only (device type 122)
+// - cadence only (device type 123)
+//
+
+const Profile = {
+    speedCadence: 'speedCadence',
+    speed:        'speed',
+    cadence:      'cadence',
+};
+
+function CombinedData() {
+    // Combined Bike Speed and Cadence Data
+    const definitions = {
+        cadenceEventTime: {
+            resolution: 1/1024, unit: 's', min: 0, max: 63.999, default: 0
+        },
+        cadenceRevolutions: {
+            resolution: 1, unit: '', min: 0, max: 65535, default: 0
+        },
+        speedEventTime: {
+            resolution: 1/1024, unit: 's', min: 0, max: 63.999, default: 0
+        },
+        speedRevolutions: {
+            resolution: 1, unit: '', min: 0, max: 65535, default: 0
+        },
+    };
+
+    const data   = DataPage({definitions});
+    const length = data.length;
+
+    function encode(args = {}) {
+        const cadenceEventTime   = data.encodeField('cadenceEventTime', args.cadenceEventTime);
+        const cadenceRevolutions = data.encodeField('cadenceRevolutions', args.cadenceRevolutions);
+        const speedEventTime     = data.encodeField('speedEventTime', args.speedEventTime);
+        const speedRevolutions   = data.encodeField('speedRevolutions', args.speedRevolutions);
+
+        const buffer = new ArrayBuffer(length);
+        const view   = new DataView(buffer);
+
+        view.setUint16(0, cadenceEventTime,   true);
+        view.setUint16(2, cadenceRevolutions, true);
+        view.setUint16(4, speedEventTime,     true);
+        view.setUint16(6, speedRevolutions,   true);
+
+        return view;
+    }
+
+    function decode(dataview) {
+        const cadenceEventTime   = data.decodeField('cadenceEventTime', dataview.getUint16(0, true));
+        const cadenceRevolutions = data.decodeField('cadenceRevolutions', dataview.getUint16(2, true));
+        const speedEventTime     = data.decodeField('speedEventTime', dataview.getUint16(4, true));
+        const speedRevolutions   = data.decodeField('speedRevolutions', dataview.getUint16(6, true));
+
+        return {
+            cadenceEventTime,
+            cadenceRevolutions,
+            speedEventTime,
+            speedRevolutions,
+        };
+    }
+
+    return Object.freeze({
+        length,
+        definitions,
+        encode,
+        decode,
+    });
+}
+
+function EventData() {
+    // Speed only and cadence only data pages,
+    // bytes 1-3 depend on the page, bytes 4-7 are the same on all of them
+    const definitions = {
+        eventTime: {
+            resolution: 1/1024, unit: 's', min: 0, max: 63.999, default: 0
+        },
+        revolutions: {
+            resolution: 1, unit: '', min: 0, max: 65535, default: 0
+        },
+    };
+
+    const data   = DataPage({definitions});
+    const length = data.length;
+
+    function encode(args = {}) {
+        const dataPage    = existance(args.dataPage, 0);
+        const pageChange  = existance(args.pageChange, 0);
+        const eventTime   = data.encodeField('eventTime', args.eventTime);
+        const revolutions = data.encodeField('revolutions', args.revolutions);
+
+        const combined = (pageChange << 7) + dataPage;
+
+        const buffer = new ArrayBuffer(length);
+        const view   = new DataView(buffer);
+
+        view.setUint8( 0, combined,    true);
+        view.setUint8( 1, 0xFF,        true);
+        view.setUint8( 2, 0xFF,        true);
+        view.setUint8( 3, 0xFF,        true);
+        view.setUint16(4, eventTime,   true);
+        view.setUint16(6, revolutions, true);
+
+        return view;
+    }
+
+    function decode(dataview) {
+        const combined    = dataview.getUint8(0, true);
+        const dataPage    = combined & 0b01111111;
+        const pageChange  = combined >> 7;
+        const eventTime   = data.decodeField('eventTime', dataview.getUint16(4, true));
+        const revolutions = data.decodeField('revolutions', dataview.getUint16(6, true));
+
+        return {
+            dataPage,
+            pageChange,
+            eventTime,
+            revolutions,
+        };
+    }
+
+    return Object.freeze({
+        length,
+        definitions,
+        encode,
+        decode,
+    });
+}
+
+function SpeedCadence(args = {}) {
+    // turns cumulative revolutions and event times into speed and cadence,
+    // with the same revs over time logic as the BLE sensors
+    const defaults = {
+        wheelCircumference: 2.105, // meters or 700x25
+        // messages come at ~4 Hz, an event time repeated for 3 seconds
+        // means the crank or wheel stopped
+        maxRateCount: 12,
+    };
+
+    const wheelCircumference = existance(args.wheelCircumference, defaults.wheelCircumference);
+    const maxRateCount       = existance(args.maxRateCount, defaults.maxRateCount);
+
+    const maxRevs = 2**16;
+    const maxTime = 2**16 / 1024;
+
+    const cadence = RevsOverTime({
+        resolution: 1,
+        maxRevs,
+        maxTime,
+        rolloverRate: true,
+        // revs per second to revs per 60 seconds
+        format: (x) => Math.round(x * 60),
+    });
+
+    const speed = RevsOverTime({
+        resolution: 1,
+        maxRevs,
+        maxTime,
+        rolloverRate: true,
+        // revs per second to km/h
+        format: (x) => toFixed(x * wheelCircumference * 3.6, 2),
+    });
+
+    cadence.setMaxRateCount(maxRateCount);
+    speed.setMaxRateCount(maxRateCount);
+
+    function reset() {
+        cadence.reset();
+        speed.reset();
+    }
+
+    // Profile, {...} -> {speed?, cadence?}
+    function update(profile, data) {
+        if(equals(profile, Profile.speedCadence)) {
+            return {
+                speed:   speed.calculate(data.speedRevolutions, data.speedEventTime),
+                cadence: cadence.calculate(data.cadenceRevolutions, data.cadenceEventTime),
+            };
+        }
+        if(equals(profile, Profile.speed)) {
+            return {speed: speed.calculate(data.revolutions, data.eventTime)};
+        }
+        if(equals(profile, Profile.cadence)) {
+            return {cadence: cadence.calculate(data.revolutions, data.eventTime)};
+        }
+        return {};
+    }
+
+    return Object.freeze({
+        reset,
+        update,
+    });
+}
+
+function SpeedCadenceProfile() {
+    const pages = {
+        combinedData: CombinedData(),
+        eventData:    EventData(),
+    };
+
+    // Profile, DataView -> {...}
+    function decode(profile, dataview) {
+        if(equals(profile, Profile.speedCadence)) return pages.combinedData.decode(dataview);
+        if(equals(profile, Profile.speed))        return pages.eventData.decode(dataview);
+        if(equals(profile, Profile.cadence))      return pages.eventData.decode(dataview);
+        return {};
+    }
+
+    return {
+        ...pages,
+        Profile,
+        SpeedCadence,
+        decode,
+    };
+}
+
+const speedCadence = SpeedCadenceProfile();
+
+export { speedCadence };
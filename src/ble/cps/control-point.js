@@ -1,4 +1,10 @@
+//
+// CPS spec
+// 3.65 Cycling Power Control Point (characteristic)
+//
+
 import { existance, dataviewToArray }  from '../../functions.js';
+import { hex } from '../../utils.js';
 
 const logs = true;
 
@@ -33,9 +39,55 @@ function RequestControl() {
     });
 }
 
+function OffsetCompensation() {
+    const opCode = 0x0C;
+    const length = 1;
+
+    // the response parameter is raw force in N or raw torque in 1/32 Nm,
+    // depending on what the power meter measures, a failed response with
+    // this parameter means the crank is not in the calibration position
+    const incorrectCalibrationPosition = 0x01;
+
+    function encode() {
+        const buffer = new ArrayBuffer(length);
+        const view   = new DataView(buffer);
+        view.setUint8(0, opCode, true);
+
+        log(`:tx :cps :offset-compensation`);
+
+        return view.buffer;
+    }
+
+    // DataView, Int -> {offset: Int} | {incorrectCalibrationPosition: Bool}
+    function decodeResponse(dataview, resultCode, i = 3) {
+        if(resultCode === 0x01 && dataview.byteLength >= i + 2) {
+            return { offset: dataview.getInt16(i, true), };
+        }
+        if(resultCode === 0x04 && dataview.byteLength > i) {
+            return {
+                incorrectCalibrationPosition:
+                dataview.getUint8(i, true) === incorrectCalibrationPosition,
+            };
+        }
+        return {};
+    }
+
+    return Object.freeze({
+        opCode,
+        length,
+        encode,
+        decodeResponse,
+    });
+}
+
 function Response() {
+    const opCode = 0x20;
+
     // Format:
-    // ?
+    // response code - request code - result code - response parameter?
+    // 32-12-1-[24, 0]
+    //
+    // 32 (0x20) | offset compensation | success | offset 24
 
     const results = {
         '0x01': {definition: 'success',          msg: 'success'},
@@ -48,12 +100,34 @@ function Response() {
     function encode(value) {
     }
 
+    // DataView -> {opCode: Int, requestCode: Int, resultCode: Int, ...}
     function decode(dataview) {
-        return dataviewToArray(dataview);
+        const opCode      = dataview.getUint8(0, true);
+        const requestCode = dataview.getUint8(1, true);
+        const resultCode  = dataview.getUint8(2, true);
+
+        const result = results[hex(resultCode)]?.msg ?? '';
+        log(`:rx :cps :response ${result} :request ${hex(requestCode)}`);
+
+        if(requestCode === offsetCompensation.opCode) {
+            return {
+                opCode,
+                requestCode,
+                resultCode,
+                ...offsetCompensation.decodeResponse(dataview, resultCode),
+            };
+        }
+
+        return {
+            opCode,
+            requestCode,
+            resultCode,
+        };
     }
 
-    function toString(decoded = {}) {
-        const str = decoded.join(', ');
+    // DataView -> String
+    function toString(dataview) {
+        const str = dataviewToArray(dataview).join(', ');
 
         log(`:rx :cps :response '${str}'`);
 
@@ -61,6 +135,7 @@ function Response() {
     }
 
     return Object.freeze({
+        opCode,
         results,
         encode,
         decode,
@@ -68,9 +143,12 @@ function Response() {
     });
 }
 
+const offsetCompensation = OffsetCompensation();
+
 const control = {
-    requestControl: RequestControl(),
-    response:       Response(),
+    requestControl:     RequestControl(),
+    offsetCompensation,
+    response:           Response(),
 };
 
 export { control };
@@ -2,11 +2,12 @@
 // Cycling Power Service
 //
 
-import { expect } from '../../functions.js';
+import { exists, expect } from '../../functions.js';
 import { uuids, } from '../web-ble.js';
 import { Service } from '../service.js';
 import { Characteristic } from '../characteristic.js';
 import { cyclingPowerMeasurement as cyclingPowerMeasurementParser } from './cycling-power-measurement.js';
+import { control as controlParser } from './control-point.js';
 
 function CPS(args = {}) {
     // config
@@ -24,16 +25,57 @@ function CPS(args = {}) {
     // end config
 
     // Service
+    function onControlResponse(msg) {
+        if(msg.requestCode !== controlParser.offsetCompensation.opCode) return;
+
+        if(msg.resultCode === 0x01) {
+            onData({calibration: {
+                type:   'zeroOffset',
+                status: 'success',
+                offset: msg.offset,
+            }});
+            return;
+        }
+
+        onData({calibration: {
+            type:   'zeroOffset',
+            status: 'error',
+            incorrectCalibrationPosition: msg.incorrectCalibrationPosition ?? false,
+        }});
+    }
+
     const spec = {
         measurement: {
             uuid: uuids.cyclingPowerMeasurement,
             notify: {callback: onData, parser: cyclingPowerMeasurementParser},
         },
+        control: {
+            uuid: uuids.cyclingPowerControlPoint,
+            optional: true,
+            notify: {callback: onControlResponse, parser: controlParser.response},
+        },
     };
     const service = Service({service: gattService, spec,});
+    // end service
+
+    // methods
+
+    // {type: 'zeroOffset'} -> Bool
+    async function calibrate(args = {}) {
+        const control = service.characteristics.control;
+
+        if(!exists(control) || args.type !== 'zeroOffset') return false;
+
+        const res = await control.write(
+            controlParser.offsetCompensation.encode()
+        );
+        return res;
+    }
+    // end methods
 
     return Object.freeze({
         ...service, // CPS will have all the public methods and properties of Service
+        calibrate,
     });
 }
 
@@ -15,6 +15,9 @@ function RevsOverTime(args = {}) {
     const maxRevs = expect(args.maxRevs, 'needs maxRevs.');
     const maxTime = expect(args.maxTime, 'needs maxTime.');
     const rate = args.rate ?? defaults.rate;
+    // the rate check measures the time across a rollover, instead of holding
+    // the value until maxRateCount, for ANT+ where an earlier time is always one
+    const rolloverRate = args.rolloverRate ?? false;
 
     // state
     let maxRateCount = defaults.maxRateCount;
@@ -62,7 +65,10 @@ function RevsOverTime(args = {}) {
             rateCount += 1;
             return true;
         }
-        if((time - getTime()) < rate) {
+        const timeDiff = (rolloverRate && isRolloverTime(time)) ?
+              (time - rollOverTime()) :
+              (time - getTime());
+        if(timeDiff < rate) {
             rateCount += 1;
             return true;
         }
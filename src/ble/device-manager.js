@@ -1,4 +1,4 @@
-import { controllable, heartRateMonitor, powerMeter, speedCadenceSensor, moxy, coreTemp } from './devices.js';
+import { controllable, heartRateMonitor, powerMeter, speedCadenceSensor, moxy, coreTemp, raceController } from './devices.js';
 import { Device } from './enums.js';
 
 // An array containing all singleton device instances
@@ -9,6 +9,7 @@ const allDevices = [
     speedCadenceSensor,
     moxy,
     coreTemp,
+    raceController,
 ];
 
 /**
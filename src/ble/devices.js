@@ -33,6 +33,11 @@ const coreTemp = ReactiveConnectable({
     filter: webBle.filters.coreTemp(),
 });
 
+const raceController = ReactiveConnectable({
+    deviceType: Device.raceController,
+    filter: webBle.filters.raceController(),
+});
+
 export {
     controllable,
     heartRateMonitor,
@@ -40,5 +45,6 @@ export {
     speedCadenceSensor,
     moxy,
     coreTemp,
+    raceController,
 };
 
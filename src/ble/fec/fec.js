@@ -1,7 +1,7 @@
 //
 // FEC over BLE
 //
-import { exists, expect, compose2, wait } from '../../functions.js';
+import { equals, exists, expect, compose2, wait } from '../../functions.js';
 import { uuids, } from '../web-ble.js';
 import { ControlMode, } from '../enums.js';
 import { Service } from '../service.js';
@@ -40,9 +40,51 @@ function FEC(args = {}) {
             let control = service.characteristics.control;
             control.release();
         }
+        if(msg.dataPage === messages.dataPage1.number) {
+            return onCalibrationResponse(msg);
+        }
+        if(msg.dataPage === messages.dataPage2.number) {
+            return onCalibrationProgress(msg);
+        }
         return msg;
     }
 
+    // the calibration pages don't say which calibration was requested,
+    // so the last requested one is kept here
+    let calibrationType = 'spinDown';
+
+    // ANTMessageData{} -> {calibration: {}}
+    function onCalibrationResponse(msg) {
+        const success = equals(calibrationType, 'spinDown') ?
+              msg.spinDownSuccess :
+              msg.zeroOffsetSuccess;
+
+        return {calibration: {
+            type:         calibrationType,
+            status:       success ? 'success' : 'error',
+            temperature:  msg.temperature,
+            offset:       msg.zeroOffset,
+            spinDownTime: msg.spinDownTime,
+        }};
+    }
+
+    // ANTMessageData{} -> {calibration: {}}
+    function onCalibrationProgress(msg) {
+        // target speed in m/s -> km/h
+        const targetSpeed = exists(msg.targetSpeed) ? msg.targetSpeed * 3.6 : undefined;
+        const speedUp = msg.spinDownPending && !equals(msg.speedCondition, 'ok');
+
+        return {calibration: {
+            type:                 calibrationType,
+            status:               speedUp ? 'speedUp' : 'inProgress',
+            temperature:          msg.temperature,
+            temperatureCondition: msg.temperatureCondition,
+            speedCondition:       msg.speedCondition,
+            targetSpeedLow:       targetSpeed,
+            targetSpeedHigh:      targetSpeed,
+        }};
+    }
+
     function onControlResponse(msg) {
         console.log(`ble: fec: on-control-response: `, msg);
         let control = service.characteristics.control;
@@ -50,18 +92,10 @@ function FEC(args = {}) {
     }
 
     async function protocol() {
-        let control = service.characteristics.control;
-
-        await wait(txRate);
-        console.log(`${userData.userWeight()} ${userData.bikeWeight()}`);
-        let resUserData = await setUserData({
-            userWeight: userData.userWeight(),
-            bikeWeight: userData.bikeWeight()
-        });
         await wait(txRate);
-        let resWind = await setWindResistance();
+        const res = await setUserData();
 
-        return resUserData && resWind;
+        return res;
     }
 
     const spec = {
@@ -115,28 +149,48 @@ function FEC(args = {}) {
         control.block();
 
         let res = await control.write(
-            fecParser.encode({dataPage: 51, payload: args}),
+            fecParser.encode({dataPage: 51, payload: {crr: userData.crr(), ...args}}),
         );
 
         return res;
     }
 
+    // the wheel diameter goes in cm, with the mm that are left as an offset,
+    // mm -> {wheelDiameter: m, diameterOffset: mm}
+    function toWheelDiameter(circumference) {
+        const diameter = circumference / Math.PI;
+        const cm = Math.floor(diameter / 10);
 
-    // {userWeight: Int, bikeWeight: Int}
+        return {
+            wheelDiameter:  cm / 100,
+            diameterOffset: Math.min(Math.round(diameter - cm * 10), 10),
+        };
+    }
+
+    // sends the rider and bike on page 55 and the wind resistance on page 50
+    // {userWeight: Float?, bikeWeight: Float?, wheelCircumference: Int?, windResistance: Float?} -> Bool
     async function setUserData(args = {}) {
         const control = service.characteristics.control;
-        // TODO: validate the input
+
+        if(!exists(control)) return false;
+
         const data = {
             userWeight: args.userWeight ?? userData.userWeight(),
-            bikeWeight: args.bikeWeight ?? userData.bikeWeight()
+            bikeWeight: args.bikeWeight ?? userData.bikeWeight(),
+            ...toWheelDiameter(args.wheelCircumference ?? userData.wheelCircumference()),
         };
-        const res = await control.write(
+        const resUserData = await control.write(
             fecParser.encode({dataPage: 55, payload: data})
         );
-        return res;
+        await wait(txRate);
+        const resWind = await setWindResistance({
+            windResistance: args.windResistance ?? userData.windResistance(),
+        });
+
+        return resUserData && resWind;
     }
 
-    // {userWeight: Int, bikeWeight: Int}
+    // {windResistance: Float, windSpeed: Int, draftingFactor: Float}
     async function setWindResistance(args = {}) {
         const control = service.characteristics.control;
         const res = await control.write(fecParser.encode({dataPage: 50, payload: args}));
@@ -150,6 +204,20 @@ function FEC(args = {}) {
         return res;
     }
 
+    // {type: 'spinDown' | 'zeroOffset'} -> Bool
+    async function calibrate(args = {}) {
+        const control = service.characteristics.control;
+
+        if(!exists(control) || !['spinDown', 'zeroOffset'].includes(args.type)) return false;
+
+        calibrationType = args.type;
+
+        const res = await control.write(
+            fecParser.encode({dataPage: 1, payload: {[args.type]: true}})
+        );
+        return res;
+    }
+
     return Object.freeze({
         ...service, // FEC will have all the public methods and properties of Service
         protocol,
@@ -159,6 +227,7 @@ function FEC(args = {}) {
         setUserData,
         setWindResistance,
         setRoadFeel,
+        calibrate,
     });
 }
 
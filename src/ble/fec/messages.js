@@ -2,7 +2,7 @@
 // FEC3 Custom characteristic
 //
 
-import { getBits, dataviewToArray, print, } from '../../functions.js';
+import { getBits, nthBitToBool, dataviewToArray, print, } from '../../functions.js';
 
 function applyDefinition(field, value) {
     const _value = value ?? field.default;
@@ -177,31 +177,31 @@ function DataPage55() {
 
     function encode(dataview, start = 4, payload = {}) {
         const dataPage = fields.dataPage.default;
-        const userWeight = applyDefinition(
+        const userWeight = Math.round(applyDefinition(
             fields.userWeight,
             payload?.userWeight
-        );
-        const diameterOffset = applyDefinition(
+        ));
+        const diameterOffset = Math.round(applyDefinition(
             fields.diameterOffset,
             payload?.diameterOffset
-        );
-        const bikeWeight = applyDefinition(
+        ));
+        const bikeWeight = Math.round(applyDefinition(
             fields.bikeWeight,
             payload?.bikeWeight
-        );
-        const wheelDiameter = applyDefinition(
+        ));
+        const wheelDiameter = Math.round(applyDefinition(
             fields.wheelDiameter,
             payload?.wheelDiameter
-        );
-        const gearRatio = applyDefinition(
+        ));
+        const gearRatio = Math.round(applyDefinition(
             fields.gearRatio,
             payload?.gearRatio
-        );
+        ));
 
         const combined1 = (getBits(0, 4, bikeWeight) << 4) + diameterOffset;
         const bikeWeightMSB = bikeWeight >> 4;
 
-        print.log(`:tx :fec :user-configuration :userWeight ${userWeight} :bikeWeight ${bikeWeight}`);
+        print.log(`:tx :fec :user-configuration :userWeight ${userWeight} :bikeWeight ${bikeWeight} :wheelDiameter ${wheelDiameter} :diameterOffset ${diameterOffset}`);
 
         dataview.setUint8( start+0, dataPage, architecture);
         dataview.setUint16(start+1, userWeight, architecture);
@@ -281,6 +281,116 @@ function DataPage252() {
     });
 }
 
+// temperature of the trainer during calibration, 0.5 °C with an offset of -25 °C
+// Int -> Float?
+function decodeTemperature(value) {
+    if(value === 0xFF) return undefined;
+    return (value * 0.5) - 25;
+}
+
+// Int, Float -> Int?
+function decodeUint16(value, resolution = 1) {
+    if(value === 0xFFFF) return undefined;
+    return value * resolution;
+}
+
+function DataPage1() {
+    // DataPage 1 (0x01) - Calibration Request and Response
+    //
+    // the same page is the request to the trainer and its response,
+    // in the request bit 6 asks for zero offset and bit 7 for spin down,
+    // in the response they tell which one succeeded
+    const number = 1;
+    const length = 8;
+    const architecture = true;
+
+    const fields = {
+        dataPage:     {size: 1, type: 'Uint8',  default: 1,},
+        mode:         {size: 1, type: 'Uint8',  default: 0,},
+        temperature:  {size: 1, type: 'Uint8',  resolution: 0.5, offset: -25, unit: '°C', invalid: 0xFF,},
+        zeroOffset:   {size: 2, type: 'Uint16', invalid: 0xFFFF,},
+        spinDownTime: {size: 2, type: 'Uint16', unit: 'ms', invalid: 0xFFFF,},
+        reserved:     {size: 1, type: 'Uint8',  default: 0,},
+    };
+
+    // {zeroOffset: Bool, spinDown: Bool} -> Int
+    function encodeMode(payload = {}) {
+        return ((payload.zeroOffset ? 1 : 0) << 6) + ((payload.spinDown ? 1 : 0) << 7);
+    }
+
+    function encode(dataview, start = 4, payload = {}) {
+        const mode = encodeMode(payload);
+
+        dataview.setUint8(start+0, number, architecture);
+        dataview.setUint8(start+1, mode,   architecture);
+
+        print.log(`:tx :fec :calibration-request :zeroOffset ${payload?.zeroOffset ?? false} :spinDown ${payload?.spinDown ?? false}`);
+
+        return dataview;
+    }
+
+    function decode(dataview, start = 4, end = length) {
+        const dataPage = dataview.getUint8(start+0, architecture);
+        const mode     = dataview.getUint8(start+1, architecture);
+
+        return {
+            dataPage,
+            zeroOffsetSuccess: nthBitToBool(mode, 6),
+            spinDownSuccess:   nthBitToBool(mode, 7),
+            temperature:       decodeTemperature(dataview.getUint8(start+2, architecture)),
+            zeroOffset:        decodeUint16(dataview.getUint16(start+3, architecture)),
+            spinDownTime:      decodeUint16(dataview.getUint16(start+5, architecture)),
+        };
+    }
+
+    return Object.freeze({
+        number,
+        length,
+        fields,
+        encode,
+        decode,
+    });
+}
+
+function DataPage2() {
+    // DataPage 2 (0x02) - Calibration in Progress
+    const number = 2;
+    const length = 8;
+    const architecture = true;
+
+    const conditions = {
+        temperature: ['notApplicable', 'tooLow', 'ok', 'tooHigh'],
+        speed:       ['notApplicable', 'tooLow', 'ok', 'reserved'],
+    };
+
+    function decode(dataview, start = 4, end = length) {
+        const dataPage  = dataview.getUint8(start+0, architecture);
+        const mode      = dataview.getUint8(start+1, architecture);
+        const condition = dataview.getUint8(start+2, architecture);
+
+        // target speed is in 0.001 m/s
+        const targetSpeed = decodeUint16(dataview.getUint16(start+4, architecture), 0.001);
+
+        return {
+            dataPage,
+            zeroOffsetPending:    nthBitToBool(mode, 6),
+            spinDownPending:      nthBitToBool(mode, 7),
+            temperatureCondition: conditions.temperature[getBits(4, 6, condition)],
+            speedCondition:       conditions.speed[getBits(6, 8, condition)],
+            temperature:          decodeTemperature(dataview.getUint8(start+3, architecture)),
+            targetSpeed,
+            targetSpinDownTime:   decodeUint16(dataview.getUint16(start+6, architecture)),
+        };
+    }
+
+    return Object.freeze({
+        number,
+        length,
+        conditions,
+        decode,
+    });
+}
+
 function DataPage16() {
     // DataPage 16 (0x10) - General FE Data
     const number = 16;
@@ -376,6 +486,7 @@ function DataPage71() {
 
 const messages = {
     // fec3
+    dataPage1:  DataPage1(),
     dataPage48: DataPage48(),
     dataPage49: DataPage49(),
     dataPage50: DataPage50(),
@@ -384,6 +495,7 @@ const messages = {
     dataPage252: DataPage252(),
 
     // fec2
+    dataPage2:  DataPage2(),
     dataPage16: DataPage16(),
     dataPage25: DataPage25(),
     dataPage71: DataPage71()
@@ -128,11 +128,21 @@ function PowerTarget() {
         return view.buffer;
     }
 
+    // DataView -> {power: Int}
+    function decode(dataview) {
+        const power = spec.decodeField('power', dataview.getInt16(1, true));
+
+        return {
+            power,
+        };
+    }
+
     return Object.freeze({
         opCode,
         length,
         definitions,
         encode,
+        decode,
     });
 }
 
@@ -242,6 +252,59 @@ function Reset() {
     });
 }
 
+function SpinDownControl() {
+    const opCode = 0x13;
+    const length = 2;
+
+    const controls = {
+        start:  0x01,
+        ignore: 0x02,
+    };
+
+    // the success response carries the speed range the trainer wants
+    // the user to reach before stopping to pedal
+    const definitions = {
+        targetSpeedLow:  {resolution: 0.01, unit: 'km/h', size: 2, min: 0, max: 655.35},
+        targetSpeedHigh: {resolution: 0.01, unit: 'km/h', size: 2, min: 0, max: 655.35},
+    };
+
+    const spec = Spec({definitions});
+
+    // {control: 'start' | 'ignore'} -> ArrayBuffer
+    function encode(args = {}) {
+        const control = controls[args.control] ?? controls.start;
+
+        const view = new DataView(new ArrayBuffer(length));
+
+        view.setUint8(0, opCode, true);
+        view.setUint8(1, control, true);
+
+        print.log(`tx: ftms: spin-down-control: ${args.control ?? 'start'}`);
+
+        return view.buffer;
+    }
+
+    // the response parameter starts after the response, request and result codes
+    // DataView, Int -> {targetSpeedLow: Float, targetSpeedHigh: Float}
+    function decodeResponse(dataview, i = 3) {
+        if(dataview.byteLength < i + 4) return {};
+
+        return {
+            targetSpeedLow:  spec.decodeField('targetSpeedLow',  dataview.getUint16(i, true)),
+            targetSpeedHigh: spec.decodeField('targetSpeedHigh', dataview.getUint16(i+2, true)),
+        };
+    }
+
+    return Object.freeze({
+        opCode,
+        length,
+        controls,
+        definitions,
+        encode,
+        decodeResponse,
+    });
+}
+
 function Response() {
     const opCode = 0x80;
 
@@ -289,6 +352,15 @@ function Response() {
 
         print.log(`rx: ftms: status: ${result} request: ${request}`);
 
+        if(requestCode === spinDownControl.opCode && resultCode === 0x01) {
+            return {
+                opCode,
+                requestCode,
+                resultCode,
+                ...spinDownControl.decodeResponse(dataview),
+            };
+        }
+
         return {
             opCode,
             requestCode,
@@ -305,6 +377,8 @@ function Response() {
     });
 }
 
+const spinDownControl = SpinDownControl();
+
 const control = {
     simulationParameters: SimulationParameters(),
     resistanceTarget:     ResistanceTarget(),
@@ -312,6 +386,7 @@ const control = {
     wheelCircumference:   WheelCircumference(),
     requestControl:       RequestControl(),
     reset:                Reset(),
+    spinDownControl,
     response:             Response(),
 };
 
@@ -46,7 +46,9 @@ const fitnessMachineStatusOpCodes = {
     '0x13': {param: true,
              decoder: control.wheelCircumference.decode,
              name: 'Wheel Circumference Changed'},
-    '0x14': {param: true,  name: 'Spin Down Status'},
+    '0x14': {param: true,
+             decoder: decodeSpinDownStatus,
+             name: 'Spin Down Status'},
     '0x15': {param: true,  name: 'Targeted Cadence Changed'},
     '0xFF': {param: false, name: 'Control Permission Lost'},
 };
@@ -59,6 +61,38 @@ const spinDownStatusValue = {
     '0x04': 'Stop Pedaling'
 };
 
+// the status of a spin down as a step of the calibration,
+// 'Spin Down Requested' asks the user to speed up to the target speed
+const spinDownStatus = {
+    '0x01': 'speedUp',
+    '0x02': 'success',
+    '0x03': 'error',
+    '0x04': 'stopPedaling',
+};
+
+// DataView -> {status: String}
+function decodeSpinDownStatus(dataview) {
+    const value = dataview.getUint8(1, true);
+
+    return {
+        status: spinDownStatus[hex(value)] ?? 'error',
+    };
+}
+
+// the operations the app reacts to, as the names of the events
+const events = {
+    'Reset':                                          'reset',
+    'Fitness Machine Stopped or Paused by the User':  'stopped',
+    'Fitness Machine Stopped by Safety Key':          'stoppedBySafetyKey',
+    'Fitness Machine Started or Resumed by the User': 'started',
+    'Target Resistance Level Changed':                'targetResistanceChanged',
+    'Target Power Changed':                           'targetPowerChanged',
+    'Indoor Bike Simulation Parameters Changed':      'simulationChanged',
+    'Wheel Circumference Changed':                    'wheelCircumferenceChanged',
+    'Spin Down Status':                               'spinDownStatus',
+    'Control Permission Lost':                        'controlPermissionLost',
+};
+
 function FitnessMachineStatus() {
 
     const unknownOperation = {
@@ -101,9 +135,15 @@ function FitnessMachineStatus() {
         return str;
     }
 
+    // {operation: String, value: Any} -> String?
+    function toEvent(decoded) {
+        return events[decoded.operation];
+    }
+
     return Object.freeze({
         encode,
         decode,
+        toEvent,
     });
 }
 
@@ -9,6 +9,9 @@ import { Service } from '../service.js';
 import { Characteristic } from '../characteristic.js';
 import { indoorBikeData as indoorBikeDataParser } from './indoor-bike-data.js';
 import { control as controlParser } from './control-point.js';
+import { status as statusParser } from './fitness-machine-status.js';
+import { supported as supportedParser } from './supported-ranges.js';
+import { userData } from '../userData.js';
 
 function FTMS(args = {}) {
 
@@ -32,6 +35,37 @@ function FTMS(args = {}) {
         // but that can happen only when a response has been received from
         // the control point characteristic
         control.release();
+
+        if(msg.requestCode === controlParser.spinDownControl.opCode) {
+            onSpinDownResponse(msg);
+        }
+    }
+
+    // the trainer accepts the spin down with the target speed range,
+    // what follows comes on the status characteristic
+    function onSpinDownResponse(msg) {
+        if(msg.resultCode !== 0x01) {
+            onData({calibration: {type: 'spinDown', status: 'error'}});
+            return;
+        }
+
+        onData({calibration: {
+            type:            'spinDown',
+            status:          'speedUp',
+            targetSpeedLow:  msg.targetSpeedLow,
+            targetSpeedHigh: msg.targetSpeedHigh,
+        }});
+    }
+
+    function onStatus(msg) {
+        if(msg.operation === 'Spin Down Status') {
+            onData({calibration: {type: 'spinDown', status: msg.value.status}});
+        }
+
+        const event = statusParser.toEvent(msg);
+        if(exists(event)) {
+            onData({machineStatus: {event, value: msg.value}});
+        }
     }
 
     async function protocol() {
@@ -41,12 +75,40 @@ function FTMS(args = {}) {
             const res = await control.write(
                 controlParser.requestControl.encode()
             );
+
+            onData({supportedRanges: await readSupportedRanges()});
+            await setUserData();
+
             return res;
         }
 
         return false;
     }
 
+    // the target ranges the trainer supports, in the units of the targets,
+    // undefined for the ones it doesn't tell
+    //
+    // Void -> {power: Range?, resistance: Range?, slope: Range?}
+    async function readSupportedRanges() {
+        const characteristics = service.characteristics;
+
+        return {
+            power:      await readRange(characteristics.powerRange, supportedParser.powerRange),
+            resistance: await readRange(characteristics.resistanceRange, supportedParser.resistanceRange),
+            slope:      await readRange(characteristics.inclinationRange, supportedParser.inclinationRange),
+        };
+    }
+
+    // Characteristic?, Parser -> {min: Number, max: Number, inc: Number}?
+    async function readRange(characteristic, parser) {
+        if(!exists(characteristic)) return undefined;
+
+        const dataview = await characteristic.read();
+        if(!exists(dataview)) return undefined;
+
+        return parser.toUnits(parser.decode(dataview));
+    }
+
     async function reset() {
         const control = service.characteristics.control;
 
@@ -67,6 +129,23 @@ function FTMS(args = {}) {
             uuid: uuids.fitnessMachineControlPoint,
             notify: {callback: onControlResponse, parser: controlParser.response},
         },
+        status: {
+            uuid: uuids.fitnessMachineStatus,
+            optional: true,
+            notify: {callback: onStatus, parser: statusParser},
+        },
+        powerRange: {
+            uuid: uuids.supportedPowerRange,
+            optional: true,
+        },
+        resistanceRange: {
+            uuid: uuids.supportedResistanceLevelRange,
+            optional: true,
+        },
+        inclinationRange: {
+            uuid: uuids.supportedInclinationRange,
+            optional: true,
+        },
     };
 
     const service = Service({service: gattService, spec, protocol, });
@@ -84,12 +163,32 @@ function FTMS(args = {}) {
         control.block();
 
         const res = await control.write(
-            controlParser.simulationParameters.encode(args)
+            controlParser.simulationParameters.encode({
+                crr:            userData.crr(),
+                windResistance: userData.windResistance(),
+                ...args,
+            })
         );
 
         return res;
     }
 
+    // FTMS has no rider or bike weight, the crr and wind resistance go with
+    // each grade in setSimulation, this sends the wheel circumference
+    // {wheelCircumference: Int?} -> Bool
+    async function setUserData(args = {}) {
+        const control = service.characteristics.control;
+
+        if(!exists(control)) return false;
+
+        const res = await control.write(
+            controlParser.wheelCircumference.encode({
+                circumference: args.wheelCircumference ?? userData.wheelCircumference(),
+            })
+        );
+        return res;
+    }
+
     // {power: Int} -> Bool
     async function setPowerTarget(args = {}) {
         const control = service.characteristics.control;
@@ -115,6 +214,19 @@ function FTMS(args = {}) {
         );
         return res;
     }
+
+    // {type: 'spinDown'} -> Bool
+    async function calibrate(args = {}) {
+        const control = service.characteristics.control;
+
+        if(!exists(control) || args.type !== 'spinDown') return false;
+
+        const res = await control.writeWithRetry(
+            controlParser.spinDownControl.encode({control: 'start'}),
+            4, 500,
+        );
+        return res;
+    }
     // end methods
 
     // expose public methods and properties
@@ -125,6 +237,8 @@ function FTMS(args = {}) {
         setSimulation,
         setPowerTarget,
         setResistanceTarget,
+        setUserData,
+        calibrate,
     });
 }
 
@@ -1,7 +1,11 @@
 //
+// 4.13 Supported Inclination Range (characteristic)
 // 4.13 Supported Resistance Level Range (characteristic)
 // 4.14 Supported Power Range (characteristic)
 //
+// decode returns the raw values, toUnits applies the resolution so the range
+// is in the units of the targets, W, resistance level and % grade
+//
 
 import { existance }  from '../../functions.js';
 
@@ -14,8 +18,18 @@ function supportedResistanceLevelRange(dataview) {
     return { min, max, inc };
 }
 
+// {min: Int, max: Int, inc: Int}, Float -> {min: Number, max: Number, inc: Number}
+function applyResolution(range, resolution) {
+    return {
+        min: range.min * resolution,
+        max: range.max * resolution,
+        inc: range.inc * resolution,
+    };
+}
+
 function PowerRange() {
     const length = 6;
+    const resolution = 1;
 
     function encode(args = {}) {
         const min = existance(args.min);
@@ -43,15 +57,22 @@ function PowerRange() {
         return { min, max, inc };
     }
 
+    function toUnits(range) {
+        return applyResolution(range, resolution);
+    }
+
     return Object.freeze({
         length,
+        resolution,
         encode,
-        decode
+        decode,
+        toUnits,
     });
 }
 
 function ResistanceRange() {
     const length = 6;
+    const resolution = 0.1;
 
     function encode(args = {}) {
         const min = existance(args.min);
@@ -79,16 +100,50 @@ function ResistanceRange() {
         return { min, max, inc };
     }
 
+    function toUnits(range) {
+        return applyResolution(range, resolution);
+    }
+
     return Object.freeze({
         length,
+        resolution,
         encode,
-        decode
+        decode,
+        toUnits,
+    });
+}
+
+function InclinationRange() {
+    const length = 6;
+    const resolution = 0.1;
+
+    function decode(dataview) {
+        // (0x) 9C-FF-C8-00-05-00
+        // (10) [156, 255, 200, 0, 5, 0]
+        // -100, 200, 5 -> -10%, 20%, 0.5%
+        const min = dataview.getInt16(0, true);
+        const max = dataview.getInt16(2, true);
+        const inc = dataview.getUint16(4, true);
+
+        return { min, max, inc };
+    }
+
+    function toUnits(range) {
+        return applyResolution(range, resolution);
+    }
+
+    return Object.freeze({
+        length,
+        resolution,
+        decode,
+        toUnits,
     });
 }
 
 const supported = {
-    powerRange:      PowerRange(),
-    resistanceRange: ResistanceRange(),
+    powerRange:       PowerRange(),
+    resistanceRange:  ResistanceRange(),
+    inclinationRange: InclinationRange(),
 };
 
 export {
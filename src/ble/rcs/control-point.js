@@ -0,0 +1,56 @@
+//
+// Race Controller Control Point and Response Characteristics
+//
+
+import { dataviewToArray, print, } from '../../functions.js';
+
+// 'RideOn'
+const rideOn = [0x52, 0x69, 0x64, 0x65, 0x4f, 0x6e];
+
+function Handshake() {
+    // with no public key after 'RideOn' the device stays in plain mode,
+    // the encrypted mode needs AES-CCM that Web Crypto doesn't have
+
+    // Void -> ArrayBuffer
+    function encode() {
+        const view = new DataView(new ArrayBuffer(rideOn.length));
+        rideOn.forEach((byte, i) => view.setUint8(i, byte));
+
+        print.log(`tx: rcs: handshake`);
+
+        return view.buffer;
+    }
+
+    return Object.freeze({
+        encode,
+    });
+}
+
+function Response() {
+    // the device answers the handshake with 'RideOn' and its type,
+    // 0x01 0x03 for a Click, 0x01 0x04 for a Play
+
+    // Dataview -> {type: 'rideOn' | 'unknown', raw: [Int]}
+    function decode(dataview) {
+        const raw = dataviewToArray(dataview);
+        const isRideOn = rideOn.every((byte, i) => raw[i] === byte);
+
+        return {
+            type: isRideOn ? 'rideOn' : 'unknown',
+            raw,
+        };
+    }
+
+    return Object.freeze({
+        decode,
+    });
+}
+
+const control = {
+    handshake: Handshake(),
+    response:  Response(),
+};
+
+export {
+    control,
+};
@@ -1,60 +1,122 @@
 //
 // Race Controller Measurement Characteristic
 //
+// Zwift Click and Play, after a plain handshake the messages are a type byte
+// followed by a protobuf message of buttons, normal buttons are pressed 0
+// and not pressed 1
+//
+
+// DataView, Int -> {value: Int, i: Int}
+function readVarint(dataview, i) {
+    let value = 0;
+    let shift = 0;
+
+    while(i < dataview.byteLength) {
+        const byte = dataview.getUint8(i);
+        i += 1;
+        value += (byte & 0x7F) * Math.pow(2, shift);
+        shift += 7;
+        if((byte & 0x80) === 0) break;
+    }
+
+    return {value, i};
+}
+
+// the varint fields of a protobuf message, the rest are skipped
+// DataView, Int -> {<field-number>: Int}
+function decodeFields(dataview, start = 0) {
+    const fields = {};
+    let i = start;
+
+    while(i < dataview.byteLength) {
+        const key = readVarint(dataview, i);
+        const fieldNumber = Math.floor(key.value / 8);
+        const wireType = key.value & 0b111;
+        i = key.i;
+
+        if(wireType === 0) {
+            const field = readVarint(dataview, i);
+            fields[fieldNumber] = field.value;
+            i = field.i;
+        } else if(wireType === 2) {
+            const length = readVarint(dataview, i);
+            i = length.i + length.value;
+        } else {
+            break;
+        }
+    }
 
-function RaceControllerMeasurement(args = {}) {
-    const architecture = true;
+    return fields;
+}
 
+function RaceControllerMeasurement() {
     const opCodes = {
-        buttons: 7,
-        idle: 21,
-        unknown: 0xFF,
+        play: 0x07,    // 7
+        idle: 0x15,    // 21
+        battery: 0x19, // 25
+        click: 0x37,   // 55
     };
 
-    const crypto = args.crypto ?? { decrypt: (x) => '' };
+    const pressed = 0;
 
-    // Dataview -> String
-    function decrypt(dataview) {
-        return crypto.decrypt(decrypt.buffer);
-    }
+    // field number -> button
+    const buttons = {
+        click: {1: 'plus', 2: 'minus'},
+        // the right pad of a Play has the A B Y Z buttons, the left the arrows
+        playRight: {2: 'y', 3: 'z', 4: 'a', 5: 'b', 6: 'rightOn', 7: 'rightShift'},
+        playLeft: {2: 'up', 3: 'left', 4: 'right', 5: 'down', 6: 'leftOn', 7: 'leftShift'},
+    };
 
-    // NOTE:
-    // normal button: not pressed 1, pressed 0
-    // numeric button: not pressed 0, pressed: Int > 0
+    // {<field-number>: Int}, {<field-number>: String} -> [String]
+    function toPressed(fields, names) {
+        return Object.entries(names)
+            .filter(([fieldNumber, _]) => fields[fieldNumber] === pressed)
+            .map(([_, name]) => name);
+    }
 
-    // Dataview -> { type: String, plus: Bool, minus: Bool }
+    // Dataview -> {type: String, pressed: [String]?, batteryLevel: Int?}
     function decode(dataview) {
-        const str = decrypt(dataview) ?? '0xFF';
-        const opCode = str.substring(0, 1);
+        if(dataview.byteLength === 0) return {type: 'unknown'};
 
-        let type = 'unknown';
-        let data = {};
+        const opCode = dataview.getUint8(0);
 
-        if(opCode === opCodes.buttons) {
-            type = 'buttons';
-            data.plus = (str.substring(4, 6) === '00');
-            data.minus = (str.substring(8, 10) === '00');
+        if(opCode === opCodes.click) {
+            return {type: 'buttons', pressed: toPressed(decodeFields(dataview, 1), buttons.click)};
+        }
+
+        if(opCode === opCodes.play) {
+            const fields = decodeFields(dataview, 1);
+            const names = (fields[1] === pressed) ? buttons.playRight : buttons.playLeft;
+
+            return {type: 'buttons', pressed: toPressed(fields, names)};
+        }
+
+        if(opCode === opCodes.battery) {
+            return {type: 'battery', batteryLevel: decodeFields(dataview, 1)[1]};
         }
 
         if(opCode === opCodes.idle) {
-            type = 'idle';
+            return {type: 'idle'};
         }
 
-        // TODO: handle other message types
+        return {type: 'unknown'};
+    }
 
-        return {
-            type,
-            ...data,
-        };
+    // the buttons that went down since the last message
+    // [String], [String] -> [String]
+    function toPresses(prev = [], pressed = []) {
+        return pressed.filter((button) => !prev.includes(button));
     }
 
     return Object.freeze({
-        decrypt,
+        opCodes,
+        buttons,
         decode,
+        toPresses,
     });
 }
 
 export {
     RaceControllerMeasurement,
+    decodeFields,
 };
-
@@ -2,27 +2,11 @@
 // Race Controller Service
 //
 
-import { expect } from '../../functions.js';
+import { equals, exists, expect, empty, } from '../../functions.js';
 import { uuids, } from '../web-ble.js';
 import { Service } from '../service.js';
-import { Characteristic } from '../characteristic.js';
 import { RaceControllerMeasurement } from './race-controller-measurement.js';
-// import { Crypto } from './crypto.js';
-
-function Crypto() {
-    function createPublicKey() {
-    }
-    function createSharedKey() {
-    }
-    function decodePublicKey() {
-    }
-
-    return {
-        createPublicKey,
-        createSharedKey,
-        decodePublicKey,
-    };
-}
+import { control as controlParser } from './control-point.js';
 
 function RCS(args = {}) {
 
@@ -39,50 +23,60 @@ function RCS(args = {}) {
     );
     // end config
 
+    // private state
+    // the buttons held down in the last message
+    let pressed = [];
+    // end private state
+
     // service
-    const crypto = Crypto();
-    const raceControllerMeasurementParser = RaceControllerMeasurement({crypto,});
+    const raceControllerMeasurementParser = RaceControllerMeasurement();
 
     async function protocol() {
         const control = service.characteristics.control;
 
-        // Step 1: create key pair
-        crypto.createPublicKey();
+        if(!exists(control)) return false;
+
+        const res = await control.write(controlParser.handshake.encode());
 
-        // Step 2: send handshake
-        await control.write(crypto.handshake());
+        return res;
     }
 
     function onResponse(msg) {
-        console.log(`ble: rcs: on-response: `, msg);
-        // Step 3: create shared key
-        crypto.createSharedKey(msg);
+        console.log(`ble: rcs: on-response: `, msg.type);
     }
 
-    function onControl(msg) {
-        console.log(`ble: rcs: on-control: `, msg);
+    // only a button that goes down makes a press, holding it doesn't repeat
+    function onMeasurement(msg) {
+        if(equals(msg.type, 'battery') && exists(msg.batteryLevel)) {
+            onData({batteryLevel: msg.batteryLevel});
+            return;
+        }
+
+        if(!equals(msg.type, 'buttons')) return;
+
+        const presses = raceControllerMeasurementParser.toPresses(pressed, msg.pressed);
+        pressed = msg.pressed;
+
+        if(empty(presses)) return;
+
+        onData({buttons: presses});
     }
 
     const spec = {
         measurement: {
             uuid: uuids.raceControllerMeasurement,
-            notify: {callback: onData, parser: raceControllerMeasurementParser},
+            notify: {callback: onMeasurement, parser: raceControllerMeasurementParser},
         },
         control: {
             uuid: uuids.raceControllerControlPoint,
         },
         response: {
             uuid: uuids.raceControllerResponse,
-            notify: {
-                callback: onResponse,
-                parser: {
-                    decode: (dataview) => crypto.decodePublicKey(dataview),
-                },
-            },
+            notify: {callback: onResponse, parser: controlParser.response},
         },
     };
 
-    const service = Service({spec, service: gattService,});
+    const service = Service({spec, protocol, service: gattService,});
     // end service
 
     return Object.freeze({
@@ -2,6 +2,7 @@ import { equals, exists, xf, print, } from '../functions.js';
 import { models } from '../models/models.js';
 import Connectable from './connectable.js';
 import { webBle } from './web-ble.js';
+import { userData } from './userData.js';
 import { Device, Status, ControlMode, } from './enums.js';
 
 function ReactiveConnectable(args = {}) {
@@ -22,6 +23,19 @@ function ReactiveConnectable(args = {}) {
 
     // state
     let mode = ControlMode.erg;
+    let powerTarget = 0;
+    let slopeTarget = 0;
+    let weight = models.weight.default;
+    let bikeProfile = models.bikeProfile.default;
+    let gearing = models.gearing.default;
+    let gear = models.gearing.toNeutral();
+    // m/s, the speed of the trainer for the air resistance of the gears
+    let trainerSpeed = 0;
+    // the last grade sent in SIM mode
+    let grade = 0;
+    // what was last written to the trainer, to tell its own changes
+    // from those of another app
+    let lastWrite = {power: undefined, resistance: undefined};
 
     let abortController;
     let signal;
@@ -38,15 +52,20 @@ function ReactiveConnectable(args = {}) {
     function onConnected() {
         xf.dispatch(`${getIdentifier()}:connected`);
         xf.dispatch(`${getIdentifier()}:name`, connectable.getName());
+        xf.dispatch(`${getIdentifier()}:id`, connectable.getId());
     }
 
     function onDisconnect() {
         xf.dispatch(`${getIdentifier()}:disconnected`);
         xf.dispatch(`${getIdentifier()}:name`, '--');
+        xf.dispatch(`${getIdentifier()}:id`, undefined);
 
         if(models.sources.isSource('power', getIdentifier())) {
             xf.dispatch(`power`, 0);
         }
+        if(models.sources.isSource('powerSecondary', getIdentifier())) {
+            xf.dispatch(`powerSecondary`, undefined);
+        }
         if(models.sources.isSource('cadence', getIdentifier())) {
             xf.dispatch(`cadence`, 0);
         }
@@ -66,6 +85,9 @@ function ReactiveConnectable(args = {}) {
             xf.dispatch(`coreBodyTemperature`, 0);
             xf.dispatch(`skinTemperature`, 0);
         }
+        if(equals(deviceType, Device.controllable)) {
+            xf.dispatch(`supportedRanges`, {});
+        }
     }
 
     function onConnectFail() {
@@ -77,10 +99,22 @@ function ReactiveConnectable(args = {}) {
             xf.dispatch(`power`, data.power);
         }
 
+        if('power' in data && models.sources.isSource('powerSecondary', identifier)) {
+            xf.dispatch(`powerSecondary`, data.power);
+        }
+
+        if('power' in data) {
+            xf.dispatch(`${getIdentifier()}:power`, data.power);
+        }
+
         if('cadence' in data && models.sources.isSource('cadence', identifier)) {
             xf.dispatch(`cadence`, data.cadence);
         }
 
+        if('speed' in data) {
+            trainerSpeed = models.speed.kmhToMps(data.speed);
+        }
+
         if('speed' in data && models.sources.isSource('speed', identifier)) {
             xf.dispatch(`speed`, models.speed.kmhToMps(data.speed));
         }
@@ -113,6 +147,66 @@ function ReactiveConnectable(args = {}) {
         if('skinTemperature' in data) {
             xf.dispatch(`skinTemperature`, data.skinTemperature);
         }
+
+        if('calibration' in data) {
+            onCalibration(data.calibration);
+        }
+
+        if('supportedRanges' in data) {
+            xf.dispatch(`supportedRanges`, data.supportedRanges);
+        }
+
+        if('machineStatus' in data) {
+            onMachineStatus(data.machineStatus);
+        }
+
+        if('buttons' in data) {
+            data.buttons.forEach((button) => xf.dispatch(`${getIdentifier()}:button`, button));
+        }
+    }
+
+    // the trainer tells about every change of target, also the ones the app
+    // made, only a target that is not the last one written came from elsewhere
+    // {event: String, value: Any} -> Void
+    function onMachineStatus(status) {
+        const external =
+              (equals(status.event, 'targetPowerChanged') &&
+               !equals(status.value?.power, lastWrite.power)) ||
+              (equals(status.event, 'targetResistanceChanged') &&
+               !equals(status.value?.resistance, lastWrite.resistance));
+
+        xf.dispatch(`${getIdentifier()}:status`, {...status, external});
+    }
+
+    // {type: String, status: String, ...} -> Void
+    function onCalibration(calibration) {
+        xf.dispatch('calibration', {
+            ...calibration,
+            identifier: getIdentifier(),
+            deviceId:   connectable.getId(),
+            deviceName: connectable.getName(),
+        });
+    }
+
+    // the trainer or power meter calibrates itself and reports the steps
+    // in onData, here it only gets started
+    // {identifier: String, type: 'spinDown' | 'zeroOffset'} -> Void
+    async function onCalibrationStart(args = {}) {
+        if(!equals(args.identifier, getIdentifier())) return;
+
+        const service = connectable.services?.trainer ?? connectable.services?.cps;
+
+        if(!connectable.isConnected() || !exists(service?.calibrate)) {
+            onCalibration({type: args.type, status: 'notSupported'});
+            return;
+        }
+
+        onCalibration({type: args.type, status: 'requested'});
+
+        const res = await service.calibrate({type: args.type});
+        if(!res) {
+            onCalibration({type: args.type, status: 'notSupported'});
+        }
     }
 
     async function onSwitch() {
@@ -128,27 +222,93 @@ function ReactiveConnectable(args = {}) {
     }
 
     function onUserWeight(x) {
-        if(!connectable.isConnected()) return;
+        weight = x;
+        onUserData();
     }
 
-    function onPowerTarget(powerTarget) {
+    function onBikeProfile(x) {
+        bikeProfile = x;
+        onUserData();
+    }
+
+    // the trainer services send the user data on connect, a change while
+    // connected is sent now, with the grade again for the new crr and CdA
+    async function onUserData() {
+        userData.set(models.bikeProfile.toUserData(weight, bikeProfile));
+
+        if(!connectable.isConnected() ||
+           !exists(connectable.services?.trainer?.setUserData)) return;
+        await connectable.services.trainer.setUserData();
+
+        onSimulation();
+    }
+
+    function onGearing(x) {
+        gearing = x;
+        onSimulation();
+    }
+
+    function onGear(x) {
+        gear = x;
+        onSimulation();
+    }
+
+    // with virtual gears the grade changes with the speed too,
+    // it is sent again when it moved enough
+    function onElapsed() {
+        if(!gearing.enabled || Math.abs(toGrade() - grade) < 0.1) return;
+        onSimulation();
+    }
+
+    // the slope target, or with virtual gears the grade that makes it feel
+    // like the current gear
+    // Void -> %
+    function toGrade() {
+        if(!gearing.enabled) return slopeTarget;
+
+        return models.gearing.toGrade({
+            grade:          slopeTarget,
+            gear,
+            mass:           weight + bikeProfile.bikeWeight,
+            crr:            bikeProfile.crr,
+            windResistance: models.bikeProfile.windResistance(bikeProfile),
+            speed:          trainerSpeed,
+        }, gearing);
+    }
+
+    function onSimulation() {
+        if(!connectable.isConnected() ||
+           !equals(mode, ControlMode.sim)) return;
+        grade = toGrade();
+        connectable.services.trainer.setSimulation({grade});
+    }
+
+    function onPowerTarget(value) {
+        powerTarget = value;
         if(!connectable.isConnected() ||
            !equals(mode, ControlMode.erg)) return;
-        connectable.services.trainer.setPowerTarget({power: powerTarget});
+        lastWrite.power = models.powerMatch.toTrainer(powerTarget);
+        connectable.services.trainer.setPowerTarget({
+            power: lastWrite.power,
+        });
+    }
+
+    function onPowerMatchOffset() {
+        onPowerTarget(powerTarget);
     }
 
     function onResistanceTarget(resistanceTarget) {
         if(!connectable.isConnected() ||
            !equals(mode, ControlMode.resistance)) return;
+        lastWrite.resistance = resistanceTarget;
         connectable.services.trainer.setResistanceTarget({
             resistance: resistanceTarget,
         });
     }
 
-    function onSlopeTarget(slopeTarget) {
-        if(!connectable.isConnected() ||
-           !equals(mode, ControlMode.sim)) return;
-        connectable.services.trainer.setSimulation({grade: slopeTarget});
+    function onSlopeTarget(value) {
+        slopeTarget = value;
+        onSimulation();
     }
 
     function onTrainerReset() {
@@ -162,13 +322,19 @@ function ReactiveConnectable(args = {}) {
         signal = { signal: abortController.signal };
 
         xf.sub(`ui:${getIdentifier()}:switch`, onSwitch, signal);
+        xf.sub('ui:calibration:start', onCalibrationStart, signal);
 
         if(equals(deviceType, Device.controllable)) {
             xf.sub('db:mode',             onMode, signal);
             xf.sub('db:weight',           onUserWeight, signal);
+            xf.sub('db:bikeProfile',      onBikeProfile, signal);
             xf.sub('db:powerTarget',      onPowerTarget, signal);
+            xf.sub('db:powerMatchOffset', onPowerMatchOffset, signal);
             xf.sub('db:resistanceTarget', onResistanceTarget, signal);
             xf.sub('db:slopeTarget',      onSlopeTarget, signal);
+            xf.sub('db:gearing',          onGearing, signal);
+            xf.sub('db:gear',             onGear, signal);
+            xf.sub('watch:elapsed',       onElapsed, signal);
             xf.sub('ui:trainer:reset',    onTrainerReset, signal);
         }
     }
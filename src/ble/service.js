@@ -66,6 +66,11 @@ function Service(args = {}) {
     // - 'response' for a response characteristic if one exists
     // - 'status' for a status characteristic if one exists
     //
+    // optional: true, marks a characteristic that the service can work without,
+    // if the device doesn't have it, it is skipped instead of failing the setup
+    //
+    // a characteristic with no property is only looked up, so it can be read
+    //
     // <characteristic-property> is one of:
     // - 'notify' for the NOTIFY property of a characteristic
     //
@@ -178,6 +183,11 @@ function Service(args = {}) {
     // Void -> Bool
     async function start() {
         for(const key in spec) {
+            if(spec[key].optional && !exists(_characteristics[spec[key].uuid])) {
+                print.log(`ble: service: ${getName()} no optional characteristic: ${key}`);
+                continue;
+            }
+
             characteristics[key] = Characteristic({
                 characteristic: _characteristics[spec[key].uuid]
             });
@@ -202,6 +212,7 @@ function Service(args = {}) {
     async function stop() {
         print.log(`:ble :tx :service ${_name} :stoping`);
         for(const key in spec) {
+            if(!exists(spec[key].notify)) continue;
             await characteristics[key]?.stopNotifications();
         }
         _started = false;
@@ -2,12 +2,18 @@ import { isNumber } from '../functions.js';
 
 function UserData(args = {}) {
     const defaults = {
-        userWeight: 75,
-        bikeWeight: 8,
+        userWeight:         75,
+        bikeWeight:         8,
+        wheelCircumference: 2105,
+        crr:                0.004,
+        windResistance:     0.51,
     };
 
-    let _userWeight = args.userWeight ?? defaults.userWeight;
-    let _bikeWeight = args.bikeWeight ?? defaults.bikeWeight;
+    let _userWeight         = args.userWeight ?? defaults.userWeight;
+    let _bikeWeight         = args.bikeWeight ?? defaults.bikeWeight;
+    let _wheelCircumference = args.wheelCircumference ?? defaults.wheelCircumference;
+    let _crr                = args.crr ?? defaults.crr;
+    let _windResistance     = args.windResistance ?? defaults.windResistance;
 
     function userWeight() {
         return _userWeight;
@@ -17,6 +23,20 @@ function UserData(args = {}) {
         return _bikeWeight;
     }
 
+    // mm
+    function wheelCircumference() {
+        return _wheelCircumference;
+    }
+
+    function crr() {
+        return _crr;
+    }
+
+    // kg/m
+    function windResistance() {
+        return _windResistance;
+    }
+
     // x: Int
     // weight in grams 75000 -> 75 kg
     function setUserWeight(x) {
@@ -37,10 +57,26 @@ function UserData(args = {}) {
         }
     }
 
+    // sets the values that are numbers, keeps the rest
+    // {userWeight: kg?, bikeWeight: kg?, wheelCircumference: mm?, crr: Float?, windResistance: kg/m?}
+    // -> Void
+    function set(args = {}) {
+        if(isNumber(args.userWeight))         _userWeight         = args.userWeight;
+        if(isNumber(args.bikeWeight))         _bikeWeight         = args.bikeWeight;
+        if(isNumber(args.wheelCircumference)) _wheelCircumference = args.wheelCircumference;
+        if(isNumber(args.crr))                _crr                = args.crr;
+        if(isNumber(args.windResistance))     _windResistance     = args.windResistance;
+    }
+
     return {
         userWeight,
         bikeWeight,
+        wheelCircumference,
+        crr,
+        windResistance,
         setUserWeight,
+        setBikeWeight,
+        set,
     };
 }
 
@@ -50,4 +86,3 @@ export {
     UserData,
     userData,
 };
-
@@ -132,8 +132,8 @@ function WCPS(args = {}) {
         const weight = userData.userWeight() + userData.bikeWeight();
         control.write(controlParser.sim.encode({
             weight,
-            crr: args.crr,
-            windResistance: args.windResistance
+            crr: args.crr ?? userData.crr(),
+            windResistance: args.windResistance ?? userData.windResistance(),
         }));
         controlMode = ControlMode.sim;
     }
@@ -142,6 +142,21 @@ function WCPS(args = {}) {
         setSimMode();
     }
 
+    // the weight, crr and wind resistance go with sim mode, so they are
+    // sent again only when the trainer is in it
+    // Void -> Bool
+    async function setUserData() {
+        const control = service.characteristics.control;
+        if(!exists(control)) return false;
+
+        if(controlMode === ControlMode.sim) {
+            setSimMode();
+            await wait(txRate);
+        }
+
+        return await setWheelCircumference();
+    }
+
     async function requestControl() {
         const control = service.characteristics.control;
 
@@ -163,7 +178,7 @@ function WCPS(args = {}) {
 
         const res = await control.write(
             controlParser.wheelCircumference.encode({
-                circumference: controlParser.wheelCircumference.definitions.circumference.default,
+                circumference: userData.wheelCircumference(),
             })
         );
 
@@ -177,6 +192,7 @@ function WCPS(args = {}) {
         setResistanceTarget,
         setPowerTarget,
         setUser,
+        setUserData,
         setWindResistance,
         setWheelCircumference,
         requestControl,
@@ -18,6 +18,7 @@ const characteristics = {
     indoorBikeData:                '00002ad2-0000-1000-8000-00805f9b34fb',
     fitnessMachineControlPoint:    '00002ad9-0000-1000-8000-00805f9b34fb',
     fitnessMachineFeature:         '00002acc-0000-1000-8000-00805f9b34fb',
+    supportedInclinationRange:     '00002ad5-0000-1000-8000-00805f9b34fb',
     supportedResistanceLevelRange: '00002ad6-0000-1000-8000-00805f9b34fb',
     supportedPowerRange:           '00002ad8-0000-1000-8000-00805f9b34fb',
     fitnessMachineStatus:          '00002ada-0000-1000-8000-00805f9b34fb',
@@ -125,6 +126,19 @@ function Filters() {
         };
     }
 
+    // the Click and Play advertise the Zwift manufacturer data but not the
+    // service, so they are found by name too
+    function raceController() {
+        return {
+            filters: [
+                {services: [uuids.raceController]},
+                {namePrefix: 'Zwift Click'},
+                {namePrefix: 'Zwift Play'},
+            ],
+            optionalServices: [uuids.raceController, uuids.battery]
+        };
+    }
+
     function all() {
         return {acceptAllDevices: true};
     }
@@ -164,6 +178,7 @@ function Filters() {
         powerMeter,
         smo2,
         coreTemp,
+        raceController,
         all,
         generic,
     });
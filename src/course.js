@@ -12,6 +12,7 @@ function Course() {
     xf.sub('ui:workoutStart', onWatchStart.bind(this), signal);
     xf.sub('ui:watchStart',   onWatchStart.bind(this), signal);
     xf.sub('db:courseIndex',  onCourseIndex.bind(this), signal);
+    xf.sub('course:restore',  restore.bind(this), signal);
 
     let started = false;
     let distance = 0;
@@ -30,7 +31,21 @@ function Course() {
     function isCourse() {
         return exists(course?.points);
     }
-    function restore() {
+    // picks up a recovered ride where it was on the course
+    // {courseIndex: Int, distance: Meters} -> Void
+    function restore(session) {
+        if(!isCourse() || !(session.distance > 0)) return;
+
+        setCourse(course);
+
+        index      = session.courseIndex ?? index;
+        distance   = parseFloat(session.distance) % courseDistance;
+        pointIndex = Math.max(0, course.points.findIndex((p) => p.distance >= distance));
+
+        setSegment(index);
+        started = true;
+
+        console.log(`:course :restore :index ${index} :distance ${distance}`);
     }
     function onCourseIndex(courseIndex) {
         console.log(`:course :index ${courseIndex}`);
@@ -1,7 +1,9 @@
-import { xf, exists, equals } from './functions.js';
+import { xf, exists, equals, debounce, } from './functions.js';
 import { models } from './models/models.js';
 import { Sound } from './sound.js';
 import { idb } from './storage/idb.js';
+import { fileHandler } from './file.js';
+import { archive } from './workouts/archive.js';
 import { ControlMode, } from './ble/enums.js';
 import { TimerStatus, } from './activity/enums.js';
 
@@ -12,10 +14,13 @@ let db = {
     power: models.power.default,
     heartRate: models.heartRate.default,
     rrInterval: [],
+    dfaAlpha1: models.hrv.default.dfaAlpha1,
+    rmssd: models.hrv.default.rmssd,
     cadence: models.cadence.default,
     speed: models.speed.default,
     sources: models.sources.default,
     smo2: models.smo2.default,
+    smo2Zones: models.smo2Zones.default,
     thb: models.thb.default,
     coreBodyTemperature: 0,
     skinTemperature: 0,
@@ -30,6 +35,7 @@ let db = {
     power1s: models.power1s.default,
     power3s: models.power3s.default,
     powerInZone: models.powerInZone.default,
+    heartRateInZone: models.heartRateInZone.default,
 
     powerLap: models.powerLap.default,
     heartRateLap: models.heartRateLap.default,
@@ -46,6 +52,18 @@ let db = {
     cadenceAvgCount: models.cadenceAvg.count,
     heartRateAvgCount: models.heartRateAvg.count,
 
+    normalizedPower: models.tss.default.normalizedPower,
+    intensityFactor: models.tss.default.intensityFactor,
+    trainingStressScore: models.tss.default.trainingStressScore,
+    tssCount: models.tss.count,
+    tssTime: models.tss.time,
+    wPrimeBalance: models.wPrimeBalance.default,
+
+    // second power stream, undefined when there is none
+    powerSecondary: undefined,
+    powerDelta: models.powerComparison.default,
+    powerMatchOffset: models.powerMatch.default,
+
     heartRateMax: 0,
 
     // Targets
@@ -53,18 +71,38 @@ let db = {
     resistanceTarget: models.resistanceTarget.default,
     slopeTarget: models.slopeTarget.default,
     cadenceTarget: models.cadenceTarget.default,
+    heartRateTarget: models.heartRateTarget.default,
 
     mode: models.mode.default,
     page: models.page.default,
     lock: false,
 
     // Profile
+    powerZones: models.powerZones.default,
     ftp: models.ftp.default,
     weight: models.weight.default,
+    bikeProfile: models.bikeProfile.default,
+    gearing: models.gearing.default,
+    // the virtual gear of SIM mode, an index in the gears of gearing
+    gear: models.gearing.toNeutral(),
+    cp: models.cp.default,
+    wPrime: models.wPrime.default,
+    lthr: models.lthr.default,
+    maxHeartRate: models.maxHeartRate.default,
+    restingHeartRate: models.restingHeartRate.default,
+    heartRateZones: models.heartRateZones.default,
+    powerMatchMaxOffset: models.powerMatchMaxOffset.default,
     theme: models.theme.default,
     measurement: models.measurement.default,
     volume: models.volume.default,
 
+    // Devices
+    // the calibration going on and the results of the past ones by device id
+    calibration: {},
+    calibrations: models.calibrations.default,
+    // the action of each button of a Zwift Click or Play
+    raceControllerBindings: models.raceControllerBindings.default,
+
     // UI options
     powerSmoothing: 0,
     dataTileSwitch: models.dataTileSwitch.default,
@@ -76,6 +114,7 @@ let db = {
 
     // Activities
     activity: models.activity.default,
+    powerCurve: models.powerCurve.default,
 
     // Recording
     records: [],
@@ -125,6 +164,10 @@ xf.reg(models.heartRate.prop, (heartRate, db) => {
 
 xf.reg('rrInterval', (rrInterval, db) => {
     db.rrInterval = rrInterval;
+
+    const hrv = models.hrv.setState(rrInterval);
+    db.dfaAlpha1 = hrv.dfaAlpha1;
+    db.rmssd = hrv.rmssd;
 });
 
 xf.reg(models.power.prop, (power, db) => {
@@ -174,6 +217,27 @@ xf.reg('power1s', (power, db) => {
 
     db.powerLapCount = models.powerLap.count;
     db.powerAvgCount = models.powerAvg.count;
+
+    if(equals(db.watchStatus, TimerStatus.started)) {
+        const tss = models.tss.setState(power);
+
+        db.normalizedPower = tss.normalizedPower;
+        db.intensityFactor = tss.intensityFactor;
+        db.trainingStressScore = tss.trainingStressScore;
+        db.tssCount = models.tss.count;
+        db.tssTime = models.tss.time;
+
+        db.wPrimeBalance = models.wPrimeBalance.setState(power);
+    }
+});
+
+// a secondary source that stops sending is dropped like on a disconnect
+const powerSecondaryStale = debounce(() => xf.dispatch('powerSecondary', undefined), 3000);
+
+xf.reg('powerSecondary', (powerSecondary, db) => {
+    db.powerSecondary = powerSecondary;
+    db.powerDelta = models.powerComparison.setState({power: db.power1s, powerSecondary});
+    if(exists(powerSecondary)) powerSecondaryStale();
 });
 
 xf.reg('power3s', (power, db) => {
@@ -184,6 +248,10 @@ xf.reg('powerInZone', (powerInZone, db) => {
     db.powerInZone = powerInZone;
 });
 
+xf.reg('heartRateInZone', (heartRateInZone, db) => {
+    db.heartRateInZone = heartRateInZone;
+});
+
 xf.reg('speedVirtual', (speedVirtual, db) => {
     db.speedVirtual = speedVirtual;
 });
@@ -252,6 +320,33 @@ xf.reg(`ui:power-target-dec`, (_, db) => {
 xf.reg('ui:cadence-target-set', (cadenceTarget, db) => {
     db.cadenceTarget = models.cadenceTarget.set(cadenceTarget);
 });
+xf.reg('ui:heart-rate-target-set', (heartRateTarget, db) => {
+    db.heartRateTarget = models.heartRateTarget.set(heartRateTarget);
+});
+
+// Heart Rate Control
+xf.reg('watch:elapsed', (_, db) => {
+    if(!models.heartRateControl.isActive() ||
+       !equals(db.watchStatus, TimerStatus.started) ||
+       !equals(db.mode, ControlMode.erg)) return;
+
+    const powerTarget = models.heartRateControl.setState(db.heartRate);
+
+    if(!equals(powerTarget, db.powerTarget)) {
+        xf.dispatch('ui:power-target-set', powerTarget);
+    }
+});
+
+xf.reg('watch:elapsed', (_, db) => {
+    if(!equals(db.watchStatus, TimerStatus.started) ||
+       !equals(db.mode, ControlMode.erg)) return;
+
+    const powerMatchOffset = models.powerMatch.setState(db.powerTarget);
+
+    if(!equals(powerMatchOffset, db.powerMatchOffset)) {
+        db.powerMatchOffset = powerMatchOffset;
+    }
+});
 
 xf.reg('ui:resistance-target-set', (resistanceTarget, db) => {
     db.resistanceTarget = models.resistanceTarget.set(resistanceTarget);
@@ -273,6 +368,24 @@ xf.reg(`ui:slope-target-dec`, (_, db) => {
     db.slopeTarget = models.slopeTarget.dec(db.slopeTarget);
 });
 
+// the ranges the trainer supports, read on connect and cleared on disconnect
+xf.reg('supportedRanges', (ranges, db) => {
+    // a trainer holds a power target below its range at its min,
+    // so only the max is narrowed and 0 is still no target
+    models.powerTarget.setRange({max: ranges.power?.max});
+    models.resistanceTarget.setRange(ranges.resistance);
+    models.slopeTarget.setRange(ranges.slope);
+
+    clampTarget('powerTarget', models.powerTarget, db);
+    clampTarget('resistanceTarget', models.resistanceTarget, db);
+    clampTarget('slopeTarget', models.slopeTarget, db);
+});
+
+function clampTarget(prop, model, db) {
+    const value = model.set(db[prop]);
+    if(!equals(value, db[prop])) db[prop] = value;
+}
+
 // Profile
 xf.reg('ui:ftp-set', (ftp, db) => {
     db.ftp = models.ftp.set(ftp);
@@ -282,6 +395,108 @@ xf.reg('ui:weight-set', (weight, db) => {
     db.weight = models.weight.set(weight);
     models.weight.backup(db.weight);
 });
+// bike weight, wheel circumference, crr or CdA from the settings
+xf.reg('ui:bike-profile-set', (bikeProfile, db) => {
+    const profile = {...db.bikeProfile, ...bikeProfile};
+    if(!models.bikeProfile.isValid(profile)) return;
+
+    db.bikeProfile = models.bikeProfile.set(profile);
+    models.bikeProfile.backup(db.bikeProfile);
+});
+// chainrings, cassette or on and off from the settings
+xf.reg('ui:gearing-set', (gearing, db) => {
+    const value = {...db.gearing, ...gearing};
+    if(!models.gearing.isValid(value)) return;
+
+    db.gearing = models.gearing.set(value);
+    models.gearing.backup(db.gearing);
+
+    const gear = models.gearing.clampGear(db.gear, db.gearing);
+    if(!equals(gear, db.gear)) db.gear = gear;
+});
+xf.reg('ui:gear-up', (_, db) => {
+    if(!db.gearing.enabled) return;
+    const gear = models.gearing.clampGear(db.gear + 1, db.gearing);
+    if(!equals(gear, db.gear)) db.gear = gear;
+});
+xf.reg('ui:gear-down', (_, db) => {
+    if(!db.gearing.enabled) return;
+    const gear = models.gearing.clampGear(db.gear - 1, db.gearing);
+    if(!equals(gear, db.gear)) db.gear = gear;
+});
+xf.reg('ui:cp-set', (cp, db) => {
+    db.cp = models.cp.set(cp);
+    models.cp.backup(db.cp);
+});
+xf.reg('ui:w-prime-set', (wPrime, db) => {
+    db.wPrime = models.wPrime.set(wPrime);
+    models.wPrime.backup(db.wPrime);
+});
+xf.reg('ui:lthr-set', (lthr, db) => {
+    db.lthr = models.lthr.set(lthr);
+    models.lthr.backup(db.lthr);
+    db.heartRateInZone = models.heartRateInZone.recount(db.records);
+});
+xf.reg('ui:max-heart-rate-set', (maxHeartRate, db) => {
+    db.maxHeartRate = models.maxHeartRate.set(maxHeartRate);
+    models.maxHeartRate.backup(db.maxHeartRate);
+    db.heartRateInZone = models.heartRateInZone.recount(db.records);
+});
+xf.reg('ui:resting-heart-rate-set', (restingHeartRate, db) => {
+    db.restingHeartRate = models.restingHeartRate.set(restingHeartRate);
+    models.restingHeartRate.backup(db.restingHeartRate);
+    db.heartRateInZone = models.heartRateInZone.recount(db.records);
+});
+xf.reg('ui:heart-rate-zones-select', (id, db) => {
+    db.heartRateZones = models.heartRateZones.set(id);
+    models.heartRateZones.backup(db.heartRateZones);
+    db.heartRateInZone = models.heartRateInZone.recount(db.records);
+});
+
+// the time in zone of the ride so far is counted again in the new zones
+function setPowerZones(powerZones, db) {
+    if(!models.powerZones.isValid(powerZones)) return;
+
+    db.powerZones = models.powerZones.set(powerZones);
+    models.powerZones.backup(db.powerZones);
+    db.powerInZone = models.powerInZone.recount(db.records);
+}
+xf.reg('ui:power-zones-select', (id, db) => {
+    setPowerZones(models.powerZones.select(db.powerZones, id), db);
+});
+xf.reg('ui:power-zones-custom', (customZones, db) => {
+    setPowerZones(models.powerZones.setCustom(db.powerZones, customZones), db);
+});
+// from the settings or from the result of a 5-1-5 test
+xf.reg('ui:smo2-zones-set', (smo2Zones, db) => {
+    const zones = {...db.smo2Zones, ...smo2Zones};
+    if(!models.smo2Zones.isValid(zones)) return;
+
+    db.smo2Zones = models.smo2Zones.set(zones);
+    models.smo2Zones.backup(db.smo2Zones);
+});
+// the steps of a spin down or zero offset as the device reports them
+xf.reg('calibration', (calibration, db) => {
+    db.calibration = calibration;
+    if(!models.calibrations.isDone(calibration)) return;
+
+    db.calibrations = models.calibrations.set(
+        models.calibrations.add(calibration, db.calibrations)
+    );
+    models.calibrations.backup(db.calibrations);
+});
+// {button: String, action: String}
+xf.reg('ui:race-controller-bind', ({button, action}, db) => {
+    const bindings = {...db.raceControllerBindings, [button]: action};
+    if(!models.raceControllerBindings.isValid(bindings)) return;
+
+    db.raceControllerBindings = models.raceControllerBindings.set(bindings);
+    models.raceControllerBindings.backup(db.raceControllerBindings);
+});
+xf.reg('ui:power-match-max-offset-set', (powerMatchMaxOffset, db) => {
+    db.powerMatchMaxOffset = models.powerMatchMaxOffset.set(powerMatchMaxOffset);
+    models.powerMatchMaxOffset.backup(db.powerMatchMaxOffset);
+});
 xf.reg('ui:theme-switch', (_, db) => {
     db.theme = models.theme.switch(db.theme);
     models.theme.backup(db.theme);
@@ -317,18 +532,43 @@ xf.reg('ui:planned:select', (id, db) => {
 xf.reg('ui:workout:remove', (id, db) => {
     db.workouts = models.workouts.remove(db.workouts, id);
 });
+xf.reg('ui:workout:update', ({id, ...props}, db) => {
+    db.workouts = models.workouts.update(db.workouts, id, props);
+});
+xf.reg('workout:started', (_, db) => {
+    db.workouts = models.workouts.ridden(db.workouts, db.workout.id);
+});
+// single files, folders and .zip archives of workouts
+// a file that can't be read counts as failed and the rest still go in
 xf.reg('ui:workout:upload', async function(files, db) {
+    const items = [];
+    let failed = 0;
+
     for(let file of Object.values(files)) {
-        const { result, name } = await models.workout.readFromFile(file);
-        const workout = models.workout.parse(result, name);
-        models.workouts.add(db.workouts, workout);
-        xf.dispatch('db:workouts', db);
+        try {
+            if(archive.isArchive(file.name)) {
+                items.push(...await archive.read(await fileHandler.readBinaryFile(file)));
+            } else if(archive.isWorkoutFile(file.name)) {
+                items.push(await models.workout.readFromFile(file));
+            } else {
+                fileHandler.unsupportedFormat();
+            }
+        } catch(err) {
+            console.error(`:workouts :upload :fail '${file.name}'`, err);
+            failed += 1;
+        }
     }
 
+    const { workouts, ...result } = models.workouts.import(db.workouts, items, db.ftp);
+    db.workouts = workouts;
+    xf.dispatch('workouts:import', {...result, failed: result.failed + failed});
+});
+xf.reg('ui:workouts:export', (_, db) => {
+    models.workouts.download(db.workouts);
 });
-xf.reg('watch:stopped', (_, db) => {
+xf.reg('watch:stopped', async (_, db) => {
     try {
-        models.activity.createFromCurrent(db);
+        await models.activity.createFromCurrent(db);
         xf.dispatch('activity:save:success');
     } catch (err) {
         console.error(`Error on activity save: `, err);
@@ -336,6 +576,14 @@ xf.reg('watch:stopped', (_, db) => {
     }
 
 });
+xf.reg('activity:add', async (summary, db) => {
+    models.activity.autoUpload(summary.id, db.services);
+    db.powerCurve = await models.powerCurve.restore(db.activity);
+});
+xf.reg('activity:remove', async (id, db) => {
+    db.activity = db.activity.filter((activity) => !equals(activity.id, id));
+    db.powerCurve = await models.powerCurve.restore(db.activity);
+});
 xf.reg('activity:save:success', (e, db) => {
     models.session.reset(db);
 });
@@ -356,6 +604,37 @@ xf.reg('course:position', (position, db) => {
     db.position_long = position.position_long;
 });
 
+// Session Recovery
+function restoreAccumulators(db) {
+    models.kcal.restore(db);
+    models.powerLap.restore(db);
+    models.powerAvg.restore(db);
+    models.cadenceLap.restore(db);
+    models.cadenceAvg.restore(db);
+    models.heartRateLap.restore(db);
+    models.heartRateAvg.restore(db);
+    models.tss.restore(db);
+    models.wPrimeBalance.restore(db);
+    models.powerInZone.restore(db);
+    models.heartRateInZone.restore(db);
+    models.virtualState.restore(db);
+    db.wPrimeBalance = models.wPrimeBalance.state;
+}
+
+xf.reg('ui:session:resume', (_, db) => {
+    if(!models.session.resume(db)) return;
+
+    restoreAccumulators(db);
+    xf.dispatch('workout:restore');
+    xf.dispatch('course:restore', {courseIndex: db.courseIndex, distance: db.distance});
+    xf.dispatch('session:resumed');
+});
+
+xf.reg('ui:session:discard', async (_, db) => {
+    await models.session.discard();
+    xf.dispatch('session:discarded');
+});
+
 // Wake Lock
 xf.reg('lock:beforeunload', (e, db) => {
     // backup session
@@ -396,33 +675,46 @@ xf.reg('services', (x, db) => {
 //
 xf.reg('app:start', async function(_, db) {
 
+    db.powerZones = models.powerZones.set(models.powerZones.restore());
     db.ftp = models.ftp.set(models.ftp.restore());
     db.weight = models.weight.set(models.weight.restore());
+    db.bikeProfile = models.bikeProfile.set(models.bikeProfile.restore());
+    db.gearing = models.gearing.set(models.gearing.restore());
+    db.gear = models.gearing.toNeutral(db.gearing);
+    db.cp = models.cp.set(models.cp.restore());
+    db.wPrime = models.wPrime.set(models.wPrime.restore());
+    db.lthr = models.lthr.set(models.lthr.restore());
+    db.maxHeartRate = models.maxHeartRate.set(models.maxHeartRate.restore());
+    db.restingHeartRate = models.restingHeartRate.set(models.restingHeartRate.restore());
+    db.heartRateZones = models.heartRateZones.set(models.heartRateZones.restore());
+    db.smo2Zones = models.smo2Zones.set(models.smo2Zones.restore());
+    db.powerMatchMaxOffset = models.powerMatchMaxOffset.set(models.powerMatchMaxOffset.restore());
     db.theme = models.theme.set(models.theme.restore());
     db.measurement = models.measurement.set(models.measurement.restore());
     db.volume = models.volume.set(models.volume.restore());
     db.dataTileSwitch = models.dataTileSwitch.set(models.dataTileSwitch.restore()),
+    db.calibrations = models.calibrations.set(models.calibrations.restore());
+    db.raceControllerBindings = models.raceControllerBindings.set(models.raceControllerBindings.restore());
 
     db.sources = models.sources.set(models.sources.restore());
 
     // IndexedDB Schema Version 3
-    await idb.start('store', 3, ['session', 'workouts', 'activity']);
+    await idb.start('store', 7, [
+        'session', 'workouts', 'activity', 'activitySummary', 'powerCurve', 'outbox', 'sessionChunks'
+    ]);
+    models.activity.persist();
     db.workouts = await models.workouts.restore();
     db.activity = await models.activity.restore();
+    db.powerCurve = await models.powerCurve.restore(db.activity);
+    models.outbox.start();
     db.workout = models.workout.restore(db);
     models.planned.restore();
 
+    // an unfinished ride waits for ui:session:resume or ui:session:discard
     await models.session.restore(db);
-    xf.dispatch('workout:restore');
     xf.dispatch('activity:restore');
 
-    models.kcal.restore(db);
-    models.powerLap.restore(db);
-    models.powerAvg.restore(db);
-    models.cadenceLap.restore(db);
-    models.cadenceAvg.restore(db);
-    models.heartRateLap.restore(db);
-    models.heartRateAvg.restore(db);
+    restoreAccumulators(db);
 
     const sound = Sound({volume: db.volume});
     sound.start();
@@ -38,8 +38,8 @@ class FileHandler {
             };
         });
     }
-    unsupporedFormat() {
-        console.warn(`.fit workout files and other binary formats are not yet supported!`);
+    unsupportedFormat() {
+        console.warn(`unsupported file format, use .zwo, .erg, .mrc, .fit, .gpx or .tcx!`);
     }
     read(file) {
         const self = this;
@@ -48,6 +48,9 @@ class FileHandler {
             case 'zwo': return self.readTextFile(file); break;
             case 'erg': return self.readTextFile(file); break;
             case 'mrc': return self.readTextFile(file); break;
+            case 'gpx': return self.readTextFile(file); break;
+            case 'tcx': return self.readTextFile(file); break;
+            case 'json': return self.readTextFile(file); break;
             case 'fit': return self.readBinaryFile(file); break;
             default:           self.unsupportedFormat(); break;
         }
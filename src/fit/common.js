@@ -86,10 +86,18 @@ function FitString() {
 
     // BaseType -> Bool
     function isString(base_type) {
-        return equals(base_type, 7);
-    }
-
-    function encode() {
+        return equals(base_type, 7) || equals(base_type, 'string');
+    }
+
+    // {size: Int}, String, DataView, Int, Bool, -> DataView
+    function encode(field, value = '', dataview, i = 0, architecture) {
+        // leave at least one byte for the null terminator
+        const length = Math.min((value ?? '').length, field.size - 1);
+        for(let f=0; f < field.size; f++) {
+            const code = f < length ? value.charCodeAt(f) : 0;
+            dataview.setUint8(i+f, code, architecture);
+        }
+        return dataview;
     }
 
     // {size: Int}, DataView, Int, Bool, -> String
@@ -1,4 +1,4 @@
-import { equals, } from '../functions.js';
+import { equals, exists, } from '../functions.js';
 
 import {
     HeaderType, RecordType,
@@ -24,6 +24,7 @@ function DataRecord(args = {}) {
     //     length: Int,
     //     data_record_length: Int,
     //     fields: [{number: Int, size: Int, base_type: BaseType}]
+    //     dev_fields?: [{number: Int, size: Int, base_type: BaseType, name: String}]?
     // },
     // {fields: {field_name: Any}} | {field_name: Any},
     // DataView,
@@ -43,7 +44,7 @@ function DataRecord(args = {}) {
 
         view.setUint8(start, header, true);
 
-        return definition.fields.reduce(function(acc, field) {
+        const acc = definition.fields.reduce(function(acc, field) {
             const _field = profiles.numberToField(definition.name, field.number);
             const value  = data.fields[_field.name];
             const size = field.size;
@@ -67,7 +68,25 @@ function DataRecord(args = {}) {
 
             acc.i += field.size;
             return acc;
-        }, {view, i: (start + recordHeaderSize)}).view;
+        }, {view, i: (start + recordHeaderSize)});
+
+        // developer fields come after all the regular fields
+        return (definition.dev_fields ?? []).reduce(function(acc, field) {
+            const _field = profiles.developerFieldNameToField(field.name);
+            const value  = data.fields[field.name];
+            // a missing value is written as invalid, so it's not read as 0
+            const invalid = profiles.BaseTypeDefinitions[_field.base_type]?.invalid_value;
+
+            if(!exists(value) && field.size <= 4) {
+                // as raw bits, the invalid float is a bit pattern not a number
+                setView(`Uint${field.size * 8}`, invalid, view, acc.i, endian, false);
+            } else {
+                type.number.encode(_field, value ?? invalid, view, acc.i, endian);
+            }
+
+            acc.i += field.size;
+            return acc;
+        }, acc).view;
     }
 
     // {
@@ -1,4 +1,4 @@
-import { nth, isArray, } from '../functions.js';
+import { nth, isArray, empty, } from '../functions.js';
 
 import {
     HeaderType, RecordType,
@@ -65,9 +65,11 @@ function DefinitionRecord(args = {}) {
     // }
     // -> DataView
     function encode(definition, view, i = 0) {
+        const hasDevFields = !empty(definition.dev_fields ?? []);
         const header = recordHeader.encode({
-            messageType:      _type,
-            localMessageType: definition.local_number,
+            messageType:         _type,
+            messageTypeSpecific: hasDevFields ? 'developer' : 'reserved',
+            localMessageType:    definition.local_number,
         });
         const numberOfFields = definition.fields.length;
         const globalNumber   = messageNameToNumber(definition.name);
@@ -86,11 +88,10 @@ function DefinitionRecord(args = {}) {
             i += fieldLength;
         });
 
-        // TODO:
         // if developer fields are defined
         // write # developer fields
         // write developer fields definitions
-        if('dev_fields' in definition) {
+        if(hasDevFields) {
 
             const numberOfDeveloperFields = definition.dev_fields.length;
 
@@ -98,7 +99,7 @@ function DefinitionRecord(args = {}) {
             i += 1;
 
             definition.dev_fields.forEach((field) => {
-                fieldDefinition.encode(field, view, i);
+                fieldDefinition.encodeDeveloper(field, view, i);
                 i += fieldLength;
             });
         }
@@ -164,7 +165,8 @@ function DefinitionRecord(args = {}) {
     }
 
     // ['message_name', ['field_name'], Int] |
-    // ['message_name', [['field_name', Int]], Int]
+    // ['message_name', [['field_name', Int]], Int] |
+    // ['message_name', ['field_name'], Int, ['developer_field_name']]
     // ->
     // {
     //     type: RecordType
@@ -174,16 +176,20 @@ function DefinitionRecord(args = {}) {
     //     length: Int,
     //     data_record_length: Int,
     //     fields: [{number: Int, size: Int, base_type: base_type}]
+    //     dev_fields: [{number: Int, size: Int, developer_data_index: Int,
+    //                   base_type: BaseType, name: String}]
     // }
     function toFITjs(productMessageDefinition = ['', []]) {
         const messageName    = nth(0, productMessageDefinition);
         const fields         = nth(1, productMessageDefinition);
         // const fieldNames     = fields;
         const local_number   = nth(2, productMessageDefinition);
+        const devFields      = nth(3, productMessageDefinition) ?? [];
         const numberOfFields = fields.length;
-        const length         = fixedContentLength + (numberOfFields * fieldLength);
+        const length         = fixedContentLength + (numberOfFields * fieldLength) +
+                               (empty(devFields) ? 0 : 1 + (devFields.length * fieldLength));
 
-        return fields.reduce(function(acc, field) {
+        const definition = fields.reduce(function(acc, field) {
             const name      = isArray(field) ? field[0] : field;
             const number    = profiles.fieldNameToNumber(messageName, name);
             const size      = isArray(field) ? field[1] : profiles.fieldNameToSize(name);
@@ -203,6 +209,22 @@ function DefinitionRecord(args = {}) {
             fields: [],
             dev_fields: [],
         });
+
+        return devFields.reduce(function(acc, name) {
+            const field = profiles.developerFieldNameToField(name);
+            const size  = profiles.baseTypeToSize(field.base_type);
+
+            acc.data_record_length += size;
+            acc.dev_fields.push({
+                number:               field.field_definition_number,
+                size,
+                developer_data_index: field.developer_data_index,
+                base_type:            field.base_type,
+                name,
+            });
+
+            return acc;
+        }, definition);
     }
 
     return Object.freeze({
@@ -20,6 +20,17 @@ function FieldDefinition(args = {}) {
         return view;
     }
 
+    // {number: Int, size: Int, developer_data_index: Int}
+    // DataView,
+    // Int,
+    // -> DataView
+    function encodeDeveloper(definition, view, i = 0) {
+        view.setUint8(numberIndex(i),   definition.number,                    architecture);
+        view.setUint8(sizeIndex(i),     definition.size,                      architecture);
+        view.setUint8(baseTypeIndex(i), definition.developer_data_index ?? 0, architecture);
+        return view;
+    }
+
     // String
     // DataView,
     // Int,
@@ -40,6 +51,7 @@ function FieldDefinition(args = {}) {
         sizeIndex,
         baseTypeIndex,
         encode,
+        encodeDeveloper,
         decode,
     });
 }
@@ -13,6 +13,7 @@ import { fitRecord, FITjs } from './fitjs.js';
 
 import { localActivity } from './local-activity.js';
 import { localCourse } from './local-course.js';
+import { localWorkout } from './local-workout.js';
 
 function FIT(args = {}) {
 
@@ -30,6 +31,7 @@ function FIT(args = {}) {
         // remove those from the general library
         localActivity,
         localCourse,
+        localWorkout,
     };
 }
 
@@ -2,7 +2,7 @@
 // Local Activity Encoder
 //
 
-import { first, last, empty, expect, } from '../functions.js';
+import { first, last, exists, empty, expect, toFixed, } from '../functions.js';
 import { profiles } from './profiles/profiles.js';
 import productMessageDefinitions from './profiles/product-message-definitions.js';
 import { CRC } from './crc.js';
@@ -21,6 +21,53 @@ function LocalActivity(args = {}) {
               return acc;
           }, {});
 
+    // the session has the seconds of each power and heart rate zone when
+    // they are given, their count depends on the zone model, so the
+    // definition does too
+    // Int, Int -> FITjs
+    function sessionDefinition(powerZones = 0, heartRateZones = 0) {
+        if(powerZones === 0 && heartRateZones === 0) return definitions.session;
+
+        const [name, fields, local_number] = productMessageDefinitions
+              .find((x) => x[0] === 'session');
+        const size = profiles.fieldNameToSize('time_in_power_zone');
+        const zoneFields = [
+            ['time_in_power_zone', powerZones],
+            ['time_in_hr_zone', heartRateZones],
+        ].filter(([_, count]) => count > 0)
+         .map(([field, count]) => [field, count * size]);
+
+        return definitionRecord.toFITjs([
+            name, [...fields, ...zoneFields], local_number,
+        ]);
+    }
+
+    // the thresholds the zones of the activity came from and the top of
+    // each heart rate zone, the first hr_zone is the resting heart rate
+    // {max: Bpm, threshold: Bpm, resting: Bpm, reference: String, zones: [Bpm]}, Watts
+    // ->
+    // [FITjs]
+    function zones(heartRate, ftp) {
+        if(!exists(heartRate)) return [];
+
+        const bounds = [heartRate.resting, ...(heartRate.zones ?? [])].filter(exists);
+
+        return [
+            definitions.zones_target,
+            dataRecord.toFITjs(
+                definitions.zones_target,
+                ZonesTarget({...heartRate, ftp}),
+            ),
+            ...(empty(bounds) ? [] : [definitions.hr_zone]),
+            ...bounds.map((high_bpm, message_index) =>
+                dataRecord.toFITjs(
+                    definitions.hr_zone,
+                    {message_index, high_bpm},
+                )
+            ),
+        ];
+    }
+
     // [FITjs] -> {fileSize: Int, dataSize: Int}
     function getSize(fitjs) {
         // byteLength of the whole file start to end
@@ -291,6 +338,12 @@ function LocalActivity(args = {}) {
         const laps = args.laps ?? [];
         const events = args.events ?? [];
         const ftp = args.ftp ?? 200;
+        const normalized_power = args.normalizedPower ?? 0;
+        const intensity_factor = args.intensityFactor ?? 0;
+        const training_stress_score = args.trainingStressScore ?? 0;
+        const time_in_power_zone = args.timeInPowerZone ?? [];
+        const time_in_hr_zone = args.timeInHeartRateZone ?? [];
+        const session = sessionDefinition(time_in_power_zone.length, time_in_hr_zone.length);
 
         // printAppData(records, laps, events);
 
@@ -329,6 +382,27 @@ function LocalActivity(args = {}) {
                 })
             ),
 
+            // definition and data zones_target and hr_zone
+            ...zones(args.heartRate, ftp),
+
+            // definition developer_data_id
+            definitions.developer_data_id,
+            // data developer_data_id
+            dataRecord.toFITjs(
+                definitions.developer_data_id,
+                DeveloperDataId(),
+            ),
+
+            // definition field_description
+            definitions.field_description,
+            // data field_description messages
+            ...Object.keys(profiles.developerFields).map((name) =>
+                dataRecord.toFITjs(
+                    definitions.field_description,
+                    FieldDescription(profiles.developerFieldNameToField(name))
+                )
+            ),
+
             // definition record
             definitions.record,
             // definition hrv
@@ -366,21 +440,26 @@ function LocalActivity(args = {}) {
             ),
 
             // definition session
-            definitions.session,
+            session,
             // data session
             dataRecord.toFITjs(
-                definitions.session,
+                session,
                 Session({
                     records,
                     laps,
                     events,
-                    definition: definitions.session,
+                    definition: session,
                     start_time: activity_start_time,
                     timestamp,
                     total_elapsed_time,
                     total_timer_time,
                     stats,
                     threshold_power: ftp,
+                    normalized_power,
+                    intensity_factor,
+                    training_stress_score,
+                    time_in_power_zone,
+                    time_in_hr_zone,
                 })
             ),
 
@@ -433,7 +512,7 @@ function FileId(args = {}) {
         product: args.product ?? 0,
 	      serial_number: args.serial_number ?? 0,
         number: 0,
-        type: 4,
+        type: args.type ?? 4,
     };
 }
 
@@ -443,6 +522,33 @@ function FileCreator(args = {}) {
     };
 }
 
+// identifies the app as the owner of the developer fields in the file
+const applicationId = [
+    0x8c, 0x1f, 0x4a, 0x52, 0x3b, 0x6e, 0x4d, 0x17,
+    0x9a, 0x05, 0xe2, 0x71, 0xc4, 0x38, 0xb0, 0x6d,
+];
+
+function DeveloperDataId(args = {}) {
+    return {
+        application_id: args.application_id ?? applicationId,
+        developer_data_index: args.developer_data_index ?? 0,
+        application_version: args.application_version ?? 1,
+    };
+}
+
+function FieldDescription(args = {}) {
+    return {
+        developer_data_index: args.developer_data_index ?? 0,
+        field_definition_number: expect(
+            args.field_definition_number,
+            'FieldDescription needs field_definition_number.'
+        ),
+        fit_base_type_id: profiles.BaseType[args.base_type],
+        field_name: expect(args.name, 'FieldDescription needs name.'),
+        units: args.units ?? '',
+    };
+}
+
 function Event(args = {}) {
     return {
         timestamp: expect(args.timestamp, 'Event needs timestamp.'),
@@ -461,6 +567,9 @@ function Lap(args = {}) {
         message_index: args.message_index ?? 0,
         event: profiles.types?.event?.values?.lap ?? 9,
         event_type: profiles.types?.event_type?.values?.stop ?? 1,
+        normalized_power: Math.round(args.normalizedPower ?? 0),
+        smo2_desaturation_rate: args.smo2DesaturationRate,
+        smo2_reoxygenation_rate: args.smo2ReoxygenationRate,
     };
 }
 
@@ -476,6 +585,23 @@ function Activity(args = {}) {
     };
 }
 
+// zones relative to the lthr have no calc type of their own, they go
+// as custom with the bounds in the hr_zone messages
+function ZonesTarget(args = {}) {
+    const hrCalcType = {
+        max:     'percent_max_hr',
+        reserve: 'percent_hrr',
+    };
+
+    return {
+        max_heart_rate:             args.max,
+        threshold_heart_rate:       args.threshold,
+        functional_threshold_power: args.ftp,
+        hr_calc_type: profiles.types.hr_zone_calc.values[hrCalcType[args.reference] ?? 'custom'],
+        pwr_calc_type: profiles.types.pwr_zone_calc.values.percent_ftp,
+    };
+}
+
 function Session(args = {}) {
     return {
         timestamp: expect(args.timestamp, 'Session needs timestamp.'),
@@ -495,6 +621,15 @@ function Session(args = {}) {
         first_lap_index:    0,
         num_laps:           args.laps?.length ?? 1,
         threshold_power:    args.threshold_power,
+        normalized_power:   Math.round(args.normalized_power ?? 0),
+        training_stress_score: toFixed(args.training_stress_score ?? 0, 1),
+        intensity_factor:   toFixed(args.intensity_factor ?? 0, 3),
+        ...(empty(args.time_in_power_zone ?? []) ? {} : {
+            time_in_power_zone: args.time_in_power_zone,
+        }),
+        ...(empty(args.time_in_hr_zone ?? []) ? {} : {
+            time_in_hr_zone: args.time_in_hr_zone,
+        }),
     };
 }
 // END Special Data Messages
@@ -504,9 +639,12 @@ const localActivity = LocalActivity();
 export {
     localActivity,
     FileId,
+    DeveloperDataId,
+    FieldDescription,
     Event,
     Lap,
     Session,
     Activity,
+    ZonesTarget,
 };
 
@@ -0,0 +1,364 @@
+//
+// Local Workout Encoder/Decoder
+//
+// FIT workout files (file_id type = workout) with a workout message and
+// workout_step messages, as exported by Garmin Connect and intervals.icu
+//
+
+import { equals, exists, first, empty, toFixed, } from '../functions.js';
+import { profiles } from './profiles/profiles.js';
+import productMessageDefinitions from './profiles/product-message-definitions.js';
+import { CRC } from './crc.js';
+import { fileHeader } from './file-header.js';
+import { definitionRecord } from './definition-record.js';
+import { dataRecord } from './data-record.js';
+import { FITjs } from './fitjs.js';
+import { FileId } from './local-activity.js';
+
+const FileType      = profiles.types.file.values;
+const Sport         = profiles.types.sport.values;
+const Intensity     = profiles.types.intensity.values;
+const DurationType  = profiles.types.wkt_step_duration.values;
+const TargetType    = profiles.types.wkt_step_target.values;
+
+// custom power targets above this are watts + 1000, below are % FTP
+const wattsOffset = profiles.types.workout_power.values.watts_offset;
+// custom heart rate targets above this are bpm + 100, below are % max HR
+const bpmOffset   = profiles.types.workout_hr.values.bpm_offset;
+
+// heart rate targets below this are a fraction of lthr, above are bpm,
+// like LTHR.toAbsolute and the editor read them
+const minAbsValue = 9;
+
+// relative heart rate targets in a workout are a fraction of lthr,
+// the % max HR of FIT goes through these when the rider's are not given
+const defaultHeartRate = {lthr: 160, max: 190};
+
+const invalid = 0xFFFFFFFF;
+
+// steps that end on a lap press, distance, or other non time condition
+// don't map to a fixed duration, so they get a default one
+const openDuration = 300;
+
+// middle of the classic 7 power zones as a fraction of FTP,
+// used when a step targets a zone instead of a custom range
+const powerZones = [0.50, 0.65, 0.83, 0.98, 1.13, 1.35, 1.60];
+
+function isValid(value) {
+    return exists(value) && !equals(value, invalid) && !isNaN(value);
+}
+
+function isData(name) {
+    return (x) => equals(x.type, 'data') && equals(x.name, name);
+}
+
+// [FITjs] -> Bool
+function isWorkout(fitJS) {
+    const fileId = fitJS.find(isData('file_id'));
+    return equals(fileId?.fields?.type, FileType.workout) ||
+           exists(fitJS.find(isData('workout_step')));
+}
+
+// {low: Int, high: Int} -> Number?
+function average(low, high) {
+    const values = [low, high].filter((x) => isValid(x) && x > 0);
+    if(empty(values)) return undefined;
+    return values.reduce((acc, x) => acc + x, 0) / values.length;
+}
+
+// Int, Int -> Number
+function toPower(value, ftp) {
+    if(value > wattsOffset) return toFixed((value - wattsOffset) / ftp, 2);
+    return toFixed(value / 100, 2);
+}
+
+// % max HR -> fraction of lthr, bpm too low to be told from one are left out
+// Int, {lthr: Int, max: Int} -> Number?
+function toHeartRate(value, heartRate = defaultHeartRate) {
+    if(value > bpmOffset) {
+        const bpm = value - bpmOffset;
+        return bpm < minAbsValue ? undefined : bpm;
+    }
+    return toFixed((value / 100) * (heartRate.max / heartRate.lthr), 2);
+}
+
+// Int, {target_value, low, high}, Int, {lthr: Int, max: Int} -> {power?, cadence?, hr?}
+function toTarget(target_type, target, ftp, heartRate) {
+    const value = average(target.low, target.high);
+
+    if([TargetType.power, TargetType.power_3s, TargetType.power_10s,
+        TargetType.power_30s, TargetType.power_lap].includes(target_type)) {
+        if(exists(value)) return {power: toPower(value, ftp)};
+        const zone = powerZones[target.target_value - 1];
+        if(exists(zone)) return {power: zone};
+        return {};
+    }
+    if(equals(target_type, TargetType.cadence)) {
+        if(exists(value)) return {cadence: Math.round(value)};
+        if(isValid(target.target_value) && target.target_value > 0) {
+            return {cadence: target.target_value};
+        }
+        return {};
+    }
+    if([TargetType.heart_rate, TargetType.heart_rate_lap].includes(target_type)) {
+        const hr = exists(value) ? toHeartRate(Math.round(value), heartRate) : undefined;
+        if(exists(hr)) return {hr};
+        return {};
+    }
+    return {};
+}
+
+// {duration_type: Int, duration_value: Int} -> Int
+function toDuration(fields) {
+    if(equals(fields.duration_type, DurationType.time) && isValid(fields.duration_value)) {
+        return Math.round(fields.duration_value / 1000);
+    }
+    return openDuration;
+}
+
+function isRepeat(fields) {
+    return equals(fields.duration_type, DurationType.repeat_until_steps_cmplt);
+}
+
+// {fields: WorkoutStep}, Int, {lthr: Int, max: Int} -> Interval
+function toInterval(fields, ftp, heartRate) {
+    const duration = toDuration(fields);
+    const step = Object.assign(
+        {duration},
+        toTarget(fields.target_type, {
+            target_value: fields.target_value,
+            low: fields.custom_target_value_low,
+            high: fields.custom_target_value_high,
+        }, ftp, heartRate),
+        toTarget(fields.secondary_target_type, {
+            target_value: fields.secondary_target_value,
+            low: fields.secondary_custom_target_value_low,
+            high: fields.secondary_custom_target_value_high,
+        }, ftp, heartRate),
+    );
+
+    return {duration, steps: [step]};
+}
+
+function copyInterval(interval) {
+    return {
+        duration: interval.duration,
+        steps: interval.steps.map((step) => Object.assign({}, step)),
+    };
+}
+
+// [WorkoutStep], Int, {lthr: Int, max: Int} -> [Interval]
+function toIntervals(steps, ftp, heartRate) {
+    // index of the first interval produced by each workout step,
+    // so repeat steps can copy everything from the step they point to
+    const starts = [];
+
+    return steps.reduce(function(acc, fields, i) {
+        starts[i] = acc.length;
+
+        if(isRepeat(fields)) {
+            const from  = starts[fields.duration_value] ?? 0;
+            const block = acc.slice(from);
+            // target_value is the total number of times the block is done
+            for(let j = 1; j < fields.target_value; j++) {
+                acc.push(...block.map(copyInterval));
+            }
+            return acc;
+        }
+
+        acc.push(toInterval(fields, ftp, heartRate));
+        return acc;
+    }, []);
+}
+
+// {lthr: Int?, maxHeartRate: Int?} -> {lthr: Int, max: Int}
+function toHeartRateProfile(args = {}) {
+    return {
+        lthr: args.lthr ?? defaultHeartRate.lthr,
+        max:  args.maxHeartRate ?? defaultHeartRate.max,
+    };
+}
+
+// [FITjs], {name: String, ftp: Int, lthr: Int, maxHeartRate: Int} -> {meta, intervals}
+function toWorkout(fitJS, args = {}) {
+    const ftp      = args.ftp ?? 200;
+    const workout  = fitJS.find(isData('workout'))?.fields ?? {};
+    const steps    = fitJS
+          .filter(isData('workout_step'))
+          .map((x) => x.fields)
+          .sort((a, b) => (a.message_index ?? 0) - (b.message_index ?? 0));
+
+    const intervals = toIntervals(steps, ftp, toHeartRateProfile(args));
+    const duration  = intervals.reduce((acc, i) => acc + i.duration, 0);
+    const name      = workout.wkt_name || (args.name ?? '').replace(/.fit/gi, '') || 'Custom';
+
+    return {
+        meta: {
+            author:      'Unknown',
+            name,
+            category:    'Custom',
+            subcategory: '',
+            sportType:   'bike',
+            description: workout.wkt_description ?? '',
+            duration,
+        },
+        intervals,
+    };
+}
+
+// DataView, String, Int, {lthr: Int, maxHeartRate: Int} -> {meta, intervals}
+function decode(view, name, ftp, args = {}) {
+    return toWorkout(FITjs.decode(view), {...args, name, ftp});
+}
+
+// Step, Int -> {target_type, target_value, low, high}
+function fromPower(step) {
+    return {
+        target_type: TargetType.power,
+        target_value: 0,
+        low: Math.round(step.power * 100),
+        high: Math.round(step.power * 100),
+    };
+}
+
+function fromCadence(step) {
+    return {
+        target_type: TargetType.cadence,
+        target_value: 0,
+        low: step.cadence,
+        high: step.cadence,
+    };
+}
+
+// fraction of lthr -> % max HR
+function fromHeartRate(step, heartRate = defaultHeartRate) {
+    // hr is either bpm or a fraction of lthr
+    // % max HR goes up to bpmOffset, past it the value reads as bpm
+    const value = step.hr < minAbsValue ?
+          Math.min(bpmOffset, Math.round(step.hr * (heartRate.lthr / heartRate.max) * 100)) :
+          step.hr + bpmOffset;
+    return {
+        target_type: TargetType.heart_rate,
+        target_value: 0,
+        low: value,
+        high: value,
+    };
+}
+
+function fromOpen() {
+    return {target_type: TargetType.open, target_value: 0, low: 0, high: 0};
+}
+
+// Step, {lthr: Int, max: Int} -> [Target, Target]
+function fromStep(step, heartRate) {
+    const targets = [];
+    if(exists(step.power)) targets.push(fromPower(step));
+    if(exists(step.hr)) targets.push(fromHeartRate(step, heartRate));
+    if(exists(step.cadence)) targets.push(fromCadence(step));
+    while(targets.length < 2) targets.push(fromOpen());
+    return targets;
+}
+
+// Step, Int, {lthr: Int, max: Int} -> WorkoutStep
+function WorkoutStep(step, message_index, heartRate) {
+    const [primary, secondary] = fromStep(step, heartRate);
+
+    return {
+        message_index,
+        duration_type: DurationType.time,
+        duration_value: Math.round(step.duration * 1000),
+        target_type: primary.target_type,
+        target_value: primary.target_value,
+        custom_target_value_low: primary.low,
+        custom_target_value_high: primary.high,
+        intensity: Intensity.active,
+        secondary_target_type: secondary.target_type,
+        secondary_target_value: secondary.target_value,
+        secondary_custom_target_value_low: secondary.low,
+        secondary_custom_target_value_high: secondary.high,
+    };
+}
+
+function LocalWorkout(args = {}) {
+    const definitions = productMessageDefinitions
+          .reduce(function(acc, x) {
+              const d = definitionRecord.toFITjs(x);
+              acc[d.name] = d;
+              return acc;
+          }, {});
+
+    // {meta, intervals}, {lthr: Int, maxHeartRate: Int} -> [FITjs]
+    function toFITjs(workout, args = {}) {
+        // ramps are a list of short steps, FIT has no ramp step
+        const steps = workout.intervals.flatMap((interval) => interval.steps);
+        const heartRate = toHeartRateProfile(args);
+
+        const structure = [
+            // file header
+            fileHeader.toFITjs(),
+
+            // definition file_id
+            definitions.file_id,
+            // data file_id
+            dataRecord.toFITjs(
+                definitions.file_id,
+                FileId({
+                    time_created: Date.now(),
+                    type: FileType.workout,
+                })
+            ),
+
+            // definition workout
+            definitions.workout,
+            // data workout
+            dataRecord.toFITjs(
+                definitions.workout,
+                {
+                    sport: Sport.cycling,
+                    num_valid_steps: steps.length,
+                    wkt_name: workout.meta?.name ?? 'Custom',
+                }
+            ),
+
+            // definition workout_step
+            definitions.workout_step,
+            // data workout_step messages
+            ...steps.map((step, message_index) =>
+                dataRecord.toFITjs(
+                    definitions.workout_step,
+                    WorkoutStep(step, message_index, heartRate)
+                )
+            ),
+
+            // crc, needs to be computed last evetytime when encoding to binary
+            CRC.toFITjs(),
+        ];
+
+        const header = first(structure);
+        header.dataSize = structure.reduce(
+            (acc, x) => acc += (x?.length ?? 0), 0
+        ) - (header.length + CRC.size);
+
+        return structure;
+    }
+
+    // {meta, intervals}, {lthr: Int, maxHeartRate: Int} -> DataView
+    function encode(workout, args = {}) {
+        return FITjs.encode(toFITjs(workout, args));
+    }
+
+    return Object.freeze({
+        isWorkout,
+        toWorkout,
+        decode,
+        toFITjs,
+        encode,
+    });
+}
+
+const localWorkout = LocalWorkout();
+
+export {
+    localWorkout,
+    WorkoutStep,
+};
@@ -0,0 +1,47 @@
+//
+// Developer Field Definitions
+//
+// fields the product/app adds to messages on top of the global profile,
+// each one is described in the file with a field_description message
+// and referenced by name from the product message definitions
+
+const developerFieldDefinitions = {
+    "w_prime_balance": {
+        "developer_data_index": 0,
+        "field_definition_number": 0,
+        "base_type": "sint32",
+        "units": "J"
+    },
+    "power_secondary": {
+        "developer_data_index": 0,
+        "field_definition_number": 1,
+        "base_type": "uint16",
+        "units": "W"
+    },
+    "dfa_alpha1": {
+        "developer_data_index": 0,
+        "field_definition_number": 2,
+        "base_type": "float32",
+        "units": ""
+    },
+    "rmssd": {
+        "developer_data_index": 0,
+        "field_definition_number": 3,
+        "base_type": "uint16",
+        "units": "ms"
+    },
+    "smo2_desaturation_rate": {
+        "developer_data_index": 0,
+        "field_definition_number": 4,
+        "base_type": "float32",
+        "units": "%/min"
+    },
+    "smo2_reoxygenation_rate": {
+        "developer_data_index": 0,
+        "field_definition_number": 5,
+        "base_type": "float32",
+        "units": "%/min"
+    },
+};
+
+export default developerFieldDefinitions;
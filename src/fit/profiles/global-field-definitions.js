@@ -1852,6 +1852,196 @@ export default {
         "type": "bool",
         "base_type": "bool",
         "units": ""
+    },
+    "developer_data_index": {
+        "type": "uint8",
+        "base_type": "uint8",
+        "units": ""
+    },
+    "field_definition_number": {
+        "type": "uint8",
+        "base_type": "uint8",
+        "units": ""
+    },
+    "fit_base_type_id": {
+        "type": "fit_base_type",
+        "base_type": "uint8",
+        "units": ""
+    },
+    "field_name": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "array": {
+        "type": "uint8",
+        "base_type": "uint8",
+        "units": ""
+    },
+    "components": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "scale": {
+        "type": "uint8",
+        "base_type": "uint8",
+        "units": ""
+    },
+    "offset": {
+        "type": "sint8",
+        "base_type": "sint8",
+        "units": ""
+    },
+    "units": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "bits": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "accumulate": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "fit_base_unit_id": {
+        "type": "fit_base_unit",
+        "base_type": "uint16",
+        "units": ""
+    },
+    "native_mesg_num": {
+        "type": "mesg_num",
+        "base_type": "uint16",
+        "units": ""
+    },
+    "native_field_num": {
+        "type": "uint8",
+        "base_type": "uint8",
+        "units": ""
+    },
+    "developer_id": {
+        "type": "byte",
+        "base_type": "byte",
+        "units": ""
+    },
+    "application_id": {
+        "type": "byte",
+        "base_type": "byte",
+        "units": ""
+    },
+    "manufacturer_id": {
+        "type": "manufacturer",
+        "base_type": "uint16",
+        "units": ""
+    },
+    "application_version": {
+        "type": "uint32",
+        "base_type": "uint32",
+        "units": ""
+    },
+    "num_valid_steps": {
+        "type": "uint16",
+        "base_type": "uint16",
+        "units": ""
+    },
+    "wkt_name": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "wkt_description": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "wkt_step_name": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "duration_type": {
+        "type": "wkt_step_duration",
+        "base_type": "enum",
+        "units": ""
+    },
+    "duration_value": {
+        "type": "uint32",
+        "base_type": "uint32",
+        "units": ""
+    },
+    "target_type": {
+        "type": "wkt_step_target",
+        "base_type": "enum",
+        "units": ""
+    },
+    "target_value": {
+        "type": "uint32",
+        "base_type": "uint32",
+        "units": ""
+    },
+    "custom_target_value_low": {
+        "type": "uint32",
+        "base_type": "uint32",
+        "units": ""
+    },
+    "custom_target_value_high": {
+        "type": "uint32",
+        "base_type": "uint32",
+        "units": ""
+    },
+    "notes": {
+        "type": "string",
+        "base_type": "string",
+        "units": ""
+    },
+    "secondary_target_type": {
+        "type": "wkt_step_target",
+        "base_type": "enum",
+        "units": ""
+    },
+    "secondary_target_value": {
+        "type": "uint32",
+        "base_type": "uint32",
+        "units": ""
+    },
+    "secondary_custom_target_value_low": {
+        "type": "uint32",
+        "base_type": "uint32",
+        "units": ""
+    },
+    "secondary_custom_target_value_high": {
+        "type": "uint32",
+        "base_type": "uint32",
+        "units": ""
+    },
+    "threshold_heart_rate": {
+        "type": "uint8",
+        "base_type": "uint8",
+        "units": "bpm"
+    },
+    "functional_threshold_power": {
+        "type": "uint16",
+        "base_type": "uint16",
+        "units": "watts"
+    },
+    "hr_calc_type": {
+        "type": "hr_zone_calc",
+        "base_type": "enum",
+        "units": ""
+    },
+    "pwr_calc_type": {
+        "type": "pwr_zone_calc",
+        "base_type": "enum",
+        "units": ""
+    },
+    "high_bpm": {
+        "type": "uint8",
+        "base_type": "uint8",
+        "units": "bpm"
     }
 };
 
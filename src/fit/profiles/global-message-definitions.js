@@ -695,6 +695,76 @@ export default {
             "name": 6,
             "favorite": 8
         }
+    },
+    "field_description": {
+        "fields": {
+            "developer_data_index": 0,
+            "field_definition_number": 1,
+            "fit_base_type_id": 2,
+            "field_name": 3,
+            "array": 4,
+            "components": 5,
+            "scale": 6,
+            "offset": 7,
+            "units": 8,
+            "bits": 9,
+            "accumulate": 10,
+            "fit_base_unit_id": 13,
+            "native_mesg_num": 14,
+            "native_field_num": 15
+        }
+    },
+    "developer_data_id": {
+        "fields": {
+            "developer_id": 0,
+            "application_id": 1,
+            "manufacturer_id": 2,
+            "developer_data_index": 3,
+            "application_version": 4
+        }
+    },
+    "zones_target": {
+        "fields": {
+            "max_heart_rate": 1,
+            "threshold_heart_rate": 2,
+            "functional_threshold_power": 3,
+            "hr_calc_type": 5,
+            "pwr_calc_type": 7
+        }
+    },
+    "hr_zone": {
+        "fields": {
+            "message_index": 254,
+            "high_bpm": 1
+        }
+    },
+    "workout": {
+        "fields": {
+            "sport": 4,
+            "capabilities": 5,
+            "num_valid_steps": 6,
+            "wkt_name": 8,
+            "sub_sport": 11,
+            "wkt_description": 17
+        }
+    },
+    "workout_step": {
+        "fields": {
+            "message_index": 254,
+            "wkt_step_name": 0,
+            "duration_type": 1,
+            "duration_value": 2,
+            "target_type": 3,
+            "target_value": 4,
+            "custom_target_value_low": 5,
+            "custom_target_value_high": 6,
+            "intensity": 7,
+            "notes": 8,
+            "secondary_target_type": 19,
+            "secondary_target_value": 20,
+            "secondary_custom_target_value_low": 21,
+            "secondary_custom_target_value_high": 22
+        }
     }
 };
 
@@ -37,7 +37,12 @@ const productMessageDefinitions = [
         'total_hemoglobin_conc',
         'saturated_hemoglobin_percent',
         'core_temperature',
-    ], 3],
+    ], 3, [
+        'w_prime_balance',
+        'power_secondary',
+        'dfa_alpha1',
+        'rmssd',
+    ]],
     ['hrv', [
         ['time', 10],
     ], 4],
@@ -49,7 +54,11 @@ const productMessageDefinitions = [
         'message_index',
         'event',
         'event_type',
-    ], 5],
+        'normalized_power',
+    ], 5, [
+        'smo2_desaturation_rate',
+        'smo2_reoxygenation_rate',
+    ]],
     ['session', [
         'timestamp',
         'start_time',
@@ -71,6 +80,9 @@ const productMessageDefinitions = [
         'first_lap_index',
         'num_laps',
         'threshold_power',
+        'normalized_power',
+        'training_stress_score',
+        'intensity_factor',
     ], 6],
     ['activity', [
         'timestamp',
@@ -84,18 +96,48 @@ const productMessageDefinitions = [
     ['course', [
         'name',
     ], 8],
-    // ['field_description', [
-    //     'developer_data_index',
-    //     'field_definition_number',
-    //     'fit_base_type_id',
-    //     'field_name',
-    //     'scale',
-    //     'offset',
-    //     'units',
-    //     'fit_base_unit_id',
-    //     'native_mesg_num',
-    //     'native_field_num',
-    // ], 1],
+    ['developer_data_id', [
+        ['application_id', 16],
+        'developer_data_index',
+        'application_version',
+    ], 9],
+    ['field_description', [
+        'developer_data_index',
+        'field_definition_number',
+        'fit_base_type_id',
+        ['field_name', 32],
+        ['units', 16],
+    ], 10],
+    ['workout', [
+        'sport',
+        'num_valid_steps',
+        ['wkt_name', 32],
+    ], 11],
+    ['workout_step', [
+        'message_index',
+        'duration_type',
+        'duration_value',
+        'target_type',
+        'target_value',
+        'custom_target_value_low',
+        'custom_target_value_high',
+        'intensity',
+        'secondary_target_type',
+        'secondary_target_value',
+        'secondary_custom_target_value_low',
+        'secondary_custom_target_value_high',
+    ], 12],
+    ['zones_target', [
+        'max_heart_rate',
+        'threshold_heart_rate',
+        'functional_threshold_power',
+        'hr_calc_type',
+        'pwr_calc_type',
+    ], 13],
+    ['hr_zone', [
+        'message_index',
+        'high_bpm',
+    ], 14],
 ];
 
 export default productMessageDefinitions;
@@ -10,6 +10,7 @@ import { BaseType, BaseTypeDefinitions, } from './base-types.js';
 import global_message_definitions from './global-message-definitions.js';
 import global_type_definitions from './global-type-definitions.js';
 import global_field_definitions from './global-field-definitions.js';
+import developer_field_definitions from './developer-field-definitions.js';
 
 function Profiles(args = {}) {
 
@@ -17,6 +18,7 @@ function Profiles(args = {}) {
     const types = global_type_definitions;
     const messages = global_message_definitions;
     const fields = global_field_definitions;
+    const developerFields = developer_field_definitions;
 
     // methods
     function numberToMessageName(number) {
@@ -75,12 +77,24 @@ function Profiles(args = {}) {
         return BaseTypeDefinitions[base_type].size;
     }
 
+    // String -> DeveloperField{
+    //     name: String,
+    //     developer_data_index: Int,
+    //     field_definition_number: Int,
+    //     base_type: BaseType,
+    //     units: String,
+    // }
+    function developerFieldNameToField(name) {
+        return {name, ...(developerFields[name] ?? {})};
+    }
+
     return Object.freeze({
         BaseType,
         BaseTypeDefinitions,
         types,
         messages,
         fields,
+        developerFields,
 
         numberToMessageName,
         messageNameToNumber,
@@ -91,6 +105,7 @@ function Profiles(args = {}) {
         fieldNameToSize,
         fieldNameToBaseType,
         baseTypeToSize,
+        developerFieldNameToField,
     });
 }
 
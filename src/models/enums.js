@@ -4,6 +4,21 @@ const DialogMsg = {
     noAuth: ':no-auth',
 };
 
+// results of an upload to a service
+const UploadResult = {
+    success: ':success',
+    // the service didn't get it, try again later
+    retry:   ':retry',
+    // the service refused it
+    fail:    ':fail',
+};
+
+// server errors and rate limits go away on their own
+// Int -> Bool
+function isRetryStatus(status) {
+    return status === 429 || status >= 500;
+}
+
 const OAuthService = {
     strava: 'strava',
     intervals: 'intervals',
@@ -41,6 +56,8 @@ function StateParam() {
 const stateParam = StateParam();
 
 export {
+    UploadResult,
+    isRetryStatus,
     OAuthService,
     DialogMsg,
     StateParam,
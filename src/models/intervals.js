@@ -1,6 +1,6 @@
 import { xf, once, print, exists, } from '../functions.js';
 import { isoDate, } from '../utils.js';
-import { OAuthService, DialogMsg, stateParam, } from './enums.js';
+import { OAuthService, DialogMsg, UploadResult, isRetryStatus, stateParam, } from './enums.js';
 import config from './config.js';
 
 function Intervals(args = {}) {
@@ -110,7 +110,10 @@ function Intervals(args = {}) {
             });
 
             if(response.ok) {
-                return ':success';
+                return UploadResult.success;
+            } else if(isRetryStatus(response.status)) {
+                console.log(`:api :upload :retry :status ${response.status}`);
+                return UploadResult.retry;
             } else {
                 if(response.status === 403) {
                     console.log(`:api :no-auth`);
@@ -118,11 +121,12 @@ function Intervals(args = {}) {
 
                     xf.dispatch('ui:modal:error:open', DialogMsg.noAuth);
                 }
-                return ':fail';
+                return UploadResult.fail;
             }
         } catch(error) {
             console.log(error);
-            return ':fail';
+            // offline or the request didn't make it
+            return UploadResult.retry;
         }
     }
 
@@ -9,11 +9,23 @@ import { idb } from '../storage/idb.js';
 import { uuid } from '../storage/uuid.js';
 
 import API from './api.js';
+import { Outbox } from './outbox.js';
+import { UploadResult } from './enums.js';
 import { workouts as workoutsFile }  from '../workouts/workouts.js';
 import { zwo } from '../workouts/zwo.js';
+import { erg } from '../workouts/erg.js';
+import { gpx } from '../workouts/gpx.js';
+import { tcx } from '../workouts/tcx.js';
+import { library } from '../workouts/library.js';
+import { archive } from '../workouts/archive.js';
 import { fileHandler } from '../file.js';
 import { Model as Cycling } from '../physics.js';
 import { fit } from '../fit/fit.js';
+import { analysis } from '../activity/analysis.js';
+import { zones } from '../activity/zones.js';
+import { hrv as hrvAnalysis } from '../activity/hrv.js';
+import { smo2 as smo2Analysis } from '../activity/smo2.js';
+import { gearing as gearingAnalysis } from '../activity/gearing.js';
 
 import { Device, Status, ControlMode, } from '../ble/enums.js';
 import { TimerStatus, EventType, } from '../activity/enums.js';
@@ -130,11 +142,6 @@ class SmO2 extends Model {
     postInit(args = {}) {
         this.min = existance(args.min, 0);
         this.max = existance(args.max, 100);
-        this.zones = {
-            one: 30,
-            two: 70,
-            three: 100,
-        };
     }
     defaultValue() { return 0; }
     defaultIsValid(value) {
@@ -142,6 +149,31 @@ class SmO2 extends Model {
     }
 }
 
+// the SmO2 zone bounds of the athlete, set by hand or from a 5-1-5 test
+class SmO2Zones extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: JSON.parse,
+            encode: JSON.stringify,
+        };
+        self.state   = self.default;
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() {
+        return {...smo2Analysis.defaultZones};
+    }
+    defaultIsValid(value) {
+        return smo2Analysis.isValid(value);
+    }
+    // %, SmO2Zones -> String
+    toZone(value, state = this.state) {
+        return smo2Analysis.toZone(value, state);
+    }
+}
+
 class THb extends Model {
     postInit(args = {}) {
         this.min = existance(args.min, 0);
@@ -169,7 +201,25 @@ class Sources extends Model {
         self.storage = new args.storage(storageModel);
     }
     defaultSet(target, source) {
-        return Object.assign(target, source);
+        const update = {...source};
+
+        // a device is not compared with itself
+        if(exists(update.powerSecondary) &&
+           equals(update.powerSecondary, update.power ?? target.power)) {
+            delete update.powerSecondary;
+        }
+
+        const sources = Object.assign(target, update);
+        sources.powerSecondary = this.toPowerSecondary(sources);
+        return sources;
+    }
+    // the secondary power source moves off the primary one, to the trainer
+    // when a power meter becomes the primary
+    // Sources -> String
+    toPowerSecondary(sources) {
+        if(!equals(sources.powerSecondary, sources.power)) return sources.powerSecondary;
+        if(equals(sources.power, 'ble:controllable')) return 'ble:powerMeter';
+        return 'ble:controllable';
     }
     isSource(path, value) {
         const self = this;
@@ -182,6 +232,8 @@ class Sources extends Model {
         const sources = {
             // device data source map
             power:        'ble:controllable',
+            // recorded next to power to compare the two devices
+            powerSecondary: 'ble:powerMeter',
             cadence:      'ble:controllable',
             speed:        'ble:controllable',
             control:      'ble:controllable',
@@ -193,18 +245,26 @@ class Sources extends Model {
 
             // settings
             virtualState: 'power',
+            wPrimeBalanceModel: 'differential',
             autoPause:    true,
             autoStart:    true,
+            powerMatch:   false,
+            // DFA alpha 1 layer on the graph
+            dfaAlpha1Graph: false,
+            autoUploadStrava:        false,
+            autoUploadIntervals:     false,
+            autoUploadTrainingPeaks: false,
             theme:        'DARK',
 
             // data tile settings
-            // ['power1s', 'power3s']
+            // ['power1s', 'power3s', 'wPrimeBalance', 'powerDelta']
             powerZStack: 0,
-            // ['heartRate', 'heartRateLap', 'heartRateAvg']
+            // ['heartRate', 'heartRateLap', 'heartRateAvg', 'heartRateMax',
+            //  'heartRateTarget', 'dfaAlpha1', 'rmssd']
             heartRateZStack: 0,
             // ['cadence', 'cadenceLap', 'cadenceAvg', 'cadenceTarget']
             cadenceZStack: 0,
-            // ['powerAvg', 'powerLap', 'kcal']
+            // ['powerAvg', 'powerLap', 'kcal', 'normalizedPower', 'intensityFactor', 'trainingStressScore']
             kcalZStack: 0,
             // ['graph', 'power']
             graphZStack: 0,
@@ -243,6 +303,21 @@ class Target extends Model {
         const x = value - self.step;
         return self.set(x);
     }
+    // narrows min and max to the range a trainer supports, never past the
+    // defaults of the target, without a range the defaults come back
+    // {min: Number, max: Number}? -> Void
+    setRange(range) {
+        const self = this;
+        self.limits = existance(self.limits, {min: self.min, max: self.max});
+
+        self.min = exists(range?.min) ? Math.max(self.limits.min, range.min) : self.limits.min;
+        self.max = exists(range?.max) ? Math.min(self.limits.max, range.max) : self.limits.max;
+
+        if(self.min > self.max) {
+            self.min = self.limits.min;
+            self.max = self.limits.max;
+        }
+    }
 }
 
 class Volume extends Target {
@@ -304,6 +379,15 @@ class CadenceTarget extends Target {
     parse(value) { return parseInt(value); }
 }
 
+class HeartRateTarget extends Target {
+    postInit(args = {}) {
+        this.min = existance(args.min, 0);
+        this.max = existance(args.max, 240);
+        this.step = existance(args.step, 1);
+    }
+    parse(value) { return parseInt(value); }
+}
+
 class Mode extends Model {
     postInit(args) {
         this.state = this.defaultValue();
@@ -321,6 +405,48 @@ class Page extends Model {
     defaultIsValid(value) { return this.values.includes(value); }
 }
 
+// the selected zone model and the user's own one, the FTP model
+// places power in the zones of the selected one
+class PowerZones extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: JSON.parse,
+            encode: JSON.stringify,
+        };
+        self.state   = self.default;
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() {
+        return {
+            selected: zones.defaultId,
+            custom: {...zones.presets[zones.defaultId], id: zones.customId, name: 'Custom'},
+        };
+    }
+    defaultIsValid(value) {
+        if(!exists(value) || !zones.isValid(value.custom)) return false;
+        return exists(zones.presets[value.selected]) || equals(value.selected, zones.customId);
+    }
+    // {selected: String, custom: ZoneModel} -> ZoneModel
+    active(state = this.state) {
+        return zones.presets[state.selected] ?? state.custom;
+    }
+    // the presets and then the custom one
+    // {selected: String, custom: ZoneModel} -> [ZoneModel]
+    list(state = this.state) {
+        return [...Object.values(zones.presets), state.custom];
+    }
+    select(state, id) {
+        return {...state, selected: id};
+    }
+    // [{label: String, upper: Number, color: String}] -> {selected, custom}
+    setCustom(state, customZones) {
+        return {...state, selected: zones.customId, custom: zones.toCustom(customZones)};
+    }
+}
+
 class FTP extends Model {
     postInit(args = {}) {
         const self = this;
@@ -333,8 +459,7 @@ class FTP extends Model {
         self.min         = existance(args.min, 0);
         self.max         = existance(args.max, 500);
         self.storage     = args.storage(storageModel);
-        self.zones       = existance(args.zones, self.defaultZones());
-        self.percentages = existance(args.percentages, self.defaultPercentages());
+        self.powerZones  = args.powerZones;
         self.minAbsValue = 9;
     }
     defaultValue() { return 200; }
@@ -342,11 +467,13 @@ class FTP extends Model {
         const self = this;
         return Number.isInteger(value) && inRange(self.min, self.max, value);
     }
-    defaultZones() {
-        return ['one', 'two', 'three', 'four', 'five', 'six', 'seven'];
+    // ZoneModel
+    get zoneModel() {
+        return this.powerZones?.active() ?? zones.presets[zones.defaultId];
     }
-    defaultPercentages() {
-        return {'one': 0.54, 'two': 0.75, 'three': 0.87, 'four': 0.94, 'five': 1.05, 'six': 1.20};
+    // the names of the zones of the selected model, ['one', 'two', ...]
+    get zones() {
+        return zones.toNames(this.zoneModel);
     }
     toRelative(value, ftp) {
         const self = this;
@@ -362,66 +489,19 @@ class FTP extends Model {
         }
         return value;
     }
-    powerToZone(value, ftp, zones) {
+    // Watts, Watts?, ZoneModel? -> {name: String, index: Int, label: String, color: String}
+    powerToZone(value, ftp, model) {
         const self = this;
         if(!exists(ftp)) ftp = self.state;
-        if(!exists(zones)) zones = self.zones;
-
-        let index = 0;
-        let name = zones[index];
-        if(value < (ftp * self.percentages.one)) {
-            index = 0;
-            name = zones[index];
-        } else if(value < (ftp * self.percentages.two)) {
-            index = 1;
-            name = zones[index];
-        } else if(value < (ftp * self.percentages.three)) {
-            index = 2;
-            name = zones[index];
-        } else if(value < (ftp * self.percentages.four)) {
-            index = 3;
-            name = zones[index];
-        } else if(value < (ftp * self.percentages.five)) {
-            index = 4;
-            name = zones[index];
-        } else if (value < (ftp * self.percentages.six)) {
-            index = 5;
-            name = zones[index];
-        } else {
-            index = 6;
-            name = zones[index];
-        }
-        return {name, index};
+        if(!exists(model)) model = self.zoneModel;
+
+        return zones.toZone(value, ftp, model);
     }
     zoneToColor(zone) {
-        if(equals(zone, 'one'))   return '#636468';
-        if(equals(zone, 'two'))   return '#328AFF';
-        if(equals(zone, 'thee'))  return '#44A5AB';
-        if(equals(zone, 'four'))  return '#57C057';
-        if(equals(zone, 'five'))  return '#F8C73A';
-        if(equals(zone, 'six'))   return '#FF663A';
-        if(equals(zone, 'seven')) return '#FE340B';
-        return '#636468';
+        return zones.toColor(zone, this.zoneModel);
     }
     percentageToZone(value) {
-        const self = this;
-        const zones = self.zones;
-        if(value < (self.percentages.one)) {
-            return zones[0];
-        } else if(value < (self.percentages.two)) {
-            return zones[1];
-        } else if(value < (self.percentages.three)) {
-            return zones[2];
-        } else if(value < (self.percentages.four)) {
-            return zones[3];
-        } else if(value < (self.percentages.five)) {
-            return zones[4];
-        } else if (value < (self.percentages.six)) {
-            return zones[5];
-        } else {
-            return zones[6];
-        }
-        return zones[0];
+        return zones.toZone(value, 1, this.zoneModel).name;
     }
 }
 
@@ -444,6 +524,302 @@ class Weight extends Model {
     }
 }
 
+class BikeProfile extends Model {
+    // the bike as the trainers and the virtual speed see it,
+    // {bikeWeight: kg, wheelCircumference: mm, crr: Float, CdA: m^2}
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: JSON.parse,
+            encode: JSON.stringify,
+        };
+        self.rho = existance(args.rho, 1.275); // kg/m^3
+        self.limits = {
+            bikeWeight:         [1, 50],
+            wheelCircumference: [1000, 3000],
+            crr:                [0.001, 0.025],
+            CdA:                [0.1, 1],
+        };
+        self.state   = self.default;
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() {
+        return {
+            bikeWeight:         10,
+            wheelCircumference: 2105,
+            crr:                0.004,
+            CdA:                0.3168,
+        };
+    }
+    defaultIsValid(value) {
+        const self = this;
+        if(!exists(value)) return false;
+
+        return Object.entries(self.limits).every(([prop, [min, max]]) => {
+            return typeof value[prop] === 'number' && inRange(min, max, value[prop]);
+        });
+    }
+    // the wind resistance coefficient the trainers take, 0.5 * rho * CdA
+    // BikeProfile -> kg/m
+    windResistance(state = this.state) {
+        return 0.5 * this.rho * state.CdA;
+    }
+    // kg, BikeProfile -> UserData
+    toUserData(weight, state = this.state) {
+        return {
+            userWeight:         weight,
+            bikeWeight:         state.bikeWeight,
+            wheelCircumference: state.wheelCircumference,
+            crr:                state.crr,
+            windResistance:     this.windResistance(state),
+        };
+    }
+}
+
+class Gearing extends Model {
+    // the chainrings and cassette of the virtual gears of SIM mode, the
+    // current gear is an index in the list of gears they make
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: JSON.parse,
+            encode: JSON.stringify,
+        };
+        self.slopeTarget = args.slopeTarget;
+        self.state   = self.default;
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() {
+        return {
+            ...gearingAnalysis.defaultGearing,
+            chainrings: [...gearingAnalysis.defaultGearing.chainrings],
+            cassette: [...gearingAnalysis.defaultGearing.cassette],
+        };
+    }
+    defaultIsValid(value) {
+        return gearingAnalysis.isValid(value);
+    }
+    // Gearing -> [Gear]
+    toGears(state = this.state) {
+        return gearingAnalysis.toGears(state);
+    }
+    // Gearing -> Int
+    toNeutral(state = this.state) {
+        return gearingAnalysis.toNeutral(this.toGears(state));
+    }
+    // Int, Gearing -> Int
+    clampGear(gear, state = this.state) {
+        return gearingAnalysis.clampGear(gear, this.toGears(state));
+    }
+    // Int, Gearing -> Gear
+    toGear(gear, state = this.state) {
+        const gears = this.toGears(state);
+        return gears[gearingAnalysis.clampGear(gear, gears)];
+    }
+    // the grade the trainer gets in the gear, in the range of the slope target
+    // {grade: %, gear: Int, mass: kg, crr: Float, windResistance: kg/m, speed: m/s}, Gearing -> %
+    toGrade(args = {}, state = this.state) {
+        const self = this;
+        const gears = self.toGears(state);
+        const grade = gearingAnalysis.toGrade({
+            ...args,
+            ratio: gears[gearingAnalysis.clampGear(args.gear, gears)].ratio,
+            reference: gears[gearingAnalysis.toNeutral(gears)].ratio,
+        });
+
+        if(!exists(self.slopeTarget)) return grade;
+        return Math.min(Math.max(grade, self.slopeTarget.min), self.slopeTarget.max);
+    }
+}
+
+class CriticalPower extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: parseInt,
+        };
+        self.min = existance(args.min, 0);
+        self.max = existance(args.max, 600);
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() { return 200; }
+    defaultIsValid(value) {
+        const self = this;
+        return Number.isInteger(value) && inRange(self.min, self.max, value);
+    }
+}
+
+class WPrime extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: parseInt,
+        };
+        self.min = existance(args.min, 1000);
+        self.max = existance(args.max, 100000);
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() { return 20000; }
+    defaultIsValid(value) {
+        const self = this;
+        return Number.isInteger(value) && inRange(self.min, self.max, value);
+    }
+}
+
+class LTHR extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: parseInt,
+        };
+        self.min = existance(args.min, 60);
+        self.max = existance(args.max, 230);
+        self.storage = new args.storage(storageModel);
+        self.minAbsValue = 9;
+    }
+    defaultValue() { return 160; }
+    defaultIsValid(value) {
+        const self = this;
+        return Number.isInteger(value) && inRange(self.min, self.max, value);
+    }
+    // heart rate targets are either relative to lthr like 0.85, or bpm
+    toAbsolute(value, lthr) {
+        const self = this;
+        if(value < self.minAbsValue) {
+            return Math.round(value * (lthr ?? self.state));
+        }
+        return Math.round(value);
+    }
+}
+
+class MaxHeartRate extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: parseInt,
+        };
+        self.min = existance(args.min, 100);
+        self.max = existance(args.max, 240);
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() { return 190; }
+    defaultIsValid(value) {
+        const self = this;
+        return Number.isInteger(value) && inRange(self.min, self.max, value);
+    }
+}
+
+class RestingHeartRate extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: parseInt,
+        };
+        self.min = existance(args.min, 30);
+        self.max = existance(args.max, 120);
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() { return 60; }
+    defaultIsValid(value) {
+        const self = this;
+        return Number.isInteger(value) && inRange(self.min, self.max, value);
+    }
+}
+
+// the selected heart rate zone model, the zones come from the LTHR,
+// max and resting heart rate of the profile
+class HeartRateZones extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+        };
+        self.state   = self.default;
+        self.storage = new args.storage(storageModel);
+        self.lthr             = args.lthr;
+        self.maxHeartRate     = args.maxHeartRate;
+        self.restingHeartRate = args.restingHeartRate;
+    }
+    defaultValue() { return zones.heartRateDefaultId; }
+    defaultIsValid(value) { return exists(zones.heartRatePresets[value]); }
+    // String -> ZoneModel
+    active(id = this.state) {
+        return zones.heartRatePresets[id] ?? zones.heartRatePresets[zones.heartRateDefaultId];
+    }
+    list() {
+        return Object.values(zones.heartRatePresets);
+    }
+    // the names of the zones of the selected model, ['one', 'two', ...]
+    get zones() {
+        return zones.toNames(this.active());
+    }
+    // -> HeartRateProfile
+    profile() {
+        return {
+            lthr:    this.lthr.state ?? this.lthr.default,
+            max:     this.maxHeartRate.state ?? this.maxHeartRate.default,
+            resting: this.restingHeartRate.state ?? this.restingHeartRate.default,
+        };
+    }
+    // Bpm, HeartRateProfile?, ZoneModel? -> {name: String, index: Int, label: String, color: String}
+    heartRateToZone(value, profile = this.profile(), model = this.active()) {
+        return zones.toHeartRateZone(value, profile, model);
+    }
+    // HeartRateProfile?, ZoneModel? -> [Bpm]
+    bounds(profile = this.profile(), model = this.active()) {
+        return zones.toHeartRateBounds(model, profile);
+    }
+    // the thresholds and zones for the zones_target and hr_zone messages
+    // of the activity file
+    // DB -> {max: Bpm, threshold: Bpm, resting: Bpm, reference: String, zones: [Bpm]}
+    toFIT(db) {
+        const profile = {lthr: db.lthr, max: db.maxHeartRate, resting: db.restingHeartRate};
+        const model   = this.active(db.heartRateZones);
+
+        return {
+            max:       profile.max,
+            threshold: profile.lthr,
+            resting:   profile.resting,
+            reference: model.reference,
+            zones:     this.bounds(profile, model),
+        };
+    }
+}
+
+class PowerMatchMaxOffset extends Model {
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: parseInt,
+        };
+        self.min = existance(args.min, 0);
+        self.max = existance(args.max, 200);
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() { return 50; }
+    defaultIsValid(value) {
+        const self = this;
+        return Number.isInteger(value) && inRange(self.min, self.max, value);
+    }
+}
+
 class Theme extends Model {
     postInit(args = {}) {
         const self = this;
@@ -502,30 +878,149 @@ class DataTileSwitch extends Model {
     }
 }
 
+class Calibrations extends Model {
+    // the results of the spin downs and zero offsets by device id, latest first
+    //
+    // {<device-id>: [{timestamp: Int, type: String, status: String, ...}]}
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: JSON.parse,
+            encode: JSON.stringify,
+        };
+        self.max     = existance(args.max, 20);
+        self.state   = self.default;
+        self.storage = new args.storage(storageModel);
+        // what is kept of a calibration message in the history
+        self.fields  = [
+            'type', 'status', 'deviceName', 'offset', 'spinDownTime', 'temperature',
+            'targetSpeedLow', 'targetSpeedHigh', 'incorrectCalibrationPosition',
+        ];
+    }
+    defaultValue() { return {}; }
+    defaultIsValid(value) { return exists(value) && isObject(value); }
+    // the calibration has a result and can go in the history
+    // Calibration -> Bool
+    isDone(calibration) {
+        return ['success', 'error'].includes(calibration?.status);
+    }
+    // Calibration, State -> State
+    add(calibration, state = this.state) {
+        const self = this;
+        if(!self.isDone(calibration) || !exists(calibration.deviceId)) return state;
 
-class Activity extends Model {
-    // var activity = {
-    //         id: UUID,
-    //         blob: Blob,
-    //         summary: {
-    //             timestamp: Int,
-    //             duration: Int,
-    //             name: String,
-    //             status: {
-    //                 strava: String,
+        const result = self.fields.reduce((acc, field) => {
+            if(exists(calibration[field])) acc[field] = calibration[field];
+            return acc;
+        }, {timestamp: calibration.timestamp ?? Date.now()});
+
+        const history = [result, ...self.history(calibration.deviceId, state)];
+
+        return {...state, [calibration.deviceId]: history.slice(0, self.max)};
+    }
+    // String, State -> [{timestamp: Int, type: String, status: String, ...}]
+    history(deviceId, state = this.state) {
+        return state[deviceId] ?? [];
+    }
+}
+
+class RaceControllerBindings extends Model {
+    // the action each button of a Zwift Click or Play does
+    //
+    // {<button>: <action>}
+    postInit(args = {}) {
+        const self = this;
+        const storageModel = {
+            key: self.prop,
+            fallback: self.defaultValue(),
+            parse: JSON.parse,
+            encode: JSON.stringify,
+        };
+        self.actions = [
+            'none', 'gearUp', 'gearDown', 'targetInc', 'targetDec',
+            'lap', 'pauseResume', 'modeSwitch',
+        ];
+        self.state   = self.default;
+        self.storage = new args.storage(storageModel);
+    }
+    defaultValue() {
+        return {
+            // Click
+            plus:       'gearUp',
+            minus:      'gearDown',
+            // Play right
+            y:          'targetInc',
+            b:          'targetDec',
+            a:          'lap',
+            z:          'pauseResume',
+            rightShift: 'gearUp',
+            rightOn:    'none',
+            // Play left
+            up:         'targetInc',
+            down:       'targetDec',
+            right:      'lap',
+            left:       'modeSwitch',
+            leftShift:  'gearDown',
+            leftOn:     'none',
+        };
+    }
+    defaultIsValid(value) {
+        const self = this;
+        if(!exists(value) || !isObject(value)) return false;
+
+        return Object.entries(value).every(([button, action]) => {
+            return button in self.default && self.actions.includes(action);
+        });
+    }
+    // the stored bindings over the defaults, so new buttons get theirs
+    restore() {
+        const self = this;
+        return {...self.default, ...self.parser(self.storage.restore())};
+    }
+    // String, State -> String
+    toAction(button, state = this.state) {
+        return state[button] ?? 'none';
+    }
+}
+
+class Activity extends Model {
+    // var activity = {
+    //         id: UUID,
+    //         blob: Blob,
+    //         summary: {
+    //             timestamp: Int,
+    //             duration: Int,
+    //             name: String,
+    //             status: {
+    //                 strava: String,
     //                 intervals: String,
     //                 trainingPeaks: String,
     //             }
     //         },
     // };
 
+    // the blobs live in the 'activity' store, the summaries also in
+    // 'activitySummary' so the list can load without reading every blob
+    //
+    // there is no cap on the number of activities, the oldest are removed
+    // only when the browser storage quota has no room for a new one
+
     name = 'activity';
     postInit(args) {
         this.api = args.api;
-        this.capacity = 7;
+        // part of the quota to keep the activities under
+        this.quotaLimit = 0.9;
+        // sources keys of the auto upload options
+        this.autoUploadKeys = {
+            strava:        'autoUploadStrava',
+            intervals:     'autoUploadIntervals',
+            trainingPeaks: 'autoUploadTrainingPeaks',
+        };
     }
     defaultValue() { return []; }
-    createFromCurrent(db) {
+    async createFromCurrent(db) {
         const id = uuid();
         const blob = fileHandler.toBlob(this.encode(db));
         const name = db.workout?.meta?.name ?? 'Powered by Auuki workout';
@@ -536,6 +1031,7 @@ class Activity extends Model {
             name,
             duration: db.elapsed ?? 0,
             status: {strava: 'none', intervals: 'none', trainingPeaks: 'none'},
+            powerComparison: powerComparison.fromRecords(db.records),
         };
         const record = {
             id,
@@ -543,36 +1039,99 @@ class Activity extends Model {
             summary,
         };
 
+        await this.makeRoom(blob.size, db);
         this.add(summary, db.activity);
-        idb.put('activity', record);
+        await idb.put('activity', record);
+        await idb.put('activitySummary', summary);
+        await powerCurve.add(summary, db.records);
         xf.dispatch('activity:add', summary);
     }
     add(activity, activityList) {
         activityList.unshift(activity);
-        if(activityList.length > this.capacity) {
-            const summary = activityList.pop();
-            idb.remove('activity', summary.id);
-        }
         return activityList;
     }
-    remove(id) {
-        idb.remove('activity', id);
+    async remove(id) {
+        await idb.remove('activity', id);
+        await idb.remove('activitySummary', id);
+        await powerCurve.remove(id);
+        await outbox.remove(id);
+        xf.dispatch('activity:remove', id);
+    }
+    // asks the browser not to clear our storage when it runs low on space
+    async persist() {
+        const persisted = await globalThis.navigator?.storage?.persist?.();
+        console.log(`:activity :storage :persisted ${persisted}`);
+        return persisted;
+    }
+    // Bytes -> Bool
+    async hasRoom(size) {
+        const estimate = await globalThis.navigator?.storage?.estimate?.();
+        if(!exists(estimate?.quota)) return true;
+        return (estimate.usage + size) < (estimate.quota * this.quotaLimit);
+    }
+    // removes the oldest activities, 'activity:remove' takes each one out
+    // of db.activity, so the list is read again every time
+    // Bytes, DB -> [Summary]
+    async makeRoom(size, db) {
+        while(db.activity.length > 0 && !(await this.hasRoom(size))) {
+            const summary = last(db.activity);
+            console.warn(`:activity :quota :removing ${summary.id}`);
+            await this.remove(summary.id);
+        }
+        return db.activity;
     }
-    async upload(service, id) {
-        let record = await idb.get('activity', id);
+    // decodes the stored .fit file and computes the post-ride analysis
+    // UUID -> Analysis?
+    async analyze(id) {
+        const record = await idb.get('activity', id);
+        if(!exists(record?.blob)) return undefined;
+
+        const buffer = await record.blob.arrayBuffer();
+        const fitjs = fit.FITjs.decode(new DataView(buffer));
 
+        return analysis.analyze(fitjs, {
+            ftp: ftp.state,
+            zones: ftp.zones.length,
+            powerToZone: (power, threshold) => ftp.powerToZone(power, threshold),
+        });
+    }
+    // uploads go through the outbox, which keeps them until they make it
+    async upload(service, id) {
         if(service === 'strava' ||
            service === 'intervals' ||
            service === 'trainingPeaks') {
+            await outbox.enqueue(service, id);
+        }
+        return;
+    }
+    // queues the uploads turned on in the options for a new activity,
+    // for the services that are connected
+    async autoUpload(id, services = {}) {
+        const self = this;
 
-            const res = await this.api[service].uploadWorkout(record);
-            record = await idb.get('activity', id);
-            record.summary.status[service] = res.substring(1);
-            await idb.put('activity', record);
+        for(const [service, key] of Object.entries(self.autoUploadKeys)) {
+            if(services[service] && sources.state[key]) {
+                await self.upload(service, id);
+            }
+        }
+    }
+    // Service, UUID -> UploadResult
+    async send(service, id) {
+        const record = await idb.get('activity', id);
+        if(!exists(record)) return UploadResult.fail;
+        return await this.api[service].uploadWorkout(record);
+    }
+    // UUID, Service, String -> Void
+    async setStatus(id, service, status) {
+        const record = await idb.get('activity', id);
 
-            xf.dispatch(`action:activity:${id}`, `:${service}:upload${res}`);
+        if(exists(record)) {
+            record.summary.status[service] = status;
+            await idb.put('activity', record);
+            await idb.put('activitySummary', record.summary);
         }
-        return;
+
+        xf.dispatch(`action:activity:${id}`, `:${service}:upload:${status}`);
     }
     async download(id) {
         const self = this;
@@ -597,9 +1156,25 @@ class Activity extends Model {
             laps,
             events,
             ftp,
+            normalizedPower: db.normalizedPower,
+            intensityFactor: db.intensityFactor,
+            trainingStressScore: db.trainingStressScore,
+            timeInPowerZone: (db.powerInZone ?? []).map((zone) => zone[1]),
+            timeInHeartRateZone: (db.heartRateInZone ?? []).map((zone) => zone[1]),
+            heartRate: heartRateZones.toFIT(db),
         });
     }
     async restore() {
+        let summaries = await idb.getAll('activitySummary') ?? [];
+
+        if(empty(summaries)) {
+            summaries = await this.migrate();
+        }
+
+        return summaries.sort((a, b) => b.timestamp - a.timestamp);
+    }
+    // copy the summaries of activities saved before the summary store
+    async migrate() {
         const records = await idb.getAll('activity') ?? [];
 
         // migrate summary.status String to {strava: String, intervals: String}
@@ -609,11 +1184,71 @@ class Activity extends Model {
                 record.summary.status = {strava: 'none', intervals: 'none'};
                 idb.put('activity', record);
             }
+            idb.put('activitySummary', record.summary);
         });
 
-        return records
-            .map((record) => record.summary)
-            .sort((a, b) => b.timestamp - a.timestamp);
+        return records.map((record) => record.summary);
+    }
+}
+
+class PowerCurve extends Model {
+    // mean-maximal power of each activity, kept in the 'powerCurve' store as
+    // {id, timestamp, curve} so a ride is decoded only once, and the
+    // all-time and recent envelopes over them with the FTP and CP they suggest
+
+    postInit(args = {}) {
+        this.recentDays = existance(args.recentDays, 90);
+    }
+    defaultValue() {
+        return {allTime: [], recent: [], estimate: {}};
+    }
+    // the live records also hold the RR intervals as {time: [...]},
+    // only the ones with a timestamp are 1 per second
+    // Summary, [Record] -> {id, timestamp, curve}
+    async add(summary, records) {
+        const entry = {
+            id: summary.id,
+            timestamp: summary.timestamp,
+            curve: analysis.powerCurve(records.filter((record) => exists(record.timestamp))),
+        };
+        await idb.put('powerCurve', entry);
+        return entry;
+    }
+    async remove(id) {
+        await idb.remove('powerCurve', id);
+    }
+    // computes the curves of activities saved before the curve store
+    // [Summary] -> [{id, timestamp, curve}]
+    async backfill(activities) {
+        const entries = await idb.getAll('powerCurve') ?? [];
+        const ids = new Set(entries.map((x) => x.id));
+
+        for(const summary of activities) {
+            if(ids.has(summary.id)) continue;
+
+            const record = await idb.get('activity', summary.id);
+            if(!exists(record?.blob)) continue;
+
+            const buffer = await record.blob.arrayBuffer();
+            const { records } = analysis.fromFITjs(fit.FITjs.decode(new DataView(buffer)));
+            entries.push(await this.add(summary, records));
+        }
+
+        return entries;
+    }
+    // [{id, timestamp, curve}], Timestamp -> {allTime, recent, estimate}
+    toState(entries, now = Date.now()) {
+        const since  = now - (this.recentDays * 24 * 60 * 60 * 1000);
+        const recent = analysis.envelope(entries.filter((x) => x.timestamp >= since));
+
+        return {
+            allTime: analysis.envelope(entries),
+            recent,
+            estimate: analysis.estimate(recent),
+        };
+    }
+    async restore(activities = []) {
+        return this.toState(await this.backfill(activities));
     }
 }
 
@@ -647,13 +1282,32 @@ class Workout extends Model {
         return first(workouts);
     }
     // parsers
-    parse(result, name = '') {
+    parse(result, name = '', ftp) {
         if(isArray(result) || isObject(result)) {
             const view = new DataView(result);
+            const fitJS = fit.FITjs.decode(view);
+            if(fit.localWorkout.isWorkout(fitJS)) {
+                return fit.localWorkout.toWorkout(fitJS, {
+                    name, ftp, lthr: lthr.state, maxHeartRate: maxHeartRate.state,
+                });
+            }
             const courseJS = fit.localCourse.decode(view, name);
             console.log(courseJS);
             return courseJS;
         }
+        // courses from a library archive
+        if(name.toLowerCase().endsWith('.json')) {
+            return JSON.parse(result);
+        }
+        if(erg.isErg(result)) {
+            return erg.readToInterval(result, {name, ftp});
+        }
+        if(gpx.isGpx(result)) {
+            return gpx.readToCourse(result, name);
+        }
+        if(tcx.isTcx(result)) {
+            return tcx.readToCourse(result, name);
+        }
         return zwo.readToInterval(result);
     }
     fromIntervalsEvent(event) {
@@ -681,6 +1335,12 @@ class Workout extends Model {
             laps,
             events,
             ftp,
+            normalizedPower: db.normalizedPower,
+            intensityFactor: db.intensityFactor,
+            trainingStressScore: db.trainingStressScore,
+            timeInPowerZone: (db.powerInZone ?? []).map((zone) => zone[1]),
+            timeInHeartRateZone: (db.heartRateInZone ?? []).map((zone) => zone[1]),
+            heartRate: heartRateZones.toFIT(db),
         });
     }
     // utils
@@ -714,23 +1374,33 @@ class Workouts extends Model {
         const self = this;
         self.workoutModel = args.workoutModel;
     }
+    // built-in workouts get an id from their name, so the tags and folder
+    // the user gives them can find them again
     defaultValue() {
         const self = this;
-        return workoutsFile.map((w) => Object.assign(self.workoutModel.parse(w), {id: uuid()}));
+        return workoutsFile.map((w) => {
+            const workout = self.workoutModel.parse(w);
+            return Object.assign(workout, {id: `built-in:${workout.meta.name}`, builtIn: true});
+        });
     }
     defaultIsValid(value) {
         const self = this;
         return exists(value);
     }
+    // the store has the imported workouts and the library props of the
+    // built-in ones
     async restore(db) {
         const self = this;
-        const workouts = await idb.getAll(`${self.name}`) ?? [];
+        const stored = await idb.getAll(`${self.name}`) ?? [];
 
-        if(empty(workouts)) {
-            return self.default;
-        } else {
-            return self.default.concat(workouts);
-        }
+        const builtIn = new Map(
+            stored.filter((w) => w.builtIn).map((w) => [w.id, w])
+        );
+        const imported = stored.filter((w) => !w.builtIn);
+
+        return self.default
+            .map((w) => ({...w, ...library.pick(builtIn.get(w.id) ?? {})}))
+            .concat(imported);
     }
     get(workouts, id) {
         for(let workout of workouts) {
@@ -750,15 +1420,88 @@ class Workouts extends Model {
     save(workout) {
         const self = this;
         console.log(`:models :workouts :save`);
+
+        if(workout.builtIn) {
+            idb.put(self.name, {id: workout.id, builtIn: true, ...library.pick(workout)});
+            return;
+        }
         idb.put(self.name, idb.setId(workout));
     }
+    // {tags: String | [String], folder: String} -> [Workout]
+    update(workouts, id, props = {}) {
+        const self = this;
+        const workout = workouts.find((w) => equals(w.id, id));
+        if(!exists(workout)) return workouts;
+
+        if(exists(props.tags))   workout.tags   = library.toTags(props.tags);
+        if(exists(props.folder)) workout.folder = library.toFolder(props.folder);
+
+        self.save(workout);
+        return workouts;
+    }
+    ridden(workouts, id, timestamp = Date.now()) {
+        const self = this;
+        const workout = workouts.find((w) => equals(w.id, id));
+        if(!exists(workout)) return workouts;
+
+        workout.lastRidden = timestamp;
+        self.save(workout);
+        return workouts;
+    }
+    query(workouts, args, ftp) {
+        return library.query(workouts, args, ftp);
+    }
+    // adds the workouts that are not in the library yet, a workout with the
+    // same steps or course as one already there is a duplicate
+    // [Workout], [{name, result, props}], Watts
+    // ->
+    // {workouts: [Workout], added: Int, duplicates: Int, failed: Int}
+    import(workouts, items = [], ftp) {
+        const self = this;
+        const hashes = new Set(workouts.map(archive.hash));
+        const res = {workouts, added: 0, duplicates: 0, failed: 0};
+
+        for(const item of items) {
+            let workout;
+            try {
+                workout = self.workoutModel.parse(item.result, item.name, ftp);
+            } catch(err) {
+                console.error(`:models :workouts :import :fail '${item.name}'`, err);
+                res.failed += 1;
+                continue;
+            }
+
+            const hash = archive.hash(workout);
+            if(hashes.has(hash)) {
+                console.log(`:models :workouts :import :duplicate '${item.name}'`);
+                res.duplicates += 1;
+                continue;
+            }
+            hashes.add(hash);
+
+            const props = library.pick(item.props ?? {});
+            if(exists(props.tags))   workout.tags   = library.toTags(props.tags);
+            if(exists(props.folder)) workout.folder = library.toFolder(props.folder);
+
+            self.add(workouts, workout);
+            res.added += 1;
+        }
+
+        return res;
+    }
+    fileName() {
+        return `workouts-${dateToDashString(new Date())}.zip`;
+    }
+    download(workouts) {
+        fileHandler.download()(archive.write(workouts), this.fileName(), 'application/zip');
+    }
     remove(workouts, id) {
         const self = this;
         if(!exists(id)) {
             console.error(`:models :workouts :remove 'called without workout id!'`);
             return workouts;
         }
-        if(empty(workout)) {
+        if(empty(id)) {
             console.error(`:models :workouts :remove 'called with empty id!'`);
             return workouts;
         }
@@ -864,25 +1607,112 @@ class Planned {
 
 function Session(args = {}) {
     let name = 'session';
+    let chunksName = 'sessionChunks';
+
+    // records are appended to chunksName every chunkSeconds, so a crash
+    // loses at most that much of the ride
+    const chunkSeconds = args.chunkSeconds ?? 5;
+
+    // records not written yet
+    let pending = [];
+    let chunkIndex = 0;
+    // read on start, waiting for the user to resume or discard it, until
+    // then it is only in idb, so nothing is written over it and the records
+    // of a ride started meanwhile wait in pending
+    let recovered;
 
     function backup(db) {
-        idb.put('session', idb.setId(dbToSession(db), 0));
+        if(exists(recovered)) return;
+
+        idb.put(name, idb.setId(dbToSession(db), 0));
+
+        if(!empty(pending)) {
+            idb.put(chunksName, {id: chunkIndex, records: pending});
+            chunkIndex += 1;
+            pending = [];
+        }
     }
 
-    async function restore(db) {
-        const sessions = await idb.getAll(`${name}`);
-        xf.dispatch(`${name}:restore`, sessions);
-        console.log(`:idb :restore '${name}' :length ${sessions.length}`);
+    // -> {session: Session, records: [Record]}?
+    async function read() {
+        const sessions = await idb.getAll(name);
+        const session  = last(sessions);
+        if(!exists(session)) return undefined;
 
-        let session = last(sessions);
+        const chunks = await idb.getAll(chunksName) ?? [];
+        chunks.sort((a, b) => a.id - b.id);
 
-        if(!empty(sessions)) {
-            if(session.elapsed > 0) {
-                sessionToDb(db, session);
-            } else {
-                idb.clear(`${name}`);
-            }
+        // sessions backed up before chunks kept all records in the snapshot
+        const records = (session.records ?? [])
+              .concat(chunks.flatMap((chunk) => chunk.records));
+
+        return {session, records, chunks: chunks.length};
+    }
+
+    // {session, records} -> {elapsed, distance, records, laps, workout, timestamp}
+    function toSummary({session, records}) {
+        return {
+            elapsed:   session.elapsed,
+            distance:  session.distance ?? 0,
+            records:   records.filter((record) => exists(record.timestamp)).length,
+            laps:      (session.laps ?? []).length,
+            workout:   session.workout?.meta?.name,
+            timestamp: last(records.filter((record) => exists(record.timestamp)))?.timestamp,
+        };
+    }
+
+    async function restore(db) {
+        recovered = await read();
+
+        if(!exists(recovered) || !(recovered.session.elapsed > 0)) {
+            recovered = undefined;
+            await clear();
+            return;
         }
+
+        const summary = toSummary(recovered);
+        console.log(`:idb :restore '${name}' :elapsed ${summary.elapsed} :records ${summary.records}`);
+        xf.dispatch(`${name}:recovered`, summary);
+    }
+
+    // puts the recovered session back into db
+    function resume(db) {
+        if(!exists(recovered)) return false;
+
+        const { session, records, chunks } = recovered;
+        recovered = undefined;
+
+        sessionToDb(db, {
+            ...session,
+            records,
+            // the records of the current lap
+            lap: records.filter((record) =>
+                exists(record.timestamp) && record.timestamp >= (session.lapStartTime || 0)
+            ),
+        });
+
+        pending = [];
+        chunkIndex = chunks;
+        return true;
+    }
+
+    // the records of a ride started while the recovered one was waiting
+    // are still pending and go to the first chunk of the next backup
+    async function discard() {
+        if(!exists(recovered)) return await clear();
+
+        await idb.clear(name);
+        await idb.clear(chunksName);
+        chunkIndex = 0;
+        recovered = undefined;
+    }
+
+    async function clear() {
+        pending = [];
+        chunkIndex = 0;
+        if(exists(recovered)) return;
+        await idb.clear(name);
+        await idb.clear(chunksName);
     }
 
     function sessionToDb(db, session) {
@@ -908,13 +1738,12 @@ function Session(args = {}) {
             speedVirtual: db.speedVirtual,
             speed: db.speed,
 
-            // Recording
-            records: db.records,
+            // Recording, the records themselves go to the chunks
             laps: db.laps,
             events: db.events,
-            lap: db.lap,
             distance: db.distance,
             altitude: db.altitude,
+            ascent: db.ascent,
             position_lat: db.position_lat,
             position_long: db.position_long,
 
@@ -932,9 +1761,16 @@ function Session(args = {}) {
             powerAvgCount: db.powerAvgCount,
             cadenceAvgCount: db.cadenceAvgCount,
             heartRateAvgCount: db.heartRateAvgCount,
+            normalizedPower: db.normalizedPower,
+            intensityFactor: db.intensityFactor,
+            trainingStressScore: db.trainingStressScore,
+            tssCount: db.tssCount,
+            tssTime: db.tssTime,
+            wPrimeBalance: db.wPrimeBalance,
 
             // Report
             powerInZone: db.powerInZone,
+            heartRateInZone: db.heartRateInZone,
 
             // Workouts
             workout: db.workout,
@@ -946,6 +1782,7 @@ function Session(args = {}) {
             powerTarget: db.powerTarget,
             resistanceTarget: db.resistanceTarget,
             slopeTarget: db.slopeTarget,
+            cadenceTarget: db.cadenceTarget,
 
             // sources: db.sources,
 
@@ -957,6 +1794,8 @@ function Session(args = {}) {
     }
 
     function reset(db) {
+        clear();
+
         db.records = [];
         db.lap = [];
         db.laps = [];
@@ -993,6 +1832,14 @@ function Session(args = {}) {
         db.powerAvgCount = powerAvg.count;
         db.cadenceAvgCount = cadenceAvg.count;
         db.heartRateAvgCount = heartRateAvg.count;
+        db.normalizedPower = tss.default.normalizedPower;
+        db.intensityFactor = tss.default.intensityFactor;
+        db.trainingStressScore = tss.default.trainingStressScore;
+        db.tssCount = 0;
+        db.tssTime = 0;
+        db.wPrimeBalance = db.wPrime;
+        db.powerInZone = powerInZone.reset();
+        db.heartRateInZone = heartRateInZone.reset();
     }
 
     function elapsed(x, db) {
@@ -1023,19 +1870,24 @@ function Session(args = {}) {
             core_temperature:             db.coreBodyTemperature,
             skin_temperature:             db.skinTemperature,
             device_index:                 0,
+            w_prime_balance:              Math.round(db.wPrimeBalance),
+            power_secondary:              db.powerSecondary,
+            dfa_alpha1:                   db.dfaAlpha1,
+            rmssd:                        exists(db.rmssd) ? Math.round(db.rmssd) : undefined,
         };
 
         db.records.push(record);
+        pending.push(record);
         if(!empty(db.rrInterval)) {
-            db.records.push({time: pad(db.rrInterval, 5, 0xFFFF)});
+            const rr = {time: pad(db.rrInterval, 5, 0xFFFF)};
+            db.records.push(rr);
+            pending.push(rr);
         }
 
         db.lap.push(record);
 
-        if(equals(db.elapsed % 60, 0)) {
-            // models.session.backup(db);
+        if(equals(db.elapsed % chunkSeconds, 0)) {
             backup(db);
-            console.log(`backing up of ${db.records.length} records ...`);
         }
     }
 
@@ -1045,16 +1897,22 @@ function Session(args = {}) {
         let elapsed   = timeDiff(timeStart, timeEnd);
 
         if(elapsed > 0) {
+            const smo2Rates = smo2Analysis.rates(db.lap);
             const lap = {
                 timestamp:        timeEnd,
                 start_time:       timeStart,
                 totalElapsedTime: elapsed,
                 avgPower:         db.powerLap,
                 maxPower:         max(db.lap, 'power'),
+                normalizedPower:  Math.round(
+                    tss.fromPower(db.lap.map((record) => record.power ?? 0), db.ftp).normalizedPower
+                ),
                 avgCadence:       Math.round(avg(db.lap, 'cadence')),
                 avgHeartRate:     Math.round(avg(db.lap, 'heart_rate')),
                 saturated_hemoglobin_percent: toFixed(avg(db.lap, 'saturated_hemoglobin_percent'), 2),
                 total_hemoglobin_conc: toFixed(avg(db.lap, 'total_hemoglobin_conc'), 2),
+                smo2DesaturationRate:  smo2Rates.desaturation,
+                smo2ReoxygenationRate: smo2Rates.reoxygenation,
                 core_temperature: toFixed(avg(db.lap, 'core_temperature'), 2),
                 skin_temperature: toFixed(avg(db.lap, 'skin_temperature'), 2)
             };
@@ -1072,7 +1930,10 @@ function Session(args = {}) {
 
     return Object.freeze({
         backup,
+        read,
         restore,
+        resume,
+        discard,
         reset,
         sessionToDb,
         dbToSession,
@@ -1215,6 +2076,10 @@ class KcalAccumulator extends PropAccumulator {
         this.state = this.state + power * 0.001;
         return this.state;
     }
+    reset() {
+        this.count = 0;
+        this.state = this.default;
+    }
 }
 
 const powerLap = new PropAccumulator({
@@ -1311,7 +2176,10 @@ class PropInterval {
 class PowerInZone {
     constructor(args = {}) {
         const self = this;
-        this.ftpModel = existance(args.ftpModel);
+        this.ftpModel = args.ftpModel;
+        this.zoneModel = args.zoneModel;
+        this.name     = existance(args.name,    this.getDefaults().name);
+        this.field    = existance(args.field,   this.getDefaults().field);
         this.default  = existance(args.default, this.getDefaults().default);
         this.count    = existance(args.count,   this.getDefaults().count);
         this.weights  = existance(args.weights, this.getDefaults().weights);
@@ -1321,16 +2189,23 @@ class PowerInZone {
     }
     getDefaults() {
         const self = this;
-        const value = self.ftpModel.zones.map(x => [0,0]);
-        const weights = self.ftpModel.zones.map(x => 0);
+        const value = self.zoneNames().map(x => [0,0]);
+        const weights = self.zoneNames().map(x => 0);
 
         return {
             default: value,
             weights: weights,
             count: 0,
             prop: 'db:elapsed',
+            // the db prop and the event of the state
+            name: 'powerInZone',
+            // the record field it's counted from
+            field: 'power',
         };
     }
+    zoneNames() {
+        return this.ftpModel.zones;
+    }
     start() {
         this.subs();
     }
@@ -1353,25 +2228,88 @@ class PowerInZone {
     powerToZone(power) {
         return this.ftpModel.powerToZone(power);
     }
-    updateState(value) {
-        if(equals(value, 0)) return this.state;
+    toZone(value) {
+        return this.powerToZone(value);
+    }
+    reset() {
+        this.count   = this.getDefaults().count;
+        this.weights = this.getDefaults().weights;
+        this.state   = this.getDefaults().default;
+        return this.state;
+    }
+    // the state keeps the seconds of each zone next to its share,
+    // so the weights come back from it
+    restore(db) {
+        const state = db[this.name] ?? [];
+        this.reset();
+
+        state.forEach(([_, weight], i) => {
+            if(i >= this.weights.length) return;
+            this.weights[i] = weight;
+            this.state[i]   = [state[i][0], weight];
+        });
+        this.count = this.weights.reduce((acc, x) => acc + x, 0);
+    }
+    // when the zone model changes the seconds are counted again from the
+    // records of the ride, the zones may not line up with the old ones
+    // [Record] -> [[Number, Int]]
+    recount(records = []) {
+        this.reset();
+
+        for(const record of records) {
+            if(!exists(record.timestamp) || !exists(record[this.field])) continue;
+            this.add(record[this.field]);
+        }
 
-        const zone = this.powerToZone(value);
+        return this.toState();
+    }
+    add(value) {
+        if(!exists(value) || equals(value, 0)) return;
+
+        const zone = this.toZone(value);
 
         this.count += 1;
         this.weights[zone.index] += 1;
-
+    }
+    toState() {
         for(let i=0; i < this.state.length; i++) {
             if(!equals(this.weights[i], 0)) {
                 this.state[i] = [this.weights[i] / this.count, this.weights[i]];
             }
         }
+        return this.state;
+    }
+    updateState(value) {
+        if(!exists(value) || equals(value, 0)) return this.state;
+
+        this.add(value);
+        this.toState();
 
-        xf.dispatch('powerInZone', this.state);
+        xf.dispatch(this.name, this.state);
         return this.state;
     }
 }
 
+// zero is no heart rate monitor, not a zone
+class HeartRateInZone extends PowerInZone {
+    getDefaults() {
+        return {
+            ...super.getDefaults(),
+            name: 'heartRateInZone',
+            field: 'heart_rate',
+        };
+    }
+    zoneNames() {
+        return this.zoneModel.zones;
+    }
+    onUpdate(propValue, db) {
+        this.updateState(db.heartRate);
+    }
+    toZone(value) {
+        return this.zoneModel.heartRateToZone(value);
+    }
+}
+
 class VirtualState extends MetaProp {
     postInit() {
         this.speed           = this.getDefaults().speed;
@@ -1385,14 +2323,21 @@ class VirtualState extends MetaProp {
         this.mass            = this.getDefaults().mass;
 
         this.source          = this.getDefaults().source;
-        this.cycling         = Cycling({
-            rho:             1.275,
-            dragCoefficient: 0.88,   // 1.0, 0.88
-            frontalArea:     0.36,   // 0.4, 0.36
-            CdA:             0.3168, // 0.4, 0.3168
-        });
+        this.cycling         = this.toCycling({});
         this.lastUpdate      = undefined;
     }
+    // the physics model is set when made, so a new bike makes a new one
+    // BikeProfile -> Cycling
+    toCycling(bikeProfile = {}) {
+        return Cycling({
+            rho:                1.275,
+            dragCoefficient:    0.88,   // 1.0, 0.88
+            frontalArea:        0.36,   // 0.4, 0.36
+            CdA:                bikeProfile.CdA ?? 0.3168, // 0.4, 0.3168
+            crr:                bikeProfile.crr,
+            wheelCircumference: bikeProfile.wheelCircumference,
+        });
+    }
     getDefaults() {
         return {
             riderWeight: 75,
@@ -1415,6 +2360,7 @@ class VirtualState extends MetaProp {
         xf.reg(`${this.prop}`,  this.onUpdate.bind(this), this.signal);
         xf.sub(`db:sources`,    this.onSources.bind(this), this.signal);
         xf.sub(`db:weight`,     this.onWeight.bind(this), this.signal);
+        xf.sub(`db:bikeProfile`, this.onBikeProfile.bind(this), this.signal);
         xf.sub('watch:started', this.onStarted.bind(this), this.signal);
     }
     onSources(sources) {
@@ -1426,11 +2372,46 @@ class VirtualState extends MetaProp {
     }
     onWeight(weight) {
         this.riderWeight = weight;
-        this.systemWeight = this.riderWeight + this.equipmentWeight;
+        this.mass = this.riderWeight + this.equipmentWeight;
+    }
+    onBikeProfile(bikeProfile) {
+        this.equipmentWeight = bikeProfile.bikeWeight;
+        this.mass = this.riderWeight + this.equipmentWeight;
+        this.cycling = this.toCycling(bikeProfile);
     }
     onStarted() {
         this.lastUpdate = Date.now();
     }
+    restore(db) {
+        this.speed = db.speedVirtual ?? this.speed;
+    }
+    // with virtual gears in SIM mode the speed is the cadence in the gear
+    isGeared(db) {
+        return (db.gearing?.enabled ?? false) && equals(db.mode, ControlMode.sim);
+    }
+    onGearedUpdate(db, dt) {
+        const gear  = gearing.toGear(db.gear, db.gearing);
+        const speed = gearingAnalysis.toSpeed(
+            db.cadence ?? 0, gear.ratio, db.bikeProfile?.wheelCircumference,
+        );
+
+        const { distance, altitude, ascent } = this.cycling.trainerSpeed({
+            slope:     db.slopeTarget / 100,
+            speed,
+            speedPrev: this.speed,
+            distance:  db.distance,
+            altitude:  db.altitude,
+            ascent:    db.ascent,
+            dt:        isNaN(dt) ? 1/4 : dt,
+        });
+
+        this.speed = speed;
+
+        xf.dispatch('speedVirtual', speed);
+        xf.dispatch('distance', distance);
+        xf.dispatch('altitude', altitude);
+        xf.dispatch('ascent', ascent);
+    }
     onUpdate(power, db) {
         if(!equals(this.source, this.prop)) return;
 
@@ -1444,6 +2425,11 @@ class VirtualState extends MetaProp {
             return;
         };
 
+        if(this.isGeared(db)) {
+            this.onGearedUpdate(db, dt);
+            return;
+        }
+
         const { speed, distance, altitude, ascent } = this.cycling.virtualSpeedCF({
             power:    db.power,
             slope:    db.slopeTarget / 100,
@@ -1511,7 +2497,7 @@ class SpeedState extends VirtualState {
     }
 }
 
-class TSS {
+class TSS extends MetaProp {
     // TSS = (t * NP * IF) / (FTP * 3600) * 100
     // NP:
     // 1. Calculate a rolling 30-second average power for the workout or
@@ -1520,8 +2506,566 @@ class TSS {
     // 3. Determine the average of these values.
     // 4. Find the fourth root of the resulting average.
     // IF = NP / FTP
+    postInit(args = {}) {
+        this.event  = args.event ?? this.getDefaults().event;
+        this.window = args.window ?? this.getDefaults().window;
+        this.ftp    = args.ftp ?? this.getDefaults().ftp;
+        this.reset();
+    }
+    getDefaults() {
+        return {
+            prop: '',
+            disabled: false,
+            default: {
+                normalizedPower: 0,
+                intensityFactor: 0,
+                trainingStressScore: 0,
+            },
+
+            event: '',
+            window: 30,
+            ftp: 200,
+        };
+    }
+    reset() {
+        this.samples = []; // last window of 1s power values
+        this.sum4    = 0;  // sum of the rolling averages raised to the 4th power
+        this.count   = 0;  // number of rolling averages
+        this.time    = 0;  // seconds
+        this.state   = Object.assign({}, this.default);
+    }
+    subsConfig() {
+        xf.sub('db:ftp', this.onFTP.bind(this), this.signal);
+        if(!equals(this.event, '')) {
+            xf.sub(`${this.event}`, this.onEvent.bind(this), this.signal);
+        }
+    }
+    onFTP(ftp) {
+        this.ftp = ftp;
+        this.state = this.calculate();
+    }
+    onEvent() {
+        this.reset();
+    }
+    updateState(power) {
+        this.time += 1;
+        this.samples.push(power);
+        if(this.samples.length > this.window) this.samples.shift();
+
+        if(equals(this.samples.length, this.window)) {
+            this.sum4  += avg(this.samples) ** 4;
+            this.count += 1;
+        }
+
+        this.state = this.calculate();
+        return this.state;
+    }
+    // {count: Int, sum4: Number, time: Int, ftp: Int} -> {NP, IF, TSS}
+    calculate(args = {}) {
+        const count = args.count ?? this.count;
+        const sum4  = args.sum4 ?? this.sum4;
+        const time  = args.time ?? this.time;
+        const ftp   = args.ftp ?? this.ftp;
+
+        if(equals(count, 0) || !(ftp > 0)) return Object.assign({}, this.default);
+
+        const normalizedPower     = (sum4 / count) ** (1/4);
+        const intensityFactor     = normalizedPower / ftp;
+        const trainingStressScore = (time * intensityFactor * intensityFactor * 100) / 3600;
+
+        return {
+            normalizedPower,
+            intensityFactor,
+            trainingStressScore,
+        };
+    }
+    // [Number], Int -> {NP, IF, TSS}
+    // for a finished section of 1s power values, like a lap
+    fromPower(powers = [], ftp = this.ftp) {
+        let sum4  = 0;
+        let count = 0;
+        for(let i = this.window; i <= powers.length; i++) {
+            sum4  += avg(powers.slice(i - this.window, i)) ** 4;
+            count += 1;
+        }
+        return this.calculate({count, sum4, time: powers.length, ftp});
+    }
+    restore(db) {
+        const power = db.records
+              .filter((record) => exists(record.timestamp))
+              .map((record) => record.power ?? 0);
+
+        this.samples = power.slice(-this.window);
+        this.count   = db.tssCount ?? this.count;
+        this.time    = db.tssTime ?? this.time;
+        this.sum4    = ((db.normalizedPower ?? 0) ** 4) * this.count;
+        this.state   = this.calculate();
+    }
+}
+
+
+class WPrimeBalance extends MetaProp {
+    // W' balance in joules, updated every second from power
+    //
+    // differential (Skiba 2015):
+    //   P >  CP: W'bal = W'bal - (P - CP) * dt
+    //   P <= CP: W'bal = W'bal + (W' - W'bal) * (CP - P) / W' * dt
+    //
+    // integral (Skiba 2012):
+    //   W'bal = W' - Σ W'exp(u) * e^(-(t - u) / τ)
+    //   τ     = 546 * e^(-0.01 * D_CP) + 316
+    //   D_CP  = CP - avg power of the samples below CP
+    postInit(args = {}) {
+        this.event  = args.event ?? this.getDefaults().event;
+        this.cp     = args.cp ?? this.getDefaults().cp;
+        this.wPrime = args.wPrime ?? this.getDefaults().wPrime;
+        this.model  = args.model ?? this.getDefaults().model;
+        this.models = ['differential', 'integral'];
+        this.reset();
+    }
+    getDefaults() {
+        return {
+            prop: '',
+            disabled: false,
+            default: 20000,
+
+            event: '',
+            cp: 200,
+            wPrime: 20000,
+            model: 'differential',
+        };
+    }
+    reset() {
+        this.expended      = 0; // integral: decayed sum of W' expended
+        this.recoverySum   = 0; // integral: sum of power below CP
+        this.recoveryCount = 0; // integral: count of samples below CP
+        this.state         = this.wPrime;
+    }
+    subsConfig() {
+        xf.sub('db:cp',      this.onCP.bind(this), this.signal);
+        xf.sub('db:wPrime',  this.onWPrime.bind(this), this.signal);
+        xf.sub('db:sources', this.onSources.bind(this), this.signal);
+        if(!equals(this.event, '')) {
+            xf.sub(`${this.event}`, this.onEvent.bind(this), this.signal);
+        }
+    }
+    onCP(cp) {
+        this.cp = cp;
+    }
+    onWPrime(wPrime) {
+        if(equals(this.state, this.wPrime)) this.state = wPrime;
+        this.wPrime = wPrime;
+    }
+    onSources(sources) {
+        if(this.models.includes(sources.wPrimeBalanceModel)) {
+            this.model = sources.wPrimeBalanceModel;
+        }
+    }
+    onEvent() {
+        this.reset();
+    }
+    tau() {
+        const recovery = equals(this.recoveryCount, 0) ?
+              0 : this.recoverySum / this.recoveryCount;
+        const dcp = this.cp - recovery;
+        return 546 * Math.exp(-0.01 * dcp) + 316;
+    }
+    differential(power, dt = 1) {
+        if(power > this.cp) {
+            return this.state - ((power - this.cp) * dt);
+        }
+        return this.state + ((this.wPrime - this.state) * (this.cp - power) / this.wPrime * dt);
+    }
+    integral(power, dt = 1) {
+        if(power > this.cp) {
+            this.expended = (this.expended * Math.exp(-dt / this.tau())) + ((power - this.cp) * dt);
+        } else {
+            this.recoverySum   += power;
+            this.recoveryCount += 1;
+            this.expended = this.expended * Math.exp(-dt / this.tau());
+        }
+        return this.wPrime - this.expended;
+    }
+    updateState(power) {
+        if(equals(this.model, 'integral')) {
+            this.state = this.integral(power);
+        } else {
+            this.state = this.differential(power);
+        }
+        return this.state;
+    }
+    format(state) {
+        return Math.round(state);
+    }
+    // replay the recorded power to get back to the same balance
+    restore(db) {
+        this.cp     = db.cp ?? this.cp;
+        this.wPrime = db.wPrime ?? this.wPrime;
+        this.reset();
+        db.records
+            .filter((record) => exists(record.timestamp))
+            .forEach((record) => this.updateState(record.power ?? 0));
+    }
 }
 
+class HRV extends MetaProp {
+    // DFA alpha 1 and RMSSD over a rolling window of RR intervals, updated
+    // with the RR intervals of each heart rate notification
+    //
+    // after a gap in the notifications (strap off, reconnect) the window
+    // starts over, so beats from before the gap are not mixed in
+    postInit(args = {}) {
+        this.gap = args.gap ?? this.getDefaults().gap;
+        this.now = args.now ?? Date.now;
+        this.reset();
+    }
+    getDefaults() {
+        return {
+            prop: '',
+            disabled: false,
+            default: {dfaAlpha1: undefined, rmssd: undefined, artifacts: 0},
+
+            gap: 5000, // ms
+        };
+    }
+    reset() {
+        this.buffer = [];
+        this.last   = undefined;
+        this.state  = this.default;
+    }
+    updateState(rrInterval = []) {
+        const now = this.now();
+        if(exists(this.last) && (now - this.last) > this.gap) this.reset();
+        this.last = now;
+
+        this.buffer = hrvAnalysis.toWindow(this.buffer, rrInterval);
+        this.state  = hrvAnalysis.analyze(this.buffer);
+        return this.state;
+    }
+}
+
+class HeartRateControl extends MetaProp {
+    // closes the loop on trainer power in erg for heart rate target steps,
+    // called once a second with the current heart rate
+    //
+    // - averages the heart rate over interval seconds
+    // - moves power by gain watts per bpm of error, but no more than maxStep
+    // - does nothing while within deadband bpm of the target
+    // - keeps power between minPower and maxPower of ftp
+    // - when the heart rate drops to 0 (hrm disconnected) or stops updating
+    //   for staleLimit seconds falls back to the power the step started with
+    // - only while a workout is started, a target left from the last one
+    //   doesn't take over the next free ride
+    postInit(args = {}) {
+        const defaults   = this.getDefaults();
+        this.interval    = args.interval ?? defaults.interval;
+        this.gain        = args.gain ?? defaults.gain;
+        this.maxStep     = args.maxStep ?? defaults.maxStep;
+        this.deadband    = args.deadband ?? defaults.deadband;
+        this.minPower    = args.minPower ?? defaults.minPower;
+        this.maxPower    = args.maxPower ?? defaults.maxPower;
+        this.staleLimit  = args.staleLimit ?? defaults.staleLimit;
+        this.startPower  = args.startPower ?? defaults.startPower;
+        this.ftp         = defaults.ftp;
+        this.target      = 0;
+        this.power       = 0;
+        this.workoutStatus = TimerStatus.stopped;
+        this.reset();
+    }
+    getDefaults() {
+        return {
+            prop: '',
+            disabled: false,
+            default: 0,
+
+            ftp: 200,
+            interval: 5,     // s
+            gain: 1,         // W per bpm
+            maxStep: 5,      // W per interval
+            deadband: 2,     // bpm
+            minPower: 0.3,   // of ftp
+            maxPower: 1.05,  // of ftp
+            staleLimit: 5,   // s
+            startPower: 0.55, // of ftp, when the step has no power
+        };
+    }
+    reset() {
+        this.samples       = [];
+        this.ticks         = 0;
+        this.lastHeartRate = 0;
+        this.fallbackPower = this.power;
+    }
+    subsConfig() {
+        xf.sub('db:ftp',             this.onFTP.bind(this), this.signal);
+        xf.sub('db:powerTarget',     this.onPowerTarget.bind(this), this.signal);
+        xf.sub('db:heartRateTarget', this.onTarget.bind(this), this.signal);
+        xf.sub('db:heartRate',       this.onHeartRate.bind(this), this.signal);
+        xf.sub('db:workoutStatus',   this.onWorkoutStatus.bind(this), this.signal);
+    }
+    onFTP(ftp) {
+        this.ftp = ftp;
+    }
+    onPowerTarget(power) {
+        this.power = power;
+    }
+    onTarget(target) {
+        this.target = target;
+        this.reset();
+    }
+    onHeartRate() {
+        this.lastHeartRate = this.ticks;
+    }
+    onWorkoutStatus(status) {
+        this.workoutStatus = status;
+    }
+    isActive() {
+        return this.target > 0 && equals(this.workoutStatus, TimerStatus.started);
+    }
+    isStale(heartRate) {
+        return equals(heartRate, 0) ||
+               !exists(heartRate) ||
+               (this.ticks - this.lastHeartRate) > this.staleLimit;
+    }
+    fallback() {
+        this.power = Math.min(this.power, this.fallbackPower);
+        return this.power;
+    }
+    updateState(heartRate) {
+        this.ticks += 1;
+
+        if(this.isStale(heartRate)) {
+            this.samples = [];
+            this.state = this.fallback();
+            return this.state;
+        }
+
+        this.samples.push(heartRate);
+
+        if(this.samples.length >= this.interval) {
+            const avg   = this.samples.reduce((acc, x) => acc + x, 0) / this.samples.length;
+            const error = this.target - avg;
+            this.samples = [];
+
+            if(Math.abs(error) > this.deadband) {
+                const step = clamp(-this.maxStep, this.maxStep, Math.round(error * this.gain));
+                this.power = clamp(
+                    Math.round(this.minPower * this.ftp),
+                    Math.round(this.maxPower * this.ftp),
+                    this.power + step,
+                );
+            }
+        }
+
+        this.state = this.power;
+        return this.state;
+    }
+}
+
+class PowerMatch extends MetaProp {
+    // corrects the erg target sent to the trainer, so that the power meter
+    // and not the trainer's own estimate reads the target, called once a
+    // second with the target
+    //
+    // - slow PI controller on the target minus the meter power averaged
+    //   over window seconds
+    // - waits settle seconds after a target change for the trainer to get there
+    // - keeps the offset within maxOffset watts
+    // - stops integrating while coasting
+    // - drops the offset when the meter disconnects or has no readings
+    //   for staleLimit seconds, picks up again when they come back
+    postInit(args = {}) {
+        const defaults  = this.getDefaults();
+        this.kp         = args.kp ?? defaults.kp;
+        this.ki         = args.ki ?? defaults.ki;
+        this.window     = args.window ?? defaults.window;
+        this.settle     = args.settle ?? defaults.settle;
+        this.staleLimit = args.staleLimit ?? defaults.staleLimit;
+        this.maxOffset  = args.maxOffset ?? defaults.maxOffset;
+        this.meters     = args.meters ?? defaults.meters;
+        this.enabled    = false;
+        this.meterPower = 0;
+        this.ticks      = 0;
+        this.lastReading = -Infinity;
+        this.reset();
+    }
+    getDefaults() {
+        return {
+            prop: '',
+            disabled: false,
+            default: 0,
+
+            kp: 0.2,
+            ki: 0.05,
+            window: 3,      // s
+            settle: 5,      // s
+            staleLimit: 5,  // s
+            maxOffset: 50,  // W
+            meters: ['ble:powerMeter', 'ant:powerMeter'],
+        };
+    }
+    reset() {
+        this.samples     = [];
+        this.integral    = 0;
+        this.target      = 0;
+        this.settleTicks = 0;
+        this.state       = this.default;
+    }
+    subsConfig() {
+        xf.sub('db:sources', this.onSources.bind(this), this.signal);
+        xf.sub('db:powerMatchMaxOffset', this.onMaxOffset.bind(this), this.signal);
+
+        this.meters.forEach((meter) => {
+            xf.sub(`${meter}:power`, this.onMeterPower.bind(this), this.signal);
+            xf.sub(`${meter}:disconnected`, this.onDropout.bind(this), this.signal);
+        });
+    }
+    onSources(sources) {
+        this.enabled = sources.powerMatch ?? false;
+        if(!this.enabled) this.reset();
+    }
+    onMaxOffset(maxOffset) {
+        this.maxOffset = maxOffset;
+    }
+    onMeterPower(power) {
+        if(!exists(power)) {
+            this.onDropout();
+            return;
+        }
+        this.meterPower  = power;
+        this.lastReading = this.ticks;
+    }
+    onDropout() {
+        this.lastReading = -Infinity;
+        this.reset();
+    }
+    isStale() {
+        return (this.ticks - this.lastReading) > this.staleLimit;
+    }
+    isActive() {
+        return this.enabled && !this.isStale();
+    }
+    // the target the trainer gets for a target the meter should read
+    toTrainer(target) {
+        if(target <= 0) return target;
+        return Math.max(0, target + this.state);
+    }
+    updateState(target) {
+        this.ticks += 1;
+
+        if(!this.isActive()) {
+            if(!equals(this.state, this.default) || !empty(this.samples)) this.reset();
+            return this.state;
+        }
+
+        if(!equals(target, this.target)) {
+            this.target      = target;
+            this.settleTicks = this.settle;
+            this.samples     = [];
+        }
+
+        this.samples.push(this.meterPower);
+        if(this.samples.length > this.window) this.samples.shift();
+
+        if(this.settleTicks > 0) {
+            this.settleTicks -= 1;
+            return this.state;
+        }
+
+        if(target <= 0 || this.meterPower <= 0) return this.state;
+
+        const error = target - avg(this.samples);
+
+        this.integral = clamp(-this.maxOffset, this.maxOffset, this.integral + (this.ki * error));
+        this.state    = Math.round(
+            clamp(-this.maxOffset, this.maxOffset, (this.kp * error) + this.integral)
+        );
+
+        return this.state;
+    }
+}
+
+class PowerComparison extends MetaProp {
+    // compares a second power stream, usually pedals or a crank power meter,
+    // with the power source, usually the trainer
+    //
+    // - live: the secondary minus the source power averaged over the last
+    //   window readings of the secondary
+    // - after the ride: offset, ratio and a linear fit of secondary on
+    //   source power over the seconds where both were pedaling, plus a
+    //   sample of the pairs for a scatter plot
+    postInit(args = {}) {
+        const defaults = this.getDefaults();
+        this.window    = args.window ?? defaults.window;
+        this.maxPoints = args.maxPoints ?? defaults.maxPoints;
+        this.reset();
+    }
+    getDefaults() {
+        return {
+            prop: '',
+            disabled: false,
+            default: 0,
+
+            window: 3,
+            maxPoints: 120,
+        };
+    }
+    reset() {
+        this.samples = [];
+        this.state   = this.default;
+    }
+    // {power: W, powerSecondary: W?} -> W
+    updateState(args = {}) {
+        if(!exists(args.powerSecondary)) {
+            this.reset();
+            return this.state;
+        }
+
+        this.samples.push(args.powerSecondary - (args.power ?? 0));
+        if(this.samples.length > this.window) this.samples.shift();
+
+        this.state = Math.round(avg(this.samples));
+        return this.state;
+    }
+    // Record -> Bool
+    isPair(record) {
+        return exists(record.power) && exists(record.power_secondary) &&
+               record.power > 0 && record.power_secondary > 0 &&
+               record.power_secondary < 0xFFFF;
+    }
+    // [Record] -> {count, offset, ratio, slope, intercept, points: [[W, W]]}?
+    fromRecords(records = []) {
+        const pairs = records
+              .filter(this.isPair)
+              .map((record) => [record.power, record.power_secondary]);
+
+        if(empty(pairs)) return undefined;
+
+        const count = pairs.length;
+        const sumX  = pairs.reduce((acc, [x, _]) => acc + x, 0);
+        const sumY  = pairs.reduce((acc, [_, y]) => acc + y, 0);
+        const meanX = sumX / count;
+        const meanY = sumY / count;
+
+        const sxx = pairs.reduce((acc, [x, _]) => acc + (x - meanX) ** 2, 0);
+        const sxy = pairs.reduce((acc, [x, y]) => acc + (x - meanX) * (y - meanY), 0);
+
+        // a flat ride (same power every second) has no slope to fit
+        const slope     = equals(sxx, 0) ? 1 : sxy / sxx;
+        const intercept = meanY - slope * meanX;
+
+        const step   = Math.max(1, Math.ceil(count / this.maxPoints));
+        const points = pairs.filter((_, i) => equals(i % step, 0));
+
+        return {
+            count,
+            offset:    toFixed(meanY - meanX, 1),
+            ratio:     toFixed(sumY / sumX, 3),
+            slope:     toFixed(slope, 3),
+            intercept: toFixed(intercept, 1),
+            points,
+        };
+    }
+}
 
 const api = API();
 
@@ -1530,6 +3074,7 @@ const cadence = new Cadence({prop: 'cadence'});
 const heartRate = new HeartRate({prop: 'heartRate'});
 const speed = new Speed({prop: 'speed'});
 const smo2 = new SmO2({prop: 'smo2'});
+const smo2Zones = new SmO2Zones({prop: 'smo2Zones', storage: LocalStorageItem});
 const thb = new THb({prop: 'thb'});
 const sources = new Sources({prop: 'sources', storage: LocalStorageItem});
 
@@ -1540,21 +3085,50 @@ const powerTarget = new PowerTarget({prop: 'powerTarget'});
 const resistanceTarget = new ResistanceTarget({prop: 'resistanceTarget'});
 const slopeTarget = new SlopeTarget({prop: 'slopeTarget'});
 const cadenceTarget = new CadenceTarget({prop: 'cadenceTarget'});
+const heartRateTarget = new HeartRateTarget({prop: 'heartRateTarget'});
 const mode = new Mode({prop: 'mode'});
 const page = new Page({prop: 'page'});
 
-const ftp = new FTP({prop: 'ftp', storage: LocalStorageItem});
+const powerZones = new PowerZones({prop: 'powerZones', storage: LocalStorageItem});
+const ftp = new FTP({prop: 'ftp', storage: LocalStorageItem, powerZones});
 const weight = new Weight({prop: 'weight', storage: LocalStorageItem});
+const bikeProfile = new BikeProfile({prop: 'bikeProfile', storage: LocalStorageItem});
+const gearing = new Gearing({prop: 'gearing', storage: LocalStorageItem, slopeTarget});
+const cp = new CriticalPower({prop: 'cp', storage: LocalStorageItem});
+const wPrime = new WPrime({prop: 'wPrime', storage: LocalStorageItem});
+const lthr = new LTHR({prop: 'lthr', storage: LocalStorageItem});
+const maxHeartRate = new MaxHeartRate({prop: 'maxHeartRate', storage: LocalStorageItem});
+const restingHeartRate = new RestingHeartRate({prop: 'restingHeartRate', storage: LocalStorageItem});
+const heartRateZones = new HeartRateZones({
+    prop: 'heartRateZones', storage: LocalStorageItem, lthr, maxHeartRate, restingHeartRate,
+});
+const powerMatchMaxOffset = new PowerMatchMaxOffset({prop: 'powerMatchMaxOffset', storage: LocalStorageItem});
 const theme = new Theme({prop: 'theme', storage: LocalStorageItem});
 const volume = new Volume({prop: 'volume', storage: LocalStorageItem});
 const measurement = new Measurement({prop: 'measurement', storage: LocalStorageItem});
 const dataTileSwitch = new DataTileSwitch({prop: 'dataTileSwitch', storage: LocalStorageItem});
+const calibrations = new Calibrations({prop: 'calibrations', storage: LocalStorageItem});
+const raceControllerBindings = new RaceControllerBindings({
+    prop: 'raceControllerBindings', storage: LocalStorageItem,
+});
 
 const power1s = new PropInterval({prop: 'db:power', effect: 'power1s', interval: 1000});
 const power3s = new PropInterval({prop: 'db:power', effect: 'power3s', interval: 3000});
 const powerInZone = new PowerInZone({ftpModel: ftp});
+const heartRateInZone = new HeartRateInZone({zoneModel: heartRateZones});
+const tss = new TSS({event: 'watch:stopped', name: 'tss'});
+const wPrimeBalance = new WPrimeBalance({event: 'watch:stopped', name: 'w-prime-balance'});
+const hrv = new HRV({name: 'hrv'});
+const heartRateControl = new HeartRateControl({name: 'heart-rate-control'});
+const powerComparison = new PowerComparison({name: 'power-comparison'});
+const powerMatch = new PowerMatch({name: 'power-match'});
 
 const activity = new Activity({prop: 'activity', api: api});
+const powerCurve = new PowerCurve({prop: 'powerCurve'});
+const outbox = Outbox({
+    send: activity.send.bind(activity),
+    onStatus: activity.setStatus.bind(activity),
+});
 const workout = new Workout({prop: 'workout', api: api});
 const workouts = new Workouts({prop: 'workouts', workoutModel: workout});
 const planned = new Planned({prop: 'planned', workoutModel: workout, api: api});
@@ -1567,6 +3141,7 @@ let models = {
     cadence,
     speed,
     smo2,
+    smo2Zones,
     thb,
     sources,
 
@@ -1577,7 +3152,14 @@ let models = {
     powerLap,
     powerAvg,
     powerInZone,
+    heartRateInZone,
     kcal,
+    tss,
+    wPrimeBalance,
+    hrv,
+    heartRateControl,
+    powerComparison,
+    powerMatch,
 
     heartRateLap,
     heartRateAvg,
@@ -1589,17 +3171,32 @@ let models = {
     resistanceTarget,
     slopeTarget,
     cadenceTarget,
+    heartRateTarget,
 
     mode,
     page,
+    powerZones,
     ftp,
     weight,
+    bikeProfile,
+    gearing,
+    cp,
+    wPrime,
+    lthr,
+    maxHeartRate,
+    restingHeartRate,
+    heartRateZones,
+    powerMatchMaxOffset,
     volume,
     theme,
     measurement,
     dataTileSwitch,
+    calibrations,
+    raceControllerBindings,
 
     activity,
+    powerCurve,
+    outbox,
     workout,
     workouts,
     planned,
@@ -0,0 +1,146 @@
+import { empty, } from '../functions.js';
+import { idb } from '../storage/idb.js';
+import { UploadResult } from './enums.js';
+
+//
+// Outbox
+//
+// uploads waiting for a service, kept in the 'outbox' idb store until the
+// service takes them or refuses them
+//
+// - a failed attempt is retried with exponential backoff
+// - everything is retried right away when the browser comes back online
+//   and on app start
+//
+// {id: String, service: String, activityId: UUID, attempts: Int, next: Timestamp}
+//
+
+function Outbox(args = {}) {
+    const defaults = {
+        storeName: 'outbox',
+        baseDelay: 30 * 1000,      // ms
+        maxDelay:  60 * 60 * 1000, // ms
+    };
+
+    const storeName = args.storeName ?? defaults.storeName;
+    const baseDelay = args.baseDelay ?? defaults.baseDelay;
+    const maxDelay  = args.maxDelay ?? defaults.maxDelay;
+    const now       = args.now ?? Date.now;
+
+    // Service, UUID -> UploadResult
+    const send      = args.send;
+    // UUID, Service, String -> Void
+    const onStatus  = args.onStatus ?? (() => {});
+
+    let timeout;
+    let flushing = false;
+    let abortController;
+
+    function toId(service, activityId) {
+        return `${service}:${activityId}`;
+    }
+
+    // Int -> ms
+    function backoff(attempts) {
+        return Math.min(maxDelay, baseDelay * 2**(Math.max(1, attempts) - 1));
+    }
+
+    function isOnline() {
+        return globalThis.navigator?.onLine ?? true;
+    }
+
+    async function list() {
+        return await idb.getAll(storeName) ?? [];
+    }
+
+    async function enqueue(service, activityId) {
+        await idb.put(storeName, {
+            id: toId(service, activityId),
+            service,
+            activityId,
+            attempts: 0,
+            next: now(),
+        });
+        onStatus(activityId, service, 'queued');
+        return flush();
+    }
+
+    // drops the uploads of a removed activity
+    async function remove(activityId) {
+        const entries = (await list()).filter((x) => x.activityId === activityId);
+        for(const entry of entries) {
+            await idb.remove(storeName, entry.id);
+        }
+    }
+
+    async function attempt(entry) {
+        onStatus(entry.activityId, entry.service, 'loading');
+
+        const res = await send(entry.service, entry.activityId);
+
+        if(res === UploadResult.retry) {
+            entry.attempts += 1;
+            entry.next = now() + backoff(entry.attempts);
+            await idb.put(storeName, entry);
+            console.log(`:outbox :retry ${entry.id} :attempts ${entry.attempts}`);
+            onStatus(entry.activityId, entry.service, 'queued');
+            return;
+        }
+
+        await idb.remove(storeName, entry.id);
+        onStatus(entry.activityId, entry.service, res.substring(1));
+    }
+
+    // sends the uploads that are due, or all of them with force
+    async function flush(force = false) {
+        if(flushing || !isOnline()) return;
+        flushing = true;
+
+        try {
+            for(const entry of await list()) {
+                if(!force && entry.next > now()) continue;
+                await attempt(entry);
+            }
+        } finally {
+            flushing = false;
+        }
+
+        schedule(await list());
+    }
+
+    function schedule(entries) {
+        clearTimeout(timeout);
+        if(empty(entries)) return;
+
+        const next = Math.min(...entries.map((x) => x.next));
+        timeout = setTimeout(flush, Math.max(0, next - now()));
+    }
+
+    function onOnline() {
+        console.log(`:outbox :online`);
+        flush(true);
+    }
+
+    function start() {
+        abortController = new AbortController();
+        globalThis.addEventListener?.('online', onOnline, {signal: abortController.signal});
+        return flush(true);
+    }
+
+    function stop() {
+        clearTimeout(timeout);
+        abortController?.abort();
+    }
+
+    return Object.freeze({
+        backoff,
+        list,
+        enqueue,
+        remove,
+        flush,
+        start,
+        stop,
+    });
+}
+
+export { Outbox };
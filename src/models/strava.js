@@ -1,5 +1,5 @@
 import { xf, once, } from '../functions.js';
-import { OAuthService, DialogMsg, stateParam, } from './enums.js';
+import { OAuthService, DialogMsg, UploadResult, isRetryStatus, stateParam, } from './enums.js';
 import config from './config.js';
 
 function Strava(args = {}) {
@@ -105,7 +105,10 @@ function Strava(args = {}) {
             });
 
             if(response.ok) {
-                return ':success';
+                return UploadResult.success;
+            } else if(isRetryStatus(response.status)) {
+                console.log(`:api :upload :retry :status ${response.status}`);
+                return UploadResult.retry;
             } else {
                 if(response.status === 403) {
                     console.log(`:api :no-auth`);
@@ -113,11 +116,12 @@ function Strava(args = {}) {
 
                     xf.dispatch('ui:modal:error:open', DialogMsg.noAuth);
                 }
-                return ':fail';
+                return UploadResult.fail;
             }
         } catch(e) {
             console.log(`:strava :upload :error `, e);
-            return ':fail';
+            // offline or the request didn't make it
+            return UploadResult.retry;
         }
     }
 
@@ -1,5 +1,5 @@
 import { xf, once, } from '../functions.js';
-import { OAuthService, DialogMsg, stateParam, } from './enums.js';
+import { OAuthService, DialogMsg, UploadResult, isRetryStatus, stateParam, } from './enums.js';
 import config from './config.js';
 
 function TrainingPeaks(args = {}) {
@@ -108,7 +108,10 @@ function TrainingPeaks(args = {}) {
             });
 
             if(response.ok) {
-                return ':success';
+                return UploadResult.success;
+            } else if(isRetryStatus(response.status)) {
+                console.log(`:api :upload :retry :status ${response.status}`);
+                return UploadResult.retry;
             } else {
                 if(response.status === 403) {
                     console.log(`:api :no-auth`);
@@ -116,11 +119,12 @@ function TrainingPeaks(args = {}) {
 
                     xf.dispatch('ui:modal:error:open', DialogMsg.noAuth);
                 }
-                return ':fail';
+                return UploadResult.fail;
             }
         } catch(e) {
             console.log(`:trainingPeaks :upload :error `, e);
-            return ':fail';
+            // offline or the request didn't make it
+            return UploadResult.retry;
         }
     }
 
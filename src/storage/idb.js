@@ -47,7 +47,11 @@ function IDB(args = {}) {
                 case 0: createStores(storeNames);
                 case 1: update(storeNames);
                 case 2: update(storeNames);
-                case 3: latest(storeNames);
+                case 3: update(storeNames);
+                case 4: update(storeNames);
+                case 5: update(storeNames);
+                case 6: update(storeNames);
+                case 7: latest(storeNames);
                 }
             };
             openReq.onerror = function() {
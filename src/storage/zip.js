@@ -0,0 +1,209 @@
+//
+// ZIP
+//
+// writes stored (uncompressed) archives and reads stored or deflated ones,
+// deflate is left to the browser's DecompressionStream
+//
+// Entry: {name: String, data: Uint8Array}
+//
+
+const signature = {
+    local:   0x04034b50,
+    central: 0x02014b50,
+    end:     0x06054b50,
+};
+
+const method = {
+    stored:   0,
+    deflated: 8,
+};
+
+const version = 20;
+// names are utf-8
+const flags = 0x0800;
+
+const crcTable = (function() {
+    const table = new Uint32Array(256);
+    for(let n = 0; n < 256; n++) {
+        let c = n;
+        for(let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Uint8Array -> Uint32
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for(let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Date -> {time: Uint16, date: Uint16}
+function toDosTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+// String | Uint8Array -> Uint8Array
+function toBytes(data) {
+    if(typeof data === 'string') return new TextEncoder().encode(data);
+    return new Uint8Array(data);
+}
+
+// [Entry], Date -> Uint8Array
+function write(entries = [], date = new Date()) {
+    const { time, date: day } = toDosTime(date);
+    const files = entries.map((entry) => {
+        const name = toBytes(entry.name);
+        const data = toBytes(entry.data);
+        return {name, data, crc: crc32(data)};
+    });
+
+    const localSize   = files.reduce((acc, f) => acc + 30 + f.name.length + f.data.length, 0);
+    const centralSize = files.reduce((acc, f) => acc + 46 + f.name.length, 0);
+
+    const buffer = new Uint8Array(localSize + centralSize + 22);
+    const view   = new DataView(buffer.buffer);
+    const offsets = [];
+    let i = 0;
+
+    for(const f of files) {
+        offsets.push(i);
+        view.setUint32(i, signature.local, true);
+        view.setUint16(i + 4, version, true);
+        view.setUint16(i + 6, flags, true);
+        view.setUint16(i + 8, method.stored, true);
+        view.setUint16(i + 10, time, true);
+        view.setUint16(i + 12, day, true);
+        view.setUint32(i + 14, f.crc, true);
+        view.setUint32(i + 18, f.data.length, true);
+        view.setUint32(i + 22, f.data.length, true);
+        view.setUint16(i + 26, f.name.length, true);
+        view.setUint16(i + 28, 0, true);
+        buffer.set(f.name, i + 30);
+        buffer.set(f.data, i + 30 + f.name.length);
+        i += 30 + f.name.length + f.data.length;
+    }
+
+    const centralOffset = i;
+
+    files.forEach((f, index) => {
+        view.setUint32(i, signature.central, true);
+        view.setUint16(i + 4, version, true);
+        view.setUint16(i + 6, version, true);
+        view.setUint16(i + 8, flags, true);
+        view.setUint16(i + 10, method.stored, true);
+        view.setUint16(i + 12, time, true);
+        view.setUint16(i + 14, day, true);
+        view.setUint32(i + 16, f.crc, true);
+        view.setUint32(i + 20, f.data.length, true);
+        view.setUint32(i + 24, f.data.length, true);
+        view.setUint16(i + 28, f.name.length, true);
+        // extra, comment, disk, internal and external attributes stay 0
+        view.setUint32(i + 42, offsets[index], true);
+        buffer.set(f.name, i + 46);
+        i += 46 + f.name.length;
+    });
+
+    view.setUint32(i, signature.end, true);
+    view.setUint16(i + 8, files.length, true);
+    view.setUint16(i + 10, files.length, true);
+    view.setUint32(i + 12, centralSize, true);
+    view.setUint32(i + 16, centralOffset, true);
+
+    return buffer;
+}
+
+// the end of central directory record is the last thing in the file,
+// followed only by an optional comment
+// DataView -> Int
+function findEnd(view) {
+    for(let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 22 - 0xFFFF); i--) {
+        if(view.getUint32(i, true) === signature.end) return i;
+    }
+    return -1;
+}
+
+// Uint8Array -> Promise<Uint8Array>
+async function inflate(bytes) {
+    const stream = new DecompressionStream('deflate-raw');
+    const writer = stream.writable.getWriter();
+    writer.write(bytes);
+    writer.close();
+
+    const chunks = [];
+    const reader = stream.readable.getReader();
+    while(true) {
+        const { done, value } = await reader.read();
+        if(done) break;
+        chunks.push(value);
+    }
+
+    const res = new Uint8Array(chunks.reduce((acc, c) => acc + c.length, 0));
+    let offset = 0;
+    for(const chunk of chunks) {
+        res.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return res;
+}
+
+// ArrayBuffer | Uint8Array -> Promise<[Entry]>
+async function read(archive) {
+    const bytes = new Uint8Array(archive.buffer ?? archive, archive.byteOffset ?? 0, archive.byteLength);
+    const view  = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end   = findEnd(view);
+
+    if(end < 0) throw new Error('not a zip archive');
+
+    const count = view.getUint16(end + 10, true);
+    let i = view.getUint32(end + 16, true);
+    const entries = [];
+
+    for(let n = 0; n < count; n++) {
+        if(view.getUint32(i, true) !== signature.central) {
+            throw new Error('broken zip central directory');
+        }
+
+        const entryMethod = view.getUint16(i + 10, true);
+        const size        = view.getUint32(i + 20, true);
+        const nameLength  = view.getUint16(i + 28, true);
+        const extraLength = view.getUint16(i + 30, true);
+        const commentLength = view.getUint16(i + 32, true);
+        const offset      = view.getUint32(i + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(i + 46, i + 46 + nameLength));
+
+        i += 46 + nameLength + extraLength + commentLength;
+
+        // folders
+        if(name.endsWith('/')) continue;
+
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const raw   = bytes.subarray(start, start + size);
+
+        if(entryMethod === method.stored) {
+            entries.push({name, data: raw.slice()});
+        } else if(entryMethod === method.deflated) {
+            entries.push({name, data: await inflate(raw)});
+        } else {
+            console.warn(`:zip :unsupported-method ${entryMethod} '${name}'`);
+        }
+    }
+
+    return entries;
+}
+
+const zip = {
+    crc32,
+    write,
+    read,
+};
+
+export { zip };
@@ -15,7 +15,12 @@ const resources = [
     'favicon-180.png',
     'index.js',
 
+    'activity/analysis.js',
     'activity/enums.js',
+    'activity/gearing.js',
+    'activity/hrv.js',
+    'activity/smo2.js',
+    'activity/zones.js',
 
     'ant/ant.js',
     'ant/channel.js',
@@ -29,7 +34,9 @@ const resources = [
     'ant/hrm.js',
     'ant/message.js',
     'ant/polyfill.js',
+    'ant/power.js',
     'ant/search-channel.js',
+    'ant/speed-cadence.js',
     'ant/types.js',
     'ant/web-serial.js',
     'ant/web-usb.js',
@@ -68,6 +75,7 @@ const resources = [
     'ble/moxy/moxy.js',
     'ble/moxy/smo2.js',
 
+    'ble/rcs/control-point.js',
     'ble/rcs/race-controller-measurement.js',
     'ble/rcs/rcs.js',
 
@@ -97,6 +105,7 @@ const resources = [
     'fit/fitjs.js',
     'fit/local-activity.js',
     'fit/local-course.js',
+    'fit/local-workout.js',
     'fit/record-header.js',
     'fit/profiles/base-types.js',
     'fit/profiles/global-field-definitions.js',
@@ -111,14 +120,17 @@ const resources = [
     'models/enums.js',
     'models/intervals.js',
     'models/models.js',
+    'models/outbox.js',
     'models/strava.js',
     'models/training-peaks.js',
 
     'storage/idb.js',
     'storage/local-storage.js',
     'storage/uuid.js',
+    'storage/zip.js',
 
     'views/active-list-item.js',
+    'views/activity-detail.js',
     'views/activity-list.js',
     'views/ant-device-scan.js',
     'views/auth-forms.js',
@@ -127,9 +139,18 @@ const resources = [
     'views/editor.js',
     'views/effect-views.js',
     'views/graph.js',
+    'views/heart-rate-zones.js',
+    'views/smo2-zones.js',
+    'views/bike-profile.js',
+    'views/gearing.js',
+    'views/calibration.js',
     'views/keyboard.js',
+    'views/race-controller.js',
     'views/moxy-graph.js',
+    'views/notifications.js',
     'views/planned-list.js',
+    'views/power-curve.js',
+    'views/power-zones.js',
     'views/tabs.js',
     'views/views.js',
     'views/watch.js',
@@ -139,6 +160,12 @@ const resources = [
 
     'workouts/workouts.js',
     'workouts/zwo.js',
+    'workouts/erg.js',
+    'workouts/gpx.js',
+    'workouts/tcx.js',
+    'workouts/track.js',
+    'workouts/library.js',
+    'workouts/archive.js',
 
     'course.js',
     'db.js',
@@ -0,0 +1,250 @@
+import { xf, exists, equals, empty, formatDate, toFixed, } from '../functions.js';
+import { models } from '../models/models.js';
+import { formatTime, } from '../utils.js';
+import { powerCurveChart, durationToString, } from './power-curve.js';
+
+class ActivityDetail extends HTMLElement {
+    // post-ride analysis of an activity, opened from the activity list
+    constructor() {
+        super();
+        this.activities = [];
+        // the all-time and recent envelopes the ride is drawn against
+        this.recentCurve = models.powerCurve.default;
+        this.activityId = undefined;
+        // the SmO2 zones of the open activity, if it was a 5-1-5 test
+        this.testZones = undefined;
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        xf.sub('db:activity', self.onActivities.bind(this), this.signal);
+        xf.sub('db:powerCurve', self.onPowerCurve.bind(this), this.signal);
+        xf.sub('ui:activity:analysis', self.onOpen.bind(this), this.signal);
+        xf.sub('action:activity-detail', self.onAction.bind(this), this.signal);
+        xf.sub('activity:remove', self.onRemove.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onActivities(activities) {
+        this.activities = activities;
+    }
+    onPowerCurve(powerCurve) {
+        this.recentCurve = powerCurve;
+    }
+    async onOpen(id) {
+        this.activityId = id;
+        this.classList.add('active');
+        this.innerHTML = `<div class="activity-detail--loading">Loading ...</div>`;
+
+        const summary = this.activities.find((a) => equals(a.id, id)) ?? {};
+        const analysis = await models.activity.analyze(id);
+
+        // another one was opened meanwhile
+        if(!equals(id, this.activityId)) return;
+
+        if(!exists(analysis)) {
+            this.innerHTML = `<div class="activity-detail--loading">No data</div>`;
+            return;
+        }
+
+        this.testZones = analysis.smo2Zones;
+        this.innerHTML = this.template(summary, analysis);
+        this.scrollIntoView({behavior: 'smooth', block: 'start'});
+    }
+    onRemove(id) {
+        if(equals(id, this.activityId)) this.close();
+    }
+    onAction(action) {
+        if(action === ':close') this.close();
+        if(action === ':smo2-zones' && exists(this.testZones)) {
+            xf.dispatch('ui:smo2-zones-set', this.testZones);
+        }
+    }
+    close() {
+        this.activityId = undefined;
+        this.testZones = undefined;
+        this.classList.remove('active');
+        this.innerHTML = '';
+    }
+    time(seconds) {
+        return formatTime({value: Math.round(seconds), format: 'hh:mm:ss'});
+    }
+    value(x, unit) {
+        return exists(x) ? `${x} ${unit}` : '--';
+    }
+    totals(totals) {
+        const item = (name, value) => `
+            <div class="activity-detail--total">
+                <div class="activity-detail--total--name">${name}</div>
+                <div class="activity-detail--total--value">${value}</div>
+            </div>`;
+
+        return `
+            <div class="activity-detail--totals">
+                ${item('Duration', this.time(totals.duration))}
+                ${item('Distance', `${toFixed(totals.distance / 1000, 2)} km`)}
+                ${item('Work', `${totals.work} kJ`)}
+                ${item('Avg Power', this.value(totals.power?.avg, 'W'))}
+                ${item('Max Power', this.value(totals.power?.max, 'W'))}
+                ${item('Avg Heart Rate', this.value(totals.heartRate?.avg, 'bpm'))}
+                ${item('Max Heart Rate', this.value(totals.heartRate?.max, 'bpm'))}
+                ${item('Avg Cadence', this.value(totals.cadence?.avg, 'rpm'))}
+            </div>
+        `;
+    }
+    // [Number], String, String -> SVG
+    chart(values, name, label) {
+        if(empty(values) || values.every((x) => equals(x, 0))) return '';
+
+        const max = Math.max(...values);
+        const points = values
+              .map((x, i) => `${i},${toFixed(100 - (100 * x / max), 1)}`)
+              .join(' ');
+
+        return `
+            <div class="activity-detail--chart ${name}">
+                <div class="activity-detail--chart--name">${label}</div>
+                <svg viewBox="0 0 ${Math.max(1, values.length - 1)} 100" preserveAspectRatio="none">
+                    <polyline points="${points}" vector-effect="non-scaling-stroke" />
+                </svg>
+            </div>
+        `;
+    }
+    timeInZone(seconds) {
+        const total = Math.max(1, seconds.reduce((acc, x) => acc + x, 0));
+
+        const zones = models.ftp.zoneModel.zones;
+
+        const rows = seconds.map((x, i) => `
+            <div class="activity-detail--zone">
+                <div class="activity-detail--zone--name">${zones[i]?.label ?? `Z${i+1}`}</div>
+                <div class="activity-detail--zone--bar">
+                    <div class="zone-${models.ftp.zones[i]}" style="width: ${toFixed(100 * x / total, 1)}%; background-color: ${zones[i]?.color}"></div>
+                </div>
+                <div class="activity-detail--zone--value">${this.time(x)}</div>
+            </div>`).join('');
+
+        return `
+            <div class="activity-detail--section">
+                <h3 class="activity-detail--heading">Time in Zone</h3>
+                ${rows}
+            </div>
+        `;
+    }
+    bestEfforts(efforts) {
+        if(empty(efforts)) return '';
+
+        const rows = efforts.map((x) => `
+            <tr>
+                <td>${durationToString(x.duration)}</td>
+                <td>${x.power} W</td>
+            </tr>`).join('');
+
+        return `
+            <div class="activity-detail--section">
+                <h3 class="activity-detail--heading">Best Efforts</h3>
+                <table class="activity-detail--table">${rows}</table>
+            </div>
+        `;
+    }
+    // the ride against the best of the last 90 days
+    powerCurve(curve) {
+        if(empty(curve)) return '';
+
+        return `
+            <div class="activity-detail--section">
+                <h3 class="activity-detail--heading">Power Curve</h3>
+                ${powerCurveChart([
+                    {name: 'recent', curve: this.recentCurve.recent},
+                    {name: 'ride', curve},
+                ])}
+            </div>
+        `;
+    }
+    laps(laps) {
+        if(empty(laps)) return '';
+
+        // desaturation and reoxygenation rates only for rides with a Moxy
+        const hasSmO2 = laps.some((lap) => exists(lap.smo2DesaturationRate));
+        const smo2 = (lap) => hasSmO2 ? `
+                <td>${this.value(lap.smo2DesaturationRate, '%/min')}</td>
+                <td>${this.value(lap.smo2ReoxygenationRate, '%/min')}</td>` : '';
+
+        const rows = laps.map((lap) => `
+            <tr>
+                <td>${lap.index + 1}</td>
+                <td>${this.time(lap.duration)}</td>
+                <td>${this.value(lap.power, 'W')}</td>
+                <td>${this.value(lap.heartRate, 'bpm')}</td>
+                <td>${this.value(lap.cadence, 'rpm')}</td>${smo2(lap)}
+            </tr>`).join('');
+
+        return `
+            <div class="activity-detail--section">
+                <h3 class="activity-detail--heading">Laps</h3>
+                <table class="activity-detail--table">
+                    <tr><th>#</th><th>Time</th><th>Power</th><th>HR</th><th>Cadence</th>${
+                        hasSmO2 ? '<th>Desat</th><th>Reox</th>' : ''
+                    }</tr>
+                    ${rows}
+                </table>
+            </div>
+        `;
+    }
+    // the SmO2 zones of a 5-1-5 test, can be made the athlete's zones
+    smo2Zones(zones) {
+        if(!exists(zones)) return '';
+
+        return `
+            <div class="activity-detail--section">
+                <h3 class="activity-detail--heading">SmO2 Zones</h3>
+                <table class="activity-detail--table">
+                    <tr><td>Desaturated</td><td>&lt; ${zones.one} %</td></tr>
+                    <tr><td>Working</td><td>${zones.one} - ${zones.two} %</td></tr>
+                    <tr><td>Recovering</td><td>&gt; ${zones.two} %</td></tr>
+                </table>
+                <view-action
+                    class="flat-btn activity-detail--smo2-zones"
+                    action=":smo2-zones"
+                    topic=":activity-detail">
+                    <span>Use as my SmO2 Zones</span>
+                </view-action>
+            </div>
+        `;
+    }
+    template(summary, analysis) {
+        const date = exists(summary.timestamp) ?
+              formatDate({date: new Date(summary.timestamp), separator: '/'}) : '';
+
+        return `
+            <div class="activity-detail--header">
+                <div>
+                    <div class="activity-detail--name">${summary.name ?? ''}</div>
+                    <div class="activity-detail--date">${date}</div>
+                </div>
+                <view-action
+                    class="activity-detail--close"
+                    action=":close"
+                    topic=":activity-detail">
+                    <span>Close</span>
+                </view-action>
+            </div>
+            ${this.totals(analysis.totals)}
+            <div class="activity-detail--charts">
+                ${this.chart(analysis.series.power, 'power', 'Power')}
+                ${this.chart(analysis.series.heartRate, 'heart-rate', 'Heart Rate')}
+                ${this.chart(analysis.series.cadence, 'cadence', 'Cadence')}
+            </div>
+            ${this.timeInZone(analysis.timeInZone)}
+            ${this.bestEfforts(analysis.bestEfforts)}
+            ${this.powerCurve(analysis.powerCurve)}
+            ${this.laps(analysis.laps)}
+            ${this.smo2Zones(analysis.smo2Zones)}
+        `;
+    }
+}
+
+customElements.define('activity-detail', ActivityDetail);
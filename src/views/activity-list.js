@@ -1,11 +1,15 @@
-import { xf, formatDate, } from '../functions.js';
+import { xf, exists, empty, formatDate, toFixed, } from '../functions.js';
 import { models } from '../models/models.js';
 import { formatTime, } from '../utils.js';
 
 class ActivityList extends HTMLElement {
+    // shows a page of activities at a time, filtered by the search
     constructor() {
         super();
-        this.capacity = 3;
+        this.pageSize = 10;
+        this.shown = this.pageSize;
+        this.search = '';
+        this.activities = [];
         this.index = 0;
     }
     connectedCallback() {
@@ -13,29 +17,71 @@ class ActivityList extends HTMLElement {
         this.abortController = new AbortController();
         this.signal = { signal: self.abortController.signal };
 
+        this.innerHTML = this.layout();
+        this.$search = this.querySelector('.activity--search');
+        this.$items = this.querySelector('.activity--items');
+        this.$more = this.querySelector('.activity--more');
+
+        this.$search.addEventListener('input', self.onSearch.bind(this), this.signal);
+        xf.sub('action:activity-list', self.onAction.bind(this), this.signal);
         xf.sub('activity:add', self.onAdd.bind(this), this.signal);
         xf.sub('db:activity', self.onRestore.bind(this), this.signal);
     }
     disconnectedCallback() {
         this.abortController.abort();
-        this.unsubs();
     }
     onAdd(activity) {
-        const self = this;
-        self.insertAdjacentHTML("afterbegin", self.template(this.index, activity));
+        if(!this.activities.includes(activity)) this.activities.unshift(activity);
+        this.render();
         xf.dispatch(`action:activity:${this.id(activity)}`, ':toggleExpand');
-
-        if(this.childElementCount > 3) {
-            self.removeChild(self.lastElementChild);
+    }
+    onRestore(activities) {
+        this.activities = activities;
+        this.render();
+    }
+    onSearch(e) {
+        this.search = e.target.value.trim().toLowerCase();
+        this.shown = this.pageSize;
+        this.render();
+    }
+    onAction(action) {
+        if(action === ':more') {
+            this.shown += this.pageSize;
+            this.render();
         }
+    }
+    // matches the name and the date
+    filtered() {
+        if(empty(this.search)) return this.activities;
+        return this.activities.filter((a) =>
+            `${this.name(a)} ${this.date(a)}`.toLowerCase().includes(this.search)
+        );
+    }
+    render() {
+        const activities = this.filtered();
 
-        this.index++;
+        this.$items.innerHTML = activities
+            .slice(0, this.shown)
+            .map((a) => this.template(this.index++, a))
+            .join('');
+
+        this.$more.classList.toggle('active', activities.length > this.shown);
     }
-    onRestore(activities) {
-        const self = this;
-        activities.forEach((a) => {
-            self.insertAdjacentHTML("beforeend", self.template(this.index, a));
-        });
+    layout() {
+        return `
+            <div class="list--row--outer">
+                <div class="list--row--inner">
+                    <input class="activity--search" type="search" placeholder="Search" />
+                </div>
+            </div>
+            <div class="activity--items"></div>
+            <view-action
+                class="activity--more"
+                action=":more"
+                topic=":activity-list">
+                <span>More</span>
+            </view-action>
+        `;
     }
     id(data) {
         return data.id;
@@ -56,6 +102,35 @@ class ActivityList extends HTMLElement {
     uploadStatus(data) {
         return data.status;
     }
+    // second power stream against the power source, scatter and fit
+    comparison(data) {
+        const comparison = data.powerComparison;
+        if(!exists(comparison)) return '';
+
+        const max  = Math.max(1, ...comparison.points.flat());
+        const toX  = (watts) => toFixed(100 * watts / max, 1);
+        const toY  = (watts) => toFixed(100 - (100 * watts / max), 1);
+        const sign = (x) => x > 0 ? '+' : '';
+
+        const dots = comparison.points
+              .map(([x, y]) => `<circle cx="${toX(x)}" cy="${toY(y)}" r="1" />`)
+              .join('');
+
+        return `
+            <div class="activity--comparison">
+                <svg class="activity--comparison--scatter" viewBox="0 0 100 100" preserveAspectRatio="none">
+                    <line x1="0" y1="100" x2="100" y2="0" />
+                    ${dots}
+                </svg>
+                <div class="activity--comparison--stats">
+                    <div>Offset ${sign(comparison.offset)}${comparison.offset} W</div>
+                    <div>Ratio ${comparison.ratio}</div>
+                    <div>Fit ${comparison.slope}x ${sign(comparison.intercept)}${comparison.intercept} W</div>
+                    <div>${comparison.count} s</div>
+                </div>
+            </div>
+        `;
+    }
     template(i, data) {
         const status = this.uploadStatus(data);
 
@@ -88,10 +163,16 @@ class ActivityList extends HTMLElement {
                                 </view-action>
                             </div>
                             <div class="activity--info--full">
+                                ${this.comparison(data)}
                                 <div class="activity--image">
                                 </div>
                                 <div class="activity--actions">
-                                    <div></div>
+                                    <view-action
+                                        class="activity--action action--analysis"
+                                        action=":analysis"
+                                        topic=":activity:${this.id(data)}">
+                                        <span class="activity--analysis">Analysis</span>
+                                    </view-action>
                                     <view-action
                                         class="activity--action action--intervals"
                                         action=":intervals:upload"
@@ -190,6 +271,10 @@ class ActivityItem extends HTMLElement {
             this.remove();
             return;
         }
+        if(action === ':analysis') {
+            xf.dispatch('ui:activity:analysis', this.id);
+            return;
+        }
 
         if(action === ':download') {
             models.activity.download(this.id);
@@ -211,12 +296,24 @@ class ActivityItem extends HTMLElement {
             return;
         }
 
+        if(action === ':strava:upload:queued') {
+            this.onQueued(this.$indicatorStrava);
+        }
+        if(action === ':strava:upload:loading') {
+            this.onLoading(this.$indicatorStrava);
+        }
         if(action === ':strava:upload:success') {
             this.onSuccess(this.$indicatorStrava);
         }
         if(action === ':strava:upload:fail') {
             this.onFail(this.$indicatorStrava);
         }
+        if(action === ':intervals:upload:queued') {
+            this.onQueued(this.$indicatorIntervals);
+        }
+        if(action === ':intervals:upload:loading') {
+            this.onLoading(this.$indicatorIntervals);
+        }
         if(action === ':intervals:upload:success') {
             this.onSuccess(this.$indicatorIntervals);
         }
@@ -230,22 +327,32 @@ class ActivityItem extends HTMLElement {
             this.onFail(this.$indicatorTP);
         }
     }
+    onQueued($el) {
+        $el.classList.remove('fail');
+        $el.classList.remove('success');
+        $el.classList.remove('none');
+        $el.classList.remove('loading');
+        $el.classList.add('queued');
+    }
     onLoading($el) {
         $el.classList.remove('fail');
         $el.classList.remove('success');
         $el.classList.remove('none');
+        $el.classList.remove('queued');
         $el.classList.add('loading');
     }
     onSuccess($el) {
         $el.classList.remove('off');
         $el.classList.remove('none');
         $el.classList.remove('loading');
+        $el.classList.remove('queued');
         $el.classList.add('success');
     }
     onFail($el) {
         $el.classList.remove('success');
         $el.classList.remove('loading');
         $el.classList.remove('none');
+        $el.classList.remove('queued');
         $el.classList.add('fail');
     }
 }
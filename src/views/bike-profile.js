@@ -0,0 +1,67 @@
+import { xf, exists, } from '../functions.js';
+import { models } from '../models/models.js';
+
+class BikeProfileSettings extends HTMLElement {
+    // the bike weight, wheel circumference, crr and CdA that go to the
+    // trainer on connect and into the virtual speed
+    constructor() {
+        super();
+        this.state = models.bikeProfile.default;
+        this.fields = [
+            {prop: 'bikeWeight',         label: 'Bike Weight',         unit: 'kg', step: 0.1,},
+            {prop: 'wheelCircumference', label: 'Wheel Circumference', unit: 'mm', step: 1,},
+            {prop: 'crr',                label: 'Rolling Resistance',  unit: 'Crr', step: 0.0001,},
+            {prop: 'CdA',                label: 'Drag Area',           unit: 'm²', step: 0.001,},
+        ];
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.addEventListener('change', this.onChange.bind(this), this.signal);
+        xf.sub('db:bikeProfile', this.onUpdate.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onUpdate(state) {
+        this.state = state;
+        this.render();
+    }
+    onChange(e) {
+        const prop = e.target.dataset.prop;
+        if(!exists(prop)) return;
+
+        const value = parseFloat(e.target.value);
+        if(isNaN(value)) return;
+
+        xf.dispatch('ui:bike-profile-set', {[prop]: value});
+    }
+    render() {
+        const limits = models.bikeProfile.limits;
+
+        this.innerHTML = `
+            <div class="power-zones--header">
+                <label class="settings-tile--label">Bike</label>
+            </div>
+            <div class="bike-profile--list">
+                ${this.fields.map((field) => `
+                    <div class="bike-profile--item">
+                        <span class="bike-profile--label">${field.label}</span>
+                        <input class="bike-profile--input" type="number"
+                               min="${limits[field.prop][0]}" max="${limits[field.prop][1]}" step="${field.step}"
+                               data-prop="${field.prop}" value="${this.state[field.prop]}" />
+                        <span class="bike-profile--unit">${field.unit}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+}
+
+customElements.define('bike-profile-settings', BikeProfileSettings);
+
+export {
+    BikeProfileSettings,
+};
@@ -0,0 +1,127 @@
+import { xf, exists, equals, empty, first, formatDate, } from '../functions.js';
+import { models } from '../models/models.js';
+
+class CalibrationWizard extends HTMLElement {
+    // guides the spin down of a trainer and the zero offset of a power meter,
+    // the device tells what comes next, and shows the past results of the
+    // connected device
+    //
+    // <calibration-wizard for="ble:controllable" types="spinDown zeroOffset">
+    constructor() {
+        super();
+        this.labels = {
+            spinDown:   'Spin Down',
+            zeroOffset: 'Zero Offset',
+        };
+        this.calibration = {};
+        this.calibrations = models.calibrations.state;
+        this.deviceId = undefined;
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.for = this.getAttribute('for');
+        this.types = (this.getAttribute('types') ?? 'spinDown zeroOffset').split(' ');
+
+        this.render();
+
+        this.addEventListener('pointerup', this.onStart.bind(this), this.signal);
+        xf.sub('db:calibration', this.onCalibration.bind(this), this.signal);
+        xf.sub('db:calibrations', this.onCalibrations.bind(this), this.signal);
+        xf.sub(`${this.for}:id`, this.onDeviceId.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onStart(e) {
+        const type = e.target.closest('[data-type]')?.dataset.type;
+        if(!exists(type)) return;
+
+        xf.dispatch('ui:calibration:start', {identifier: this.for, type});
+    }
+    onCalibration(calibration) {
+        if(!equals(calibration.identifier, this.for)) return;
+
+        this.calibration = calibration;
+        this.render();
+    }
+    onCalibrations(calibrations) {
+        this.calibrations = calibrations;
+        this.render();
+    }
+    onDeviceId(deviceId) {
+        this.deviceId = deviceId;
+        this.calibration = {};
+        this.render();
+    }
+    speed(calibration) {
+        const low  = calibration.targetSpeedLow;
+        const high = calibration.targetSpeedHigh;
+
+        if(!exists(low) || !exists(high)) return '';
+        if(equals(Math.round(low), Math.round(high))) return ` to ${Math.round(high)} km/h`;
+        return ` to ${Math.round(low)}-${Math.round(high)} km/h`;
+    }
+    result(calibration) {
+        if(equals(calibration.status, 'error')) {
+            return calibration.incorrectCalibrationPosition ?
+                'Failed, the crank arm is not straight down' :
+                'Failed';
+        }
+        if(exists(calibration.offset)) return `Offset ${calibration.offset}`;
+        if(exists(calibration.spinDownTime)) return `Spin down ${calibration.spinDownTime} ms`;
+        return 'Done';
+    }
+    // Calibration -> String
+    step(calibration) {
+        const status = calibration.status;
+
+        if(equals(status, 'requested') && equals(calibration.type, 'zeroOffset')) {
+            return 'Unclip, put the crank arm straight down and keep still';
+        }
+        if(equals(status, 'requested')) return 'Waiting for the trainer';
+        if(equals(status, 'speedUp')) return `Speed up${this.speed(calibration)}`;
+        if(equals(status, 'stopPedaling')) return 'Stop pedaling and let the flywheel spin down';
+        if(equals(status, 'inProgress')) return 'Calibrating, keep still';
+        if(equals(status, 'notSupported')) return 'Not supported by this device';
+        if(models.calibrations.isDone(calibration)) return this.result(calibration);
+
+        return equals(first(this.types), 'spinDown') ?
+            'Warm up the trainer for 10 min before a spin down' :
+            'Calibrate with the bike still and unloaded';
+    }
+    history() {
+        if(!exists(this.deviceId)) return [];
+        return models.calibrations.history(this.deviceId, this.calibrations);
+    }
+    render() {
+        const history = this.history();
+
+        this.innerHTML = `
+            <div class="calibration--actions">
+                ${this.types.map((type) => `
+                    <button class="calibration--btn flat-btn" data-type="${type}">${this.labels[type]}</button>
+                `).join('')}
+                <div class="calibration--step ${this.calibration.status ?? ''}">${this.step(this.calibration)}</div>
+            </div>
+            ${empty(history) ? '' : `
+            <ul class="calibration--history">
+                ${history.map((calibration) => `
+                    <li class="calibration--history--item ${calibration.status}">
+                        <span>${formatDate({date: new Date(calibration.timestamp), separator: '/'})}</span>
+                        <span>${this.labels[calibration.type] ?? calibration.type}</span>
+                        <span>${this.result(calibration)}</span>
+                    </li>
+                `).join('')}
+            </ul>`}
+        `;
+    }
+}
+
+customElements.define('calibration-wizard', CalibrationWizard);
+
+export {
+    CalibrationWizard,
+};
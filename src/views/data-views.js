@@ -2,6 +2,8 @@ import { xf, exists, existance, validate, equals, isNumber, last, empty, avg, to
 import { formatTime } from '../utils.js';
 import { models } from '../models/models.js';
 import { DialogMsg } from '../models/enums.js';
+import { zones } from '../activity/zones.js';
+import { hrv } from '../activity/hrv.js';
 
 
 //
@@ -357,6 +359,34 @@ class CadenceValue extends DataView {
 
 customElements.define('cadence-value', CadenceValue);
 
+class GearValue extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:gear',
+        };
+    }
+    postInit() {
+        this.gearing = models.gearing.default;
+    }
+    subs() {
+        xf.sub(`${this.prop}`, this.onUpdate.bind(this), this.signal);
+        xf.sub('db:gearing', this.onGearing.bind(this), this.signal);
+    }
+    onGearing(gearing) {
+        this.gearing = gearing;
+        this.render();
+    }
+    // the gear from 1 with its chainring and cog, 7 34x15
+    transform(state) {
+        if(!this.gearing.enabled || !exists(state)) return '--';
+
+        const gear = models.gearing.toGear(state, this.gearing);
+        return `${models.gearing.clampGear(state, this.gearing) + 1} ${gear.chainring}x${gear.cog}`;
+    }
+}
+
+customElements.define('gear-value', GearValue);
+
 class CadenceLapValue extends DataView {
     getDefaults() {
         return {
@@ -432,14 +462,92 @@ class HeartRateValue extends DataView {
             prop: 'db:heartRate',
         };
     }
+    // colored by the zone of the selected heart rate model, with its label
     transform(state) {
-        this.style = 'color: #FE340B';
+        if(state > 0) {
+            const zone = models.heartRateZones.heartRateToZone(state);
+            this.style = `color: ${zone.color}`;
+            this.dataset.zone = zone.label;
+        } else {
+            this.style = 'color: #FE340B';
+            delete this.dataset.zone;
+        }
         return Math.round(state);
     }
 }
 
 customElements.define('heart-rate-value', HeartRateValue);
 
+class DFAAlpha1Value extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:dfaAlpha1',
+        };
+    }
+    // colored by the threshold it is at, 0.75 aerobic and 0.5 anaerobic
+    transform(state) {
+        this.dataset.threshold = hrv.toThreshold(state);
+        if(!exists(state)) return '--';
+        return state.toFixed(2);
+    }
+}
+
+customElements.define('dfa-alpha1-value', DFAAlpha1Value);
+
+class RMSSDValue extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:rmssd',
+        };
+    }
+    transform(state) {
+        if(!exists(state)) return '--';
+        return Math.round(state);
+    }
+}
+
+customElements.define('rmssd-value', RMSSDValue);
+
+class HeartRateTarget extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:heartRateTarget',
+        };
+    }
+    transform(state) {
+        if(equals(state, 0)) {
+            return '';
+        }
+
+        return state;
+    }
+}
+
+customElements.define('heart-rate-target', HeartRateTarget);
+
+class HeartRateGroup extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:heartRateTarget',
+        };
+    }
+    config() {
+        this.$main = this.querySelector('heart-rate-value');
+        this.$aux = this.querySelector('heart-rate-target');
+    }
+    render() {
+        if(equals(this.state, 0)) {
+            this.$main.classList.remove('active');
+            this.$aux.classList.remove('active');
+        } else {
+            this.$main.classList.add('active');
+            this.$aux.classList.add('active');
+        }
+    }
+}
+
+customElements.define('heart-rate-group', HeartRateGroup);
+
 class HeartRateLapValue extends DataView {
     getDefaults() {
         return {
@@ -489,19 +597,15 @@ class SmO2Value extends DataView {
     subs() {
         xf.sub(`${this.prop}`, this.onUpdate.bind(this), this.signal);
     }
-
-    // this.style = 'color: #2A5F97';
-    // this.style = 'color: #278B65';
-    // this.style = 'color: #D72A1C';
+    // colored by the SmO2 zones of the athlete, the Moxy colors
     transform(state) {
-        // if(state < models.smo2.zones.one) {
-        //     this.style = 'color: #328AFF';
-        // } else if(state < models.smo2.zones.two) {
-        //     this.style = 'color: #56C057';
-        // } else {
-        //     this.style = 'color: #FE340B';
-        // }
-        this.style = 'color: #56C057';
+        const colors = {one: '#328AFF', two: '#56C057', three: '#FE340B'};
+
+        if(state > 0) {
+            this.style = `color: ${colors[models.smo2Zones.toZone(state)]}`;
+        } else {
+            this.style = `color: ${colors.two}`;
+        }
         return toFixed(state, 1);
     }
 }
@@ -900,30 +1004,102 @@ class KcalAvg extends DataView {
 
 customElements.define('kcal-avg', KcalAvg);
 
+class NormalizedPowerValue extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:normalizedPower',
+        };
+    }
+    transform(state) {
+        return Math.round(state);
+    }
+}
+
+customElements.define('normalized-power-value', NormalizedPowerValue);
+
+class IntensityFactorValue extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:intensityFactor',
+        };
+    }
+    transform(state) {
+        return state.toFixed(2);
+    }
+}
+
+customElements.define('intensity-factor-value', IntensityFactorValue);
+
+class TrainingStressScoreValue extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:trainingStressScore',
+        };
+    }
+    transform(state) {
+        return state.toFixed(1);
+    }
+}
+
+customElements.define('training-stress-score-value', TrainingStressScoreValue);
+
+class WPrimeBalanceValue extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:wPrimeBalance',
+        };
+    }
+    // J -> kJ
+    transform(state) {
+        return (state / 1000).toFixed(1);
+    }
+}
+
+customElements.define('w-prime-balance-value', WPrimeBalanceValue);
+
+class PowerDeltaValue extends DataView {
+    getDefaults() {
+        return {
+            prop: 'db:powerDelta',
+        };
+    }
+    // second power stream minus the power source
+    transform(state) {
+        return state > 0 ? `+${state}` : `${state}`;
+    }
+}
+
+customElements.define('power-delta-value', PowerDeltaValue);
+
 class PowerInZone extends HTMLElement {
     constructor() {
         super();
-        this.state = [[0,0],[0,0],[0,0],[0,0], [0,0],[0,0],[0,0]];
+        this.state = [];
         this.selectors = {
             values: '.power--zone-value',
             bars: '.power--zone-bar',
+            items: '.power--zone',
             btn: '.power--unit',
         };
         this.format = 'percentage';
         this.prop = 'db:powerInZone';
+        this.zonesProp = 'db:powerZones';
+    }
+    zoneModel() {
+        return models.ftp.zoneModel;
     }
     connectedCallback() {
         const self = this;
         this.abortController = new AbortController();
         this.signal = { signal: self.abortController.signal };
 
-        this.$values = this.querySelectorAll(this.selectors.values);
-        this.$bars = this.querySelectorAll(this.selectors.bars);
         this.$btn = this.querySelector(this.selectors.btn);
+        this.renderZones(this.zoneModel());
 
         this.$btn.addEventListener('pointerup', this.onSwitch.bind(this), this.signal);
 
         xf.sub(`${this.prop}`, this.onUpdate.bind(this), this.signal);
+        xf.sub(this.zonesProp, this.onZones.bind(this), this.signal);
     }
     disconnectedCallback() {
         this.abortController.abort();
@@ -932,6 +1108,10 @@ class PowerInZone extends HTMLElement {
         this.state = propValue;
         this.render();
     }
+    onZones() {
+        this.renderZones(this.zoneModel());
+        this.render();
+    }
     onSwitch() {
         if(equals(this.format, 'time')) {
             this.format = 'percentage';
@@ -943,8 +1123,23 @@ class PowerInZone extends HTMLElement {
             this.render();
         }
     }
+    // one bar for each zone of the model, before the unit button
+    renderZones(zoneModel) {
+        this.querySelectorAll(this.selectors.items).forEach(($item) => $item.remove());
+
+        const items = zoneModel.zones.map((zone, i) => `
+            <div class="power--zone power--zone--item">
+                <div class="power--zone-value">0</div>
+                <div class="power--zone-bar zone-${zones.names[i]}" style="background-color: ${zone.color}"></div>
+            </div>`).join('');
+
+        this.$btn.insertAdjacentHTML('beforebegin', items);
+
+        this.$values = this.querySelectorAll(this.selectors.values);
+        this.$bars = this.querySelectorAll(this.selectors.bars);
+    }
     render() {
-        for(let i=0; i < this.state.length; i++) {
+        for(let i=0; i < Math.min(this.state.length, this.$values.length); i++) {
             let text;
             if(equals(this.format, 'percentage')) {
                  text = Math.round(this.state[i][0]*100);
@@ -961,6 +1156,19 @@ class PowerInZone extends HTMLElement {
 
 customElements.define('power-in-zone', PowerInZone);
 
+class HeartRateInZone extends PowerInZone {
+    constructor() {
+        super();
+        this.prop = 'db:heartRateInZone';
+        this.zonesProp = 'db:heartRateZones';
+    }
+    zoneModel() {
+        return models.heartRateZones.active();
+    }
+}
+
+customElements.define('heart-rate-in-zone', HeartRateInZone);
+
 
 class LapsList extends DataView {
     postInit() {
@@ -992,10 +1200,12 @@ class LapsList extends DataView {
             toFixed(lap.avgHeartRate, 0),
             0,
         );
-        const zone = models.ftp.powerToZone(powerLap).name;
+        const zone = models.ftp.powerToZone(powerLap);
 
         const smo2Lap = validate([exists, isNumber], lap.saturated_hemoglobin_percent, 0);
         const thbLap  = validate([exists, isNumber], lap.total_hemoglobin_conc, 0);
+        // %/min, no value without SmO2 in the lap
+        const smo2Rate = (rate) => exists(rate) ? rate.toFixed(1) : '--';
         const coreTemperatureLap = validate(
             [exists, isNumber],
             lap.core_temperature,
@@ -1011,11 +1221,13 @@ class LapsList extends DataView {
                     <div class="lap--item--inner">
                         <div class="lap--value lap--index">${index}</div>
                         <div class="lap--value lap--duration">${formatTime({value: duration, format: 'mm:ss'})}</div>
-                        <div class="lap--value lap--power zone-${zone}-color">${powerLap} W</div>
+                        <div class="lap--value lap--power zone-${zone.name}-color" style="color: ${zone.color}">${powerLap} W</div>
                         <div class="lap--value lap--cadence">${cadenceLap}</div>
                         <div class="lap--value lap--heart-rate">${heartRateLap}</div>
                         <div class="lap--value lap--smo2">${smo2Lap.toFixed(2)}</div>
                         <div class="lap--value lap--thb">${thbLap.toFixed(2)}</div>
+                        <div class="lap--value lap--smo2-desaturation">${smo2Rate(lap.smo2DesaturationRate)}</div>
+                        <div class="lap--value lap--smo2-reoxygenation">${smo2Rate(lap.smo2ReoxygenationRate)}</div>
                         <div class="lap--value lap--core-temperature">${coreTemperatureLap.toFixed(2)}</div>
                         <div class="lap--value lap--skin-temperature">${skinTemperatureLap.toFixed(2)}</div>
                     </div>
@@ -1100,14 +1312,15 @@ class InstantPowerGraph extends HTMLElement {
     setScaleMax() {
         this.scaleMax = this.metricValue * this.scaleFactor;
     }
-    bar(zone = 'one', height = 80, width = 1) {
-        return `<div class="graph-bar zone-${zone}" style="height: ${height}%; width: ${width}px;"></div>`;
+    bar(zone = {name: 'one'}, height = 80, width = 1) {
+        const color = exists(zone.color) ? ` background-color: ${zone.color};` : '';
+        return `<div class="graph-bar zone-${zone.name}" style="height: ${height}%; width: ${width}px;${color}"></div>`;
     }
     shift() {
         this.removeChild(this.childNodes[0]);
     }
     render() {
-        const zone = models.ftp.powerToZone(this.value, this.metricValue).name;
+        const zone = models.ftp.powerToZone(this.value, this.metricValue);
         const barHeight = scale(this.value, this.scaleMax);
         if(this.barsCount >= this.graphWidth) {
             this.shift();
@@ -1553,6 +1766,71 @@ class ModalError extends HTMLElement {
 customElements.define('modal-error', ModalError);
 
 
+class ModalSessionRecovery extends HTMLElement {
+    // offers to resume a ride that was cut short by a crash or a closed tab
+    constructor() {
+        super();
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.$dialog     = this.querySelector(`dialog`);
+        this.$message    = this.querySelector(`.dialog--message`);
+        this.$resumeBtn  = this.querySelector(`.dialog--resume--btn`);
+        this.$discardBtn = this.querySelector(`.dialog--discard--btn`);
+
+        xf.sub(`session:recovered`, this.onOpen.bind(this), this.signal);
+        this.$resumeBtn.addEventListener('pointerup', this.onResume.bind(this), this.signal);
+        this.$discardBtn.addEventListener('pointerup', this.onDiscard.bind(this), this.signal);
+        this.$dialog.addEventListener('close', this.onClose.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onOpen(summary) {
+        this.$message.innerHTML = this.message(summary);
+        this.$dialog.returnValue = '';
+        this.$dialog.showModal();
+    }
+    onResume() {
+        this.$dialog.close('resume');
+    }
+    onDiscard() {
+        this.$dialog.close('discard');
+    }
+    // the session waits for a choice, closing the dialog any other way,
+    // like with Escape, keeps the ride
+    onClose() {
+        if(equals(this.$dialog.returnValue, 'discard')) {
+            xf.dispatch('ui:session:discard');
+            return;
+        }
+        xf.dispatch('ui:session:resume');
+    }
+    message(summary) {
+        const workout = exists(summary.workout) ? `<div>${summary.workout}</div>` : '';
+        const saved = exists(summary.timestamp) ?
+              `<div>last saved ${new Date(summary.timestamp).toLocaleTimeString()}</div>` : '';
+
+        return `
+            <div>An unfinished ride was recovered</div>
+            ${workout}
+            <div>
+                ${formatTime({value: summary.elapsed, format: 'hh:mm:ss'})},
+                ${toFixed(summary.distance / 1000, 2)} km,
+                ${summary.records} records,
+                ${summary.laps} laps
+            </div>
+            ${saved}
+        `;
+    }
+}
+
+customElements.define('modal-session-recovery', ModalSessionRecovery);
+
+
 class MeasurementUnit extends DataView {
     getDefaults() {
         return {
@@ -1677,6 +1955,137 @@ class AutoStart extends AutoPause {
 
 customElements.define('auto-start', AutoStart);
 
+class WPrimeBalanceModel extends DataView {
+    postInit() {
+        this.effect  = 'sources';
+        this.key     = 'wPrimeBalanceModel';
+        this.state   = 'differential';
+        this.values  = ['differential', 'integral'];
+    }
+    getDefaults() {
+        return {
+            prop: 'db:sources',
+            effect: 'sources'
+        };
+    }
+    subs() {
+        xf.sub(`${this.prop}`, this.onUpdate.bind(this), this.signal);
+        this.addEventListener('pointerup', this.onEffect.bind(this), this.signal);
+    }
+    onUpdate(value) {
+        this.state = value[this.key] ?? this.state;
+        this.render();
+    }
+    onEffect() {
+        const update = {};
+        update[this.key] = equals(this.state, 'integral') ? 'differential' : 'integral';
+        xf.dispatch(`${this.effect}`, update);
+    }
+    render() {
+        this.textContent = this.state;
+    }
+}
+
+customElements.define('w-prime-balance-model', WPrimeBalanceModel);
+
+class PowerSecondarySource extends DataView {
+    postInit() {
+        this.effect  = 'sources';
+        this.key     = 'powerSecondary';
+        this.state   = 'ble:powerMeter';
+        this.values  = ['none', 'ble:powerMeter', 'ant:powerMeter', 'ble:controllable'];
+        this.names   = {
+            'none':             'OFF',
+            'ble:powerMeter':   'Power Meter',
+            'ant:powerMeter':   'ANT+ Power Meter',
+            'ble:controllable': 'Trainer',
+        };
+    }
+    getDefaults() {
+        return {
+            prop: 'db:sources',
+            effect: 'sources'
+        };
+    }
+    subs() {
+        xf.sub(`${this.prop}`, this.onUpdate.bind(this), this.signal);
+        this.addEventListener('pointerup', this.onEffect.bind(this), this.signal);
+    }
+    onUpdate(value) {
+        this.state = value[this.key] ?? this.state;
+        this.primary = value.power;
+        this.render();
+    }
+    // skips the primary power source
+    onEffect() {
+        const update = {};
+        const values = this.values.filter((x) => !equals(x, this.primary));
+        const i = values.indexOf(this.state);
+        update[this.key] = values[(i + 1) % values.length];
+        xf.dispatch(`${this.effect}`, update);
+    }
+    render() {
+        this.textContent = this.names[this.state] ?? this.state;
+    }
+}
+
+customElements.define('power-secondary-source', PowerSecondarySource);
+
+class PowerMatch extends AutoPause {
+    postInit() {
+        this.effect  = 'sources';
+        this.key     = 'powerMatch';
+        this.state   = { powerMatch: false };
+        this.values  = {on: {powerMatch: true}, off: {powerMatch: false}};
+    }
+}
+
+customElements.define('power-match', PowerMatch);
+
+class DFAAlpha1Graph extends AutoPause {
+    postInit() {
+        this.effect  = 'sources';
+        this.key     = 'dfaAlpha1Graph';
+        this.state   = { dfaAlpha1Graph: false };
+        this.values  = {on: {dfaAlpha1Graph: true}, off: {dfaAlpha1Graph: false}};
+    }
+}
+
+customElements.define('dfa-alpha1-graph', DFAAlpha1Graph);
+
+class AutoUploadStrava extends AutoPause {
+    postInit() {
+        this.effect  = 'sources';
+        this.key     = 'autoUploadStrava';
+        this.state   = { autoUploadStrava: false };
+        this.values  = {on: {autoUploadStrava: true}, off: {autoUploadStrava: false}};
+    }
+}
+
+customElements.define('auto-upload-strava', AutoUploadStrava);
+
+class AutoUploadIntervals extends AutoPause {
+    postInit() {
+        this.effect  = 'sources';
+        this.key     = 'autoUploadIntervals';
+        this.state   = { autoUploadIntervals: false };
+        this.values  = {on: {autoUploadIntervals: true}, off: {autoUploadIntervals: false}};
+    }
+}
+
+customElements.define('auto-upload-intervals', AutoUploadIntervals);
+
+class AutoUploadTrainingPeaks extends AutoPause {
+    postInit() {
+        this.effect  = 'sources';
+        this.key     = 'autoUploadTrainingPeaks';
+        this.state   = { autoUploadTrainingPeaks: false };
+        this.values  = {on: {autoUploadTrainingPeaks: true}, off: {autoUploadTrainingPeaks: false}};
+    }
+}
+
+customElements.define('auto-upload-training-peaks', AutoUploadTrainingPeaks);
+
 class Theme extends DataView {
     postInit() {
         this.effect  = 'sources';
@@ -1825,12 +2234,21 @@ export {
     SpeedValue,
     DistanceValue,
     HeartRateValue,
+    DFAAlpha1Value,
+    RMSSDValue,
+    HeartRateTarget,
+    HeartRateGroup,
     HeartRateLapValue,
     HeartRateAvgValue,
     SmO2Value,
     THbValue,
     PowerAvg,
     PowerValue,
+    NormalizedPowerValue,
+    IntensityFactorValue,
+    TrainingStressScoreValue,
+    WPrimeBalanceValue,
+    PowerDeltaValue,
     MeasurementUnit,
     ThemeValue,
     MeasurementValue,
@@ -1841,6 +2259,7 @@ export {
     WorkoutName,
 
     InstantPowerGraph,
+    HeartRateInZone,
 
     SwitchGroup,
     DataTileSwitchGroup,
@@ -2,6 +2,8 @@ import { xf, equals, exists, empty, first, second, last, toFixed } from '../func
 import { models, } from '../models/models.js';
 import { formatTime } from '../utils.js';
 import { zwo } from '../workouts/zwo.js';
+import { erg } from '../workouts/erg.js';
+import { fit } from '../fit/fit.js';
 import { fileHandler } from '../file.js';
 import { uuid } from '../storage/uuid.js';
 
@@ -89,6 +91,26 @@ function Cadence(args = {}) {
     });
 }
 
+// heart rate target as % of LTHR like 85%, or bpm like 145
+function HeartRate(args = {}) {
+    function encode(num) {
+        let value = parseFloat(num);
+        if(!exists(value) || isNaN(value)) return '-';
+        if(value < 9) return `${Math.round(value * 100)}%`;
+        return `${Math.round(value)}`;
+    }
+    function decode(str) {
+        let value = parseInt(toNumericString(str));
+        if(isNaN(value)) return undefined;
+        if(str.includes('%')) return value / 100;
+        return value;
+    }
+    return Object.freeze({
+        encode,
+        decode
+    });
+}
+
 const fields = {
     time: Duration(),
     duration: Duration(),
@@ -96,6 +118,7 @@ const fields = {
     ramp: Power({defaults: {encode: '-', decode: undefined}}),
     slope: Slope(),
     cadence: Cadence(),
+    hr: HeartRate(),
 };
 
 function Row(args = {}) {
@@ -108,6 +131,7 @@ function Row(args = {}) {
         ramp: undefined,
         slope: undefined,
         cadence: undefined,
+        hr: undefined,
         powerZone: undefined,
         rampZone: undefined,
         select: false,
@@ -153,6 +177,11 @@ function Row(args = {}) {
         state.cadence = cadence;
     }
 
+    function setHeartRate(value) {
+        const hr = fields.hr.decode(value);
+        state.hr = hr;
+    }
+
     function getId() {
         return state.id;
     }
@@ -185,6 +214,10 @@ function Row(args = {}) {
         return state.cadence;
     }
 
+    function getHeartRate() {
+        return state.hr;
+    }
+
     function set(data) {
         state = Object.assign(state, data);
     }
@@ -225,6 +258,7 @@ function Row(args = {}) {
             const step = {duration: timeStep, power};
             if(exists(row.slope)) step.slope = row.slope;
             if(exists(row.cadence)) step.cadence = row.cadence;
+            if(exists(row.hr)) step.hr = row.hr;
             steps.push(step);
             power = (power + powerStep);
         }
@@ -244,6 +278,7 @@ function Row(args = {}) {
         if(exists(row.power)) step.power = row.power;
         if(exists(row.slope)) step.slope = row.slope;
         if(exists(row.cadence)) step.cadence = row.cadence;
+        if(exists(row.hr)) step.hr = row.hr;
         return step;
     }
 
@@ -253,6 +288,7 @@ function Row(args = {}) {
         setRamp,
         setSlope,
         setCadence,
+        setHeartRate,
         getId,
         getSelect,
         getDuration,
@@ -260,6 +296,7 @@ function Row(args = {}) {
         getRamp,
         getSlope,
         getCadence,
+        getHeartRate,
         set,
         get,
         switchSelect,
@@ -383,6 +420,14 @@ function Editor() {
         console.log(workout);
     }
     function format(args = {}) {
+        if(equals(args.format, erg.Format.erg) || equals(args.format, erg.Format.mrc)) {
+            return erg.write(workout, {format: args.format, ftp: args.ftp});
+        }
+        if(equals(args.format, 'fit')) {
+            return fit.localWorkout.encode(workout, {
+                lthr: args.lthr, maxHeartRate: args.maxHeartRate,
+            });
+        }
         return toZwo(workout);
     }
     function toZwo(data) {
@@ -419,6 +464,7 @@ function RowView(args = {}) {
         ramp: '.ramp',
         slope: '.slope',
         cadence: '.cadence',
+        hr: '.hr',
     };
 
     let $root;
@@ -431,6 +477,7 @@ function RowView(args = {}) {
     let $ramp;
     let $slope;
     let $cadence;
+    let $hr;
 
     let abortController;
     let signal;
@@ -446,6 +493,7 @@ function RowView(args = {}) {
         $ramp = $root.querySelector(selectors.ramp);
         $slope = $root.querySelector(selectors.slope);
         $cadence = $root.querySelector(selectors.cadence);
+        $hr = $root.querySelector(selectors.hr);
 
         abortController = new AbortController();
         signal = { signal: abortController.signal };
@@ -456,6 +504,7 @@ function RowView(args = {}) {
         $ramp.addEventListener(`input`, onRamp.bind(this), signal);
         $slope.addEventListener(`input`, onSlope.bind(this), signal);
         $cadence.addEventListener(`input`, onCadence.bind(this), signal);
+        $hr.addEventListener(`input`, onHeartRate.bind(this), signal);
 
         renderPowerZone();
         renderRampZone();
@@ -485,11 +534,13 @@ function RowView(args = {}) {
         const zoneClass = model.get().powerZone;
         $power.className = $power.className
               .replace(/(\zone.*)/gi, `zone-${zoneClass}-color`);
+        $power.style.color = zoneClass ? models.ftp.zoneToColor(zoneClass) : '';
     }
     function renderRampZone() {
         const zoneClass = model.get().rampZone;
         $ramp.className = $ramp.className
             .replace(/(\zone.*)/gi, `zone-${zoneClass}-color`);
+        $ramp.style.color = zoneClass ? models.ftp.zoneToColor(zoneClass) : '';
     }
     function onDuration(e) {
         model.setDuration(e.target.value);
@@ -508,6 +559,9 @@ function RowView(args = {}) {
     function onCadence(e) {
         model.setCadence(e.target.value);
     }
+    function onHeartRate(e) {
+        model.setHeartRate(e.target.value);
+    }
     function template(data) {
         return `<div class="editor--row">
             <div class="editor--td select">
@@ -532,6 +586,7 @@ function RowView(args = {}) {
             <input class="editor--td ramp zone" type="text" value="${data.ramp}" />
             <input class="editor--td slope" type="text" value="${data.slope}" />
             <input class="editor--td cadence" type="text" value="${data.cadence}" />
+            <input class="editor--td hr" type="text" value="${data.hr}" />
         </div>`;
     }
     function build() {
@@ -560,9 +615,13 @@ class WorkoutEditor extends HTMLElement {
             remove: '.editor--remove',
             save: '.editor--save',
             download: '.editor--download',
+            format: '.editor--format',
         };
         this.editor = Editor();
         this.rows = new Map();
+        this.ftp = 200;
+        this.lthr = models.lthr.default;
+        this.maxHeartRate = models.maxHeartRate.default;
     }
     connectedCallback() {
         const self = this;
@@ -579,6 +638,7 @@ class WorkoutEditor extends HTMLElement {
         this.$remove = this.$root.querySelector(this.selectors.remove);
         this.$save = this.$root.querySelector(this.selectors.save);
         this.$download = this.$root.querySelector(this.selectors.download);
+        this.$format = this.$root.querySelector(this.selectors.format);
         this.setTimeRefs();
 
         this.$body.addEventListener('input', this.setTime.bind(this), this.signal);
@@ -590,6 +650,9 @@ class WorkoutEditor extends HTMLElement {
         this.$remove.addEventListener(`pointerup`, this.onRemove.bind(this), this.signal);
         this.$save.addEventListener(`pointerup`, this.onSave.bind(this), this.signal);
         this.$download.addEventListener(`pointerup`, this.onDownload.bind(this), this.signal);
+        xf.sub('db:ftp', this.onFTP.bind(this), this.signal);
+        xf.sub('db:lthr', this.onLTHR.bind(this), this.signal);
+        xf.sub('db:maxHeartRate', this.onMaxHeartRate.bind(this), this.signal);
 
         this.$name.value = this.editor.getName();
         this.$author.value = this.editor.getAuthor();
@@ -613,6 +676,15 @@ class WorkoutEditor extends HTMLElement {
             acc += fields.duration.decode(input.value);
         });
     }
+    onFTP(ftp) {
+        this.ftp = ftp;
+    }
+    onLTHR(lthr) {
+        this.lthr = lthr;
+    }
+    onMaxHeartRate(maxHeartRate) {
+        this.maxHeartRate = maxHeartRate;
+    }
     onName(e) {
         this.editor.setName(e.target.value);
     }
@@ -685,10 +757,14 @@ class WorkoutEditor extends HTMLElement {
     }
     download() {
         this.editor.save();
-        const file = this.editor.format({format: 'zwo'});
-        const name = `${this.editor.getName()}.zwo`;
+        const format = this.$format?.value ?? 'zwo';
+        const file = this.editor.format({
+            format, ftp: this.ftp, lthr: this.lthr, maxHeartRate: this.maxHeartRate,
+        });
+        const name = `${this.editor.getName()}.${format}`;
+        const type = equals(format, 'fit') ? fileHandler.Type.OctetStream : fileHandler.Type.TextPlain;
         console.log(file);
-        fileHandler.download()(file, name, fileHandler.Type.TextPlain);
+        fileHandler.download()(file, name, type);
     }
 }
 
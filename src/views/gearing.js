@@ -0,0 +1,136 @@
+import { xf, exists, equals, } from '../functions.js';
+import { models } from '../models/models.js';
+
+// '34, 50' -> [34, 50]
+function toTeeth(value) {
+    return value
+        .split(/[\s,]+/)
+        .filter((x) => x !== '')
+        .map((x) => parseInt(x));
+}
+
+class VirtualGearControl extends HTMLElement {
+    // shifts the virtual gears of SIM mode, hidden while they are off
+    constructor() {
+        super();
+        this.gearing = models.gearing.default;
+        this.gear = models.gearing.toNeutral();
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.render();
+
+        this.addEventListener('pointerup', this.onShift.bind(this), this.signal);
+        xf.sub('db:gearing', this.onGearing.bind(this), this.signal);
+        xf.sub('db:gear', this.onGear.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onShift(e) {
+        const shift = e.target.closest('[data-shift]')?.dataset.shift;
+        if(!exists(shift)) return;
+
+        xf.dispatch(`ui:gear-${shift}`);
+    }
+    onGearing(gearing) {
+        this.gearing = gearing;
+        this.render();
+    }
+    onGear(gear) {
+        this.gear = gear;
+        this.render();
+    }
+    render() {
+        this.classList.toggle('active', this.gearing.enabled);
+
+        const gear = models.gearing.toGear(this.gear, this.gearing);
+
+        this.innerHTML = `
+            <div class="number-input">
+                <button class="number-input--dec number-input--btn btn" data-shift="down">-</button>
+                <div class="virtual-gear--value">
+                    ${models.gearing.clampGear(this.gear, this.gearing) + 1}
+                    <span class="virtual-gear--ratio">${gear.chainring}x${gear.cog}</span>
+                </div>
+                <button class="number-input--inc number-input--btn btn" data-shift="up">+</button>
+            </div>
+        `;
+    }
+}
+
+customElements.define('virtual-gear-control', VirtualGearControl);
+
+class GearingSettings extends HTMLElement {
+    // the chainrings and cassette the virtual gears are made of
+    constructor() {
+        super();
+        this.state = models.gearing.default;
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.addEventListener('change', this.onChange.bind(this), this.signal);
+        xf.sub('db:gearing', this.onUpdate.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onUpdate(state) {
+        this.state = state;
+        this.render();
+    }
+    onChange(e) {
+        const prop = e.target.dataset.prop;
+        if(!exists(prop)) return;
+
+        if(equals(prop, 'enabled')) {
+            xf.dispatch('ui:gearing-set', {enabled: e.target.checked});
+            return;
+        }
+
+        xf.dispatch('ui:gearing-set', {[prop]: toTeeth(e.target.value)});
+    }
+    render() {
+        const gears = models.gearing.toGears(this.state);
+
+        this.innerHTML = `
+            <div class="power-zones--header">
+                <label class="settings-tile--label">Virtual Gears</label>
+                <input type="checkbox" data-prop="enabled" ${this.state.enabled ? 'checked' : ''} />
+            </div>
+            <div class="bike-profile--list">
+                <div class="bike-profile--item">
+                    <span class="bike-profile--label">Chainrings</span>
+                    <input class="bike-profile--input" type="text"
+                           data-prop="chainrings" value="${this.state.chainrings.join(', ')}" />
+                    <span class="bike-profile--unit">T</span>
+                </div>
+                <div class="bike-profile--item">
+                    <span class="bike-profile--label">Cassette</span>
+                    <input class="bike-profile--input" type="text"
+                           data-prop="cassette" value="${this.state.cassette.join(', ')}" />
+                    <span class="bike-profile--unit">T</span>
+                </div>
+                <div class="bike-profile--item">
+                    <span class="bike-profile--label">Gears</span>
+                    <span class="bike-profile--input">${gears.length}</span>
+                    <span class="bike-profile--unit"></span>
+                </div>
+            </div>
+        `;
+    }
+}
+
+customElements.define('gearing-settings', GearingSettings);
+
+export {
+    VirtualGearControl,
+    GearingSettings,
+    toTeeth,
+};
@@ -0,0 +1,75 @@
+import { xf, equals, } from '../functions.js';
+import { models } from '../models/models.js';
+
+// Zone, Int, [Bpm] -> HTML
+function zoneTemplate(zone, i, bounds) {
+    const lower = i === 0 ? 0 : bounds[i-1];
+
+    return `
+        <div class="power-zones--zone">
+            <span class="power-zones--color" style="background-color: ${zone.color}"></span>
+            <span class="power-zones--label">${zone.label}</span>
+            <span class="power-zones--lower">${lower}</span>
+            <span class="power-zones--upper">${bounds[i]}</span>
+            <span class="power-zones--unit">bpm</span>
+        </div>`;
+}
+
+class HeartRateZonesSettings extends HTMLElement {
+    // picks the heart rate zone model and shows its zones in bpm for the
+    // LTHR, max and resting heart rate of the profile
+    constructor() {
+        super();
+        this.state = models.heartRateZones.default;
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.addEventListener('change', this.onChange.bind(this), this.signal);
+        xf.sub('db:heartRateZones', this.onUpdate.bind(this), this.signal);
+        xf.sub('db:lthr', this.render.bind(this), this.signal);
+        xf.sub('db:maxHeartRate', this.render.bind(this), this.signal);
+        xf.sub('db:restingHeartRate', this.render.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onUpdate(state) {
+        this.state = state;
+        this.render();
+    }
+    onChange(e) {
+        if(equals(e.target.dataset.select, 'model')) {
+            xf.dispatch('ui:heart-rate-zones-select', e.target.value);
+        }
+    }
+    render() {
+        const active = models.heartRateZones.active(this.state);
+        const bounds = models.heartRateZones.bounds(models.heartRateZones.profile(), active);
+
+        const options = models.heartRateZones.list().map((model) => `
+            <option value="${model.id}" ${equals(model.id, active.id) ? 'selected' : ''}>
+                ${model.name}
+            </option>`).join('');
+
+        this.innerHTML = `
+            <div class="power-zones--header">
+                <label class="settings-tile--label" for="heart-rate-zones--model">Heart Rate Zones</label>
+                <select id="heart-rate-zones--model" class="power-zones--model" data-select="model">
+                    ${options}
+                </select>
+            </div>
+            <div class="power-zones--list">
+                ${active.zones.map((zone, i) => zoneTemplate(zone, i, bounds)).join('')}
+            </div>
+        `;
+    }
+}
+
+customElements.define('heart-rate-zones-settings', HeartRateZonesSettings);
+
+export {
+    HeartRateZonesSettings,
+};
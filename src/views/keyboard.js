@@ -10,6 +10,8 @@ function Keyboard() {
     const isKeyS     = (code) => code === 'KeyS';
     const isKeyL     = (code) => code === 'KeyL';
     const isKeySpace = (code) => code === 'Space';
+    const isKeyBracketLeft  = (code) => code === 'BracketLeft';
+    const isKeyBracketRight = (code) => code === 'BracketRight';
 
     window.addEventListener('keydown', onKeydown.bind(this));
 
@@ -50,6 +52,12 @@ function Keyboard() {
             e.preventDefault();
             xf.dispatch('key:space');
         }
+        if(isKeyBracketLeft(code)) {
+            xf.dispatch('key:bracket-left');
+        }
+        if(isKeyBracketRight(code)) {
+            xf.dispatch('key:bracket-right');
+        }
     }
 }
 
@@ -108,6 +116,14 @@ function KeyboardControls() {
     xf.sub('key:l', e => {
         xf.dispatch('ui:watchLap');
     });
+
+    // Virtual Gears
+    xf.sub('key:bracket-left', e => {
+        xf.dispatch('ui:gear-down');
+    });
+    xf.sub('key:bracket-right', e => {
+        xf.dispatch('ui:gear-up');
+    });
 }
 
 Keyboard();
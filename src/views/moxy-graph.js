@@ -12,6 +12,8 @@ class MoxyGraph extends HTMLElement {
             thb: 'thb',
             heartRate: 'heartRate',
             power: 'power',
+            wPrimeBalance: 'wPrimeBalance',
+            dfaAlpha1: 'dfaAlpha1',
         };
 
         // Moxy defined ranges and color codes:
@@ -27,8 +29,10 @@ class MoxyGraph extends HTMLElement {
         this.thb = {value: 0, x: 0, min: 8, max: 15};
         this.heartRate = {value: 0, x: 0, min: 30, max: 200};
         this.power = {value: 0, x: 0, min: 0, max: 600};
+        this.wPrimeBalance = {value: 0, x: 0, min: 0, max: 20000};
+        this.dfaAlpha1 = {value: 0, x: 0, min: 0.25, max: 1.5};
 
-        this.path = {smo2: [], thb: [], heartRate: [], power: []};
+        this.path = {smo2: [], thb: [], heartRate: [], power: [], wPrimeBalance: [], dfaAlpha1: []};
         this.$path = {};
         this.xAxis = {min: 0, max: 100};
         this.yAxis = {min: 0, max: 100};
@@ -43,6 +47,10 @@ class MoxyGraph extends HTMLElement {
             thb: 'db:thb',
             heartRate: 'db:heartRate',
             power: 'db:power1s',
+            wPrimeBalance: 'db:wPrimeBalance',
+            wPrime: 'db:wPrime',
+            dfaAlpha1: 'db:dfaAlpha1',
+            sources: 'db:sources',
         };
         this.selectors = {
             svg: '#moxy-svg',
@@ -51,6 +59,8 @@ class MoxyGraph extends HTMLElement {
                 thb: '#moxy-path-thb',
                 heartRate: '#moxy-path-hr',
                 power: '#moxy-path-power',
+                wPrimeBalance: '#moxy-path-w-prime-balance',
+                dfaAlpha1: '#moxy-path-dfa-alpha1',
             },
         };
         this.color = {
@@ -58,6 +68,8 @@ class MoxyGraph extends HTMLElement {
             thb: '#FF663A',
             heartRate: '#FE340B',
             power: '#F8C73A',
+            wPrimeBalance: '#7B61FF',
+            dfaAlpha1: '#44A5AB',
         };
         this.stroke = {
             all: 1,
@@ -66,6 +78,11 @@ class MoxyGraph extends HTMLElement {
             smo2:      (value) => self.smo2.value = value,
             heartRate: (value) => self.heartRate.value = value,
             power:     (value) => self.power.value = value,
+            wPrimeBalance: (value) => self.wPrimeBalance.value = value,
+            // holds the last value until the window has enough beats again
+            dfaAlpha1: (value) => {
+                if(exists(value)) self.dfaAlpha1.value = value;
+            },
             thb:       (value) => {
                 self.adjustYMinMaxFor('thb', value);
                 self.thb.value = value;
@@ -94,12 +111,21 @@ class MoxyGraph extends HTMLElement {
             xf.sub(`${this.prop[key]}`, this.handlers[key].bind(this), this.signal);
         }
 
+        xf.sub(`${this.prop.wPrime}`, this.onWPrime.bind(this), this.signal);
+        xf.sub(`${this.prop.sources}`, this.onSources.bind(this), this.signal);
         xf.sub(`${this.prop.elapsed}`, this.onElapsed.bind(this), this.signal);
         window.addEventListener(`resize`, this.onResize.bind(this), this.signal);
     }
     disconnectedCallback() {
         this.abortController.abort();
     }
+    onWPrime(value) {
+        this.wPrimeBalance.max = value;
+    }
+    // the DFA alpha 1 layer is optional
+    onSources(sources) {
+        this.$path.dfaAlpha1.classList.toggle('active', sources.dfaAlpha1Graph === true);
+    }
     calcWidth() {
         return this.$cont.getBoundingClientRect()?.width ?? window.innerWidth;
     }
@@ -138,6 +164,7 @@ class MoxyGraph extends HTMLElement {
     // this.thb =       {value: 0, x: 0, min:  8, max:  15};
     // this.heartRate = {value: 0, x: 0, min: 30, max: 200};
     // this.power =     {value: 0, x: 0, min:  0, max: 600};
+    // this.wPrimeBalance = {value: 0, x: 0, min: 0, max: W'};
     // this.xAxis =     {min: 0, max: 100};
     // this.yAxis =     {min: 0, max: 100};
     translate(value, inMin, inMax, outMin, outMax) {
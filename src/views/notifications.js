@@ -0,0 +1,72 @@
+import { xf, exists, equals, } from '../functions.js';
+
+// what the rider should know of the trainer status, undefined for the rest,
+// the steps of a spin down are in the calibration wizard
+// {event: String, value: Any, external: Bool} -> {type: String, message: String}?
+function toNotification(status) {
+    switch(status.event) {
+    case 'stopped':
+        return {type: 'info', message: 'Trainer stopped by the user'};
+    case 'stoppedBySafetyKey':
+        return {type: 'error', message: 'Trainer stopped by the safety key'};
+    case 'reset':
+        return {type: 'info', message: 'Trainer reset'};
+    case 'controlPermissionLost':
+        return {type: 'error', message: 'Another app took control of the trainer'};
+    case 'targetPowerChanged':
+        if(!status.external) return undefined;
+        return {type: 'info', message: `Another app set the target power to ${status.value?.power} W`};
+    case 'targetResistanceChanged':
+        if(!status.external) return undefined;
+        return {type: 'info', message: `Another app set the resistance to ${status.value?.resistance}`};
+    case 'spinDownStatus':
+        if(equals(status.value?.status, 'success')) return {type: 'success', message: 'Spin down done'};
+        if(equals(status.value?.status, 'error')) return {type: 'error', message: 'Spin down failed'};
+        return undefined;
+    default:
+        return undefined;
+    }
+}
+
+class NotificationList extends HTMLElement {
+    // short messages that go away by themselves, from ui:notification
+    // {type: 'info' | 'success' | 'error', message: String, duration: Int?}
+    // and from the status of the trainer
+    constructor() {
+        super();
+        this.duration = 4000;
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        xf.sub('ui:notification', this.onNotification.bind(this), this.signal);
+        xf.sub('ble:controllable:status', this.onTrainerStatus.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onTrainerStatus(status) {
+        const notification = toNotification(status);
+        if(!exists(notification)) return;
+
+        this.onNotification(notification);
+    }
+    onNotification(notification = {}) {
+        const $item = document.createElement('div');
+        $item.classList.add('notification', notification.type ?? 'info');
+        $item.textContent = notification.message;
+
+        this.appendChild($item);
+
+        setTimeout(() => $item.remove(), notification.duration ?? this.duration);
+    }
+}
+
+customElements.define('notification-list', NotificationList);
+
+export {
+    NotificationList,
+    toNotification,
+};
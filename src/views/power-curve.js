@@ -0,0 +1,137 @@
+import { xf, exists, empty, toFixed, } from '../functions.js';
+
+// the x axis is log time, 1 s on the left to 60 min on the right
+const maxDuration = 3600;
+const ticks = [[1, '1s'], [5, '5s'], [60, '1m'], [300, '5m'], [1200, '20m'], [3600, '60m']];
+
+// Seconds -> Number
+function toX(duration) {
+    return toFixed(100 * Math.log(duration) / Math.log(maxDuration), 2);
+}
+
+// Seconds -> String
+function durationToString(duration) {
+    if(duration < 60) return `${duration}s`;
+    return `${duration / 60}m`;
+}
+
+// [{name: String, curve: PowerCurve}] -> SVG
+function powerCurveChart(lines = []) {
+    const curves = lines.filter((line) => !empty(line.curve ?? []));
+    if(empty(curves)) return '';
+
+    const max = Math.max(1, ...curves.flatMap((line) => line.curve.map((x) => x.power)));
+    const toY = (power) => toFixed(100 - (100 * power / max), 2);
+
+    const polylines = curves.map((line) => {
+        const points = line.curve
+              .map((x) => `${toX(x.duration)},${toY(x.power)}`)
+              .join(' ');
+        return `<polyline class="${line.name}" points="${points}" vector-effect="non-scaling-stroke" />`;
+    }).join('');
+
+    const labels = ticks.map(([duration, label]) =>
+        `<span style="left: ${toX(duration)}%">${label}</span>`
+    ).join('');
+
+    return `
+        <div class="power-curve--chart">
+            <div class="power-curve--max">${max} W</div>
+            <svg viewBox="0 0 100 100" preserveAspectRatio="none">
+                ${polylines}
+            </svg>
+            <div class="power-curve--ticks">${labels}</div>
+        </div>
+    `;
+}
+
+class PowerCurveGraph extends HTMLElement {
+    // all-time and recent power-duration curves, with the FTP and CP
+    // the recent one suggests
+    constructor() {
+        super();
+        this.state = {allTime: [], recent: [], estimate: {}};
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        xf.sub('db:powerCurve', self.onUpdate.bind(this), this.signal);
+        this.addEventListener('pointerup', self.onApply.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onUpdate(state) {
+        this.state = state;
+        this.render();
+    }
+    onApply(e) {
+        const apply = e.target.closest('[data-apply]')?.dataset?.apply;
+        const estimate = this.state.estimate;
+
+        if(apply === 'ftp' && exists(estimate.ftp)) {
+            xf.dispatch('ui:ftp-set', estimate.ftp);
+        }
+        if(apply === 'cp' && exists(estimate.cp)) {
+            xf.dispatch('ui:cp-set', estimate.cp);
+            xf.dispatch('ui:w-prime-set', estimate.wPrime);
+        }
+    }
+    bests() {
+        const power = (curve, duration) =>
+              curve.find((x) => x.duration === duration)?.power ?? '--';
+
+        const rows = [5, 60, 300, 1200, 3600].map((duration) => `
+            <tr>
+                <td>${durationToString(duration)}</td>
+                <td>${power(this.state.recent, duration)}</td>
+                <td>${power(this.state.allTime, duration)}</td>
+            </tr>`).join('');
+
+        return `
+            <table class="power-curve--table">
+                <tr><th></th><th>90 days</th><th>All time</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+    estimate() {
+        const estimate = this.state.estimate ?? {};
+        const ftp = exists(estimate.ftp) ? `
+            <div class="power-curve--estimate">
+                <span>FTP ${estimate.ftp} W</span>
+                <button class="flat-btn" data-apply="ftp">Apply</button>
+            </div>` : '';
+        const cp = exists(estimate.cp) ? `
+            <div class="power-curve--estimate">
+                <span>CP ${estimate.cp} W, W' ${estimate.wPrime} J</span>
+                <button class="flat-btn" data-apply="cp">Apply</button>
+            </div>` : '';
+
+        return `${ftp}${cp}`;
+    }
+    render() {
+        if(empty(this.state.allTime)) {
+            this.innerHTML = `<div class="power-curve--empty">No rides with power yet</div>`;
+            return;
+        }
+
+        this.innerHTML = `
+            ${powerCurveChart([
+                {name: 'all-time', curve: this.state.allTime},
+                {name: 'recent', curve: this.state.recent},
+            ])}
+            ${this.bests()}
+            ${this.estimate()}
+        `;
+    }
+}
+
+customElements.define('power-curve-graph', PowerCurveGraph);
+
+export {
+    powerCurveChart,
+    durationToString,
+};
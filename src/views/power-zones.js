@@ -0,0 +1,114 @@
+import { xf, exists, equals, } from '../functions.js';
+import { models } from '../models/models.js';
+import { zones } from '../activity/zones.js';
+
+// String -> String
+function escape(text = '') {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// upper bounds are edited in % of FTP
+// Zone, Int, [Zone] -> HTML
+function zoneTemplate(zone, i, zoneList) {
+    const lower = Math.round(100 * (zoneList[i-1]?.upper ?? 0));
+    const upper = exists(zone.upper) ?
+          `<input class="power-zones--upper" type="number" min="1" max="300" step="1"
+                  data-prop="upper" value="${Math.round(100 * zone.upper)}" />` :
+          `<span class="power-zones--upper">&infin;</span>`;
+
+    return `
+        <div class="power-zones--zone">
+            <input class="power-zones--color" type="color" data-prop="color" value="${zone.color}" />
+            <input class="power-zones--label" type="text" data-prop="label" value="${escape(zone.label)}" />
+            <span class="power-zones--lower">${lower}</span>
+            ${upper}
+            <span class="power-zones--unit">% FTP</span>
+        </div>`;
+}
+
+class PowerZonesSettings extends HTMLElement {
+    // picks the zone model, editing the zones of any of them makes the
+    // edited copy the custom model
+    constructor() {
+        super();
+        this.state = models.powerZones.default;
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.addEventListener('change', this.onChange.bind(this), this.signal);
+        this.addEventListener('pointerup', this.onAction.bind(this), this.signal);
+        xf.sub('db:powerZones', this.onUpdate.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onUpdate(state) {
+        this.state = state;
+        this.render();
+    }
+    // the zones as they are in the inputs
+    // -> [{label: String, upper: Number?, color: String}]
+    toZones() {
+        return Array.from(this.querySelectorAll('.power-zones--zone')).map(($zone) => {
+            const $upper = $zone.querySelector('input[data-prop="upper"]');
+            return {
+                label: $zone.querySelector('[data-prop="label"]').value,
+                upper: exists($upper) ? parseFloat($upper.value) / 100 : null,
+                color: $zone.querySelector('[data-prop="color"]').value,
+            };
+        });
+    }
+    onChange(e) {
+        if(equals(e.target.dataset.select, 'model')) {
+            xf.dispatch('ui:power-zones-select', e.target.value);
+            return;
+        }
+        if(exists(e.target.dataset.prop)) {
+            xf.dispatch('ui:power-zones-custom', this.toZones());
+        }
+    }
+    onAction(e) {
+        const action = e.target.closest('[data-action]')?.dataset?.action;
+        if(!exists(action)) return;
+
+        const current = {zones: this.toZones()};
+        const count   = current.zones.length + (equals(action, 'add') ? 1 : -1);
+
+        xf.dispatch('ui:power-zones-custom', zones.resize(current, count).zones);
+    }
+    render() {
+        const active = models.powerZones.active(this.state);
+
+        const options = models.powerZones.list(this.state).map((model) => `
+            <option value="${model.id}" ${equals(model.id, active.id) ? 'selected' : ''}>
+                ${model.name}
+            </option>`).join('');
+
+        this.innerHTML = `
+            <div class="power-zones--header">
+                <label class="settings-tile--label" for="power-zones--model">Power Zones</label>
+                <select id="power-zones--model" class="power-zones--model" data-select="model">
+                    ${options}
+                </select>
+            </div>
+            <div class="power-zones--list">
+                ${active.zones.map(zoneTemplate).join('')}
+            </div>
+            <div class="power-zones--actions">
+                <button class="flat-btn" data-action="remove"
+                        ${active.zones.length <= zones.minZones ? 'disabled' : ''}>Remove Zone</button>
+                <button class="flat-btn" data-action="add"
+                        ${active.zones.length >= zones.maxZones ? 'disabled' : ''}>Add Zone</button>
+            </div>
+        `;
+    }
+}
+
+customElements.define('power-zones-settings', PowerZonesSettings);
+
+export {
+    PowerZonesSettings,
+};
@@ -0,0 +1,157 @@
+import { xf, exists, equals, } from '../functions.js';
+import { models } from '../models/models.js';
+import { ControlMode, } from '../ble/enums.js';
+
+// the modes the mode switch goes through, in order
+const modes = [ControlMode.erg, ControlMode.resistance, ControlMode.sim];
+
+// ControlMode -> ControlMode
+function toNextMode(mode) {
+    const i = modes.indexOf(mode);
+    return modes[(i + 1) % modes.length];
+}
+
+// what each action does, on the same topics as the keyboard
+// {mode: ControlMode, watchStatus: String, gearing: Gearing} -> Void
+const actions = {
+    none: () => {},
+    // with the virtual gears off a shift steps the slope of SIM mode
+    gearUp: ({mode, gearing}) => {
+        if(gearing?.enabled) {
+            xf.dispatch('ui:gear-up');
+            return;
+        }
+        if(equals(mode, ControlMode.sim)) xf.dispatch('ui:slope-target-inc');
+    },
+    gearDown: ({mode, gearing}) => {
+        if(gearing?.enabled) {
+            xf.dispatch('ui:gear-down');
+            return;
+        }
+        if(equals(mode, ControlMode.sim)) xf.dispatch('ui:slope-target-dec');
+    },
+    targetInc: ({mode}) => {
+        if(equals(mode, ControlMode.erg)) xf.dispatch('ui:power-target-inc');
+        if(equals(mode, ControlMode.resistance)) xf.dispatch('ui:resistance-target-inc');
+        if(equals(mode, ControlMode.sim)) xf.dispatch('ui:slope-target-inc');
+    },
+    targetDec: ({mode}) => {
+        if(equals(mode, ControlMode.erg)) xf.dispatch('ui:power-target-dec');
+        if(equals(mode, ControlMode.resistance)) xf.dispatch('ui:resistance-target-dec');
+        if(equals(mode, ControlMode.sim)) xf.dispatch('ui:slope-target-dec');
+    },
+    lap: () => {
+        xf.dispatch('ui:watchLap');
+    },
+    pauseResume: ({watchStatus}) => {
+        if(equals(watchStatus, 'paused') || equals(watchStatus, 'stopped')) {
+            xf.dispatch('ui:watchStart');
+            xf.dispatch('ui:workoutStart');
+        } else {
+            xf.dispatch('ui:watchPause');
+        }
+    },
+    modeSwitch: ({mode}) => {
+        xf.dispatch('ui:mode-set', toNextMode(mode));
+    },
+};
+
+function RaceControllerControls() {
+    let mode = ControlMode.erg;
+    xf.sub('db:mode', x => mode = x);
+
+    let watchStatus = 'stopped';
+    xf.sub('db:watchStatus', x => watchStatus = x);
+
+    let gearing = models.gearing.default;
+    xf.sub('db:gearing', x => gearing = x);
+
+    let bindings = models.raceControllerBindings.default;
+    xf.sub('db:raceControllerBindings', x => bindings = x);
+
+    xf.sub('ble:raceController:button', button => {
+        const action = models.raceControllerBindings.toAction(button, bindings);
+        actions[action]?.({mode, watchStatus, gearing});
+    });
+}
+
+class RaceControllerBindingsSettings extends HTMLElement {
+    // a select of the action for each button of a Click or a Play
+    constructor() {
+        super();
+        this.state = models.raceControllerBindings.default;
+        this.groups = [
+            {label: 'Click', buttons: ['plus', 'minus']},
+            {label: 'Play Right', buttons: ['y', 'b', 'a', 'z', 'rightShift', 'rightOn']},
+            {label: 'Play Left', buttons: ['up', 'down', 'right', 'left', 'leftShift', 'leftOn']},
+        ];
+        this.buttonLabels = {
+            plus: '+', minus: '-',
+            y: 'Y', b: 'B', a: 'A', z: 'Z', rightShift: 'Shift', rightOn: 'On',
+            up: 'Up', down: 'Down', right: 'Right', left: 'Left', leftShift: 'Shift', leftOn: 'On',
+        };
+        this.actionLabels = {
+            none:        'None',
+            gearUp:      'Shift Up',
+            gearDown:    'Shift Down',
+            targetInc:   'Target +',
+            targetDec:   'Target -',
+            lap:         'Lap',
+            pauseResume: 'Pause / Resume',
+            modeSwitch:  'Switch Mode',
+        };
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.render();
+
+        this.addEventListener('change', this.onChange.bind(this), this.signal);
+        xf.sub('db:raceControllerBindings', this.onUpdate.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onUpdate(state) {
+        this.state = state;
+        this.render();
+    }
+    onChange(e) {
+        const button = e.target.dataset.button;
+        if(!exists(button)) return;
+
+        xf.dispatch('ui:race-controller-bind', {button, action: e.target.value});
+    }
+    render() {
+        const actions = models.raceControllerBindings.actions;
+
+        this.innerHTML = this.groups.map((group) => `
+            <div class="race-controller--group">
+                <h3 class="device-card--tile--header">${group.label}</h3>
+                ${group.buttons.map((button) => `
+                    <label class="race-controller--binding">
+                        <span class="race-controller--button">${this.buttonLabels[button]}</span>
+                        <select class="race-controller--action" data-button="${button}">
+                            ${actions.map((action) => `
+                                <option value="${action}" ${equals(this.state[button], action) ? 'selected' : ''}>${this.actionLabels[action]}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+}
+
+customElements.define('race-controller-bindings', RaceControllerBindingsSettings);
+
+RaceControllerControls();
+
+export {
+    RaceControllerControls,
+    RaceControllerBindingsSettings,
+    actions,
+    toNextMode,
+};
@@ -0,0 +1,73 @@
+import { xf, exists, } from '../functions.js';
+import { models } from '../models/models.js';
+
+class SmO2ZonesSettings extends HTMLElement {
+    // the two SmO2 bounds of the athlete, set here by hand or from the
+    // result of a 5-1-5 test in the activity detail
+    constructor() {
+        super();
+        this.state = models.smo2Zones.default;
+    }
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        this.addEventListener('change', this.onChange.bind(this), this.signal);
+        xf.sub('db:smo2Zones', this.onUpdate.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onUpdate(state) {
+        this.state = state;
+        this.render();
+    }
+    onChange(e) {
+        const prop = e.target.dataset.prop;
+        if(!exists(prop)) return;
+
+        const value = parseInt(e.target.value);
+        if(isNaN(value)) return;
+
+        xf.dispatch('ui:smo2-zones-set', {[prop]: value});
+    }
+    render() {
+        this.innerHTML = `
+            <div class="power-zones--header">
+                <label class="settings-tile--label">SmO2 Zones</label>
+            </div>
+            <div class="power-zones--list">
+                <div class="power-zones--zone">
+                    <span class="power-zones--color" style="background-color: #328AFF"></span>
+                    <span class="power-zones--label">Desaturated</span>
+                    <span class="power-zones--lower">0</span>
+                    <input class="power-zones--upper" type="number" min="1" max="99" step="1"
+                           data-prop="one" value="${this.state.one}" />
+                    <span class="power-zones--unit">%</span>
+                </div>
+                <div class="power-zones--zone">
+                    <span class="power-zones--color" style="background-color: #56C057"></span>
+                    <span class="power-zones--label">Working</span>
+                    <span class="power-zones--lower">${this.state.one}</span>
+                    <input class="power-zones--upper" type="number" min="2" max="100" step="1"
+                           data-prop="two" value="${this.state.two}" />
+                    <span class="power-zones--unit">%</span>
+                </div>
+                <div class="power-zones--zone">
+                    <span class="power-zones--color" style="background-color: #FE340B"></span>
+                    <span class="power-zones--label">Recovering</span>
+                    <span class="power-zones--lower">${this.state.two}</span>
+                    <span class="power-zones--upper">${this.state.three}</span>
+                    <span class="power-zones--unit">%</span>
+                </div>
+            </div>
+        `;
+    }
+}
+
+customElements.define('smo2-zones-settings', SmO2ZonesSettings);
+
+export {
+    SmO2ZonesSettings,
+};
@@ -8,12 +8,22 @@ import './workout-list.js';
 import './planned-list.js';
 import './active-list-item.js';
 import './activity-list.js';
+import './activity-detail.js';
+import './power-curve.js';
+import './power-zones.js';
+import './heart-rate-zones.js';
+import './smo2-zones.js';
+import './bike-profile.js';
+import './gearing.js';
+import './calibration.js';
 import './workout-graph.js';
 import './moxy-graph.js';
 import './watch.js';
 import './ant-device-scan.js';
 import './keyboard.js';
+import './race-controller.js';
 import './bluetooth-troubleshooting.js';
+import './notifications.js';
 
 function start() {
     console.log('start views.');
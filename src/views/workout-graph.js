@@ -41,7 +41,7 @@ function Interval(acc, interval, width, ftp, powerMax, viewPort) {
         const duration = step.duration;
         const width    = 100 / stepsLength;
         const height   = powerToHeight(power, powerMax, viewPort);
-        const zone     = (models.ftp.powerToZone(power, ftp)).name;
+        const zone     = models.ftp.powerToZone(power, ftp);
         const infoTime = formatTime({value: duration, format: 'mm:ss'});
 
         const powerAttr    = exists(power)    ? `power="${power}"` : '';
@@ -50,7 +50,7 @@ function Interval(acc, interval, width, ftp, powerMax, viewPort) {
         const durationAttr = exists(duration) ? `duration="${infoTime}"` : '';
 
         return a +
-            `<div class="graph--bar zone-${zone}" style="height: ${height}px; width: ${width}%" ${powerAttr} ${cadenceAttr} ${slopeAttr} ${durationAttr}></div>`;
+            `<div class="graph--bar zone-${zone.name}" style="height: ${height}px; width: ${width}%; background-color: ${zone.color}" ${powerAttr} ${cadenceAttr} ${slopeAttr} ${durationAttr}></div>`;
     }, `<div class="graph--bar-group" style="width: ${width}px;">`) + `</div>`;
 }
 
@@ -128,6 +128,7 @@ class WorkoutGraph extends HTMLElement {
 
         xf.sub(`db:workout`, this.onWorkout.bind(this), this.signal);
         xf.sub(`db:ftp`, this.onFTP.bind(this), this.signal);
+        xf.sub('db:powerZones', this.onPowerZones.bind(this), this.signal);
 
         xf.sub('db:intervalIndex', this.onIntervalIndex.bind(this), this.signal);
         xf.sub('db:distance', this.onDistance.bind(this), this.signal);
@@ -158,6 +159,9 @@ class WorkoutGraph extends HTMLElement {
         this.ftp = value;
         if(exists(this.workout.intervals)) this.render();
     }
+    onPowerZones() {
+        if(exists(this.workout.intervals)) this.render();
+    }
     onPage(page) {
         if(equals(page, 'home')) {
             const viewPort = this.getViewPort();
@@ -1,6 +1,7 @@
 import { xf, exists, empty, equals, debounce } from '../functions.js';
 import { models } from '../models/models.js';
 import { intervalsToGraph, courseToGraph, renderInfo } from './workout-graph.js';
+import { library } from '../workouts/library.js';
 
 const radioOff = `
         <svg class="radio radio-off">
@@ -17,6 +18,24 @@ const options = `
             <use href="#icon--options">
         </svg>`;
 
+// the tags and folder fields of a library workout
+function libraryTemplate(workout) {
+    const tags = (workout.tags ?? []).join(', ');
+
+    return `<div class="workout--library">
+                <label class="workout--library-field">
+                    <span>Folder</span>
+                    <input class="workout--folder-input" type="text"
+                           list="workout-list--folders" value="${workout.folder ?? ''}" />
+                </label>
+                <label class="workout--library-field">
+                    <span>Tags</span>
+                    <input class="workout--tags-input" type="text"
+                           placeholder="comma, separated" value="${tags}" />
+                </label>
+            </div>`;
+}
+
 function workoutTemplate(workout) {
     let duration = '';
     if(workout.meta.duration) {
@@ -40,6 +59,7 @@ function workoutTemplate(workout) {
                     <div class="workout--full-info">
                         <div class="workout-list--graph-cont">${workout.graph}</div>
                         <div class="workout--description">${workout.meta.description}</div>
+                        ${libraryTemplate(workout)}
                     </div>
                 </div>
                 <div class="workout--actions">
@@ -49,11 +69,14 @@ function workoutTemplate(workout) {
 }
 
 class WorkoutList extends HTMLElement {
+    // the library, searched over name, description, category and tags,
+    // filtered by category, folder and tag, and sorted
     constructor() {
         super();
         this.state = [];
         this.ftp = 0;
         this.items = [];
+        this.query = {search: '', category: '', folder: '', tag: '', sort: 'name'};
         this.postInit();
         this.workout = {};
     }
@@ -63,9 +86,16 @@ class WorkoutList extends HTMLElement {
         this.abortController = new AbortController();
         this.signal = { signal: self.abortController.signal };
 
+        this.innerHTML = this.layout();
+        this.$items    = this.querySelector('.workout-list--items');
+        this.$controls = this.querySelector('.workout-list--controls');
+        this.$folders  = this.querySelector('#workout-list--folders');
+
+        this.$controls.addEventListener('input', this.onQuery.bind(this), this.signal);
         xf.sub(`db:workouts`, this.onWorkouts.bind(this), this.signal);
         xf.sub('db:workout',  this.onWorkout.bind(this), this.signal); // ?
         xf.sub(`db:ftp`,      this.onFTP.bind(this), this.signal);
+        xf.sub('db:powerZones', this.onPowerZones.bind(this), this.signal);
     }
     disconnectedCallback() {
         this.abortController.abort();
@@ -84,8 +114,19 @@ class WorkoutList extends HTMLElement {
             }
         }
     }
+    onPowerZones() {
+        if(!empty(this.state)) this.render();
+    }
     onWorkouts(value) {
         this.state = value;
+        this.renderOptions();
+        this.render();
+    }
+    onQuery(e) {
+        const key = e.target.dataset.query;
+        if(!exists(key)) return;
+
+        this.query[key] = equals(key, 'search') ? e.target.value : e.target.value.trim();
         this.render();
     }
     getViewPort() {
@@ -120,12 +161,58 @@ class WorkoutList extends HTMLElement {
             }
 
             const selected = equals(workout.id, selectedWorkout.id);
-            workout = Object.assign(workout, {graph: graph, selected: selected});
-            return acc + workoutTemplate(workout);
+            return acc + workoutTemplate({...workout, graph, selected});
         }, '');
     }
+    layout() {
+        const sortNames = {
+            name: 'Name', duration: 'Duration', tss: 'TSS', intensity: 'IF', lastRidden: 'Last ridden',
+        };
+        const sorts = library.sorts.map((sort) =>
+            `<option value="${sort}">${sortNames[sort]}</option>`
+        ).join('');
+
+        return `
+            <div class="list--row--outer workout-list--controls">
+                <div class="list--row--inner">
+                    <input class="workout-list--search" type="search" placeholder="Search" data-query="search" />
+                    <div class="workout-list--filters">
+                        <select class="workout-list--category" data-query="category"></select>
+                        <select class="workout-list--folder" data-query="folder"></select>
+                        <select class="workout-list--tag" data-query="tag"></select>
+                        <select class="workout-list--sort" data-query="sort">${sorts}</select>
+                    </div>
+                </div>
+                <datalist id="workout-list--folders"></datalist>
+            </div>
+            <div class="workout-list--items"></div>
+        `;
+    }
+    // String, [String], String -> HTML
+    selectOptions(all, values, selected) {
+        return [`<option value="">${all}</option>`].concat(values.map((value) =>
+            `<option value="${value}" ${equals(value, selected) ? 'selected' : ''}>${value}</option>`
+        )).join('');
+    }
+    renderOptions() {
+        const { categories, folders, tags } = library.options(this.state);
+
+        // a filter on a value that is gone shows everything again
+        if(!categories.includes(this.query.category)) this.query.category = '';
+        if(!folders.includes(this.query.folder)) this.query.folder = '';
+        if(!tags.includes(this.query.tag)) this.query.tag = '';
+
+        this.querySelector('.workout-list--category').innerHTML =
+            this.selectOptions('All categories', categories, this.query.category);
+        this.querySelector('.workout-list--folder').innerHTML =
+            this.selectOptions('All folders', folders, this.query.folder);
+        this.querySelector('.workout-list--tag').innerHTML =
+            this.selectOptions('All tags', tags, this.query.tag);
+        this.$folders.innerHTML = folders.map((folder) => `<option value="${folder}"></option>`).join('');
+    }
     render() {
-        this.innerHTML = this.stateToHtml(this.state, this.ftp, this.workout);
+        const workouts = library.query(this.state, this.query, this.ftp);
+        this.$items.innerHTML = this.stateToHtml(workouts, this.ftp, this.workout);
     }
 }
 
@@ -147,6 +234,8 @@ class WorkoutListItem extends HTMLElement {
         this.selectBtn = this.querySelector('.workout--select');
         this.optionsBtn = this.querySelector('.workout--options');
         this.removeBtn = this.querySelector('.workout--remove');
+        this.folderInput = this.querySelector('.workout--folder-input');
+        this.tagsInput = this.querySelector('.workout--tags-input');
         this.indicator = this.selectBtn;
         this.id = this.getAttribute('id');
 
@@ -170,6 +259,8 @@ class WorkoutListItem extends HTMLElement {
         this.selectBtn.addEventListener('pointerup', this.onRadio.bind(this), this.signal);
 
         this.removeBtn.addEventListener('pointerup', this.onRemove.bind(this), this.signal);
+        this.folderInput?.addEventListener('change', this.onFolder.bind(this), this.signal);
+        this.tagsInput?.addEventListener('change', this.onTags.bind(this), this.signal);
 
         this.addEventListener('mouseover', this.onHover.bind(this), this.signal);
         this.addEventListener('mouseout', this.onMouseOut.bind(this), this.signal);
@@ -244,6 +335,12 @@ class WorkoutListItem extends HTMLElement {
         console.log(`:ui :workout :remove :id '${this.id}'`);
         xf.dispatch('ui:workout:remove', this.id);
     }
+    onFolder(e) {
+        xf.dispatch('ui:workout:update', {id: this.id, folder: e.target.value});
+    }
+    onTags(e) {
+        xf.dispatch('ui:workout:update', {id: this.id, tags: e.target.value});
+    }
     onUpdate(value) {
         if(!equals(value, this.state)) {
             this.state = value;
@@ -295,7 +392,29 @@ class WorkoutListItem extends HTMLElement {
     }
 }
 
+class WorkoutImportStatus extends HTMLElement {
+    // what the last import of files, a folder or an archive did
+    connectedCallback() {
+        const self = this;
+        this.abortController = new AbortController();
+        this.signal = { signal: self.abortController.signal };
+
+        xf.sub('workouts:import', this.onImport.bind(this), this.signal);
+    }
+    disconnectedCallback() {
+        this.abortController.abort();
+    }
+    onImport({added, duplicates, failed}) {
+        const parts = [`Added ${added} workout${added === 1 ? '' : 's'}`];
+        if(duplicates > 0) parts.push(`skipped ${duplicates} already in the library`);
+        if(failed > 0) parts.push(`${failed} could not be read`);
+
+        this.textContent = parts.join(', ');
+    }
+}
+
 customElements.define('workout-list', WorkoutList);
+customElements.define('workout-import-status', WorkoutImportStatus);
 customElements.define('workout-item', WorkoutListItem);
 
 export {
@@ -1,6 +1,7 @@
 import { equals, exists, empty, first, last, xf, avg, max, toFixed, print, } from './functions.js';
 import { kphToMps, mpsToKph, timeDiff, pad } from './utils.js';
 import { models } from './models/models.js';
+import { smo2 } from './activity/smo2.js';
 import { ControlMode, } from './ble/enums.js';
 import { TimerStatus, EventType, } from './activity/enums.js';
 
@@ -32,6 +33,8 @@ class Watch {
         this.hasBeenAutoPaused = false;
         this.autoPause         = true;
         this.autoStart         = true;
+        this.smo2              = 0;
+        this.smo2HoldTime      = 0;
         this.init();
     }
     init() {
@@ -52,6 +55,7 @@ class Watch {
             if(self.isWorkoutDone()) {
                 xf.dispatch('watch:lap');
                 // reset to slope mode 0% when workout is done
+                xf.dispatch('ui:heart-rate-target-set', 0);
                 xf.dispatch('ui:slope-target-set', 0);
                 xf.dispatch('ui:mode-set', ControlMode.sim);
                 console.log(`Workout done!`);
@@ -69,6 +73,8 @@ class Watch {
             console.log(`:workout :type ${self.workoutType}`);
         });
         xf.sub('db:power1s', self.onPower1s.bind(this));
+        xf.sub('db:smo2',    smo2 => { self.smo2 = smo2; });
+        xf.sub('db:stepIndex', _ => { self.smo2HoldTime = 0; });
         xf.sub('db:sources', self.onSources.bind(this));
         timer.addEventListener('message', self.onTick.bind(self));
 
@@ -254,6 +260,8 @@ class Watch {
                 xf.dispatch('watch:intervalIndex', 0);
                 xf.dispatch('watch:stepIndex',     0);
             }
+            // going back to step 0 sets its heart rate target again
+            xf.dispatch('ui:heart-rate-target-set', 0);
             xf.dispatch('watch:elapsed', 0);
             xf.dispatch('watch:lapTime', 0);
         }
@@ -283,7 +291,29 @@ class Watch {
             this.isIntervalType('duration')) {
 
             self.step();
+        } else if(self.isWorkoutStarted() &&
+                  this.isIntervalType('duration') &&
+                  self.isSmO2StepDone(stepTime)) {
+
+            // the rest of the step is skipped, and so is its time in the lap
+            xf.dispatch('watch:lapTime', lapTime - stepTime);
+            self.step();
+        }
+    }
+    // steps can end when SmO2 gets above or below a target, after it has
+    // held there for a few seconds
+    isSmO2StepDone(stepTime) {
+        const step = this.intervals[this.intervalIndex]?.steps[this.stepIndex];
+        if(!smo2.hasTarget(step)) return false;
+
+        if((this.stepDuration - stepTime) >= smo2.minStepTime &&
+           smo2.isStepDone(step, this.smo2)) {
+            this.smo2HoldTime += 1;
+        } else {
+            this.smo2HoldTime = 0;
         }
+
+        return this.smo2HoldTime >= smo2.holdTime;
     }
     lap() {
         const self = this;
@@ -411,6 +441,7 @@ xf.reg('watch:stepIndex',     (index, db) => {
     const slopeTarget    = db.workout.intervals[intervalIndex].steps[index].slope;
     const cadenceTarget  = db.workout.intervals[intervalIndex].steps[index].cadence;
     const distanceTarget = db.workout.intervals[intervalIndex].steps[index].distance;
+    const hrTarget       = db.workout.intervals[intervalIndex].steps[index].hr;
 
     if(exists(slopeTarget)) {
         xf.dispatch('ui:slope-target-set', slopeTarget);
@@ -426,6 +457,19 @@ xf.reg('watch:stepIndex',     (index, db) => {
     } else {
         xf.dispatch('ui:cadence-target-set', 0);
     }
+    if(exists(hrTarget)) {
+        // heart rate mode, the power is only the starting point and the
+        // fallback, the heart rate control adjusts it from there in erg
+        const startPower = powerTarget ?? models.heartRateControl.startPower;
+        xf.dispatch('ui:power-target-set', models.ftp.toAbsolute(startPower, db.ftp));
+        xf.dispatch('ui:heart-rate-target-set', models.lthr.toAbsolute(hrTarget, db.lthr));
+        if(!equals(db.mode, ControlMode.erg)) {
+            xf.dispatch('ui:mode-set', ControlMode.erg);
+        }
+        return;
+    }
+    xf.dispatch('ui:heart-rate-target-set', 0);
+
     if(exists(powerTarget)) {
         xf.dispatch('ui:power-target-set', models.ftp.toAbsolute(powerTarget, db.ftp));
         if(!exists(slopeTarget) && !equals(db.mode, ControlMode.erg)) {
@@ -0,0 +1,127 @@
+//
+// Workout Archive
+//
+// the custom workouts of the library in a single .zip, interval workouts
+// as .zwo and courses as .json, with a manifest.json of their library props
+//
+// manifest: {version: Int, created: Timestamp,
+//            workouts: [{file: String, name: String, hash: String, tags, folder}]}
+//
+
+import { exists, } from '../functions.js';
+import { zip } from '../storage/zip.js';
+import { zwo } from './zwo.js';
+import { library } from './library.js';
+
+const manifestName = 'manifest.json';
+const manifestVersion = 1;
+
+// extensions the library reads, .fit is binary and .json is a course
+const formats = ['zwo', 'erg', 'mrc', 'gpx', 'tcx', 'fit', 'json'];
+
+// String -> String
+function extension(name = '') {
+    return name.split('.').pop().toLowerCase();
+}
+
+// String -> Bool
+function isArchive(name = '') {
+    return extension(name) === 'zip';
+}
+
+// String -> Bool
+function isWorkoutFile(name = '') {
+    const base = name.split('/').pop();
+    return !base.startsWith('.') && formats.includes(extension(name)) && base !== manifestName;
+}
+
+// the same steps or course points give the same hash, whatever the name
+// Workout -> String
+function hash(workout) {
+    const content = JSON.stringify(exists(workout.intervals) ?
+        workout.intervals.map((i) => ({duration: i.duration, steps: i.steps})) :
+        workout.points ?? []);
+
+    return zip.crc32(new TextEncoder().encode(content)).toString(16).padStart(8, '0');
+}
+
+// String -> String
+function toFileName(name = 'workout') {
+    return name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'workout';
+}
+
+// unique names in the archive, taken collects the ones in use
+// Workout, Set -> {name: String, data: String}
+function toEntry(workout, taken) {
+    const isCourse = !exists(workout.intervals);
+    const ext = isCourse ? 'json' : 'zwo';
+    const base = toFileName(workout.meta?.name);
+
+    let name = `workouts/${base}.${ext}`;
+    for(let i = 2; taken.has(name); i++) {
+        name = `workouts/${base} ${i}.${ext}`;
+    }
+    taken.add(name);
+
+    const data = isCourse ?
+          JSON.stringify({meta: workout.meta, points: workout.points, pointsSimplified: workout.pointsSimplified}) :
+          zwo.write(zwo.fromInterval(workout));
+
+    return {name, data};
+}
+
+// built-in workouts are left out, they come with the app
+// [Workout], Date -> Uint8Array
+function write(workouts = [], date = new Date()) {
+    const taken = new Set();
+    const custom = workouts.filter((w) => !w.builtIn);
+
+    const entries = custom.map((workout) => toEntry(workout, taken));
+
+    const manifest = {
+        version:  manifestVersion,
+        created:  date.getTime(),
+        workouts: custom.map((workout, i) => ({
+            file: entries[i].name,
+            name: workout.meta?.name,
+            hash: hash(workout),
+            ...library.pick(workout),
+        })),
+    };
+
+    return zip.write([{name: manifestName, data: JSON.stringify(manifest, null, 2)}, ...entries], date);
+}
+
+// the contents of an archive in the form the workout parser takes,
+// an ArrayBuffer for .fit and text for the rest
+// ArrayBuffer -> Promise<[{name: String, result: String | ArrayBuffer, props: Object}]>
+async function read(buffer) {
+    const entries = await zip.read(buffer);
+    const decoder = new TextDecoder();
+
+    const manifestEntry = entries.find((e) => e.name === manifestName);
+    const manifest = exists(manifestEntry) ? JSON.parse(decoder.decode(manifestEntry.data)) : {};
+    const props = new Map((manifest.workouts ?? []).map((w) => [w.file, library.pick(w)]));
+
+    return entries
+        .filter((e) => isWorkoutFile(e.name))
+        .map((e) => {
+            const name = e.name.split('/').pop();
+            const result = extension(name) === 'fit' ?
+                  e.data.buffer.slice(e.data.byteOffset, e.data.byteOffset + e.data.byteLength) :
+                  decoder.decode(e.data);
+
+            return {name, result, props: props.get(e.name) ?? {}};
+        });
+}
+
+const archive = {
+    formats,
+    isArchive,
+    isWorkoutFile,
+    hash,
+    write,
+    read,
+};
+
+export { archive };
@@ -0,0 +1,232 @@
+import { equals, exists, empty, first, last, toFixed } from '../functions.js';
+
+//
+// ERG and MRC workout files (TrainerRoad, Golden Cheetah, ...)
+//
+// [COURSE HEADER]
+// VERSION = 2
+// UNITS = ENGLISH
+// DESCRIPTION = Sweet Spot
+// FILE NAME = sweet-spot.erg
+// FTP = 250
+// MINUTES WATTS
+// [END COURSE HEADER]
+// [COURSE DATA]
+// 0.00    125
+// 5.00    250
+// 5.00    220
+// 15.00   220
+// [END COURSE DATA]
+//
+// ERG uses absolute watts (MINUTES WATTS), MRC uses percent of FTP (MINUTES PERCENT).
+// Each pair of consecutive points is a segment, equal powers are a steady
+// interval, different powers are a ramp, equal minutes are a step change.
+//
+
+const Format = {
+    erg: 'erg',
+    mrc: 'mrc',
+};
+
+const defaults = {
+    author:      'Unknown',
+    name:        'Custom',
+    description: 'Custom',
+    category:    'Custom',
+    subcategory: '',
+    sportType:   'bike',
+    ftp:         200,
+    timeDx:      10,
+};
+
+function readSection(text, name) {
+    const start = text.indexOf(`[${name}]`);
+    const end   = text.indexOf(`[END ${name}]`);
+
+    if(equals(start, -1)) return [];
+
+    return text
+        .slice(start + name.length + 2, equals(end, -1) ? undefined : end)
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => !empty(line));
+}
+
+function readHeader(lines) {
+    return lines.reduce((acc, line) => {
+        const [key, ...rest] = line.split('=');
+        if(rest.length > 0) {
+            acc[key.trim().toUpperCase()] = rest.join('=').trim();
+        } else {
+            const units = line.toUpperCase().split(/\s+/);
+            if(equals(units.length, 2)) acc.UNITS_LINE = units;
+        }
+        return acc;
+    }, {});
+}
+
+function readData(lines) {
+    return lines.reduce((acc, line) => {
+        const [minutes, value] = line.split(/\s+/).map(parseFloat);
+        if(!isNaN(minutes) && !isNaN(value)) {
+            acc.push({time: Math.round(minutes * 60), value});
+        }
+        return acc;
+    }, []);
+}
+
+// {header, fileName} -> Format
+function readFormat(header, fileName = '') {
+    const units = header.UNITS_LINE ?? [];
+    if(equals(last(units), 'PERCENT')) return Format.mrc;
+    if(equals(last(units), 'WATTS')) return Format.erg;
+    if(fileName.toLowerCase().endsWith('.mrc')) return Format.mrc;
+    return Format.erg;
+}
+
+function Steady(args = {}) {
+    return {
+        duration: args.duration,
+        steps: [{duration: args.duration, power: args.power}],
+    };
+}
+
+function Ramp(args = {}) {
+    const duration   = args.duration;
+    const powerLow   = args.powerLow;
+    const powerHigh  = args.powerHigh;
+    const timeDx     = args.timeDx ?? defaults.timeDx;
+    const stepsCount = parseInt(duration / timeDx);
+
+    if(stepsCount < 2) {
+        return Steady({duration, power: toFixed((powerLow + powerHigh) / 2, 2)});
+    }
+
+    const powerDx = (powerHigh - powerLow) / (stepsCount - 1);
+    const steps   = [];
+
+    for(let i = 0; i < stepsCount; i++) {
+        steps.push({duration: timeDx, power: toFixed(powerLow + (powerDx * i), 2)});
+    }
+
+    // the last step takes the seconds that do not fill a whole timeDx
+    last(steps).duration += duration - (stepsCount * timeDx);
+
+    return {duration, steps};
+}
+
+// [{time, value}], (value -> power) -> [Interval]
+function toIntervals(points, toPower, timeDx) {
+    const intervals = [];
+
+    for(let i = 1; i < points.length; i++) {
+        const start    = points[i-1];
+        const end      = points[i];
+        const duration = end.time - start.time;
+
+        if(duration <= 0) continue;
+
+        const powerLow  = toPower(start.value);
+        const powerHigh = toPower(end.value);
+
+        if(equals(powerLow, powerHigh)) {
+            intervals.push(Steady({duration, power: powerLow}));
+        } else {
+            intervals.push(Ramp({duration, powerLow, powerHigh, timeDx}));
+        }
+    }
+
+    return intervals;
+}
+
+// String, {name, ftp} -> {meta, intervals}
+function readToInterval(text, args = {}) {
+    const header = readHeader(readSection(text, 'COURSE HEADER'));
+    const points = readData(readSection(text, 'COURSE DATA'));
+    const format = readFormat(header, args.name);
+    const ftp    = parseInt(header.FTP) || args.ftp || defaults.ftp;
+
+    const toPower = equals(format, Format.mrc) ?
+          ((percent) => toFixed(percent / 100, 2)) :
+          ((watts) => toFixed(watts / ftp, 2));
+
+    const intervals = toIntervals(points, toPower, args.timeDx);
+    const duration  = intervals.reduce((acc, i) => acc + i.duration, 0);
+    const name      = header['FILE NAME']?.replace(/\.(erg|mrc)$/i, '') ??
+                      args.name?.replace(/\.(erg|mrc)$/i, '');
+
+    return {
+        meta: {
+            author:      defaults.author,
+            name:        name || defaults.name,
+            category:    defaults.category,
+            subcategory: defaults.subcategory,
+            sportType:   defaults.sportType,
+            description: header.DESCRIPTION ?? defaults.description,
+            duration,
+        },
+        intervals,
+    };
+}
+
+function isErg(text) {
+    return text.includes('[COURSE HEADER]') || text.includes('[COURSE DATA]');
+}
+
+function writeRow(time, value) {
+    return `${toFixed(time / 60, 2).toFixed(2)}\t${value}`;
+}
+
+// {meta, intervals}, {format, ftp} -> String
+function write(workout, args = {}) {
+    const format = args.format ?? Format.erg;
+    const ftp    = args.ftp ?? defaults.ftp;
+    const meta   = workout.meta ?? {};
+
+    const toValue = equals(format, Format.mrc) ?
+          ((power) => Math.round(power * 100)) :
+          ((power) => Math.round(power * ftp));
+
+    const header = [
+        'VERSION = 2',
+        'UNITS = ENGLISH',
+        `DESCRIPTION = ${meta.description ?? defaults.description}`,
+        `FILE NAME = ${meta.name ?? defaults.name}.${format}`,
+    ];
+    if(equals(format, Format.erg)) header.push(`FTP = ${ftp}`);
+    header.push(equals(format, Format.mrc) ? 'MINUTES PERCENT' : 'MINUTES WATTS');
+
+    let time = 0;
+    const data = [];
+
+    for(let interval of workout.intervals) {
+        if(!exists(interval.duration) || empty(interval.steps ?? [])) continue;
+
+        data.push(writeRow(time, toValue(first(interval.steps).power ?? 0)));
+        time += interval.duration;
+        data.push(writeRow(time, toValue(last(interval.steps).power ?? 0)));
+    }
+
+    return [
+        '[COURSE HEADER]',
+        ...header,
+        '[END COURSE HEADER]',
+        '[COURSE DATA]',
+        ...data,
+        '[END COURSE DATA]',
+    ].join('\n') + '\n';
+}
+
+const erg = {
+    Format,
+    readSection,
+    readHeader,
+    readData,
+    readFormat,
+    toIntervals,
+    readToInterval,
+    isErg,
+    write,
+};
+
+export { erg };
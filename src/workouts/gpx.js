@@ -0,0 +1,74 @@
+import { exists, empty, } from '../functions.js';
+import { track } from './track.js';
+
+//
+// GPX
+//
+// <gpx>
+//   <metadata><name>Route</name><desc>Description</desc></metadata>
+//   <trk>
+//     <trkseg>
+//       <trkpt lat="42.6977" lon="23.3219"><ele>550.4</ele></trkpt>
+//     </trkseg>
+//   </trk>
+// </gpx>
+//
+// tracks (trkpt) are preferred, routes (rtept) are the fallback
+//
+
+const parser = new DOMParser();
+
+function readContent(el) {
+    const value = el?.textContent?.trim();
+    return empty(value ?? '') ? undefined : value;
+}
+
+function readChild(el, name) {
+    return readContent(el.getElementsByTagName(name)[0]);
+}
+
+// Element -> {lat, lon, ele}
+function readPoint(el) {
+    return {
+        lat: track.toNumber(el.getAttribute('lat')),
+        lon: track.toNumber(el.getAttribute('lon')),
+        ele: track.toNumber(readChild(el, 'ele')),
+    };
+}
+
+// Document -> [{lat, lon, ele}]
+function readPoints(doc) {
+    let elements = Array.from(doc.getElementsByTagName('trkpt'));
+    if(empty(elements)) {
+        elements = Array.from(doc.getElementsByTagName('rtept'));
+    }
+    return elements
+        .map(readPoint)
+        .filter((p) => exists(p.lat) && exists(p.lon));
+}
+
+function isGpx(text) {
+    return text.includes('<gpx');
+}
+
+// String, String -> Course{meta, points, pointsSimplified}
+function readToCourse(text, fileName = '') {
+    const doc = parser.parseFromString(text, 'text/xml');
+    const metadata = doc.getElementsByTagName('metadata')[0];
+    const trk = doc.getElementsByTagName('trk')[0] ?? doc.getElementsByTagName('rte')[0];
+
+    const name = (exists(metadata) ? readChild(metadata, 'name') : undefined) ??
+                 (exists(trk) ? readChild(trk, 'name') : undefined) ??
+                 track.fileNameToName(fileName);
+    const description = (exists(metadata) ? readChild(metadata, 'desc') : undefined) ?? '';
+
+    return track.toTrackCourse(readPoints(doc), name, description);
+}
+
+const gpx = {
+    isGpx,
+    readPoints,
+    readToCourse,
+};
+
+export { gpx };
@@ -0,0 +1,187 @@
+//
+// Workout Library
+//
+// search, filter and sort over the workouts list, the user's tags, folder
+// and last ridden date are kept on each workout next to its meta
+//
+// {..., meta: {name, description, category, duration},
+//  tags: [String], folder: String, lastRidden: Timestamp}
+//
+
+import { equals, exists, empty, } from '../functions.js';
+
+// the props the user sets on a workout, built-in workouts only keep these
+const props = ['tags', 'folder', 'lastRidden'];
+
+// relative power goes below this, absolute power above
+const minAbsValue = 9;
+
+const sorts = ['name', 'duration', 'tss', 'intensity', 'lastRidden'];
+
+// 'tempo, Over Unders ,,tempo' -> ['tempo', 'over unders']
+// String | [String] -> [String]
+function toTags(value = []) {
+    const tags = Array.isArray(value) ? value : value.split(',');
+
+    return [...new Set(
+        tags.map((tag) => tag.trim().toLowerCase()).filter((tag) => !empty(tag))
+    )];
+}
+
+// String -> String
+function toFolder(value = '') {
+    return value.trim();
+}
+
+// Workout -> {tags, folder, lastRidden}
+function pick(workout) {
+    return props.reduce((acc, prop) => {
+        if(exists(workout[prop])) acc[prop] = workout[prop];
+        return acc;
+    }, {});
+}
+
+// Workout -> String
+function text(workout) {
+    const meta = workout.meta ?? {};
+    return [
+        meta.name, meta.description, meta.category, ...(workout.tags ?? [])
+    ].filter(exists).join(' ').toLowerCase();
+}
+
+// every word of the search has to be somewhere in the name, description,
+// category or tags
+// Workout, String -> Bool
+function matches(workout, search = '') {
+    const words = search.trim().toLowerCase().split(/\s+/).filter((w) => !empty(w));
+    if(empty(words)) return true;
+
+    const haystack = text(workout);
+    return words.every((word) => haystack.includes(word));
+}
+
+// power relative to ftp, one value per second
+// Workout, Watts -> [Number]
+function toPower(workout, ftp) {
+    const power = [];
+
+    for(const interval of workout.intervals ?? []) {
+        for(const step of interval.steps ?? []) {
+            const value = step.power ?? 0;
+            const relative = value > minAbsValue ? value / ftp : value;
+            for(let i = 0; i < (step.duration ?? 0); i++) {
+                power.push(relative);
+            }
+        }
+    }
+
+    return power;
+}
+
+// planned load of a workout, courses and free rides have none
+// Workout, Watts -> {intensity: Number, tss: Int}?
+function load(workout, ftp = 200) {
+    const power = toPower(workout, ftp);
+    const window = 30;
+    if(power.length < window) return undefined;
+
+    let sum  = 0;
+    let sum4 = 0;
+    let count = 0;
+    for(let i = 0; i < power.length; i++) {
+        sum += power[i];
+        if(i >= window) sum -= power[i - window];
+        if(i >= window - 1) {
+            sum4  += (sum / window) ** 4;
+            count += 1;
+        }
+    }
+
+    const intensity = (sum4 / count) ** 0.25;
+
+    return {
+        intensity: Math.round(intensity * 100) / 100,
+        tss: Math.round(power.length * intensity * intensity / 36),
+    };
+}
+
+// Workout -> Seconds?
+function duration(workout) {
+    return workout.meta?.duration;
+}
+
+// sort keys go high to low except the name, missing values go last
+// String, Watts -> (Workout -> Any)
+function sortKey(sort, ftp) {
+    if(equals(sort, 'duration'))   return duration;
+    if(equals(sort, 'tss'))        return (w) => load(w, ftp)?.tss;
+    if(equals(sort, 'intensity'))  return (w) => load(w, ftp)?.intensity;
+    if(equals(sort, 'lastRidden')) return (w) => w.lastRidden;
+    return (w) => w.meta?.name?.toLowerCase();
+}
+
+// [Workout], String, Watts -> [Workout]
+function sort(workouts, by = 'name', ftp = 200) {
+    const key  = sortKey(by, ftp);
+    const keys = new Map(workouts.map((w) => [w, key(w)]));
+    const ascending = equals(by, 'name');
+
+    return [...workouts].sort((a, b) => {
+        const x = keys.get(a);
+        const y = keys.get(b);
+
+        if(!exists(x) && !exists(y)) return 0;
+        if(!exists(x)) return 1;
+        if(!exists(y)) return -1;
+        if(equals(x, y)) return 0;
+
+        return ((x < y) === ascending) ? -1 : 1;
+    });
+}
+
+// [Workout],
+// {search: String, category: String, folder: String, tag: String, sort: String},
+// Watts
+// ->
+// [Workout]
+function query(workouts = [], args = {}, ftp) {
+    const category = args.category ?? '';
+    const folder   = args.folder ?? '';
+    const tag      = args.tag ?? '';
+
+    const filtered = workouts.filter((w) =>
+        (empty(category) || equals(w.meta?.category, category)) &&
+        (empty(folder)   || equals(w.folder ?? '', folder)) &&
+        (empty(tag)      || (w.tags ?? []).includes(tag)) &&
+        matches(w, args.search)
+    );
+
+    return sort(filtered, args.sort, ftp);
+}
+
+// the values the filters can take
+// [Workout] -> {categories: [String], folders: [String], tags: [String]}
+function options(workouts = []) {
+    const unique = (xs) => [...new Set(xs.filter((x) => !empty(x ?? '')))].sort();
+
+    return {
+        categories: unique(workouts.map((w) => w.meta?.category)),
+        folders:    unique(workouts.map((w) => w.folder)),
+        tags:       unique(workouts.flatMap((w) => w.tags ?? [])),
+    };
+}
+
+const library = {
+    props,
+    sorts,
+    toTags,
+    toFolder,
+    pick,
+    matches,
+    load,
+    sort,
+    query,
+    options,
+};
+
+export { library };
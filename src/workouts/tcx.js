@@ -0,0 +1,85 @@
+import { exists, empty, } from '../functions.js';
+import { track } from './track.js';
+
+//
+// TCX
+//
+// <TrainingCenterDatabase>
+//   <Courses>
+//     <Course>
+//       <Name>Route</Name>
+//       <Track>
+//         <Trackpoint>
+//           <Position>
+//             <LatitudeDegrees>42.6977</LatitudeDegrees>
+//             <LongitudeDegrees>23.3219</LongitudeDegrees>
+//           </Position>
+//           <AltitudeMeters>550.4</AltitudeMeters>
+//           <DistanceMeters>0.0</DistanceMeters>
+//         </Trackpoint>
+//       </Track>
+//     </Course>
+//   </Courses>
+// </TrainingCenterDatabase>
+//
+// DistanceMeters is optional, when missing it is computed from the positions
+//
+
+const parser = new DOMParser();
+
+function readContent(el) {
+    const value = el?.textContent?.trim();
+    return empty(value ?? '') ? undefined : value;
+}
+
+function readChild(el, name) {
+    return readContent(el.getElementsByTagName(name)[0]);
+}
+
+// Element -> {lat, lon, ele, distance}
+function readPoint(el) {
+    return {
+        lat: track.toNumber(readChild(el, 'LatitudeDegrees')),
+        lon: track.toNumber(readChild(el, 'LongitudeDegrees')),
+        ele: track.toNumber(readChild(el, 'AltitudeMeters')),
+        distance: track.toNumber(readChild(el, 'DistanceMeters')),
+    };
+}
+
+// Document -> [{lat, lon, ele, distance}]
+function readPoints(doc) {
+    const points = Array.from(doc.getElementsByTagName('Trackpoint'))
+        .map(readPoint)
+        .filter((p) => exists(p.lat) && exists(p.lon));
+
+    // mixing given and computed distances breaks the cumulative sum
+    if(points.some((p) => !exists(p.distance))) {
+        points.forEach((p) => p.distance = undefined);
+    }
+
+    return points;
+}
+
+function isTcx(text) {
+    return text.includes('<TrainingCenterDatabase');
+}
+
+// String, String -> Course{meta, points, pointsSimplified}
+function readToCourse(text, fileName = '') {
+    const doc = parser.parseFromString(text, 'text/xml');
+    const course = doc.getElementsByTagName('Course')[0];
+
+    const name = (exists(course) ? readChild(course, 'Name') : undefined) ??
+                 track.fileNameToName(fileName);
+    const description = (exists(course) ? readChild(course, 'Notes') : undefined) ?? '';
+
+    return track.toTrackCourse(readPoints(doc), name, description);
+}
+
+const tcx = {
+    isTcx,
+    readPoints,
+    readToCourse,
+};
+
+export { tcx };
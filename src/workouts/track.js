@@ -0,0 +1,137 @@
+import { equals, exists, } from '../functions.js';
+import { toCourse } from '../fit/local-course.js';
+
+//
+// Track
+//
+// shared by the GPX and TCX readers, turns a list of track points
+// {lat, lon, ele, distance?} into the course structure that course.js uses
+//
+
+const earthRadius = 6371008.8; // m
+
+// elevation from gps and barometric sources is noisy,
+// average it over a window of this many meters in each direction
+const smoothingWindow = 25; // m
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Degrees -> Semicircles
+function toSemicircles(degrees) {
+    return Math.round(degrees * (2**31 / 180));
+}
+
+// {lat, lon}, {lat, lon} -> Meters
+function haversine(p1, p2) {
+    const dLat = toRadians(p2.lat - p1.lat);
+    const dLon = toRadians(p2.lon - p1.lon);
+    const a = Math.sin(dLat / 2)**2 +
+              Math.cos(toRadians(p1.lat)) * Math.cos(toRadians(p2.lat)) *
+              Math.sin(dLon / 2)**2;
+    return 2 * earthRadius * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// [{lat, lon, distance?}] -> [Meters]
+function cumulativeDistance(trackpoints) {
+    let distance = 0;
+
+    return trackpoints.map((p, i, xs) => {
+        if(exists(p.distance)) {
+            distance = p.distance;
+        } else if(i > 0) {
+            distance += haversine(xs[i-1], p);
+        }
+        return distance;
+    });
+}
+
+// [Meters], [Meters], Meters -> [Meters]
+function smooth(elevations, distances, window = smoothingWindow) {
+    let start = 0;
+    let end = 0;
+    let sum = 0;
+
+    return elevations.map((_, i) => {
+        while(end < elevations.length && distances[end] <= distances[i] + window) {
+            sum += elevations[end];
+            end += 1;
+        }
+        while(distances[start] < distances[i] - window) {
+            sum -= elevations[start];
+            start += 1;
+        }
+        return sum / (end - start);
+    });
+}
+
+// fills missing elevations with the last known one
+// [Meters?] -> [Meters]
+function fillElevation(elevations) {
+    let prev = elevations.find(exists) ?? 0;
+
+    return elevations.map((ele) => {
+        if(exists(ele)) prev = ele;
+        return prev;
+    });
+}
+
+// [{lat: Degrees, lon: Degrees, ele: Meters?, distance: Meters?}], String, String
+// ->
+// Course{meta, points, pointsSimplified}
+function toTrackCourse(trackpoints, name, description = '') {
+    const distances = cumulativeDistance(trackpoints);
+    const elevations = smooth(fillElevation(trackpoints.map((p) => p.ele)), distances);
+
+    let x = 0;
+
+    const points = trackpoints.map((p, i) => {
+        const altitude = elevations[i];
+        const altitudeNext = elevations[i+1] ?? altitude;
+        const distance = distances[i];
+        const distanceNext = distances[i+1] ?? distance;
+
+        const rise  = altitudeNext - altitude;
+        const run   = distanceNext - distance;
+        const slope = equals(run, 0) ? 0 : 100 * (rise/run);
+
+        const point = {
+            x,
+            y: altitude,
+            r: run,
+            slope,
+            distance,
+            position_lat: toSemicircles(p.lat),
+            position_long: toSemicircles(p.lon),
+        };
+        x += run;
+        return point;
+    });
+
+    return toCourse(points, distances.at(-1) ?? 0, name, description);
+}
+
+// String -> Number?
+function toNumber(value) {
+    const n = parseFloat(value);
+    return isNaN(n) ? undefined : n;
+}
+
+// String -> String
+function fileNameToName(fileName = '') {
+    return fileName.replace(/\.(gpx|tcx)$/gi, '').replace(/_|-/gi, ' ');
+}
+
+const track = {
+    toSemicircles,
+    haversine,
+    cumulativeDistance,
+    smooth,
+    fillElevation,
+    toTrackCourse,
+    toNumber,
+    fileNameToName,
+};
+
+export { track };
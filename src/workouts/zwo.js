@@ -71,11 +71,23 @@ function attributesToStep(args = {}) {
     }, {});
 }
 
+// attributes that don't go to the step by just lower casing them
+const stepNames = {
+    HeartRate: 'hr',
+    SmO2Above: 'smo2Above',
+    SmO2Below: 'smo2Below',
+};
+
+// String -> String
+function toStepName(key) {
+    return stepNames[key] ?? key.toLowerCase();
+}
+
 function Step(element) {
     const spec = {
         element: element,
         filter:  (key) => !equals(key, 'element'),
-        toName:  (key) => key.toLowerCase(),
+        toName:  toStepName,
     };
 
     return attributesToStep(spec);
@@ -85,7 +97,7 @@ function OnStep(element) {
     const spec = {
         element:    element,
         filter: (key) => key.startsWith('On') || equals(key, 'Cadence'),
-        toName: (key) => key.replace(/On/g,'').toLocaleLowerCase(),
+        toName: (key) => toStepName(key.replace(/On/g,'')),
     };
 
     return attributesToStep(spec);
@@ -95,7 +107,7 @@ function OffStep(element) {
     const spec = {
         element:    element,
         filter: (key) => key.startsWith('Off') || key.endsWith('Resting'),
-        toName: (key) => key.replace(/On|Off|Resting/g,'').toLocaleLowerCase(),
+        toName: (key) => toStepName(key.replace(/On|Off|Resting/g,'')),
     };
 
     return attributesToStep(spec);
@@ -194,6 +206,9 @@ function Element(args = {}) {
         if(exists(step.power)) res.Power = step.power;
         if(exists(step.cadence)) res.Cadence = step.cadence;
         if(exists(step.slope)) res.Slope = step.slope;
+        if(exists(step.hr)) res.HeartRate = step.hr;
+        if(exists(step.smo2Above)) res.SmO2Above = step.smo2Above;
+        if(exists(step.smo2Below)) res.SmO2Below = step.smo2Below;
 
         return res;
     }
@@ -301,7 +316,10 @@ function FreeRide(args = {}) {
                 steps.push({distance: track[i+1], slope: track[i], power});
             }
         } else {
-            steps.push({duration, slope, power});
+            const step = {duration, slope, power};
+            if(exists(element.SmO2Above)) step.smo2Above = element.SmO2Above;
+            if(exists(element.SmO2Below)) step.smo2Below = element.SmO2Below;
+            steps.push(step);
         }
 
         if(exists(track)) {
@@ -472,6 +490,7 @@ function SteadyState(args = {}) {
         const power     = element.Power;
         const powerLow  = element.PowerLow;
         const powerHigh = element.PowerHigh;
+        const heartRate = element.HeartRate;
 
         let step = {};
 
@@ -486,6 +505,10 @@ function SteadyState(args = {}) {
             element.PowerHigh = undefined;
             step = Step(element);
         }
+        else if(exists(heartRate)) {
+            // heart rate steps can go without power
+            step = Step(element);
+        }
         else {
             element.Power = 0;
             element.Slope = 0;
@@ -724,6 +747,18 @@ const Attrs = {
     Track: Attribute({name: 'Track', decode: decodeSim, encode: encodeSim}),
 
     Repeat: Attribute({name: 'Repeat', decode: parseInt}),
+
+    // Auuki extension: heart rate target, relative to LTHR like 0.85, or bpm
+    HeartRate: Attribute({name: 'HeartRate', decode: parseFloat}),
+
+    // Auuki extension: the step ends when SmO2 gets above or below this %,
+    // the duration is then the most it can take
+    SmO2Above:     Attribute({name: 'SmO2Above', decode: parseFloat}),
+    SmO2Below:     Attribute({name: 'SmO2Below', decode: parseFloat}),
+    OnSmO2Above:   Attribute({name: 'OnSmO2Above', decode: parseFloat}),
+    OnSmO2Below:   Attribute({name: 'OnSmO2Below', decode: parseFloat}),
+    OffSmO2Above:  Attribute({name: 'OffSmO2Above', decode: parseFloat}),
+    OffSmO2Below:  Attribute({name: 'OffSmO2Below', decode: parseFloat}),
 };
 
 const Elements = {
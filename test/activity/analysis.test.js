@@ -0,0 +1,258 @@
+import { analysis } from '../../src/activity/analysis.js';
+import { fit } from '../../src/fit/fit.js';
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: console.warn,
+};
+
+const start = 1669140869000;
+
+// Int, (Int -> {<field>: Any}) -> [Record]
+function ride(seconds, fn) {
+    return Array.from({length: seconds}, (_, i) => ({
+        timestamp: start + (i * 1000),
+        distance: i * 8,
+        speed: 8,
+        ...fn(i),
+    }));
+}
+
+function powerToZone(power, ftp = 200) {
+    if(power < ftp * 0.55) return {index: 0};
+    if(power < ftp * 0.75) return {index: 1};
+    return {index: 2};
+}
+
+describe('fromFITjs', () => {
+    test('reads back an encoded activity', () => {
+        const records = ride(4, () => ({power: 150, heart_rate: 120, cadence: 80}));
+        const laps = [{timestamp: start + 4000, start_time: start}];
+        const events = [
+            {timestamp: start, type: 'start'},
+            {timestamp: start + 4000, type: 'stop'},
+        ];
+        const buffer = fit.localActivity.encode({records, laps, events, ftp: 250});
+        const fitjs = fit.FITjs.decode(new DataView(buffer.buffer));
+
+        const res = analysis.fromFITjs(fitjs);
+
+        expect(res.records.length).toBe(4);
+        expect(res.records[1].power).toBe(150);
+        expect(res.laps.length).toBe(1);
+        expect(res.session.threshold_power).toBe(250);
+    });
+
+    test('the session has the time in each power zone', () => {
+        const records = ride(4, () => ({power: 150}));
+        const laps = [{timestamp: start + 4000, start_time: start}];
+        const timeInPowerZone = [0, 1, 3];
+        const buffer = fit.localActivity.encode({records, laps, timeInPowerZone});
+        const fitjs = fit.FITjs.decode(new DataView(buffer.buffer));
+
+        const res = analysis.fromFITjs(fitjs);
+
+        expect(res.session.time_in_power_zone).toEqual([0, 1, 3]);
+        expect(res.records[3].power).toBe(150);
+    });
+
+    test('the heart rate zones and thresholds', () => {
+        const records = ride(4, () => ({power: 150, heart_rate: 140}));
+        const laps = [{timestamp: start + 4000, start_time: start}];
+        const heartRate = {max: 190, threshold: 160, resting: 50, reference: 'reserve', zones: [134, 148, 162, 176, 190]};
+        const buffer = fit.localActivity.encode({
+            records, laps, ftp: 250, heartRate, timeInHeartRateZone: [0, 4, 0, 0, 0],
+        });
+        const fitjs = fit.FITjs.decode(new DataView(buffer.buffer));
+
+        const target = fitjs.find((x) => x.type === 'data' && x.name === 'zones_target').fields;
+        const bounds = fitjs.filter((x) => x.type === 'data' && x.name === 'hr_zone').map((x) => x.fields.high_bpm);
+        const res = analysis.fromFITjs(fitjs);
+
+        expect(target).toEqual({
+            max_heart_rate: 190,
+            threshold_heart_rate: 160,
+            functional_threshold_power: 250,
+            hr_calc_type: 2,
+            pwr_calc_type: 1,
+        });
+        expect(bounds).toEqual([50, 134, 148, 162, 176, 190]);
+        expect(res.session.time_in_hr_zone).toEqual([0, 4, 0, 0, 0]);
+        expect(res.records.length).toBe(4);
+    });
+});
+
+describe('stats', () => {
+    const records = [
+        {power: 100, heart_rate: 0, cadence: 90},
+        {power: 0, heart_rate: 140, cadence: 0},
+        {power: 200, heart_rate: 150, cadence: 0xFF},
+        {heart_rate: 0xFF},
+    ];
+
+    test('power counts zeros', () => {
+        expect(analysis.stats(records, 'power')).toEqual({avg: 100, max: 200});
+    });
+
+    test('heart rate and cadence skip zeros and invalid values', () => {
+        expect(analysis.stats(records, 'heart_rate', false)).toEqual({avg: 145, max: 150});
+        expect(analysis.stats(records, 'cadence', false)).toEqual({avg: 90, max: 90});
+    });
+
+    test('nothing recorded', () => {
+        expect(analysis.stats([{power: 100}], 'heart_rate', false)).toBe(undefined);
+    });
+});
+
+describe('totals', () => {
+    test('from records', () => {
+        const records = ride(10, () => ({power: 200, heart_rate: 130, cadence: 85}));
+
+        expect(analysis.totals(records)).toEqual({
+            duration: 10,
+            elapsed: 10,
+            distance: 72,
+            work: 2,
+            power: {avg: 200, max: 200},
+            heartRate: {avg: 130, max: 130},
+            cadence: {avg: 85, max: 85},
+        });
+    });
+
+    test('timer time from the session', () => {
+        const records = ride(10, () => ({power: 200}));
+        const session = {total_timer_time: 8, total_elapsed_time: 10};
+
+        const res = analysis.totals(records, session);
+        expect(res.duration).toBe(8);
+        expect(res.elapsed).toBe(10);
+    });
+});
+
+describe('laps', () => {
+    test('averages the records of each lap', () => {
+        const records = ride(10, (i) => ({power: i < 5 ? 100 : 300, heart_rate: 120}));
+        const laps = [
+            {start_time: start, timestamp: start + 5000, total_timer_time: 5},
+            {start_time: start + 5000, timestamp: start + 10000, total_timer_time: 5},
+        ];
+
+        expect(analysis.laps(laps, records)).toEqual([
+            {index: 0, duration: 5, power: 100, heartRate: 120, cadence: undefined},
+            {index: 1, duration: 5, power: 300, heartRate: 120, cadence: undefined},
+        ]);
+    });
+});
+
+describe('timeInZone', () => {
+    test('counts seconds per zone without coasting', () => {
+        const records = ride(10, (i) => ({power: [0, 100, 100, 120, 160, 160, 160, 300, 0, 0][i]}));
+
+        expect(analysis.timeInZone(records, powerToZone, 3)).toEqual([2, 1, 4]);
+    });
+});
+
+describe('bestEffort', () => {
+    const records = ride(10, (i) => ({power: [100, 100, 300, 400, 200, 100, 100, 100, 100, 500][i]}));
+
+    test('highest average over the duration', () => {
+        expect(analysis.bestEffort(records, 1)).toBe(500);
+        expect(analysis.bestEffort(records, 2)).toBe(350);
+        expect(analysis.bestEffort(records, 3)).toBe(300);
+        expect(analysis.bestEffort(records, 10)).toBe(200);
+    });
+
+    test('ride shorter than the duration', () => {
+        expect(analysis.bestEffort(records, 11)).toBe(undefined);
+    });
+
+    test('bestEfforts', () => {
+        const long = ride(90, () => ({power: 250}));
+        expect(analysis.bestEfforts(long)).toEqual([
+            {duration: 5, power: 250},
+            {duration: 60, power: 250},
+        ]);
+    });
+});
+
+describe('series', () => {
+    test('averages buckets down to the number of points', () => {
+        const records = ride(10, (i) => ({power: i * 10}));
+
+        expect(analysis.series(records, 'power', 5)).toEqual([5, 25, 45, 65, 85]);
+        expect(analysis.series(records, 'power', 20).length).toBe(10);
+        expect(analysis.series([], 'power')).toEqual([]);
+    });
+});
+
+describe('analyze', () => {
+    test('uses the ftp of the activity for zones', () => {
+        const records = ride(10, () => ({power: 150}));
+        const fitjs = [
+            ...records.map((fields) => ({type: 'data', name: 'record', fields})),
+            {type: 'data', name: 'session', fields: {threshold_power: 300, total_timer_time: 10}},
+        ];
+
+        const res = analysis.analyze(fitjs, {ftp: 200, powerToZone});
+
+        expect(res.ftp).toBe(300);
+        expect(res.timeInZone).toEqual([10, 0, 0, 0, 0, 0, 0]);
+        expect(res.totals.power).toEqual({avg: 150, max: 150});
+        expect(res.series.power.length).toBe(10);
+    });
+});
+
+describe('powerCurve', () => {
+    test('mean-maximal power for the durations the ride covers', () => {
+        const records = ride(20, (i) => ({power: i < 5 ? 400 : 200}));
+
+        expect(analysis.powerCurve(records)).toEqual([
+            {duration: 1, power: 400},
+            {duration: 5, power: 400},
+            {duration: 10, power: 300},
+            {duration: 15, power: 267},
+        ]);
+    });
+});
+
+describe('envelope', () => {
+    test('best power of each duration with the ride it came from', () => {
+        const curves = [
+            {id: 'a', curve: [{duration: 1, power: 800}, {duration: 60, power: 300}]},
+            {id: 'b', curve: [{duration: 1, power: 700}, {duration: 60, power: 350}, {duration: 300, power: 280}]},
+        ];
+
+        expect(analysis.envelope(curves)).toEqual([
+            {duration: 1, power: 800, id: 'a'},
+            {duration: 60, power: 350, id: 'b'},
+            {duration: 300, power: 280, id: 'b'},
+        ]);
+    });
+
+    test('no rides', () => {
+        expect(analysis.envelope([])).toEqual([]);
+    });
+});
+
+describe('estimate', () => {
+    // a rider with CP 250 W and W' 20 kJ
+    const curve = [180, 300, 600, 1200].map((duration) => ({
+        duration, power: 250 + (20000 / duration),
+    }));
+
+    test('ftp from the 20 min best', () => {
+        expect(analysis.estimate(curve).ftp).toBe(Math.round((250 + 20000/1200) * 0.95));
+    });
+
+    test('cp and w prime from the 3 to 20 min efforts', () => {
+        const res = analysis.estimate(curve);
+        expect(res.cp).toBe(250);
+        expect(res.wPrime).toBe(20000);
+    });
+
+    test('not enough efforts', () => {
+        expect(analysis.estimate([{duration: 300, power: 300}])).toEqual({ftp: undefined});
+        expect(analysis.estimate([])).toEqual({ftp: undefined});
+    });
+});
@@ -0,0 +1,66 @@
+import { gearing } from '../../src/activity/gearing.js';
+
+describe('gears', () => {
+    test('every chainring with every cog, lowest first', () => {
+        const gears = gearing.toGears({enabled: true, chainrings: [50], cassette: [11, 17, 25]});
+
+        expect(gears.map((gear) => gear.cog)).toEqual([25, 17, 11]);
+        expect(gears[0].ratio).toBe(2);
+        expect(gearing.toNeutral(gears)).toBe(1);
+    });
+
+    test('a ratio that is already there is left out', () => {
+        // 34x17 and 50x25 are both 2
+        const gears = gearing.toGears({enabled: true, chainrings: [34, 50], cassette: [17, 25]});
+
+        expect(gears.map((gear) => gear.ratio)).toEqual([34 / 25, 2, 50 / 17]);
+    });
+
+    test('the gear stays in the list', () => {
+        const gears = gearing.toGears();
+
+        expect(gearing.clampGear(-1, gears)).toBe(0);
+        expect(gearing.clampGear(100, gears)).toBe(gears.length - 1);
+        expect(gearing.clampGear(undefined, gears)).toBe(gearing.toNeutral(gears));
+    });
+
+    test('chainrings and cassette in range', () => {
+        expect(gearing.isValid(gearing.defaultGearing)).toBe(true);
+        expect(gearing.isValid({...gearing.defaultGearing, cassette: []})).toBe(false);
+        expect(gearing.isValid({...gearing.defaultGearing, chainrings: [34, 50.5]})).toBe(false);
+        expect(gearing.isValid({...gearing.defaultGearing, enabled: 'yes'})).toBe(false);
+        expect(gearing.isValid(undefined)).toBe(false);
+    });
+});
+
+describe('toGrade', () => {
+    const args = {grade: 2, mass: 85, crr: 0.004, windResistance: 0.2, speed: 8};
+
+    test('the neutral gear sends the grade as it is', () => {
+        expect(gearing.toGrade({...args, ratio: 3, reference: 3})).toBe(2);
+    });
+
+    test('a higher gear is harder and a lower one easier', () => {
+        const up   = gearing.toGrade({...args, ratio: 3.3, reference: 3});
+        const down = gearing.toGrade({...args, ratio: 2.7, reference: 3});
+
+        expect(up).toBeGreaterThan(2);
+        expect(down).toBeLessThan(2);
+    });
+
+    test('on the flat the air makes the difference', () => {
+        const still = gearing.toGrade({...args, grade: 0, speed: 0, ratio: 4, reference: 3});
+        const going = gearing.toGrade({...args, grade: 0, ratio: 4, reference: 3});
+
+        expect(still).toBeCloseTo(0.13, 2);
+        expect(going).toBeGreaterThan(still + 1);
+    });
+});
+
+describe('toSpeed', () => {
+    test('from the cadence and the ratio', () => {
+        // 90 rpm in 50x15 on a 2105 mm wheel
+        expect(gearing.toSpeed(90, 50 / 15, 2105)).toBeCloseTo(10.525, 3);
+        expect(gearing.toSpeed(0, 3)).toBe(0);
+    });
+});
@@ -0,0 +1,105 @@
+import { hrv } from '../../src/activity/hrv.js';
+
+// same numbers on every run
+function random(seed = 42) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+// RR around 0.6 s with uncorrelated noise
+function whiteNoise(length, seed) {
+    const next = random(seed);
+    return Array.from({length}, () => 0.6 + (next() - 0.5) * 0.04);
+}
+
+// RR around 0.8 s that wanders, each beat close to the previous one
+function randomWalk(length, seed) {
+    const next = random(seed);
+    let x = 0;
+    return Array.from({length}, () => {
+        x += (next() - 0.5) * 0.004;
+        return 0.8 + x;
+    });
+}
+
+describe('clean', () => {
+    test('drops intervals out of range and replaces artifacts with the local median', () => {
+        const rr = [0.8, 0.81, 0.8, 0.79, 1.6, 0.8, 0.1, 0.81, 0.8];
+        const res = hrv.clean(rr);
+
+        expect(res.rr.length).toBe(8);
+        expect(res.rr[4]).toBe(0.8);
+        expect(res.artifacts).toBeCloseTo(2 / 9);
+    });
+
+    test('keeps clean intervals as they are', () => {
+        const rr = [0.8, 0.81, 0.8, 0.79, 0.8];
+        expect(hrv.clean(rr)).toEqual({rr, artifacts: 0});
+        expect(hrv.clean([])).toEqual({rr: [], artifacts: 0});
+    });
+});
+
+describe('toWindow', () => {
+    test('keeps the last 2 minutes of beats', () => {
+        let buffer = [];
+        for(let i = 0; i < 200; i++) {
+            buffer = hrv.toWindow(buffer, [1.0]);
+        }
+
+        expect(buffer.length).toBe(120);
+        expect(hrv.toWindow([1, 1, 1], [0.5, 0.5], 3)).toEqual([1, 1, 0.5, 0.5]);
+    });
+});
+
+describe('rmssd', () => {
+    test('in ms', () => {
+        expect(hrv.rmssd([0.8, 0.82, 0.8, 0.82])).toBeCloseTo(20);
+        expect(hrv.rmssd([0.8])).toBe(undefined);
+    });
+});
+
+describe('dfaAlpha1', () => {
+    test('uncorrelated beats are around 0.5', () => {
+        const alpha1 = hrv.dfaAlpha1(whiteNoise(150, 7));
+
+        expect(alpha1).toBeGreaterThan(0.3);
+        expect(alpha1).toBeLessThan(0.7);
+    });
+
+    test('correlated beats are well above 1', () => {
+        expect(hrv.dfaAlpha1(randomWalk(150, 7))).toBeGreaterThan(1.2);
+    });
+
+    test('needs enough beats', () => {
+        expect(hrv.dfaAlpha1(whiteNoise(20, 7))).toBe(undefined);
+    });
+});
+
+describe('analyze', () => {
+    test('nothing until the window has enough beats', () => {
+        const res = hrv.analyze(whiteNoise(hrv.minBeats - 1, 3));
+
+        expect(res.dfaAlpha1).toBe(undefined);
+        expect(res.rmssd).toBe(undefined);
+    });
+
+    test('an artifact barely moves alpha 1', () => {
+        const rr = randomWalk(150, 11);
+        const missed = [...rr.slice(0, 70), rr[70] + rr[71], ...rr.slice(72)];
+
+        const res = hrv.analyze(missed);
+
+        expect(res.artifacts).toBeGreaterThan(0);
+        expect(res.dfaAlpha1).toBeCloseTo(hrv.analyze(rr).dfaAlpha1, 1);
+    });
+
+    test('threshold of alpha 1', () => {
+        expect(hrv.toThreshold(1.0)).toBe('below-aerobic');
+        expect(hrv.toThreshold(0.6)).toBe('aerobic');
+        expect(hrv.toThreshold(0.4)).toBe('anaerobic');
+        expect(hrv.toThreshold(undefined)).toBe('none');
+    });
+});
@@ -0,0 +1,105 @@
+import { smo2 } from '../../src/activity/smo2.js';
+
+// a record a second from the SmO2 values
+function toRecords(values, start = 0) {
+    return values.map((x, i) => ({
+        timestamp: start + i * 1000,
+        saturated_hemoglobin_percent: x,
+    }));
+}
+
+// SmO2 that goes from the start value to the end value over the duration
+function line(start, end, duration) {
+    return Array.from({length: duration}, (_, i) => start + (end - start) * i / (duration - 1));
+}
+
+describe('zones', () => {
+    test('places SmO2 in the zones', () => {
+        const zones = {one: 40, two: 60, three: 100};
+
+        expect(smo2.toZone(35, zones)).toBe('one');
+        expect(smo2.toZone(40, zones)).toBe('two');
+        expect(smo2.toZone(75, zones)).toBe('three');
+        expect(smo2.toZone(25)).toBe('one');
+    });
+
+    test('the bounds go up', () => {
+        expect(smo2.isValid({one: 30, two: 70, three: 100})).toBe(true);
+        expect(smo2.isValid({one: 70, two: 30, three: 100})).toBe(false);
+        expect(smo2.isValid({one: 0, two: 30, three: 100})).toBe(false);
+        expect(smo2.isValid(undefined)).toBe(false);
+    });
+});
+
+describe('isStepDone', () => {
+    test('above and below a target', () => {
+        expect(smo2.isStepDone({duration: 120, smo2Above: 60}, 61)).toBe(true);
+        expect(smo2.isStepDone({duration: 120, smo2Above: 60}, 55)).toBe(false);
+        expect(smo2.isStepDone({duration: 300, smo2Below: 30}, 29.5)).toBe(true);
+        expect(smo2.isStepDone({duration: 300, smo2Below: 30}, 45)).toBe(false);
+    });
+
+    test('not without a target or a reading', () => {
+        expect(smo2.isStepDone({duration: 300, power: 1}, 80)).toBe(false);
+        expect(smo2.isStepDone({duration: 300, smo2Below: 30}, 0)).toBe(false);
+    });
+});
+
+describe('rates', () => {
+    test('fastest fall and rise in %/min', () => {
+        // falls 1% every 2 s, then rises 1% every second
+        const values = [...line(70, 40, 61), ...line(40, 70, 31)];
+        const res = smo2.rates(toRecords(values));
+
+        expect(res.desaturation).toBeCloseTo(30, 0);
+        expect(res.reoxygenation).toBeCloseTo(60, 0);
+    });
+
+    test('none without enough SmO2', () => {
+        const records = toRecords(Array(60).fill(0xFFFF / 10));
+
+        expect(smo2.rates(records)).toEqual({desaturation: undefined, reoxygenation: undefined});
+    });
+});
+
+describe('calibrate', () => {
+    // 5 min work steps with 1 min rests, SmO2 holds in the first three
+    // and falls in the last two
+    const levels = [
+        [70, 69.5], [66, 65.5], [62, 61.5], [58, 42], [42, 24],
+    ];
+
+    function test515() {
+        const records = [];
+        const laps = [];
+        let start = 0;
+
+        levels.forEach(([from, to]) => {
+            // a quick drop at the start of the work, then the trend
+            const work = [...line(from + 10, from, 60), ...line(from, to, 240)];
+            records.push(...toRecords(work, start));
+            laps.push({start_time: start, timestamp: start + work.length * 1000});
+            start += work.length * 1000;
+
+            const rest = line(to, to + 10, 60);
+            records.push(...toRecords(rest, start));
+            laps.push({start_time: start, timestamp: start + rest.length * 1000});
+            start += rest.length * 1000;
+        });
+
+        return {records, laps};
+    }
+
+    test('zones from the work steps of a 5-1-5 test', () => {
+        const {records, laps} = test515();
+
+        expect(smo2.calibrate(records, laps)).toEqual({one: 26, two: 62, three: 100});
+    });
+
+    test('nothing without enough work steps', () => {
+        const {records, laps} = test515();
+
+        expect(smo2.calibrate(records, laps.slice(0, 4))).toBe(undefined);
+        expect(smo2.calibrate([], [])).toBe(undefined);
+    });
+});
@@ -0,0 +1,107 @@
+import { zones } from '../../src/activity/zones.js';
+
+const coggan = zones.presets.coggan;
+const seiler = zones.presets.seiler;
+
+describe('toZone', () => {
+    test('the bounds the app always had by default', () => {
+        expect(zones.toZone(100, 200)).toEqual({name: 'one', index: 0, label: 'Z1', color: '#636468'});
+        expect(zones.toZone(108, 200).index).toBe(1);
+        expect(zones.toZone(174, 200).index).toBe(3);
+        expect(zones.toZone(239, 200).index).toBe(5);
+        expect(zones.toZone(240, 200).index).toBe(6);
+    });
+
+    test('zone three has its own color', () => {
+        expect(zones.toZone(160, 200, coggan).color).toBe('#44A5AB');
+        expect(zones.toColor('three', coggan)).toBe('#44A5AB');
+    });
+
+    test('three zones', () => {
+        expect(zones.toZone(150, 200, seiler).name).toBe('one');
+        expect(zones.toZone(160, 200, seiler).name).toBe('two');
+        expect(zones.toZone(400, 200, seiler)).toEqual({name: 'three', index: 2, label: 'Z3', color: '#FE340B'});
+    });
+});
+
+describe('isValid', () => {
+    test('presets', () => {
+        expect(zones.isValid(coggan)).toBe(true);
+        expect(zones.isValid(seiler)).toBe(true);
+    });
+
+    test('bounds go up and the last zone is open', () => {
+        const zone = (upper) => ({label: 'Z', upper, color: '#000000'});
+
+        expect(zones.isValid({zones: [zone(0.8), zone(null)]})).toBe(true);
+        expect(zones.isValid({zones: [zone(0.8), zone(0.6), zone(null)]})).toBe(false);
+        expect(zones.isValid({zones: [zone(0.8), zone(1.2)]})).toBe(false);
+        expect(zones.isValid({zones: [zone(null)]})).toBe(false);
+        expect(zones.isValid({zones: [{...zone(0.8), color: 'red'}, zone(null)]})).toBe(false);
+    });
+});
+
+describe('toCustom', () => {
+    test('sorts the bounds, opens the last zone and fills in labels and colors', () => {
+        const res = zones.toCustom([
+            {label: ' Easy ', upper: '0.9', color: '#112233'},
+            {label: '', upper: 0.7},
+            {label: 'Hard', upper: 2, color: '#445566'},
+        ]);
+
+        expect(res).toEqual({
+            id: 'custom',
+            name: 'Custom',
+            zones: [
+                {label: 'Z1', upper: 0.7, color: '#636468'},
+                {label: 'Easy', upper: 0.9, color: '#112233'},
+                {label: 'Hard', upper: null, color: '#445566'},
+            ],
+        });
+        expect(zones.isValid(res)).toBe(true);
+    });
+});
+
+describe('resize', () => {
+    test('adds a zone above the last bound', () => {
+        const res = zones.resize(seiler, 4);
+
+        expect(res.zones.map((z) => z.upper)).toEqual([0.8, 1, 1.15, null]);
+        expect(zones.isValid(res)).toBe(true);
+        expect(seiler.zones[2].upper).toBe(null);
+    });
+
+    test('drops the top zones and keeps the count in range', () => {
+        expect(zones.resize(coggan, 3).zones.map((z) => z.upper)).toEqual([0.54, 0.75, null]);
+        expect(zones.resize(seiler, 1).zones.length).toBe(zones.minZones);
+        expect(zones.resize(coggan, 20).zones.length).toBe(zones.maxZones);
+    });
+});
+
+describe('heart rate zones', () => {
+    const profile = {lthr: 160, max: 190, resting: 50};
+    const presets = zones.heartRatePresets;
+
+    test('relative to the lthr', () => {
+        expect(zones.toHeartRateZone(130, profile, presets.lthr).index).toBe(0);
+        expect(zones.toHeartRateZone(150, profile, presets.lthr).index).toBe(2);
+        expect(zones.toHeartRateZone(160, profile, presets.lthr).index).toBe(4);
+        expect(zones.toHeartRateZone(175, profile, presets.lthr).label).toBe('Z7');
+    });
+
+    test('relative to the max and the reserve', () => {
+        expect(zones.toHeartRateZone(160, profile, presets.max).index).toBe(3);
+        // (150 - 50) / (190 - 50) = 0.71
+        expect(zones.toHeartRateZone(150, profile, presets.reserve).index).toBe(2);
+    });
+
+    test('the reserve falls back to the max without a resting heart rate below it', () => {
+        const res = zones.toHeartRateZone(160, {...profile, resting: 190}, presets.reserve);
+        expect(res.index).toBe(3);
+    });
+
+    test('bounds in bpm', () => {
+        expect(zones.toHeartRateBounds(presets.lthr, profile)).toEqual([136, 144, 152, 160, 165, 171, 190]);
+        expect(zones.toHeartRateBounds(presets.reserve, profile)).toEqual([134, 148, 162, 176, 190]);
+    });
+});
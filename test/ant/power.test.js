@@ -0,0 +1,222 @@
+import { dataviewToArray } from '../../src/functions.js';
+import { bicyclePower } from '../../src/ant/power.js';
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: console.warn,
+};
+
+describe('Data Page 16 - Standard Power-Only', () => {
+
+    describe('encode', () => {
+        test('default', () => {
+            const msg = bicyclePower.dataPage16.encode();
+            expect(dataviewToArray(msg)).toEqual([16, 0, 255, 255, 0,0, 0,0]);
+        });
+
+        test('in range', () => {
+            const msg = bicyclePower.dataPage16.encode({
+                eventCount: 1,
+                pedalPower: 52,
+                rightPedal: true,
+                cadence: 90,
+                accumulatedPower: 1000,
+                power: 250,
+            });
+            expect(dataviewToArray(msg)).toEqual([16, 1, 180, 90, 232,3, 250,0]);
+        });
+    });
+
+    describe('decode', () => {
+        test('default', () => {
+            const view = bicyclePower.dataPage16.encode();
+            const res = bicyclePower.dataPage16.decode(view);
+            expect(res).toEqual({
+                dataPage: 16,
+                eventCount: 0,
+                pedalPower: undefined,
+                rightPedal: false,
+                cadence: undefined,
+                accumulatedPower: 0,
+                power: 0,
+            });
+        });
+
+        test('in range', () => {
+            const view = bicyclePower.dataPage16.encode({
+                eventCount: 1,
+                pedalPower: 52,
+                rightPedal: true,
+                cadence: 90,
+                accumulatedPower: 1000,
+                power: 250,
+            });
+            const res = bicyclePower.dataPage16.decode(view);
+            expect(res).toEqual({
+                dataPage: 16,
+                eventCount: 1,
+                pedalPower: 52,
+                rightPedal: true,
+                cadence: 90,
+                accumulatedPower: 1000,
+                power: 250,
+            });
+        });
+    });
+});
+
+describe('Data Page 18 - Standard Crank Torque', () => {
+
+    describe('encode', () => {
+        test('default', () => {
+            const msg = bicyclePower.dataPage18.encode();
+            expect(dataviewToArray(msg)).toEqual([18, 0, 0, 255, 0,0, 0,0]);
+        });
+
+        test('in range', () => {
+            const msg = bicyclePower.dataPage18.encode({
+                eventCount: 5,
+                crankTicks: 5,
+                cadence: 90,
+                crankPeriod: 2048,
+                accumulatedTorque: 1600,
+            });
+            expect(dataviewToArray(msg)).toEqual([18, 5, 5, 90, 0,8, 64,6]);
+        });
+    });
+
+    describe('decode', () => {
+        test('in range', () => {
+            const view = bicyclePower.dataPage18.encode({
+                eventCount: 5,
+                crankTicks: 5,
+                cadence: 90,
+                crankPeriod: 2048,
+                accumulatedTorque: 1600,
+            });
+            const res = bicyclePower.dataPage18.decode(view);
+            expect(res).toEqual({
+                dataPage: 18,
+                eventCount: 5,
+                crankTicks: 5,
+                cadence: 90,
+                crankPeriod: 2048,
+                accumulatedTorque: 1600,
+            });
+        });
+    });
+});
+
+describe('Data Page 19 - Torque Effectiveness and Pedal Smoothness', () => {
+
+    describe('encode', () => {
+        test('default', () => {
+            const msg = bicyclePower.dataPage19.encode();
+            expect(dataviewToArray(msg)).toEqual([19, 0, 255, 255, 255, 255, 255, 255]);
+        });
+
+        test('separate pedal smoothness', () => {
+            const msg = bicyclePower.dataPage19.encode({
+                eventCount: 2,
+                leftTorqueEffectiveness: 90,
+                rightTorqueEffectiveness: 85.5,
+                leftPedalSmoothness: 20,
+                rightPedalSmoothness: 25,
+            });
+            expect(dataviewToArray(msg)).toEqual([19, 2, 180, 171, 40, 50, 255, 255]);
+        });
+
+        test('combined pedal smoothness', () => {
+            const msg = bicyclePower.dataPage19.encode({combinedPedalSmoothness: 30});
+            expect(dataviewToArray(msg)).toEqual([19, 0, 255, 255, 60, 254, 255, 255]);
+        });
+    });
+
+    describe('decode', () => {
+        test('separate pedal smoothness', () => {
+            const view = bicyclePower.dataPage19.encode({
+                eventCount: 2,
+                leftTorqueEffectiveness: 90,
+                rightTorqueEffectiveness: 85.5,
+                leftPedalSmoothness: 20,
+                rightPedalSmoothness: 25,
+            });
+            const res = bicyclePower.dataPage19.decode(view);
+            expect(res).toEqual({
+                dataPage: 19,
+                eventCount: 2,
+                leftTorqueEffectiveness: 90,
+                rightTorqueEffectiveness: 85.5,
+                leftPedalSmoothness: 20,
+                rightPedalSmoothness: 25,
+            });
+        });
+
+        test('combined pedal smoothness', () => {
+            const view = bicyclePower.dataPage19.encode({combinedPedalSmoothness: 30});
+            const res = bicyclePower.dataPage19.decode(view);
+            expect(res).toEqual({
+                dataPage: 19,
+                eventCount: 0,
+                leftTorqueEffectiveness: undefined,
+                rightTorqueEffectiveness: undefined,
+                combinedPedalSmoothness: 30,
+            });
+        });
+    });
+});
+
+describe('Crank Torque', () => {
+
+    test('needs two pages', () => {
+        const crankTorque = bicyclePower.CrankTorque();
+        const res = crankTorque.update({eventCount: 1, crankPeriod: 0, accumulatedTorque: 0});
+        expect(res).toEqual({});
+    });
+
+    test('power and cadence', () => {
+        const crankTorque = bicyclePower.CrankTorque();
+        crankTorque.update({eventCount: 1, crankPeriod: 0, accumulatedTorque: 0});
+        const res = crankTorque.update({eventCount: 2, crankPeriod: 2048, accumulatedTorque: 1019});
+        expect(res).toEqual({power: 200, cadence: 60});
+    });
+
+    test('rollover', () => {
+        const crankTorque = bicyclePower.CrankTorque();
+        crankTorque.update({eventCount: 255, crankPeriod: 65000, accumulatedTorque: 65000});
+        const res = crankTorque.update({eventCount: 0, crankPeriod: 1512, accumulatedTorque: 483});
+        expect(res).toEqual({power: 200, cadence: 60});
+    });
+
+    test('coasting', () => {
+        const crankTorque = bicyclePower.CrankTorque();
+        crankTorque.update({eventCount: 1, crankPeriod: 2048, accumulatedTorque: 1019});
+        const res = crankTorque.update({eventCount: 2, crankPeriod: 2048, accumulatedTorque: 1019});
+        expect(res).toEqual({power: 0, cadence: 0});
+    });
+
+    test('stopped', () => {
+        const crankTorque = bicyclePower.CrankTorque({staleLimit: 3});
+        const page = {eventCount: 1, crankPeriod: 2048, accumulatedTorque: 1019};
+        crankTorque.update(page);
+        expect(crankTorque.update(page)).toEqual({});
+        expect(crankTorque.update(page)).toEqual({});
+        expect(crankTorque.update(page)).toEqual({power: 0, cadence: 0});
+    });
+});
+
+describe('Bicycle Power', () => {
+
+    test('decode by page number', () => {
+        const view = bicyclePower.dataPage16.encode({power: 250, cadence: 90});
+        const res = bicyclePower.decode(view);
+        expect(res.power).toBe(250);
+        expect(res.cadence).toBe(90);
+    });
+
+    test('decode unknown page', () => {
+        const view = new DataView(new Uint8Array([0x50, 0,0,0,0,0,0,0]).buffer);
+        expect(bicyclePower.decode(view)).toEqual({});
+    });
+});
@@ -0,0 +1,158 @@
+import { dataviewToArray } from '../../src/functions.js';
+import { speedCadence } from '../../src/ant/speed-cadence.js';
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: console.warn,
+};
+
+describe('Combined Speed and Cadence Data', () => {
+
+    describe('encode', () => {
+        test('default', () => {
+            const msg = speedCadence.combinedData.encode();
+            expect(dataviewToArray(msg)).toEqual([0,0, 0,0, 0,0, 0,0]);
+        });
+
+        test('in range', () => {
+            const msg = speedCadence.combinedData.encode({
+                cadenceEventTime: 1,
+                cadenceRevolutions: 10,
+                speedEventTime: 2,
+                speedRevolutions: 300,
+            });
+            expect(dataviewToArray(msg)).toEqual([0,4, 10,0, 0,8, 44,1]);
+        });
+    });
+
+    describe('decode', () => {
+        test('in range', () => {
+            const view = speedCadence.combinedData.encode({
+                cadenceEventTime: 1,
+                cadenceRevolutions: 10,
+                speedEventTime: 2,
+                speedRevolutions: 300,
+            });
+            const res = speedCadence.combinedData.decode(view);
+            expect(res).toEqual({
+                cadenceEventTime: 1,
+                cadenceRevolutions: 10,
+                speedEventTime: 2,
+                speedRevolutions: 300,
+            });
+        });
+    });
+});
+
+describe('Speed or Cadence Event Data', () => {
+
+    describe('encode', () => {
+        test('default', () => {
+            const msg = speedCadence.eventData.encode();
+            expect(dataviewToArray(msg)).toEqual([0, 255,255,255, 0,0, 0,0]);
+        });
+
+        test('in range', () => {
+            const msg = speedCadence.eventData.encode({
+                dataPage: 0,
+                pageChange: 1,
+                eventTime: 0.5,
+                revolutions: 3,
+            });
+            expect(dataviewToArray(msg)).toEqual([128, 255,255,255, 0,2, 3,0]);
+        });
+    });
+
+    describe('decode', () => {
+        test('in range', () => {
+            const view = speedCadence.eventData.encode({
+                dataPage: 4,
+                pageChange: 1,
+                eventTime: 0.5,
+                revolutions: 3,
+            });
+            const res = speedCadence.eventData.decode(view);
+            expect(res).toEqual({
+                dataPage: 4,
+                pageChange: 1,
+                eventTime: 0.5,
+                revolutions: 3,
+            });
+        });
+    });
+
+    test('decode by profile', () => {
+        const view = speedCadence.eventData.encode({eventTime: 0.5, revolutions: 3});
+        expect(speedCadence.decode('speed', view).revolutions).toBe(3);
+        expect(speedCadence.decode('cadence', view).revolutions).toBe(3);
+        expect(speedCadence.decode('unknown', view)).toEqual({});
+    });
+});
+
+describe('Speed and Cadence', () => {
+    const { Profile, SpeedCadence } = speedCadence;
+
+    test('cadence', () => {
+        const calculator = SpeedCadence();
+        expect(calculator.update(Profile.cadence, {eventTime: 1, revolutions: 10}))
+            .toEqual({cadence: 0});
+        expect(calculator.update(Profile.cadence, {eventTime: 2, revolutions: 11}))
+            .toEqual({cadence: 60});
+    });
+
+    test('speed', () => {
+        const calculator = SpeedCadence();
+        calculator.update(Profile.speed, {eventTime: 1, revolutions: 10});
+        expect(calculator.update(Profile.speed, {eventTime: 2, revolutions: 12}))
+            .toEqual({speed: 15.16});
+    });
+
+    test('speed with wheel circumference', () => {
+        const calculator = SpeedCadence({wheelCircumference: 2});
+        calculator.update(Profile.speed, {eventTime: 1, revolutions: 10});
+        expect(calculator.update(Profile.speed, {eventTime: 2, revolutions: 12}))
+            .toEqual({speed: 14.4});
+    });
+
+    test('combined', () => {
+        const calculator = SpeedCadence();
+        calculator.update(Profile.speedCadence, {
+            cadenceEventTime: 1, cadenceRevolutions: 10,
+            speedEventTime: 1, speedRevolutions: 100,
+        });
+        expect(calculator.update(Profile.speedCadence, {
+            cadenceEventTime: 2, cadenceRevolutions: 11,
+            speedEventTime: 2, speedRevolutions: 102,
+        })).toEqual({speed: 15.16, cadence: 60});
+    });
+
+    test('rollover', () => {
+        const calculator = SpeedCadence();
+        calculator.update(Profile.cadence, {eventTime: 63.5, revolutions: 65535});
+        expect(calculator.update(Profile.cadence, {eventTime: 0.5, revolutions: 0}))
+            .toEqual({cadence: 60});
+    });
+
+    test('stale events', () => {
+        const calculator = SpeedCadence({maxRateCount: 3});
+        calculator.update(Profile.cadence, {eventTime: 1, revolutions: 10});
+        calculator.update(Profile.cadence, {eventTime: 2, revolutions: 11});
+
+        // the same event repeated while the crank is stopped
+        const page = {eventTime: 2, revolutions: 11};
+        expect(calculator.update(Profile.cadence, page)).toEqual({cadence: 60});
+        expect(calculator.update(Profile.cadence, page)).toEqual({cadence: 60});
+        expect(calculator.update(Profile.cadence, page)).toEqual({cadence: 60});
+        expect(calculator.update(Profile.cadence, page)).toEqual({cadence: 0});
+    });
+
+    test('reset', () => {
+        const calculator = SpeedCadence();
+        calculator.update(Profile.cadence, {eventTime: 1, revolutions: 10});
+        calculator.update(Profile.cadence, {eventTime: 2, revolutions: 11});
+        calculator.reset();
+        expect(calculator.update(Profile.cadence, {eventTime: 10, revolutions: 50}))
+            .toEqual({cadence: 0});
+    });
+});
@@ -0,0 +1,44 @@
+import { control } from '../../src/ble/cps/control-point.js';
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: console.warn,
+};
+
+describe('Control Point', () => {
+
+    describe('OffsetCompensation', () => {
+        test('encode', () => {
+            const view = new DataView(control.offsetCompensation.encode());
+
+            expect(view.byteLength).toBe(1);
+            expect(view.getUint8(0, true)).toBe(0x0C);
+        });
+    });
+
+    describe('Response', () => {
+        test('offset compensation success', () => {
+            // 32-12-1-[-12]
+            const view = new DataView((new Uint8Array([32, 12, 1, 0xF4, 0xFF])).buffer);
+
+            expect(control.response.decode(view)).toEqual({
+                opCode: 32,
+                requestCode: 12,
+                resultCode: 1,
+                offset: -12,
+            });
+        });
+
+        test('offset compensation in the wrong crank position', () => {
+            const view = new DataView((new Uint8Array([32, 12, 4, 1])).buffer);
+
+            expect(control.response.decode(view)).toEqual({
+                opCode: 32,
+                requestCode: 12,
+                resultCode: 4,
+                incorrectCalibrationPosition: true,
+            });
+        });
+    });
+});
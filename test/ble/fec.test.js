@@ -0,0 +1,84 @@
+import { message } from '../../src/ble/fec/message.js';
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: console.warn,
+};
+
+// ANT message with the data page as payload
+function toMessage(payload) {
+    return new DataView((new Uint8Array([164, 9, 79, 5, ...payload, 0])).buffer);
+}
+
+describe('Calibration', () => {
+
+    describe('DataPage1', () => {
+        test('encode a spin down request', () => {
+            const view = message.encode({dataPage: 1, payload: {spinDown: true}});
+
+            expect(view.getUint8(4)).toBe(1);
+            expect(view.getUint8(5)).toBe(0b10000000);
+        });
+
+        test('encode a zero offset request', () => {
+            const view = message.encode({dataPage: 1, payload: {zeroOffset: true}});
+
+            expect(view.getUint8(5)).toBe(0b01000000);
+        });
+
+        test('decode the response', () => {
+            // spin down success, 20 °C, no zero offset, 2300 ms
+            const res = message.decode(toMessage([1, 0b10000000, 90, 0xFF, 0xFF, 0xFC, 0x08, 0]));
+
+            expect(res).toEqual({
+                dataPage: 1,
+                zeroOffsetSuccess: false,
+                spinDownSuccess: true,
+                temperature: 20,
+                zeroOffset: undefined,
+                spinDownTime: 2300,
+            });
+        });
+    });
+
+    describe('DataPage2', () => {
+        test('decode the calibration in progress', () => {
+            // spin down pending, temperature ok, speed too low, 8.333 m/s
+            const condition = (1 << 6) + (2 << 4);
+            const res = message.decode(toMessage([2, 0b10000000, condition, 0xFF, 0x8D, 0x20, 0xFF, 0xFF]));
+
+            expect(res.spinDownPending).toBe(true);
+            expect(res.zeroOffsetPending).toBe(false);
+            expect(res.temperatureCondition).toBe('ok');
+            expect(res.speedCondition).toBe('tooLow');
+            expect(res.temperature).toBe(undefined);
+            expect(res.targetSpeed).toBeCloseTo(8.333);
+            expect(res.targetSpinDownTime).toBe(undefined);
+        });
+    });
+});
+
+describe('DataPage55', () => {
+    test('encode the user configuration', () => {
+        // 80.3 kg rider, 9.5 kg bike, 670 mm wheel
+        const view = message.encode({dataPage: 55, payload: {
+            userWeight: 80.3, bikeWeight: 9.5, wheelDiameter: 0.67, diameterOffset: 0,
+        }});
+
+        expect(view.getUint8(4)).toBe(55);
+        expect(view.getUint16(5, true)).toBe(8030);
+        expect(view.getUint8(8)).toBe(0xE0);
+        expect(view.getUint8(9)).toBe(0x0B);
+        expect(view.getUint8(10)).toBe(67);
+    });
+
+    test('the defaults', () => {
+        const view = message.encode({dataPage: 55, payload: {}});
+
+        expect(view.getUint16(5, true)).toBe(7500);
+        expect(view.getUint8(8)).toBe(0x0F);
+        expect(view.getUint8(9)).toBe(0x0A);
+        expect(view.getUint8(10)).toBe(70);
+    });
+});
@@ -271,6 +271,30 @@ describe('Control Point', () => {
                     resultCode: 1,
                 });
             });
+
+            test('spin down control success with the target speed', () => {
+                const view = new DataView((new Uint8Array([128, 19, 1, 0x80, 0x0C, 0xA0, 0x0F])).buffer);
+
+                const res = control.response.decode(view);
+                expect(res.requestCode).toBe(0x13);
+                expect(res.resultCode).toBe(1);
+                expect(res.targetSpeedLow).toBeCloseTo(32);
+                expect(res.targetSpeedHigh).toBeCloseTo(40);
+            });
+        });
+    });
+
+    describe('SpinDownControl', () => {
+        test('opCode', () => {
+            expect(control.spinDownControl.opCode).toEqual(0x13);
+        });
+
+        test('encode', () => {
+            const view = new DataView(control.spinDownControl.encode({control: 'start'}));
+
+            expect(view.byteLength).toBe(2);
+            expect(view.getUint8(0, true)).toBe(0x13);
+            expect(view.getUint8(1, true)).toBe(0x01);
         });
     });
 });
@@ -350,6 +374,27 @@ describe('FitnessMachineStatus', () => {
                 value: {circumference: 2180},
             });
         });
+
+        test('the event of an operation', () => {
+            const stopped = status.decode(new DataView((new Uint8Array([2])).buffer));
+            const lost    = status.decode(new DataView((new Uint8Array([255])).buffer));
+            const speed   = status.decode(new DataView((new Uint8Array([5, 0, 0])).buffer));
+
+            expect(status.toEvent(stopped)).toBe('stopped');
+            expect(status.toEvent(lost)).toBe('controlPermissionLost');
+            expect(status.toEvent(speed)).toBe(undefined);
+        });
+
+        test('Spin Down Status', () => {
+            expect(status.decode(new DataView((new Uint8Array([20, 1])).buffer))).toEqual({
+                operation: 'Spin Down Status',
+                value: {status: 'speedUp'},
+            });
+            expect(status.decode(new DataView((new Uint8Array([20, 4])).buffer)).value)
+                .toEqual({status: 'stopPedaling'});
+            expect(status.decode(new DataView((new Uint8Array([20, 2])).buffer)).value)
+                .toEqual({status: 'success'});
+        });
     });
 });
 
@@ -398,4 +443,19 @@ describe('SupportedRanges', () => {
             });
         });
     });
+
+    describe('InclinationRange', () => {
+        test('decode', () => {
+            const view = new DataView((new Uint8Array([156, 255, 200, 0, 5, 0])).buffer);
+
+            const res = supported.inclinationRange.decode(view);
+            expect(res).toEqual({min: -100, max: 200, inc: 5});
+            expect(supported.inclinationRange.toUnits(res)).toEqual({min: -10, max: 20, inc: 0.5});
+        });
+    });
+
+    test('resistance in the units of the target', () => {
+        expect(supported.resistanceRange.toUnits({min: 0, max: 1000, inc: 1}))
+            .toEqual({min: 0, max: 100, inc: 0.1});
+    });
 });
@@ -0,0 +1,67 @@
+import { RaceControllerMeasurement } from '../../src/ble/rcs/race-controller-measurement.js';
+import { control } from '../../src/ble/rcs/control-point.js';
+import { dataviewToArray } from '../../src/functions.js';
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: console.warn,
+};
+
+function toDataview(xs) {
+    return new DataView(new Uint8Array(xs).buffer);
+}
+
+describe('Race Controller Measurement', () => {
+    const measurement = RaceControllerMeasurement();
+
+    test('Click buttons', () => {
+        // plus pressed, minus not
+        expect(measurement.decode(toDataview([0x37, 0x08, 0x00, 0x10, 0x01]))).toEqual({
+            type: 'buttons', pressed: ['plus'],
+        });
+        expect(measurement.decode(toDataview([0x37, 0x08, 0x01, 0x10, 0x01]))).toEqual({
+            type: 'buttons', pressed: [],
+        });
+    });
+
+    test('Play buttons by pad', () => {
+        // right pad, A and shift pressed, analog paddle at -1
+        const right = [0x07, 0x08, 0x00, 0x10, 0x01, 0x18, 0x01, 0x20, 0x00, 0x28, 0x01, 0x30, 0x01, 0x38, 0x00, 0x40, 0x01];
+        expect(measurement.decode(toDataview(right))).toEqual({
+            type: 'buttons', pressed: ['a', 'rightShift'],
+        });
+
+        // left pad, up pressed
+        const left = [0x07, 0x08, 0x01, 0x10, 0x00, 0x18, 0x01, 0x20, 0x01, 0x28, 0x01, 0x30, 0x01, 0x38, 0x01];
+        expect(measurement.decode(toDataview(left))).toEqual({
+            type: 'buttons', pressed: ['up'],
+        });
+    });
+
+    test('battery and idle', () => {
+        expect(measurement.decode(toDataview([0x19, 0x08, 0x5F]))).toEqual({type: 'battery', batteryLevel: 95});
+        expect(measurement.decode(toDataview([0x15]))).toEqual({type: 'idle'});
+        expect(measurement.decode(toDataview([0x23, 0x08, 0x00]))).toEqual({type: 'unknown'});
+    });
+
+    test('a press is a button that goes down', () => {
+        expect(measurement.toPresses([], ['plus'])).toEqual(['plus']);
+        expect(measurement.toPresses(['plus'], ['plus'])).toEqual([]);
+        expect(measurement.toPresses(['plus'], ['plus', 'minus'])).toEqual(['minus']);
+        expect(measurement.toPresses(['plus'], [])).toEqual([]);
+    });
+});
+
+describe('Race Controller Control Point', () => {
+    test('handshake', () => {
+        expect(dataviewToArray(new DataView(control.handshake.encode()))).toEqual(
+            [0x52, 0x69, 0x64, 0x65, 0x4f, 0x6e]
+        );
+    });
+
+    test('response', () => {
+        expect(control.response.decode(toDataview([0x52, 0x69, 0x64, 0x65, 0x4f, 0x6e, 0x01, 0x03])).type).toBe('rideOn');
+        expect(control.response.decode(toDataview([0x3c, 0x08])).type).toBe('unknown');
+    });
+});
@@ -1,5 +1,6 @@
 import { dataviewToArray } from '../../src/functions.js';
 import { definitionRecord } from '../../src/fit/definition-record.js';
+import { dataRecord } from '../../src/fit/data-record.js';
 import { fit } from '../../src/fit/fit.js';
 
 describe('Developer Fields', () => {
@@ -50,4 +51,47 @@ describe('Developer Fields', () => {
             dataviewToArray(definitionRecord.encode(dev_fitjs, view))
         ).toEqual(dev_definition_record);
     });
+
+    test('toFITjs with developer fields', () => {
+        const definition = definitionRecord.toFITjs(
+            ['record', ['timestamp', 'power'], 3, ['w_prime_balance']]
+        );
+
+        expect(definition.length).toBe(6 + 6 + 1 + 3);
+        expect(definition.data_record_length).toBe(1 + 4 + 2 + 4);
+        expect(definition.dev_fields).toEqual([{
+            number: 0, size: 4, developer_data_index: 0, base_type: 'sint32', name: 'w_prime_balance',
+        }]);
+    });
+
+    test('missing developer field is encoded as invalid', () => {
+        const definition = definitionRecord.toFITjs(
+            ['record', ['power'], 3, ['power_secondary']]
+        );
+        const view = new DataView(new ArrayBuffer(definition.data_record_length));
+
+        dataRecord.encode(definition, {power: 200}, view);
+
+        expect(dataviewToArray(view)).toEqual([3, 200, 0, 255, 255]);
+
+        dataRecord.encode(definition, {power: 200, power_secondary: 210}, view);
+
+        expect(dataviewToArray(view)).toEqual([3, 200, 0, 210, 0]);
+    });
+
+    test('missing float developer field is encoded as the invalid bit pattern', () => {
+        const definition = definitionRecord.toFITjs(
+            ['record', ['power'], 3, ['dfa_alpha1', 'rmssd']]
+        );
+        const view = new DataView(new ArrayBuffer(definition.data_record_length));
+
+        dataRecord.encode(definition, {power: 200}, view);
+
+        expect(dataviewToArray(view)).toEqual([3, 200, 0, 255, 255, 255, 255, 255, 255]);
+
+        dataRecord.encode(definition, {power: 200, dfa_alpha1: 0.75, rmssd: 42}, view);
+
+        expect(view.getFloat32(3, true)).toBe(0.75);
+        expect(view.getUint16(7, true)).toBe(42);
+    });
 });
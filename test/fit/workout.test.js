@@ -0,0 +1,148 @@
+import { fit } from '../../src/fit/fit.js';
+
+function WorkoutStep(fields) {
+    return {type: 'data', name: 'workout_step', fields};
+}
+
+describe('Local Workout', () => {
+    const fitJS = [
+        {type: 'data', name: 'file_id', fields: {type: 5}},
+        {type: 'data', name: 'workout', fields: {wkt_name: 'Over Unders', sport: 2, num_valid_steps: 5}},
+        // warmup 10 min at 60% ftp
+        WorkoutStep({message_index: 0, duration_type: 0, duration_value: 600000,
+                     target_type: 4, target_value: 0,
+                     custom_target_value_low: 55, custom_target_value_high: 65}),
+        // 2 min at 300W with 90 rpm
+        WorkoutStep({message_index: 1, duration_type: 0, duration_value: 120000,
+                     target_type: 4, target_value: 0,
+                     custom_target_value_low: 1300, custom_target_value_high: 1300,
+                     secondary_target_type: 3, secondary_target_value: 0,
+                     secondary_custom_target_value_low: 85, secondary_custom_target_value_high: 95}),
+        // 1 min in power zone 2
+        WorkoutStep({message_index: 2, duration_type: 0, duration_value: 60000,
+                     target_type: 4, target_value: 2,
+                     custom_target_value_low: 0, custom_target_value_high: 0}),
+        // repeat steps 1 and 2 three times in total
+        WorkoutStep({message_index: 3, duration_type: 6, duration_value: 1,
+                     target_type: 2, target_value: 3}),
+        // open cool down at 130 bpm
+        WorkoutStep({message_index: 4, duration_type: 5, duration_value: 0xFFFFFFFF,
+                     target_type: 1, target_value: 0,
+                     custom_target_value_low: 225, custom_target_value_high: 235}),
+    ];
+
+    test('isWorkout', () => {
+        expect(fit.localWorkout.isWorkout(fitJS)).toBe(true);
+        expect(fit.localWorkout.isWorkout([
+            {type: 'data', name: 'file_id', fields: {type: 6}},
+        ])).toBe(false);
+    });
+
+    test('toWorkout', () => {
+        const res = fit.localWorkout.toWorkout(fitJS, {name: 'over-unders.fit', ftp: 250});
+
+        const over  = {duration: 120, steps: [{duration: 120, power: 1.2, cadence: 90}]};
+        const under = {duration: 60, steps: [{duration: 60, power: 0.65}]};
+
+        expect(res.meta.name).toBe('Over Unders');
+        expect(res.meta.duration).toBe(600 + (3 * 180) + 300);
+        expect(res.intervals).toEqual([
+            {duration: 600, steps: [{duration: 600, power: 0.6}]},
+            over, under,
+            over, under,
+            over, under,
+            {duration: 300, steps: [{duration: 300, hr: 130}]},
+        ]);
+    });
+
+    test('encode and decode', () => {
+        const workout = {
+            meta: {name: 'Test Workout'},
+            intervals: [
+                {duration: 300, steps: [{duration: 300, power: 0.5}]},
+                {duration: 60, steps: [{duration: 60, power: 1.05, cadence: 100}]},
+                {duration: 20, steps: [
+                    {duration: 10, power: 0.6},
+                    {duration: 10, power: 0.7},
+                ]},
+            ],
+        };
+
+        const view = fit.localWorkout.encode(workout);
+        const res  = fit.localWorkout.decode(view, 'test.fit', 200);
+
+        expect(res.meta.name).toBe('Test Workout');
+        expect(res.meta.duration).toBe(380);
+        expect(res.intervals).toEqual([
+            {duration: 300, steps: [{duration: 300, power: 0.5}]},
+            {duration: 60, steps: [{duration: 60, power: 1.05, cadence: 100}]},
+            {duration: 10, steps: [{duration: 10, power: 0.6}]},
+            {duration: 10, steps: [{duration: 10, power: 0.7}]},
+        ]);
+    });
+
+    test('% max HR targets to a fraction of lthr', () => {
+        const res = fit.localWorkout.toWorkout([
+            {type: 'data', name: 'file_id', fields: {type: 5}},
+            // 80% of max HR
+            WorkoutStep({message_index: 0, duration_type: 0, duration_value: 60000,
+                         target_type: 1, target_value: 0,
+                         custom_target_value_low: 75, custom_target_value_high: 85}),
+        ], {ftp: 200, lthr: 160, maxHeartRate: 190});
+
+        expect(res.intervals).toEqual([
+            {duration: 60, steps: [{duration: 60, hr: 0.95}]},
+        ]);
+    });
+
+    test('encode and decode heart rate targets', () => {
+        const workout = {
+            meta: {name: 'Heart Rate'},
+            intervals: [
+                {duration: 600, steps: [{duration: 600, hr: 0.95}]},
+                {duration: 300, steps: [{duration: 300, hr: 130}]},
+            ],
+        };
+        const heartRate = {lthr: 160, maxHeartRate: 190};
+
+        const view  = fit.localWorkout.encode(workout, heartRate);
+        const steps = fit.FITjs.decode(view)
+              .filter((x) => x.type === 'data' && x.name === 'workout_step');
+
+        // 95% of lthr is 80% of max HR, bpm are + 100
+        expect(steps[0].fields.custom_target_value_low).toBe(80);
+        expect(steps[1].fields.custom_target_value_low).toBe(230);
+
+        const res = fit.localWorkout.decode(view, 'hr.fit', 200, heartRate);
+
+        expect(res.intervals).toEqual(workout.intervals);
+    });
+
+    test('heart rate targets below 9 are a fraction of lthr, like everywhere else', () => {
+        const heartRate = {lthr: 160, maxHeartRate: 190};
+        const workout = {
+            meta: {name: 'Heart Rate'},
+            intervals: [
+                {duration: 60, steps: [{duration: 60, hr: 4}]},
+                {duration: 60, steps: [{duration: 60, hr: 9}]},
+            ],
+        };
+
+        const steps = fit.FITjs.decode(fit.localWorkout.encode(workout, heartRate))
+              .filter((x) => x.type === 'data' && x.name === 'workout_step');
+
+        // a fraction never goes past 100% max HR, 9 and above is bpm
+        expect(steps[0].fields.custom_target_value_low).toBe(100);
+        expect(steps[1].fields.custom_target_value_low).toBe(109);
+
+        // bpm below 9 would read as a fraction, so they are left out
+        const res = fit.localWorkout.toWorkout([
+            {type: 'data', name: 'file_id', fields: {type: 5}},
+            WorkoutStep({message_index: 0, duration_type: 0, duration_value: 60000,
+                         target_type: 1, target_value: 0,
+                         custom_target_value_low: 105, custom_target_value_high: 105}),
+        ], {ftp: 200, ...heartRate});
+
+        expect(res.intervals).toEqual([{duration: 60, steps: [{duration: 60}]}]);
+    });
+});
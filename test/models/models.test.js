@@ -4,6 +4,10 @@
 
 import { xf } from '../../src/functions.js';
 import { models } from '../../src/models/models.js';
+import { idb } from '../../src/storage/idb.js';
+import indexedDB from 'fake-indexeddb';
+
+window.indexedDB = indexedDB;
 
 // Date.now = jest.fn(() => endTime);
 
@@ -160,3 +164,605 @@ describe('power1s', () => {
     });
 });
 
+
+describe('tss', () => {
+    const tss = models.tss;
+
+    test('steady power at ftp', () => {
+        tss.reset();
+        xf.dispatch('db:ftp', {ftp: 200});
+
+        for(let i = 0; i < 3600; i++) {
+            tss.setState(200);
+        }
+
+        expect(tss.count).toBe(3600 - 29);
+        expect(tss.time).toBe(3600);
+        expect(tss.state.normalizedPower).toBeCloseTo(200, 6);
+        expect(tss.state.intensityFactor).toBeCloseTo(1, 6);
+        expect(tss.state.trainingStressScore).toBeCloseTo(100, 6);
+    });
+
+    test('not enough samples for a rolling average', () => {
+        tss.reset();
+
+        for(let i = 0; i < 29; i++) {
+            tss.setState(300);
+        }
+
+        expect(tss.state).toEqual({
+            normalizedPower: 0,
+            intensityFactor: 0,
+            trainingStressScore: 0,
+        });
+    });
+
+    test('variable power is above average power', () => {
+        tss.reset();
+
+        const powers = [];
+        for(let i = 0; i < 1200; i++) {
+            powers.push((Math.floor(i / 60) % 2 === 0) ? 300 : 100);
+        }
+        powers.forEach((power) => tss.setState(power));
+
+        expect(tss.state.normalizedPower).toBeGreaterThan(200);
+        expect(tss.fromPower(powers, 200)).toEqual(tss.state);
+    });
+
+    test('reset on watch:stopped', () => {
+        tss.setState(200);
+        xf.dispatch('watch:stopped');
+
+        expect(tss.count).toBe(0);
+        expect(tss.time).toBe(0);
+        expect(tss.samples).toEqual([]);
+    });
+
+    test('restore', () => {
+        tss.reset();
+        tss.restore({
+            records: [{timestamp: 1, power: 250}, {time: [800]}, {timestamp: 2, power: 260}],
+            normalizedPower: 220,
+            tssCount: 1800,
+            tssTime: 1829,
+        });
+
+        expect(tss.samples).toEqual([250, 260]);
+        expect(tss.state.normalizedPower).toBeCloseTo(220, 6);
+        expect(tss.state.intensityFactor).toBeCloseTo(1.1, 6);
+        expect(tss.state.trainingStressScore).toBeCloseTo((1829 * 1.1 * 1.1 * 100) / 3600, 6);
+    });
+});
+
+describe('wPrimeBalance', () => {
+    const wPrimeBalance = models.wPrimeBalance;
+
+    beforeEach(() => {
+        xf.dispatch('db:cp', {cp: 200});
+        xf.dispatch('db:wPrime', {wPrime: 20000});
+        xf.dispatch('db:sources', {sources: {wPrimeBalanceModel: 'differential'}});
+        wPrimeBalance.reset();
+    });
+
+    test('starts full', () => {
+        expect(wPrimeBalance.state).toBe(20000);
+    });
+
+    test('differential drains above cp', () => {
+        for(let i = 0; i < 60; i++) {
+            wPrimeBalance.setState(300);
+        }
+
+        expect(wPrimeBalance.state).toBe(20000 - (100 * 60));
+    });
+
+    test('differential recovers below cp', () => {
+        for(let i = 0; i < 60; i++) {
+            wPrimeBalance.setState(300);
+        }
+        const drained = wPrimeBalance.state;
+
+        wPrimeBalance.setState(100);
+
+        expect(wPrimeBalance.state).toBeCloseTo(drained + ((20000 - drained) * 100 / 20000), 6);
+        expect(wPrimeBalance.state).toBeLessThan(20000);
+    });
+
+    test('integral drains above cp and recovers below', () => {
+        xf.dispatch('db:sources', {sources: {wPrimeBalanceModel: 'integral'}});
+
+        for(let i = 0; i < 60; i++) {
+            wPrimeBalance.setState(300);
+        }
+        const drained = wPrimeBalance.state;
+
+        expect(drained).toBeLessThan(20000);
+        expect(drained).toBeGreaterThan(20000 - (100 * 60));
+
+        for(let i = 0; i < 600; i++) {
+            wPrimeBalance.setState(100);
+        }
+
+        expect(wPrimeBalance.state).toBeGreaterThan(drained);
+        expect(wPrimeBalance.state).toBeLessThanOrEqual(20000);
+    });
+
+    test('ignores unknown model', () => {
+        xf.dispatch('db:sources', {sources: {wPrimeBalanceModel: 'unknown'}});
+
+        expect(wPrimeBalance.model).toBe('differential');
+    });
+
+    test('reset on watch:stopped', () => {
+        wPrimeBalance.setState(400);
+        xf.dispatch('watch:stopped');
+
+        expect(wPrimeBalance.state).toBe(20000);
+    });
+
+    test('restore', () => {
+        wPrimeBalance.restore({
+            cp: 250,
+            wPrime: 15000,
+            records: [{timestamp: 1, power: 350}, {time: [800]}, {timestamp: 2, power: 350}],
+        });
+
+        expect(wPrimeBalance.state).toBe(15000 - 200);
+    });
+});
+
+describe('heartRateControl', () => {
+    const heartRateControl = models.heartRateControl;
+
+    // one second of riding at a heart rate
+    function tick(heartRate) {
+        xf.dispatch('db:heartRate', {heartRate});
+        return heartRateControl.setState(heartRate);
+    }
+
+    function ride(heartRate, seconds) {
+        let power;
+        for(let i = 0; i < seconds; i++) {
+            power = tick(heartRate);
+        }
+        return power;
+    }
+
+    beforeEach(() => {
+        xf.dispatch('db:ftp', {ftp: 200});
+        xf.dispatch('db:powerTarget', {powerTarget: 150});
+        xf.dispatch('db:heartRateTarget', {heartRateTarget: 140});
+        xf.dispatch('db:workoutStatus', {workoutStatus: 'started'});
+    });
+
+    test('is active with a target', () => {
+        expect(heartRateControl.isActive()).toBe(true);
+        xf.dispatch('db:heartRateTarget', {heartRateTarget: 0});
+        expect(heartRateControl.isActive()).toBe(false);
+    });
+
+    test('is not active once the workout is stopped', () => {
+        xf.dispatch('db:workoutStatus', {workoutStatus: 'stopped'});
+        // the stop goes back to step 0, which sets its target again
+        xf.dispatch('db:heartRateTarget', {heartRateTarget: 140});
+        expect(heartRateControl.isActive()).toBe(false);
+
+        xf.dispatch('db:workoutStatus', {workoutStatus: 'started'});
+        expect(heartRateControl.isActive()).toBe(true);
+    });
+
+    test('raises power when heart rate is below target', () => {
+        expect(ride(120, 5)).toBe(155);
+    });
+
+    test('lowers power when heart rate is above target', () => {
+        expect(ride(150, 5)).toBe(145);
+    });
+
+    test('holds power within the deadband', () => {
+        expect(ride(139, 20)).toBe(150);
+        expect(ride(142, 20)).toBe(150);
+    });
+
+    test('changes power once per interval', () => {
+        expect(ride(120, 4)).toBe(150);
+        expect(ride(120, 1)).toBe(155);
+        expect(ride(120, 10)).toBe(165);
+    });
+
+    test('step follows the error below maxStep', () => {
+        expect(ride(137, 5)).toBe(153);
+    });
+
+    test('keeps power within ftp bounds', () => {
+        expect(ride(100, 60)).toBe(210);
+        expect(ride(200, 200)).toBe(60);
+    });
+
+    test('falls back when heart rate drops to 0', () => {
+        ride(120, 20);
+        expect(heartRateControl.power).toBe(170);
+
+        expect(tick(0)).toBe(150);
+    });
+
+    test('falls back when heart rate stops updating', () => {
+        ride(120, 10);
+        expect(heartRateControl.power).toBe(160);
+
+        let power;
+        for(let i = 0; i < 6; i++) {
+            power = heartRateControl.setState(120);
+        }
+        expect(power).toBe(150);
+    });
+});
+
+describe('lthr', () => {
+    test('toAbsolute', () => {
+        expect(models.lthr.toAbsolute(0.9, 160)).toBe(144);
+        expect(models.lthr.toAbsolute(150, 160)).toBe(150);
+    });
+});
+
+describe('powerComparison', () => {
+    const powerComparison = models.powerComparison;
+
+    beforeEach(() => {
+        powerComparison.reset();
+    });
+
+    test('live delta averages the last readings', () => {
+        expect(powerComparison.setState({power: 200, powerSecondary: 210})).toBe(10);
+        expect(powerComparison.setState({power: 200, powerSecondary: 206})).toBe(8);
+        expect(powerComparison.setState({power: 200, powerSecondary: 190})).toBe(2);
+        expect(powerComparison.setState({power: 200, powerSecondary: 190})).toBe(-5);
+    });
+
+    test('live delta resets without a second stream', () => {
+        powerComparison.setState({power: 200, powerSecondary: 210});
+        expect(powerComparison.setState({power: 200, powerSecondary: undefined})).toBe(0);
+    });
+
+    test('fromRecords', () => {
+        const records = [
+            {power: 100, power_secondary: 105},
+            {power: 200, power_secondary: 210},
+            {power: 300, power_secondary: 315},
+        ];
+
+        expect(powerComparison.fromRecords(records)).toEqual({
+            count: 3,
+            offset: 10,
+            ratio: 1.05,
+            slope: 1.05,
+            intercept: 0,
+            points: [[100, 105], [200, 210], [300, 315]],
+        });
+    });
+
+    test('fromRecords skips seconds without both streams', () => {
+        const records = [
+            {power: 100, power_secondary: 105},
+            {power: 0, power_secondary: 0},
+            {power: 150},
+            {power: 150, power_secondary: 0xFFFF},
+            {time: [800]},
+            {power: 200, power_secondary: 210},
+        ];
+
+        expect(powerComparison.fromRecords(records).count).toBe(2);
+    });
+
+    test('fromRecords without a second stream', () => {
+        expect(powerComparison.fromRecords([{power: 200}])).toBe(undefined);
+        expect(powerComparison.fromRecords([])).toBe(undefined);
+    });
+
+    test('fromRecords samples points for the scatter', () => {
+        const records = Array.from({length: 1000}, (_, i) => ({
+            power: 100 + (i % 200), power_secondary: 100 + (i % 200),
+        }));
+
+        const res = powerComparison.fromRecords(records);
+
+        expect(res.count).toBe(1000);
+        expect(res.points.length).toBeLessThanOrEqual(120);
+        expect(res.offset).toBe(0);
+        expect(res.slope).toBe(1);
+    });
+});
+
+describe('powerMatch', () => {
+    const powerMatch = models.powerMatch;
+
+    // one second of riding in erg at a target with the meter reading power
+    function tick(power, powerTarget = 200) {
+        xf.dispatch('ble:powerMeter:power', power);
+        return powerMatch.setState(powerTarget);
+    }
+
+    function ride(power, seconds, powerTarget = 200) {
+        let offset;
+        for(let i = 0; i < seconds; i++) {
+            offset = tick(power, powerTarget);
+        }
+        return offset;
+    }
+
+    beforeEach(() => {
+        xf.dispatch('db:sources', {sources: {powerMatch: true}});
+        xf.dispatch('db:powerMatchMaxOffset', {powerMatchMaxOffset: 50});
+        powerMatch.onDropout();
+    });
+
+    test('is off by default', () => {
+        xf.dispatch('db:sources', {sources: {}});
+        expect(ride(150, 20)).toBe(0);
+        expect(powerMatch.toTrainer(200)).toBe(200);
+    });
+
+    test('waits for the trainer to settle on a new target', () => {
+        expect(ride(150, 5)).toBe(0);
+        expect(tick(150)).toBe(13);
+    });
+
+    test('raises the trainer target when the meter reads low', () => {
+        expect(ride(185, 10)).toBe(7);
+        expect(powerMatch.toTrainer(200)).toBe(207);
+    });
+
+    test('lowers the trainer target when the meter reads high', () => {
+        expect(ride(215, 10)).toBe(-7);
+        expect(powerMatch.toTrainer(200)).toBe(193);
+    });
+
+    test('keeps the offset within max offset', () => {
+        expect(ride(150, 120)).toBe(50);
+
+        xf.dispatch('db:powerMatchMaxOffset', {powerMatchMaxOffset: 20});
+        expect(tick(150)).toBe(20);
+        expect(ride(300, 120)).toBe(-20);
+    });
+
+    test('holds the offset while coasting', () => {
+        const offset = ride(190, 10);
+        expect(ride(0, 20)).toBe(offset);
+    });
+
+    test('drops the offset when the meter stops reading', () => {
+        ride(190, 10);
+
+        let offset;
+        for(let i = 0; i < 6; i++) {
+            offset = powerMatch.setState(200);
+        }
+        expect(offset).toBe(0);
+        expect(powerMatch.toTrainer(200)).toBe(200);
+
+        ride(190, 1);
+        expect(powerMatch.isActive()).toBe(true);
+    });
+
+    test('drops the offset when the meter disconnects', () => {
+        ride(190, 10);
+        xf.dispatch('ble:powerMeter:disconnected');
+        expect(powerMatch.setState(200)).toBe(0);
+    });
+
+    test('leaves a 0 target alone', () => {
+        ride(190, 10);
+        expect(powerMatch.toTrainer(0)).toBe(0);
+    });
+});
+
+describe('sources', () => {
+    const sources = models.sources;
+
+    test('the secondary power source is not the primary one', () => {
+        const state = sources.set(sources.defaultValue(), {powerSecondary: 'ble:controllable'});
+        expect(state.powerSecondary).toBe('ble:powerMeter');
+    });
+
+    test('the trainer is the secondary with a power meter as primary', () => {
+        const state = sources.set(sources.defaultValue(), {power: 'ble:powerMeter'});
+        expect(state.power).toBe('ble:powerMeter');
+        expect(state.powerSecondary).toBe('ble:controllable');
+
+        expect(sources.set(state, {power: 'ant:powerMeter'}).powerSecondary).toBe('ble:controllable');
+    });
+
+    test('keeps a secondary that is another device', () => {
+        const state = sources.set(sources.defaultValue(), {
+            power: 'ble:powerMeter', powerSecondary: 'ant:powerMeter',
+        });
+        expect(state.powerSecondary).toBe('ant:powerMeter');
+        expect(sources.set(state, {powerSecondary: 'none'}).powerSecondary).toBe('none');
+    });
+});
+
+describe('powerCurve', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = 1000 * day;
+
+    const entries = [
+        {id: 'old', timestamp: now - 200 * day, curve: [{duration: 1, power: 900}, {duration: 1200, power: 300}]},
+        {id: 'new', timestamp: now - 10 * day, curve: [{duration: 1, power: 800}, {duration: 1200, power: 280}]},
+    ];
+
+    test('all-time and recent envelopes', () => {
+        const res = models.powerCurve.toState(entries, now);
+
+        expect(res.allTime).toEqual([
+            {duration: 1, power: 900, id: 'old'},
+            {duration: 1200, power: 300, id: 'old'},
+        ]);
+        expect(res.recent).toEqual([
+            {duration: 1, power: 800, id: 'new'},
+            {duration: 1200, power: 280, id: 'new'},
+        ]);
+    });
+
+    test('estimates from the recent envelope', () => {
+        expect(models.powerCurve.toState(entries, now).estimate).toEqual({ftp: 266});
+    });
+
+    test('add leaves out the RR interval entries', async () => {
+        await idb.open('power-curve-test', 1, ['powerCurve']);
+
+        const records = [
+            {timestamp: 1000, power: 200},
+            {time: [812, 820]},
+            {timestamp: 2000, power: 200},
+            {time: [808]},
+            {timestamp: 3000, power: 200},
+            {timestamp: 4000, power: 200},
+            {timestamp: 5000, power: 200},
+        ];
+
+        const entry = await models.powerCurve.add({id: 'ride', timestamp: now}, records);
+
+        expect(entry.curve).toEqual([
+            {duration: 1, power: 200},
+            {duration: 5, power: 200},
+        ]);
+        expect(await idb.get('powerCurve', 'ride')).toEqual(entry);
+    });
+});
+
+describe('calibrations', () => {
+    const spinDown = {
+        identifier: 'ble:controllable',
+        deviceId: 'trainer-1',
+        deviceName: 'KICKR',
+        type: 'spinDown',
+        status: 'success',
+        spinDownTime: 2300,
+        targetSpeedLow: undefined,
+        timestamp: 1,
+    };
+
+    test('keeps the results by device id, latest first', () => {
+        const zeroOffset = {
+            deviceId: 'pm-1', deviceName: 'Assioma', type: 'zeroOffset', status: 'success', offset: -12, timestamp: 2,
+        };
+
+        let state = models.calibrations.add(spinDown, {});
+        state = models.calibrations.add(zeroOffset, state);
+        state = models.calibrations.add({...spinDown, status: 'error', spinDownTime: undefined, timestamp: 3}, state);
+
+        expect(models.calibrations.history('trainer-1', state)).toEqual([
+            {timestamp: 3, deviceName: 'KICKR', type: 'spinDown', status: 'error'},
+            {timestamp: 1, deviceName: 'KICKR', type: 'spinDown', status: 'success', spinDownTime: 2300},
+        ]);
+        expect(models.calibrations.history('pm-1', state)).toEqual([
+            {timestamp: 2, deviceName: 'Assioma', type: 'zeroOffset', status: 'success', offset: -12},
+        ]);
+        expect(models.calibrations.history('none', state)).toEqual([]);
+    });
+
+    test('only the calibrations that are done', () => {
+        const state = {};
+
+        expect(models.calibrations.add({...spinDown, status: 'speedUp'}, state)).toBe(state);
+        expect(models.calibrations.add({...spinDown, deviceId: undefined}, state)).toBe(state);
+    });
+
+    test('keeps the last results of a device', () => {
+        let state = {};
+        for(let i = 0; i < 25; i++) {
+            state = models.calibrations.add({...spinDown, timestamp: i}, state);
+        }
+
+        const history = models.calibrations.history('trainer-1', state);
+        expect(history.length).toBe(20);
+        expect(history[0].timestamp).toBe(24);
+    });
+});
+
+describe('bikeProfile', () => {
+    const bikeProfile = models.bikeProfile;
+
+    test('the values are in range', () => {
+        expect(bikeProfile.isValid(bikeProfile.default)).toBe(true);
+        expect(bikeProfile.isValid({...bikeProfile.default, bikeWeight: 7.4, CdA: 0.25})).toBe(true);
+        expect(bikeProfile.isValid({...bikeProfile.default, wheelCircumference: 210})).toBe(false);
+        expect(bikeProfile.isValid({...bikeProfile.default, crr: '0.004'})).toBe(false);
+        expect(bikeProfile.isValid({bikeWeight: 8})).toBe(false);
+        expect(bikeProfile.isValid(undefined)).toBe(false);
+    });
+
+    test('to the user data of the trainers', () => {
+        const res = bikeProfile.toUserData(80, {
+            bikeWeight: 8, wheelCircumference: 2136, crr: 0.005, CdA: 0.4,
+        });
+
+        expect(res).toEqual({
+            userWeight: 80,
+            bikeWeight: 8,
+            wheelCircumference: 2136,
+            crr: 0.005,
+            windResistance: expect.any(Number),
+        });
+        expect(res.windResistance).toBeCloseTo(0.255);
+    });
+});
+
+describe('raceControllerBindings', () => {
+    const bindings = models.raceControllerBindings;
+
+    test('an action for each button', () => {
+        expect(bindings.toAction('plus')).toBe('gearUp');
+        expect(bindings.toAction('plus', {...bindings.default, plus: 'lap'})).toBe('lap');
+        expect(bindings.toAction('unknown')).toBe('none');
+    });
+
+    test('known buttons and actions only', () => {
+        expect(bindings.isValid({...bindings.default, a: 'pauseResume'})).toBe(true);
+        expect(bindings.isValid({...bindings.default, a: 'jump'})).toBe(false);
+        expect(bindings.isValid({...bindings.default, x: 'lap'})).toBe(false);
+        expect(bindings.isValid(undefined)).toBe(false);
+    });
+});
+
+describe('gearing', () => {
+    const gearing = models.gearing;
+    const state = {enabled: true, chainrings: [50], cassette: [11, 13, 15, 17, 19]};
+
+    test('the gear with its chainring and cog', () => {
+        expect(gearing.toNeutral(state)).toBe(2);
+        expect(gearing.toGear(0, state)).toEqual({chainring: 50, cog: 19, ratio: 50 / 19});
+        expect(gearing.toGear(9, state).cog).toBe(11);
+    });
+
+    test('the grade stays in the range of the slope target', () => {
+        expect(gearing.toGrade({grade: 3, gear: 2}, state)).toBe(3);
+        expect(gearing.toGrade({grade: 39, gear: 4}, state)).toBe(models.slopeTarget.max);
+    });
+});
+
+describe('target ranges', () => {
+    test('narrows to the range of the trainer and back', () => {
+        const slopeTarget = models.slopeTarget;
+
+        slopeTarget.setRange({min: -10, max: 20, inc: 0.5});
+        expect(slopeTarget.set(25)).toBe(20);
+        expect(slopeTarget.set(-15)).toBe(-10);
+
+        slopeTarget.setRange(undefined);
+        expect(slopeTarget.set(25)).toBe(25);
+        expect(slopeTarget.set(-45)).toBe(-40);
+    });
+
+    test('never past the defaults', () => {
+        const resistanceTarget = models.resistanceTarget;
+
+        resistanceTarget.setRange({min: 0, max: 200});
+        expect(resistanceTarget.min).toBe(0);
+        expect(resistanceTarget.max).toBe(100);
+
+        resistanceTarget.setRange(undefined);
+        expect(resistanceTarget.min).toBe(-100);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { idb } from '../../src/storage/idb.js';
+import { Outbox } from '../../src/models/outbox.js';
+import indexedDB from 'fake-indexeddb';
+
+window.indexedDB = indexedDB;
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: console.warn,
+};
+
+describe('Outbox', () => {
+    let time;
+    let results;
+    let statuses;
+    let outbox;
+
+    function setOnline(value) {
+        Object.defineProperty(window.navigator, 'onLine', {
+            configurable: true,
+            get: () => value,
+        });
+    }
+
+    beforeAll(async () => {
+        await idb.open('outbox-test', 1, ['outbox']);
+    });
+
+    beforeEach(async () => {
+        await idb.clear('outbox');
+        setOnline(true);
+
+        time = 0;
+        results = [];
+        statuses = [];
+
+        outbox = Outbox({
+            now: () => time,
+            send: jest.fn(async () => results.shift()),
+            onStatus: (id, service, status) => statuses.push(`${service}:${id}:${status}`),
+        });
+    });
+
+    afterEach(() => {
+        outbox.stop();
+    });
+
+    test('backoff', () => {
+        expect(outbox.backoff(1)).toBe(30 * 1000);
+        expect(outbox.backoff(2)).toBe(60 * 1000);
+        expect(outbox.backoff(3)).toBe(120 * 1000);
+        expect(outbox.backoff(20)).toBe(60 * 60 * 1000);
+    });
+
+    test('sends and removes an upload', async () => {
+        results = [':success'];
+
+        await outbox.enqueue('strava', 'a');
+
+        expect(await outbox.list()).toEqual([]);
+        expect(statuses).toEqual(['strava:a:queued', 'strava:a:loading', 'strava:a:success']);
+    });
+
+    test('keeps an upload for a retry with backoff', async () => {
+        results = [':retry'];
+
+        await outbox.enqueue('intervals', 'a');
+
+        expect(await outbox.list()).toEqual([{
+            id: 'intervals:a', service: 'intervals', activityId: 'a', attempts: 1, next: 30000,
+        }]);
+        expect(statuses.at(-1)).toBe('intervals:a:queued');
+    });
+
+    test('retries when due', async () => {
+        results = [':retry', ':success'];
+        await outbox.enqueue('strava', 'a');
+
+        time = 10000;
+        await outbox.flush();
+        expect(await outbox.list()).toHaveLength(1);
+
+        time = 30000;
+        await outbox.flush();
+        expect(await outbox.list()).toEqual([]);
+        expect(statuses.at(-1)).toBe('strava:a:success');
+    });
+
+    test('retries everything right away when forced', async () => {
+        results = [':retry', ':success'];
+        await outbox.enqueue('strava', 'a');
+
+        await outbox.flush(true);
+        expect(await outbox.list()).toEqual([]);
+    });
+
+    test('drops an upload the service refused', async () => {
+        results = [':fail'];
+
+        await outbox.enqueue('strava', 'a');
+
+        expect(await outbox.list()).toEqual([]);
+        expect(statuses.at(-1)).toBe('strava:a:fail');
+    });
+
+    test('waits while offline', async () => {
+        setOnline(false);
+
+        await outbox.enqueue('strava', 'a');
+
+        expect(await outbox.list()).toHaveLength(1);
+        expect(statuses).toEqual(['strava:a:queued']);
+
+        setOnline(true);
+        results = [':success'];
+        await outbox.start();
+
+        expect(await outbox.list()).toEqual([]);
+    });
+
+    test('remove drops the uploads of an activity', async () => {
+        setOnline(false);
+        await outbox.enqueue('strava', 'a');
+        await outbox.enqueue('intervals', 'a');
+        await outbox.enqueue('strava', 'b');
+
+        await outbox.remove('a');
+
+        expect((await outbox.list()).map((x) => x.id)).toEqual(['strava:b']);
+    });
+});
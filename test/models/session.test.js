@@ -0,0 +1,299 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { xf } from '../../src/functions.js';
+import { idb } from '../../src/storage/idb.js';
+import { models } from '../../src/models/models.js';
+import indexedDB from 'fake-indexeddb';
+
+window.indexedDB = indexedDB;
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: jest.fn(),
+};
+
+function Ride() {
+    return {
+        watchStatus: 'started',
+        sources: {virtualState: 'power'},
+        elapsed: 0,
+        lapStartTime: 1000,
+        records: [],
+        lap: [],
+        laps: [],
+        events: [],
+        rrInterval: [],
+        power1s: 200,
+        distance: 0,
+        workout: {meta: {name: 'Ramp'}},
+    };
+}
+
+function ride(db, seconds) {
+    for(let i = 0; i < seconds; i++) {
+        db.distance += 8;
+        db.rrInterval = (i % 2) ? [810] : [];
+        models.session.elapsed(db.elapsed + 1, db);
+    }
+}
+
+describe('session', () => {
+    beforeAll(async () => {
+        await idb.open('session-test', 1, ['session', 'sessionChunks']);
+    });
+
+    beforeEach(async () => {
+        await models.session.discard();
+    });
+
+    test('appends the records in chunks', async () => {
+        const db = Ride();
+        ride(db, 12);
+
+        const chunks = await idb.getAll('sessionChunks');
+        const [snapshot] = await idb.getAll('session');
+
+        expect(chunks.map((chunk) => chunk.id)).toEqual([0, 1]);
+        expect(chunks.flatMap((chunk) => chunk.records)).toEqual(db.records.slice(0, 15));
+        expect(snapshot.records).toBe(undefined);
+        expect(snapshot.elapsed).toBe(10);
+    });
+
+    test('keeps the rr intervals', async () => {
+        const db = Ride();
+        ride(db, 5);
+
+        const { records } = await models.session.read();
+
+        expect(records.filter((record) => record.time).length).toBe(2);
+        expect(records.find((record) => record.time).time[0]).toBe(810);
+    });
+
+    test('recovers what was written', async () => {
+        const db = Ride();
+        ride(db, 10);
+
+        const onRecovered = jest.fn();
+        xf.sub('session:recovered', onRecovered);
+
+        await models.session.restore({});
+
+        expect(onRecovered).toHaveBeenCalledWith({
+            elapsed: 10,
+            distance: 80,
+            records: 10,
+            laps: 0,
+            workout: 'Ramp',
+            timestamp: db.records.at(-2).timestamp,
+        });
+    });
+
+    test('resume puts the ride back', async () => {
+        const db = Ride();
+        ride(db, 10);
+        await models.session.restore({});
+
+        const restored = {};
+        expect(models.session.resume(restored)).toBe(true);
+
+        expect(restored.elapsed).toBe(10);
+        expect(restored.distance).toBe(80);
+        expect(restored.records).toEqual(db.records);
+        expect(restored.lap).toEqual(db.lap);
+
+        // nothing left to resume
+        expect(models.session.resume({})).toBe(false);
+    });
+
+    test('continues the chunks after a resume', async () => {
+        const db = Ride();
+        ride(db, 5);
+        await models.session.restore({});
+
+        const restored = Ride();
+        models.session.resume(restored);
+        ride(restored, 5);
+
+        const { records } = await models.session.read();
+        expect(records).toEqual(restored.records);
+    });
+
+    test('a ride started before the choice does not write over the recovered one', async () => {
+        const db = Ride();
+        ride(db, 10);
+        await models.session.restore({});
+
+        ride(Ride(), 10);
+
+        const { records } = await models.session.read();
+        expect(records).toEqual(db.records);
+    });
+
+    test('discard keeps the ride started before the choice', async () => {
+        ride(Ride(), 10);
+        await models.session.restore({});
+
+        const db = Ride();
+        ride(db, 7);
+        await models.session.discard();
+        ride(db, 3);
+
+        const { session, records } = await models.session.read();
+        expect(session.elapsed).toBe(10);
+        expect(records).toEqual(db.records);
+    });
+
+    test('reads the records of an older full session backup', async () => {
+        const records = [{timestamp: 1, power: 100}, {timestamp: 2, power: 110}];
+        await idb.put('session', {id: 0, elapsed: 2, records});
+
+        const restored = {};
+        await models.session.restore({});
+        models.session.resume(restored);
+
+        expect(restored.records).toEqual(records);
+    });
+
+    test('discard drops the session', async () => {
+        const db = Ride();
+        ride(db, 10);
+
+        await models.session.discard();
+
+        expect(await models.session.read()).toBe(undefined);
+        expect(await idb.getAll('sessionChunks')).toEqual([]);
+    });
+
+    test('nothing to recover', async () => {
+        const onRecovered = jest.fn();
+        xf.sub('session:recovered', onRecovered);
+
+        await idb.put('session', {id: 0, elapsed: 0});
+        await models.session.restore({});
+
+        expect(onRecovered).not.toHaveBeenCalled();
+        expect(await idb.getAll('session')).toEqual([]);
+    });
+});
+
+describe('powerInZone', () => {
+    test('restore gets the weights back from the state', () => {
+        const zones = models.ftp.zones.length;
+        const state = Array(zones).fill(0).map(() => [0, 0]);
+        state[1] = [0.75, 30];
+        state[3] = [0.25, 10];
+
+        models.powerInZone.restore({powerInZone: state});
+
+        expect(models.powerInZone.count).toBe(40);
+        expect(models.powerInZone.weights[1]).toBe(30);
+        expect(models.powerInZone.weights[3]).toBe(10);
+
+        const res = models.powerInZone.updateState(130);
+        expect(res[1]).toEqual([31 / 41, 31]);
+        expect(res[3]).toEqual([10 / 41, 10]);
+    });
+
+    test('reset', () => {
+        models.powerInZone.updateState(100);
+        const res = models.powerInZone.reset();
+
+        expect(models.powerInZone.count).toBe(0);
+        expect(res.every(([share, weight]) => share === 0 && weight === 0)).toBe(true);
+    });
+
+    test('recounts the ride in the zones of a new model', () => {
+        const records = [
+            {timestamp: 1, power: 100},
+            {timestamp: 2, power: 190},
+            {timestamp: 3, power: 250},
+            {timestamp: 4, power: 0},
+            {time: [0.8]},
+        ];
+        models.ftp.set(200);
+        models.powerZones.set(models.powerZones.select(models.powerZones.default, 'seiler'));
+
+        const res = models.powerInZone.recount(records);
+
+        expect(res.length).toBe(3);
+        expect(models.powerInZone.count).toBe(3);
+        expect(res.map(([_, weight]) => weight)).toEqual([1, 1, 1]);
+
+        models.powerZones.set(models.powerZones.default);
+        models.powerInZone.reset();
+    });
+});
+
+describe('heartRateInZone', () => {
+    test('counts the seconds in the heart rate zones', () => {
+        models.lthr.set(160);
+        models.heartRateZones.set('lthr');
+
+        models.heartRateInZone.reset();
+        models.heartRateInZone.updateState(0);
+        models.heartRateInZone.updateState(130);
+        const res = models.heartRateInZone.updateState(161);
+
+        expect(res.length).toBe(7);
+        expect(models.heartRateInZone.count).toBe(2);
+        expect(res[0]).toEqual([0.5, 1]);
+        expect(res[4]).toEqual([0.5, 1]);
+    });
+
+    test('recounts the ride in the zones of a new model', () => {
+        const records = [
+            {timestamp: 1, heart_rate: 100},
+            {timestamp: 2, heart_rate: 150},
+            {timestamp: 3, heart_rate: 0},
+        ];
+        models.maxHeartRate.set(190);
+        models.heartRateZones.set('max');
+
+        const res = models.heartRateInZone.recount(records);
+
+        expect(res.length).toBe(5);
+        expect(res.map(([_, weight]) => weight)).toEqual([1, 0, 1, 0, 0]);
+
+        models.heartRateZones.set(models.heartRateZones.default);
+        models.heartRateInZone.reset();
+    });
+});
+
+describe('hrv', () => {
+    test('starts the window over after a gap in the RR intervals', () => {
+        let now = 0;
+        models.hrv.now = () => now;
+        models.hrv.reset();
+
+        let res;
+        for(let i = 0; i < 100; i++) {
+            now += 800;
+            res = models.hrv.updateState([i % 2 ? 0.8 : 0.82]);
+        }
+
+        expect(res.dfaAlpha1).toBeDefined();
+        expect(res.rmssd).toBeCloseTo(20);
+
+        now += 10000;
+        res = models.hrv.updateState([0.8]);
+
+        expect(res.dfaAlpha1).toBe(undefined);
+        expect(models.hrv.buffer).toEqual([0.8]);
+
+        models.hrv.now = Date.now;
+        models.hrv.reset();
+    });
+});
+
+describe('kcal', () => {
+    test('restore and reset', () => {
+        models.kcal.restore({kcal: 120});
+        expect(models.kcal.updateState(1000)).toBe(121);
+
+        xf.dispatch('watch:stopped');
+        expect(models.kcal.state).toBe(0);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { idb } from '../../src/storage/idb.js';
+import { models } from '../../src/models/models.js';
+import { archive } from '../../src/workouts/archive.js';
+import indexedDB from 'fake-indexeddb';
+import { TextEncoder, TextDecoder } from 'util';
+
+window.indexedDB = indexedDB;
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: jest.fn(),
+};
+
+describe('workouts', () => {
+    beforeAll(async () => {
+        await idb.open('workouts-test', 1, ['workouts']);
+    });
+
+    beforeEach(async () => {
+        await idb.clear('workouts');
+    });
+
+    test('built-in workouts have ids from their unique names', () => {
+        const ids = models.workouts.default.map((w) => w.id);
+
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(ids[0]).toBe(`built-in:${models.workouts.default[0].meta.name}`);
+    });
+
+    test('keeps the tags and folder of a built-in workout', async () => {
+        const workouts = await models.workouts.restore();
+        const id = workouts[1].id;
+
+        models.workouts.update(workouts, id, {tags: 'Indoor, hard', folder: ' Build '});
+
+        const [stored] = await idb.getAll('workouts');
+        expect(stored).toEqual({id, builtIn: true, tags: ['indoor', 'hard'], folder: 'Build'});
+
+        const restored = await models.workouts.restore();
+        expect(restored.length).toBe(models.workouts.default.length);
+        expect(restored[1].tags).toEqual(['indoor', 'hard']);
+        expect(restored[1].folder).toBe('Build');
+        expect(restored[1].intervals).toEqual(workouts[1].intervals);
+    });
+
+    test('imported workouts come after the built-in ones', async () => {
+        const workouts = await models.workouts.restore();
+        const imported = {meta: {name: 'Imported', category: 'Custom'}, intervals: []};
+
+        models.workouts.add(workouts, imported);
+        models.workouts.ridden(workouts, imported.id, 1000);
+
+        const restored = await models.workouts.restore();
+        expect(restored.at(-1).meta.name).toBe('Imported');
+        expect(restored.at(-1).lastRidden).toBe(1000);
+    });
+
+    test('import skips duplicates and keeps the library props', async () => {
+        const workouts = await models.workouts.restore();
+        const count = workouts.length;
+        const custom = {
+            meta: {author: 'Auuki', name: 'Threshold', category: 'FTP', subcategory: '', sportType: 'bike', description: ''},
+            intervals: [{duration: 600, steps: [{duration: 600, power: 1}]}],
+            tags: ['hard'],
+            folder: 'Build',
+        };
+
+        // a built-in workout, the custom one, and a file that can't be read
+        const items = [
+            ...await archive.read(archive.write([{...workouts[0], builtIn: false}, custom])),
+            {name: 'broken.zwo', result: 'not a workout', props: {}},
+        ];
+
+        const res = models.workouts.import(workouts, items, 200);
+
+        expect(res.added).toBe(1);
+        expect(res.duplicates).toBe(1);
+        expect(res.failed).toBe(1);
+        expect(res.workouts.length).toBe(count + 1);
+        expect(res.workouts.at(-1).meta.name).toBe('Threshold');
+        expect(res.workouts.at(-1).tags).toEqual(['hard']);
+        expect(res.workouts.at(-1).folder).toBe('Build');
+
+        expect(models.workouts.import(workouts, items, 200).added).toBe(0);
+    });
+});
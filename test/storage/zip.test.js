@@ -0,0 +1,55 @@
+import { zip } from '../../src/storage/zip.js';
+import { DecompressionStream } from 'stream/web';
+
+// the browser has it on window
+global.DecompressionStream = DecompressionStream;
+
+// made with python's zipfile, deflated, with a folder entry
+const deflated = 'UEsDBBQAAAAIAKC4Ul0AAAAAAgAAAAAAAAAHAAAAZm9sZGVyLwMAUEsDBBQAAAAIAKC4Ul2VqeeaEQAAAB8AAAAMAAAAZm9sZGVyL2EudHh0y0jNyclXyMAgU1LTchJLUgFQSwMEFAAAAAgAoLhSXcFY4PMJAAAABwAAAAUAAABiLnR4dCsuyS9KTbEHAFBLAQIUAxQAAAAIAKC4Ul0AAAAAAgAAAAAAAAAHAAAAAAAAAAAAEAD9QQAAAABmb2xkZXIvUEsBAhQDFAAAAAgAoLhSXZWp55oRAAAAHwAAAAwAAAAAAAAAAAAAAIABJwAAAGZvbGRlci9hLnR4dFBLAQIUAxQAAAAIAKC4Ul3BWODzCQAAAAcAAAAFAAAAAAAAAAAAAACAAWIAAABiLnR4dFBLBQYAAAAAAwADAKIAAACOAAAAAAA=';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('zip', () => {
+    test('crc32', () => {
+        expect(zip.crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+        expect(zip.crc32(new Uint8Array(0))).toBe(0);
+    });
+
+    test('reads back what it writes', async () => {
+        const buffer = zip.write([
+            {name: 'manifest.json', data: '{"version":1}'},
+            {name: 'workouts/Über Tempo.zwo', data: '<workout_file></workout_file>'},
+            {name: 'bytes.fit', data: new Uint8Array([0, 1, 2, 255])},
+        ], new Date(2024, 4, 6, 10, 30, 12));
+
+        const entries = await zip.read(buffer);
+
+        expect(entries.map((e) => e.name)).toEqual(['manifest.json', 'workouts/Über Tempo.zwo', 'bytes.fit']);
+        expect(text(entries[1].data)).toBe('<workout_file></workout_file>');
+        expect(Array.from(entries[2].data)).toEqual([0, 1, 2, 255]);
+    });
+
+    test('writes the crc and the dos date', () => {
+        const buffer = zip.write([{name: 'a.txt', data: '123456789'}], new Date(2024, 4, 6, 10, 30, 12));
+        const view = new DataView(buffer.buffer);
+
+        expect(view.getUint32(0, true)).toBe(0x04034b50);
+        expect(view.getUint16(10, true)).toBe((10 << 11) | (30 << 5) | 6);
+        expect(view.getUint16(12, true)).toBe((44 << 9) | (5 << 5) | 6);
+        expect(view.getUint32(14, true)).toBe(0xCBF43926);
+    });
+
+    test('reads deflated entries and skips folders', async () => {
+        const buffer = Uint8Array.from(Buffer.from(deflated, 'base64')).buffer;
+
+        const entries = await zip.read(buffer);
+
+        expect(entries.map((e) => e.name)).toEqual(['folder/a.txt', 'b.txt']);
+        expect(text(entries[0].data)).toBe('hello hello hello hello deflate');
+        expect(text(entries[1].data)).toBe('stored?');
+    });
+
+    test('not a zip', async () => {
+        await expect(zip.read(new Uint8Array(40))).rejects.toThrow('not a zip archive');
+    });
+});
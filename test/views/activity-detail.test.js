@@ -0,0 +1,75 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { xf } from '../../src/functions.js';
+import { models } from '../../src/models/models.js';
+import '../../src/views/activity-detail.js';
+
+global.console = {
+    log: jest.fn(),
+    error: console.error,
+    warn: jest.fn(),
+};
+
+function Analysis() {
+    return {
+        ftp: 250,
+        totals: {
+            duration: 3600, distance: 30000, work: 720,
+            power: {avg: 200, max: 600}, heartRate: {avg: 140, max: 170}, cadence: {avg: 90, max: 110},
+        },
+        laps: [{index: 0, duration: 3600, power: 200, heartRate: 140, cadence: 90}],
+        timeInZone: [600, 1200, 1200, 600, 0, 0, 0],
+        bestEfforts: [{duration: 5, power: 600}, {duration: 60, power: 400}],
+        powerCurve: [{duration: 1, power: 650}, {duration: 5, power: 600}, {duration: 60, power: 400}],
+        smo2Zones: {one: 45, two: 60},
+        series: {power: [180, 200, 220], heartRate: [130, 140, 150], cadence: [88, 90, 92]},
+    };
+}
+
+describe('activity detail', () => {
+    const summary = {id: 'ride', name: 'Ramp', timestamp: 1700000000000};
+    let $detail;
+
+    beforeEach(() => {
+        $detail = document.createElement('activity-detail');
+        $detail.scrollIntoView = jest.fn();
+        document.body.appendChild($detail);
+
+        xf.dispatch('db:activity', {activity: [summary]});
+        xf.dispatch('db:powerCurve', {powerCurve: {
+            allTime: [], estimate: {},
+            recent: [{duration: 1, power: 900, id: 'old'}, {duration: 60, power: 450, id: 'old'}],
+        }});
+    });
+
+    afterEach(() => {
+        $detail.remove();
+        jest.restoreAllMocks();
+    });
+
+    test('renders the analysis with the power curve and the SmO2 zones', () => {
+        $detail.innerHTML = $detail.template(summary, Analysis());
+
+        expect($detail.querySelector('.activity-detail--name').textContent).toBe('Ramp');
+        expect($detail.textContent).toContain('Power Curve');
+        expect($detail.textContent).toContain('SmO2 Zones');
+        expect($detail.querySelector('.activity-detail--smo2-zones')).not.toBe(null);
+    });
+
+    test('opens an activity and applies its SmO2 zones', async () => {
+        jest.spyOn(models.activity, 'analyze').mockResolvedValue(Analysis());
+        const onZones = jest.fn();
+        xf.sub('ui:smo2-zones-set', onZones);
+
+        xf.dispatch('ui:activity:analysis', 'ride');
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect($detail.textContent).toContain('Power Curve');
+        expect($detail.textContent).not.toContain('Loading');
+
+        xf.dispatch('action:activity-detail', ':smo2-zones');
+        expect(onZones).toHaveBeenCalledWith({one: 45, two: 60});
+    });
+});
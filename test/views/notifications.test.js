@@ -0,0 +1,26 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { toNotification } from '../../src/views/notifications.js';
+
+describe('trainer status notifications', () => {
+    test('a stop of the trainer', () => {
+        expect(toNotification({event: 'stopped'}))
+            .toEqual({type: 'info', message: 'Trainer stopped by the user'});
+        expect(toNotification({event: 'controlPermissionLost'}).type).toBe('error');
+    });
+
+    test('only the target power another app set', () => {
+        expect(toNotification({event: 'targetPowerChanged', value: {power: 200}, external: false}))
+            .toBe(undefined);
+        expect(toNotification({event: 'targetPowerChanged', value: {power: 250}, external: true}))
+            .toEqual({type: 'info', message: 'Another app set the target power to 250 W'});
+    });
+
+    test('not the steps of a spin down', () => {
+        expect(toNotification({event: 'spinDownStatus', value: {status: 'stopPedaling'}})).toBe(undefined);
+        expect(toNotification({event: 'spinDownStatus', value: {status: 'success'}}).type).toBe('success');
+        expect(toNotification({event: 'started'})).toBe(undefined);
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { xf } from '../../src/functions.js';
+import { toNextMode } from '../../src/views/race-controller.js';
+
+describe('race controller', () => {
+    test('the mode switch goes round', () => {
+        expect(toNextMode('erg')).toBe('resistance');
+        expect(toNextMode('resistance')).toBe('sim');
+        expect(toNextMode('sim')).toBe('erg');
+    });
+
+    test('a button does its bound action', () => {
+        const onLap = jest.fn();
+        const onPowerTargetInc = jest.fn();
+        xf.sub('ui:watchLap', onLap);
+        xf.sub('ui:power-target-inc', onPowerTargetInc);
+
+        // db events carry the whole db
+        xf.dispatch('db:raceControllerBindings', {raceControllerBindings: {plus: 'lap', minus: 'targetInc'}});
+        xf.dispatch('db:mode', {mode: 'erg'});
+        xf.dispatch('ble:raceController:button', 'plus');
+        xf.dispatch('ble:raceController:button', 'minus');
+
+        expect(onLap).toHaveBeenCalledTimes(1);
+        expect(onPowerTargetInc).toHaveBeenCalledTimes(1);
+    });
+});
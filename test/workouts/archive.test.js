@@ -0,0 +1,109 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { archive } from '../../src/workouts/archive.js';
+import { zip } from '../../src/storage/zip.js';
+import { zwo } from '../../src/workouts/zwo.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// the browser has them on window
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const meta = (name) => ({
+    author: 'Auuki', name, category: 'Tempo', subcategory: '', sportType: 'bike', description: 'steady',
+});
+
+const tempo = {
+    id: 'a',
+    meta: {...meta('Tempo 2x20'), duration: 2400},
+    intervals: [
+        {duration: 1200, steps: [{duration: 1200, power: 0.8}]},
+        {duration: 1200, steps: [{duration: 1200, power: 0.85}]},
+    ],
+    tags: ['indoor'],
+    folder: 'Build',
+};
+
+const course = {
+    id: 'b',
+    meta: {name: 'Hill/Loop', distance: 2000},
+    points: [{distance: 0, y: 100}, {distance: 2000, y: 140}],
+    pointsSimplified: [{distance: 0, r: 2000, slope: 2}],
+};
+
+const builtIn = {...tempo, id: 'built-in:Tempo', builtIn: true};
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('archive', () => {
+    test('file types', () => {
+        expect(archive.isArchive('library.ZIP')).toBe(true);
+        expect(archive.isWorkoutFile('workouts/a.zwo')).toBe(true);
+        expect(archive.isWorkoutFile('a.MRC')).toBe(true);
+        expect(archive.isWorkoutFile('manifest.json')).toBe(false);
+        expect(archive.isWorkoutFile('.DS_Store')).toBe(false);
+        expect(archive.isWorkoutFile('notes.txt')).toBe(false);
+    });
+
+    test('hash is about the content, not the name', () => {
+        const renamed = {...tempo, meta: meta('Other Name')};
+        const harder = {...tempo, intervals: [{duration: 1200, steps: [{duration: 1200, power: 0.9}]}]};
+
+        expect(archive.hash(renamed)).toBe(archive.hash(tempo));
+        expect(archive.hash(harder)).not.toBe(archive.hash(tempo));
+        expect(archive.hash(course)).toMatch(/^[0-9a-f]{8}$/);
+    });
+
+    test('writes the custom workouts and a manifest', async () => {
+        const buffer = archive.write([builtIn, tempo, course], new Date(2024, 0, 1));
+        const entries = await zip.read(buffer);
+
+        expect(entries.map((e) => e.name)).toEqual([
+            'manifest.json', 'workouts/Tempo 2x20.zwo', 'workouts/Hill-Loop.json',
+        ]);
+
+        const manifest = JSON.parse(text(entries[0].data));
+        expect(manifest.version).toBe(1);
+        expect(manifest.workouts).toEqual([
+            {file: 'workouts/Tempo 2x20.zwo', name: 'Tempo 2x20', hash: archive.hash(tempo), tags: ['indoor'], folder: 'Build'},
+            {file: 'workouts/Hill-Loop.json', name: 'Hill/Loop', hash: archive.hash(course)},
+        ]);
+
+        const written = zwo.readToInterval(text(entries[1].data));
+        expect(written.meta.name).toBe('Tempo 2x20');
+        expect(archive.hash(written)).toBe(archive.hash(tempo));
+    });
+
+    test('unique file names', async () => {
+        const entries = await zip.read(archive.write([tempo, {...tempo, id: 'c'}]));
+        expect(entries.map((e) => e.name)).toEqual([
+            'manifest.json', 'workouts/Tempo 2x20.zwo', 'workouts/Tempo 2x20 2.zwo',
+        ]);
+    });
+
+    test('reads an archive with its library props', async () => {
+        const items = await archive.read(archive.write([tempo, course]));
+
+        expect(items.map((i) => i.name)).toEqual(['Tempo 2x20.zwo', 'Hill-Loop.json']);
+        expect(items[0].props).toEqual({tags: ['indoor'], folder: 'Build'});
+        expect(zwo.readToInterval(items[0].result).intervals.length).toBe(2);
+        expect(JSON.parse(items[1].result).points).toEqual(course.points);
+    });
+
+    test('reads a plain zip of workouts without a manifest', async () => {
+        const buffer = zip.write([
+            {name: 'plans/ride.erg', data: '[COURSE HEADER]'},
+            {name: 'plans/ride.fit', data: new Uint8Array([14, 16])},
+            {name: 'plans/readme.txt', data: 'hi'},
+        ]);
+
+        const items = await archive.read(buffer);
+
+        expect(items.map((i) => i.name)).toEqual(['ride.erg', 'ride.fit']);
+        expect(items[0].result).toBe('[COURSE HEADER]');
+        expect(Array.from(new Uint8Array(items[1].result))).toEqual([14, 16]);
+        expect(items[1].props).toEqual({});
+    });
+});
@@ -0,0 +1,153 @@
+import { erg } from '../../src/workouts/erg.js';
+
+describe('Erg', () => {
+
+    test('Erg.readToInterval', () => {
+        const input = `
+[COURSE HEADER]
+VERSION = 2
+UNITS = ENGLISH
+DESCRIPTION = Test Erg Workout
+FILE NAME = test-erg.erg
+FTP = 200
+MINUTES WATTS
+[END COURSE HEADER]
+[COURSE DATA]
+0.00	100
+1.00	100
+1.00	200
+2.00	200
+2.00	100
+2.50	160
+[END COURSE DATA]
+`;
+
+        const expected = {
+            meta: {
+                author: 'Unknown',
+                name: 'test-erg',
+                category: 'Custom',
+                subcategory: '',
+                sportType: 'bike',
+                description: 'Test Erg Workout',
+                duration: 150,
+            },
+            intervals: [
+                {duration: 60, steps: [{duration: 60, power: 0.5}]},
+                {duration: 60, steps: [{duration: 60, power: 1}]},
+                {duration: 30, steps: [
+                    {duration: 10, power: 0.5},
+                    {duration: 10, power: 0.65},
+                    {duration: 10, power: 0.8},
+                ]},
+            ],
+        };
+
+        expect(erg.readToInterval(input)).toStrictEqual(expected);
+    });
+
+    test('Erg.readToInterval without FTP in the header', () => {
+        const input = `[COURSE HEADER]
+MINUTES WATTS
+[END COURSE HEADER]
+[COURSE DATA]
+0.00 150
+10.00 150
+[END COURSE DATA]`;
+
+        const res = erg.readToInterval(input, {name: 'no-ftp.erg', ftp: 300});
+
+        expect(res.meta.name).toBe('no-ftp');
+        expect(res.intervals).toStrictEqual([
+            {duration: 600, steps: [{duration: 600, power: 0.5}]},
+        ]);
+    });
+
+    test('Mrc.readToInterval', () => {
+        const input = `[COURSE HEADER]
+VERSION = 2
+UNITS = ENGLISH
+DESCRIPTION = Test Mrc Workout
+MINUTES PERCENT
+[END COURSE HEADER]
+[COURSE DATA]
+0.00	55
+5.00	55
+5.00	90
+10.00	90
+[END COURSE DATA]`;
+
+        const res = erg.readToInterval(input, {name: 'test-mrc.mrc'});
+
+        expect(res.meta.duration).toBe(600);
+        expect(res.intervals).toStrictEqual([
+            {duration: 300, steps: [{duration: 300, power: 0.55}]},
+            {duration: 300, steps: [{duration: 300, power: 0.9}]},
+        ]);
+    });
+
+    test('Ramp with a remainder', () => {
+        const [interval] = erg.toIntervals(
+            [{time: 0, value: 50}, {time: 35, value: 80}],
+            (percent) => percent / 100,
+        );
+
+        expect(interval.duration).toBe(35);
+        expect(interval.steps.reduce((acc, s) => acc + s.duration, 0)).toBe(35);
+        expect(interval.steps[0].power).toBe(0.5);
+        expect(interval.steps[2].power).toBe(0.8);
+    });
+
+    test('isErg', () => {
+        expect(erg.isErg('[COURSE HEADER]\n[END COURSE HEADER]')).toBe(true);
+        expect(erg.isErg('<workout_file></workout_file>')).toBe(false);
+    });
+
+    test('write erg', () => {
+        const workout = {
+            meta: {name: 'Test', description: 'Test Workout'},
+            intervals: [
+                {duration: 60, steps: [{duration: 60, power: 0.5}]},
+                {duration: 30, steps: [
+                    {duration: 10, power: 0.5},
+                    {duration: 10, power: 0.65},
+                    {duration: 10, power: 0.8},
+                ]},
+            ],
+        };
+
+        const expected = [
+            '[COURSE HEADER]',
+            'VERSION = 2',
+            'UNITS = ENGLISH',
+            'DESCRIPTION = Test Workout',
+            'FILE NAME = Test.erg',
+            'FTP = 200',
+            'MINUTES WATTS',
+            '[END COURSE HEADER]',
+            '[COURSE DATA]',
+            '0.00\t100',
+            '1.00\t100',
+            '1.00\t100',
+            '1.50\t160',
+            '[END COURSE DATA]',
+        ].join('\n') + '\n';
+
+        expect(erg.write(workout, {format: 'erg', ftp: 200})).toBe(expected);
+    });
+
+    test('write mrc and read it back', () => {
+        const workout = {
+            meta: {name: 'Test', description: 'Test Workout'},
+            intervals: [
+                {duration: 300, steps: [{duration: 300, power: 0.55}]},
+                {duration: 300, steps: [{duration: 300, power: 0.9}]},
+            ],
+        };
+
+        const res = erg.readToInterval(erg.write(workout, {format: 'mrc'}));
+
+        expect(res.meta.name).toBe('Test');
+        expect(res.intervals).toStrictEqual(workout.intervals);
+    });
+});
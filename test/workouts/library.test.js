@@ -0,0 +1,107 @@
+import { library } from '../../src/workouts/library.js';
+
+function Workout(name, args = {}) {
+    return {
+        id: name,
+        meta: {
+            name,
+            description: args.description ?? '',
+            category: args.category ?? 'Custom',
+            duration: (args.steps ?? []).reduce((acc, s) => acc + s.duration, 0),
+        },
+        intervals: [{steps: args.steps ?? []}],
+        tags: args.tags,
+        folder: args.folder,
+        lastRidden: args.lastRidden,
+    };
+}
+
+const workouts = [
+    Workout('Sweet Spot', {
+        category: 'SweetSpot', description: 'long steady blocks', tags: ['indoor'], folder: 'Base',
+        steps: [{duration: 3600, power: 0.9}], lastRidden: 200,
+    }),
+    Workout('Easy Spin', {
+        category: 'Recovery', description: 'spin the legs',
+        steps: [{duration: 1800, power: 0.5}], lastRidden: 300,
+    }),
+    Workout('VO2 Max', {
+        category: 'VO2Max', description: 'short and hard', tags: ['indoor', 'hard'], folder: 'Build',
+        steps: [{duration: 600, power: 0.5}, {duration: 1500, power: 1.2}],
+    }),
+];
+
+const names = (xs) => xs.map((w) => w.meta.name);
+
+describe('toTags', () => {
+    test('splits, trims, lowercases and drops duplicates', () => {
+        expect(library.toTags('tempo, Over Unders ,,tempo')).toEqual(['tempo', 'over unders']);
+        expect(library.toTags(['A', 'a '])).toEqual(['a']);
+        expect(library.toTags('')).toEqual([]);
+    });
+});
+
+describe('pick', () => {
+    test('only the library props', () => {
+        expect(library.pick(workouts[0])).toEqual({tags: ['indoor'], folder: 'Base', lastRidden: 200});
+        expect(library.pick({meta: {}})).toEqual({});
+    });
+});
+
+describe('matches', () => {
+    test('every word in name, description, category or tags', () => {
+        expect(library.matches(workouts[0], 'steady sweet')).toBe(true);
+        expect(library.matches(workouts[0], 'INDOOR')).toBe(true);
+        expect(library.matches(workouts[0], 'steady hard')).toBe(false);
+        expect(library.matches(workouts[0], '  ')).toBe(true);
+    });
+});
+
+describe('load', () => {
+    test('tss and intensity of steady power', () => {
+        expect(library.load(workouts[0])).toEqual({intensity: 0.9, tss: 81});
+    });
+
+    test('absolute power is relative to the ftp', () => {
+        const workout = Workout('Abs', {steps: [{duration: 3600, power: 250}]});
+        expect(library.load(workout, 250)).toEqual({intensity: 1, tss: 100});
+    });
+
+    test('no intervals', () => {
+        expect(library.load({meta: {name: 'Course'}, points: []})).toBe(undefined);
+    });
+});
+
+describe('query', () => {
+    test('sorts by name by default', () => {
+        expect(names(library.query(workouts))).toEqual(['Easy Spin', 'Sweet Spot', 'VO2 Max']);
+    });
+
+    test('sorts by duration, tss, intensity and last ridden, highest first', () => {
+        expect(names(library.query(workouts, {sort: 'duration'}))).toEqual(['Sweet Spot', 'VO2 Max', 'Easy Spin']);
+        expect(names(library.query(workouts, {sort: 'tss'}))).toEqual(['Sweet Spot', 'VO2 Max', 'Easy Spin']);
+        expect(names(library.query(workouts, {sort: 'intensity'}))).toEqual(['VO2 Max', 'Sweet Spot', 'Easy Spin']);
+        expect(names(library.query(workouts, {sort: 'lastRidden'}))).toEqual(['Easy Spin', 'Sweet Spot', 'VO2 Max']);
+    });
+
+    test('filters by category, folder and tag', () => {
+        expect(names(library.query(workouts, {category: 'Recovery'}))).toEqual(['Easy Spin']);
+        expect(names(library.query(workouts, {folder: 'Build'}))).toEqual(['VO2 Max']);
+        expect(names(library.query(workouts, {tag: 'indoor'}))).toEqual(['Sweet Spot', 'VO2 Max']);
+    });
+
+    test('search with filters', () => {
+        expect(names(library.query(workouts, {search: 'hard', tag: 'indoor'}))).toEqual(['VO2 Max']);
+        expect(names(library.query(workouts, {search: 'legs', tag: 'indoor'}))).toEqual([]);
+    });
+});
+
+describe('options', () => {
+    test('the values each filter can take', () => {
+        expect(library.options(workouts)).toEqual({
+            categories: ['Recovery', 'SweetSpot', 'VO2Max'],
+            folders: ['Base', 'Build'],
+            tags: ['hard', 'indoor'],
+        });
+    });
+});
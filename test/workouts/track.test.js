@@ -0,0 +1,137 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { track } from '../../src/workouts/track.js';
+import { gpx } from '../../src/workouts/gpx.js';
+import { tcx } from '../../src/workouts/tcx.js';
+
+describe('Track', () => {
+
+    test('haversine', () => {
+        // one degree of latitude
+        expect(track.haversine({lat: 0, lon: 0}, {lat: 1, lon: 0})).toBeCloseTo(111195, 0);
+        expect(track.haversine({lat: 42, lon: 23}, {lat: 42, lon: 23})).toBe(0);
+    });
+
+    test('toSemicircles', () => {
+        expect(track.toSemicircles(180)).toBe(2**31);
+        expect(track.toSemicircles(-90)).toBe(-(2**30));
+    });
+
+    test('cumulativeDistance', () => {
+        const res = track.cumulativeDistance([
+            {lat: 0, lon: 0},
+            {lat: 0.001, lon: 0},
+            {lat: 0.002, lon: 0},
+        ]);
+
+        expect(res[0]).toBe(0);
+        expect(res[1]).toBeCloseTo(111.195, 2);
+        expect(res[2]).toBeCloseTo(222.390, 2);
+    });
+
+    test('smooth', () => {
+        const distances  = [0, 10, 20, 30, 40];
+        const elevations = [100, 100, 110, 100, 100];
+
+        expect(track.smooth(elevations, distances, 10)).toEqual([
+            100, (100 + 100 + 110) / 3, (100 + 110 + 100) / 3, (110 + 100 + 100) / 3, 100,
+        ]);
+        expect(track.smooth(elevations, distances, 0)).toEqual(elevations);
+    });
+
+    test('fillElevation', () => {
+        expect(track.fillElevation([undefined, 10, undefined, 12])).toEqual([10, 10, 10, 12]);
+    });
+});
+
+describe('GPX', () => {
+    const input = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>Test Route</name>
+    <desc>A short climb</desc>
+  </metadata>
+  <trk>
+    <trkseg>
+      <trkpt lat="0.000" lon="0"><ele>100</ele></trkpt>
+      <trkpt lat="0.001" lon="0"><ele>101</ele></trkpt>
+      <trkpt lat="0.002" lon="0"><ele>102</ele></trkpt>
+      <trkpt lat="0.003" lon="0"><ele>103</ele></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+    test('isGpx', () => {
+        expect(gpx.isGpx(input)).toBe(true);
+        expect(gpx.isGpx('<workout_file></workout_file>')).toBe(false);
+    });
+
+    test('readToCourse', () => {
+        const res = gpx.readToCourse(input, 'test-route.gpx');
+
+        expect(res.meta.name).toBe('Test Route');
+        expect(res.meta.description).toBe('A short climb');
+        expect(res.meta.distance).toBeCloseTo(333.585, 2);
+        expect(res.points.length).toBe(4);
+        expect(res.points[1].distance).toBeCloseTo(111.195, 2);
+        expect(res.points[1].slope).toBeCloseTo(100 / 111.195, 3);
+        expect(res.points[2].position_lat).toBe(track.toSemicircles(0.002));
+        expect(res.points[2].position_long).toBe(0);
+        expect(res.pointsSimplified.length).toBeGreaterThan(1);
+    });
+
+    test('readToCourse from route points and file name', () => {
+        const res = gpx.readToCourse(`<gpx><rte>
+            <rtept lat="0.000" lon="0"></rtept>
+            <rtept lat="0.001" lon="0"></rtept>
+        </rte></gpx>`, 'morning_loop.gpx');
+
+        expect(res.meta.name).toBe('morning loop');
+        expect(res.points.length).toBe(2);
+        expect(res.points[0].y).toBe(0);
+        expect(res.points[0].slope).toBe(0);
+    });
+});
+
+describe('TCX', () => {
+    const input = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Courses>
+    <Course>
+      <Name>Test Course</Name>
+      <Track>
+        <Trackpoint>
+          <Position><LatitudeDegrees>0.000</LatitudeDegrees><LongitudeDegrees>0</LongitudeDegrees></Position>
+          <AltitudeMeters>100</AltitudeMeters>
+          <DistanceMeters>0</DistanceMeters>
+        </Trackpoint>
+        <Trackpoint>
+          <Position><LatitudeDegrees>0.001</LatitudeDegrees><LongitudeDegrees>0</LongitudeDegrees></Position>
+          <AltitudeMeters>99</AltitudeMeters>
+          <DistanceMeters>112</DistanceMeters>
+        </Trackpoint>
+        <Trackpoint>
+          <AltitudeMeters>99</AltitudeMeters>
+        </Trackpoint>
+      </Track>
+    </Course>
+  </Courses>
+</TrainingCenterDatabase>`;
+
+    test('isTcx', () => {
+        expect(tcx.isTcx(input)).toBe(true);
+        expect(tcx.isTcx('<gpx></gpx>')).toBe(false);
+    });
+
+    test('readToCourse', () => {
+        const res = tcx.readToCourse(input, 'test.tcx');
+
+        expect(res.meta.name).toBe('Test Course');
+        expect(res.meta.distance).toBe(112);
+        expect(res.points.length).toBe(2);
+        expect(res.points[1].distance).toBe(112);
+        expect(res.points[1].position_lat).toBe(track.toSemicircles(0.001));
+    });
+});
@@ -1033,3 +1033,56 @@ describe('Cooldown', () => {
 //     test('', () => {
 //     });
 // });
+
+describe('HeartRate', () => {
+    test('reads a heart rate step', () => {
+        const res = zwo.readToInterval(`
+            <workout_file>
+                <workout>
+                    <SteadyState Duration="600" HeartRate="0.85" Cadence="90" />
+                </workout>
+            </workout_file>`);
+
+        expect(res.intervals).toEqual([
+            {duration: 600, steps: [{duration: 600, hr: 0.85, cadence: 90}]},
+        ]);
+    });
+
+    test('writes a heart rate step', () => {
+        expect(zwo.fromInterval({
+            meta: {},
+            intervals: [{duration: 600, steps: [{duration: 600, hr: 0.85}]}],
+        }).body).toEqual([
+            {element: 'SteadyState', Duration: 600, HeartRate: 0.85},
+        ]);
+    });
+});
+
+describe('SmO2', () => {
+    test('reads steps that end on SmO2', () => {
+        const res = zwo.readToInterval(`
+            <workout_file>
+                <workout>
+                    <SteadyState Duration="300" Power="0.9" SmO2Below="30" />
+                    <FreeRide Duration="180" SmO2Above="60" />
+                    <IntervalsT Repeat="1" OnDuration="60" OffDuration="120" OnPower="1.1" OffPower="0.4" OffSmO2Above="55" />
+                </workout>
+            </workout_file>`);
+
+        expect(res.intervals).toEqual([
+            {duration: 300, steps: [{duration: 300, power: 0.9, smo2Below: 30}]},
+            {duration: 180, steps: [{duration: 180, slope: 0, power: 0, smo2Above: 60}]},
+            {duration: 60, steps: [{duration: 60, power: 1.1}]},
+            {duration: 120, steps: [{duration: 120, power: 0.4, smo2Above: 55}]},
+        ]);
+    });
+
+    test('writes a step that ends on SmO2', () => {
+        expect(zwo.fromInterval({
+            meta: {},
+            intervals: [{duration: 300, steps: [{duration: 300, power: 0.4, smo2Above: 60}]}],
+        }).body).toEqual([
+            {element: 'SteadyState', Duration: 300, Power: 0.4, SmO2Above: 60},
+        ]);
+    });
+});